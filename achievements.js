@@ -0,0 +1,149 @@
+/**
+ * achievements.js — Achievements & Badges
+ *
+ * Pure functions only. No DOM, no localStorage.
+ *
+ * Every achievement is declared once in ACHIEVEMENTS:
+ *
+ *   { id, icon, name, description, goal, progress(facts) → number }
+ *
+ * `progress` is a pure function of achievementFacts(program) — the
+ * lifetime stats from computeLifetimeStats plus a few extra counts — so
+ * each rule can be unit tested on a hand-made program. An achievement
+ * unlocks once progress reaches its goal.
+ *
+ * Unlocks are kept in program.achievements = { [id]: ISO time unlocked }
+ * (schema v9). They are never taken back: undoing the step that earned a
+ * badge leaves it unlocked.
+ */
+
+import { computeLifetimeStats, allWeeks } from './xpEngine.js';
+
+export const ACHIEVEMENTS = [
+  {
+    id: 'first-lecture', icon: '👣', name: 'First Steps',
+    description: 'Finish Watched, Memory Note and Final Note of a lecture',
+    goal: 1, progress: f => f.completedLectures
+  },
+  {
+    id: 'first-week', icon: '📗', name: 'Week One Down',
+    description: 'Complete a week',
+    goal: 1, progress: f => f.weeksCompleted
+  },
+  {
+    id: 'twelve-weeks', icon: '📚', name: 'A Term\'s Worth',
+    description: 'Complete 12 weeks',
+    goal: 12, progress: f => f.weeksCompleted
+  },
+  {
+    id: 'course-complete', icon: '🎓', name: 'Course Finisher',
+    description: 'Complete every week of a course',
+    goal: 1, progress: f => f.coursesCompleted
+  },
+  {
+    id: 'deep-revision', icon: '🔁', name: 'Deep Revision',
+    description: 'Revise one lecture 10 times',
+    goal: 10, progress: f => f.maxLectureRevisions
+  },
+  {
+    id: 'graded-five', icon: '✅', name: 'Assignment Ace',
+    description: 'Finish all graded questions in 5 weeks',
+    goal: 5, progress: f => f.gradedWeeksDone
+  },
+  {
+    id: 'activity-hundred', icon: '✏️', name: 'Hundred Activities',
+    description: 'Mark 100 activity questions done',
+    goal: 100, progress: f => f.totalActivityDone
+  },
+  {
+    id: 'streak-week', icon: '🔥', name: 'Week-long Streak',
+    description: 'Study 7 days in a row',
+    goal: 7, progress: f => f.bestStreak
+  },
+  {
+    id: 'streak-month', icon: '🌋', name: '30-Day Streak',
+    description: 'Study 30 days in a row',
+    goal: 30, progress: f => f.bestStreak
+  },
+  {
+    id: 'xp-thousand', icon: '⚡', name: 'Thousand Club',
+    description: 'Earn 1 000 XP',
+    goal: 1000, progress: f => f.totalXP
+  },
+  {
+    id: 'rank-scholar', icon: '🎖️', name: 'Foundation Scholar',
+    description: 'Reach level 6',
+    goal: 6, progress: f => f.level
+  }
+];
+
+/**
+ * Everything achievement rules look at: computeLifetimeStats() plus
+ * totalXP, level, the best streak so far, the most revisions on any one
+ * lecture, weeks with every graded question done, and fully completed courses.
+ */
+export function achievementFacts(program) {
+  const stats = computeLifetimeStats(program);
+
+  let maxLectureRevisions = 0, gradedWeeksDone = 0;
+  for (const week of allWeeks(program)) {
+    const g = week.gradedAssignment;
+    if (g.totalQuestions > 0 && g.doneQuestions >= g.totalQuestions) gradedWeeksDone++;
+    for (const lec of week.lectures) maxLectureRevisions = Math.max(maxLectureRevisions, lec.revisionCount || 0);
+  }
+
+  let coursesCompleted = 0;
+  for (const term of program.terms)
+    for (const course of term.courses)
+      if (course.weeks.length > 0 && course.weeks.every(w => w.weekCompleted)) coursesCompleted++;
+
+  return {
+    ...stats,
+    totalXP: program.totalXP || 0,
+    level: program.level || 1,
+    bestStreak: Math.max(stats.bestStreak, program.streak || 0),
+    maxLectureRevisions,
+    gradedWeeksDone,
+    coursesCompleted
+  };
+}
+
+/**
+ * Every achievement with its state, in declaration order:
+ *   { id, icon, name, description, goal, value, unlocked, unlockedAt }
+ * `value` is the progress so far, capped at the goal.
+ */
+export function evaluateAchievements(program, facts = achievementFacts(program)) {
+  const unlocked = program.achievements || {};
+  return ACHIEVEMENTS.map(({ progress, ...a }) => ({
+    ...a,
+    value: Math.min(a.goal, Math.max(0, progress(facts) || 0)),
+    unlocked: Boolean(unlocked[a.id]),
+    unlockedAt: unlocked[a.id] || null
+  }));
+}
+
+/**
+ * Unlock every achievement whose goal is reached now. Records `at`
+ * (ISO time) in program.achievements and returns the newly unlocked
+ * achievements (evaluated form). Mutates program.
+ */
+export function unlockAchievements(program, at) {
+  if (!program.achievements) program.achievements = {};
+  const fresh = evaluateAchievements(program).filter(a => !a.unlocked && a.value >= a.goal);
+  for (const a of fresh) {
+    program.achievements[a.id] = at;
+    a.unlocked = true;
+    a.unlockedAt = at;
+  }
+  return fresh;
+}
+
+/** Union of two unlock maps; an achievement unlocked on both sides keeps the earlier date */
+export function mergeAchievements(a = {}, b = {}) {
+  const out = { ...a };
+  for (const [id, at] of Object.entries(b)) {
+    if (!out[id] || at < out[id]) out[id] = at;
+  }
+  return out;
+}
@@ -0,0 +1,130 @@
+/**
+ * achievements.test.js — Unit tests for achievements & badges
+ *
+ * Run with: node --test achievements.test.js
+ *
+ * Tests cover:
+ *   1. achievementFacts    — extra counts next to the lifetime stats
+ *   2. rules               — example achievements against hand-made programs
+ *   3. unlockAchievements  — dates, no double unlocks, never taken back
+ *   4. mergeAchievements   — union, earlier date wins
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    ACHIEVEMENTS,
+    achievementFacts,
+    evaluateAchievements,
+    unlockAchievements,
+    mergeAchievements,
+} from './achievements.js';
+
+/* ─── Factories ─── */
+
+function makeLec(overrides = {}) {
+    return { watched: false, memoryNote: false, activityTotal: 0, activityDone: 0,
+             finalNote: false, revisionCount: 0, xpEarned: 0, ...overrides };
+}
+
+function makeWeek(overrides = {}) {
+    return {
+        lectures: [],
+        practiceAssignment: { totalQuestions: 0, doneQuestions: 0 },
+        gradedAssignment: { totalQuestions: 0, doneQuestions: 0 },
+        weeklyMemoryNote: false, weeklyFinalNote: false, weekCompleted: false, xpEarned: 0,
+        ...overrides,
+    };
+}
+
+function makeProgram(weeks = [], overrides = {}) {
+    return {
+        terms: [{ termId: 't', termName: 'T', courses: [{ courseId: 'c', courseName: 'C', weeks }] }],
+        totalXP: 0, level: 1, streak: 0, bestStreak: 0, streakFreezes: 0,
+        xpHistory: {}, achievements: {},
+        ...overrides,
+    };
+}
+
+const graded = (total, done) => ({ gradedAssignment: { totalQuestions: total, doneQuestions: done } });
+const stateOf = (program, id) => evaluateAchievements(program).find(a => a.id === id);
+
+/* ─── Facts ─── */
+
+test('achievementFacts: counts revisions per lecture, fully graded weeks and finished courses', () => {
+    const p = makeProgram([
+        makeWeek({ lectures: [makeLec({ revisionCount: 4 }), makeLec({ revisionCount: 9 })], weekCompleted: true, ...graded(5, 5) }),
+        makeWeek({ weekCompleted: true, ...graded(0, 0) }),
+    ], { streak: 12, bestStreak: 10 });
+    const f = achievementFacts(p);
+    assert.equal(f.maxLectureRevisions, 9);
+    assert.equal(f.gradedWeeksDone, 1);      // a week without graded questions doesn't count
+    assert.equal(f.coursesCompleted, 1);
+    assert.equal(f.bestStreak, 12);          // the live streak already beats the stored best
+    assert.equal(f.weeksCompleted, 2);
+});
+
+/* ─── Rules ─── */
+
+test('rules: every achievement has an id, a goal and a pure progress function', () => {
+    const ids = new Set();
+    const facts = achievementFacts(makeProgram());
+    for (const a of ACHIEVEMENTS) {
+        assert.ok(!ids.has(a.id), `duplicate id ${a.id}`);
+        ids.add(a.id);
+        assert.ok(a.goal > 0);
+        assert.equal(typeof a.progress(facts), 'number');
+    }
+});
+
+test('rules: first week complete', () => {
+    assert.equal(stateOf(makeProgram([makeWeek()]), 'first-week').value, 0);
+    assert.equal(stateOf(makeProgram([makeWeek({ weekCompleted: true })]), 'first-week').value, 1);
+});
+
+test('rules: 10 revisions on one lecture, not spread over several', () => {
+    const spread = makeProgram([makeWeek({ lectures: [makeLec({ revisionCount: 5 }), makeLec({ revisionCount: 5 })] })]);
+    assert.equal(stateOf(spread, 'deep-revision').value, 5);
+    const deep = makeProgram([makeWeek({ lectures: [makeLec({ revisionCount: 14 })] })]);
+    assert.equal(stateOf(deep, 'deep-revision').value, 10);   // capped at the goal
+});
+
+test('rules: 30-day streak and all graded questions done for 5 weeks', () => {
+    assert.equal(stateOf(makeProgram([], { bestStreak: 30 }), 'streak-month').value, 30);
+    const weeks = [1, 2, 3, 4].map(() => makeWeek(graded(10, 10)));
+    const p = makeProgram([...weeks, makeWeek(graded(10, 9))]);
+    assert.equal(stateOf(p, 'graded-five').value, 4);
+    p.terms[0].courses[0].weeks[4].gradedAssignment.doneQuestions = 10;
+    assert.equal(stateOf(p, 'graded-five').value, 5);
+});
+
+/* ─── Unlocking ─── */
+
+test('unlockAchievements: records the time once and returns only new unlocks', () => {
+    const p = makeProgram([makeWeek({ lectures: [makeLec({ watched: true, memoryNote: true, finalNote: true })], weekCompleted: true })]);
+    const first = unlockAchievements(p, '2026-03-01T10:00:00.000Z');
+    assert.deepEqual(first.map(a => a.id).sort(), ['course-complete', 'first-lecture', 'first-week']);
+    assert.equal(p.achievements['first-week'], '2026-03-01T10:00:00.000Z');
+
+    assert.deepEqual(unlockAchievements(p, '2026-03-02T10:00:00.000Z'), []);
+    assert.equal(p.achievements['first-week'], '2026-03-01T10:00:00.000Z');
+});
+
+test('unlockAchievements: a badge stays unlocked when progress goes back', () => {
+    const p = makeProgram([makeWeek({ weekCompleted: true })]);
+    unlockAchievements(p, '2026-03-01T10:00:00.000Z');
+    p.terms[0].courses[0].weeks[0].weekCompleted = false;
+    const s = stateOf(p, 'first-week');
+    assert.equal(s.unlocked, true);
+    assert.equal(s.value, 0);
+    assert.equal(s.unlockedAt, '2026-03-01T10:00:00.000Z');
+});
+
+test('mergeAchievements: union of both sides, the earlier unlock wins', () => {
+    assert.deepEqual(
+        mergeAchievements({ a: '2026-03-05T00:00:00Z', b: '2026-03-01T00:00:00Z' }, { a: '2026-03-02T00:00:00Z', c: '2026-03-09T00:00:00Z' }),
+        { a: '2026-03-02T00:00:00Z', b: '2026-03-01T00:00:00Z', c: '2026-03-09T00:00:00Z' },
+    );
+    assert.deepEqual(mergeAchievements(undefined, { a: 'x' }), { a: 'x' });
+});
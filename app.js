@@ -12,16 +12,45 @@
  */
 
 import {
-  loadProgram, saveProgram, generateId, todayISO,
-  exportBackup, parseImportedBackup
+  initStorage, onStorageError, flushSaves,
+  loadProgram, saveProgram, createDefaultProgram,
+  unlockProgram, salvageProgram, exportDamagedData,
+  exportBackup, exportCSV, exportReport, exportSyllabus, parseImportedBackup, weeksFromSyllabus,
+  takeSnapshot, takeDailySnapshot, listSnapshots, loadSnapshot,
+  getRemoteConfig, setRemoteConfig, remoteEnabled, syncRemote, retryRemote, remoteStatus,
+  onRemoteProgram, onRemoteStatus,
+  makeTerm, makeCourse, makeWeek, makeLecture, currentTermName,
+  listProfiles, getActiveProfile, setActiveProfile,
+  createProfile, renameProfile, deleteProfile
 } from './storage.js';
 import {
-  recalculateTotalXP, getLevel, updateStreak,
-  isWeekCoreComplete, XP
+  recalculateTotalXP, getLevel, levelCurveOf, parseLevelTable, updateStreak,
+  isWeekCoreComplete, coreActionCount, allWeeks, XP, XP_PRESETS, makeXPRules, normalizeXPRules
 } from './xpEngine.js';
 import {
-  renderHeader, renderStats, renderWeeks, renderXPGraph,
-  showPromptModal, showConfirmModal, showToast
+  xpBySource, diffSources, tagCoreActions, recordLedger, trimLedger, ledgerBalance, LEDGER_RETENTION_DAYS
+} from './xpLedger.js';
+import { unlockAchievements } from './achievements.js';
+import { updateQuests } from './quests.js';
+import { studyDay, dayStartOf, addDays, rekeyLedger } from './dateService.js';
+import { logRevision, removeRevision, dueQueue } from './revisionScheduler.js';
+import {
+  addVacation, removeVacation, pruneVacations, freezeEarnedFor, logFreezeEarned, logFreezesSpent,
+  logFreezesRefunded
+} from './streakProtection.js';
+import { updateGoalStreak, goalProgress } from './dailyGoal.js';
+import { updateGrades } from './gradeCalculator.js';
+import { createUndoHistory } from './undoHistory.js';
+import { mergePrograms } from './src/backup/merge.js';
+import { validSetting } from './src/backup/schema.js';
+import { parseSyllabus } from './src/backup/syllabus.js';
+import { COURSE_CATALOG, CATALOG_LEVELS, findCatalogCourse, catalogSyllabus, catalogSource } from './src/data/courseCatalog.js';
+import { createTabSync, resolveIncoming, newRevisionId } from './src/storage/tabSync.js';
+import {
+  renderHeader, renderStats, renderCourseBar, renderWeeks, renderXPGraph, renderSettings, renderRemoteStatus, renderRestorePoints,
+  showPromptModal, showConfirmModal, showChoiceModal, showToast, showProfileModal, showCatalogModal,
+  showRecoveryScreen, celebrateLevelUp, announceBadges, renderBadges, renderQuests, announceQuests, renderDueQueue,
+  renderStreakPanel, renderGradesPanel, removeModal
 } from './src/ui/index.js';
 
 /* ── App state ── */
@@ -30,28 +59,68 @@ const expandedWeeks = new Set();
 const expandedLectures = new Set();
 let graphVisible = false;
 let statsVisible = false;
+let settingsVisible = false;
+let badgesVisible = false;
+let dueVisible = false;
+let streakVisible = false;
+let gradesVisible = false;
+let restoreVisible = false;
+
+/* ── Undo / redo ──
+   Every xpCommit() pushes the previous committed snapshot onto the
+   history. Journal fields (XP history, streaks and freezes, vacations, settings, badges, quests) are not part
+   of a snapshot: they always keep their current value, and undoing a
+   step books the XP reversal in the ledger like any other change. Both
+   streaks are then re-checked against what still stands, so an undone
+   step can't keep today counted or hand back the freezes it spent. */
+const undoHistory = createUndoHistory();
+const KEEP_ON_UNDO = [
+  'xpHistory', 'xpLedger', 'xpOpeningBalance', 'xpSources', 'coreActions',
+  'streak', 'bestStreak', 'lastActiveDate', 'streakFreezes', 'freezeLog', 'streakCredit',
+  'goalStreak', 'bestGoalStreak', 'lastGoalDate', 'goalCredit', 'vacations', 'settings', 'achievements', 'quests',
+  'revision', 'updatedAt'
+];
+let committedSnapshot = null;
+
+/* ── Live sync between tabs ──
+   Saves are broadcast to other windows shortly after they happen (see
+   src/storage/tabSync.js). syncRev is the revision this tab last sent
+   or accepted; unsentEdits marks local saves not broadcast yet.
+   syncBases keeps the last few revisions seen, by id, so a concurrent
+   edit can be merged against the revision both windows started from. */
+let tabSync = null;
+let syncRev = null;
+let unsentEdits = false;
+const syncBases = new Map();
+const SYNC_BASES_KEPT = 8;
+let broadcastTimer = null;
+const BROADCAST_DELAY = 400;
+
+/* ── Damaged data recovery ──
+   While the recovery screen is up: the failed load result and the
+   resolver bootProgram() is waiting on. */
+let recovery = null;
+
+const MAX_DETAIL_LINES = 30;   // per kind (conflicts, repairs, errors) in import dialogs
+const MIN_PASSPHRASE_LENGTH = 8;
 
 /* ─────────────────────────────────────────
    INIT
 ───────────────────────────────────────── */
 
-export function initApp() {
-  program = loadProgram();
-
-  // Update streak using real device clock
-  const today = todayISO();          // returns YYYY-MM-DD string from new Date()
-  const result = updateStreak(program, today);
-  program.streak = result.streak;
-  program.bestStreak = result.bestStreak;
-  program.lastActiveDate = result.lastActiveDate;
-  program.streakFreezes = result.streakFreezes;
-
-  if (result.freezeUsed) {
-    setTimeout(() => showToast('❄️ Streak Freeze used — streak protected!', 'info'), 600);
-  }
+export async function initApp() {
+  const backend = await initStorage();
+  console.log('[App] Storage backend:', backend);
+  onStorageError(err => {
+    showToast(err.name === 'QuotaExceededError'
+      ? 'Storage full — export a backup, then delete some old weeks.'
+      : 'Could not save your latest changes. Export a backup to be safe.', 'warn');
+  });
 
-  syncXP();
-  saveProgram(program);
+  onRemoteProgram(adoptFromServer);
+  onRemoteStatus(status => { if (settingsVisible) renderRemoteStatus(status); });
+  await bootProgram();
+  tabSync = createTabSync({ onMessage: onSyncMessage });
 
   if ('serviceWorker' in navigator) {
     navigator.serviceWorker.register('./sw.js')
@@ -63,6 +132,37 @@ export function initApp() {
   render();
 }
 
+/**
+ * Load the active profile's program, update its streak and save.
+ * Damaged data waits for the user's choice on the recovery screen.
+ */
+async function bootProgram() {
+  const loaded = await loadProgram();
+  program = loaded.ok ? loaded.program : await recoverProgram(loaded);
+  expandedWeeks.clear();
+  expandedLectures.clear();
+
+  // Streak: today counts once there's study in the XP record, not on opening
+  const today = studyToday();        // local study day, YYYY-MM-DD
+  advanceStreak(today, 600);
+  advanceGoal(today, 600);
+
+  const rec = program.xpHistoryReconciled;
+  if (rec && !rec.acknowledged) {
+    rec.acknowledged = true;
+    setTimeout(() => showToast(`XP history corrected: ${rec.inflatedBy} double-counted XP removed from past days.`, 'info'), 3800);
+  }
+
+  updateQuests(program, today, new Date().toISOString(), { count: false });   // draws today's board
+  recordXP(syncXP());
+  undoHistory.clear();
+  undoHistory.setDepth(program.settings.undoDepth);
+  save({ broadcast: false });
+  syncRev = program.revision;
+  rememberRevision(syncRev, program);
+  takeDailySnapshot(program).then(taken => { if (taken) refreshRestorePoints(); });
+}
+
 /* ─────────────────────────────────────────
    DISPATCH — routes actions to named handlers
 ───────────────────────────────────────── */
@@ -83,17 +183,240 @@ function dispatch(action, payload = {}) {
  */
 const ACTION_HANDLERS = {
 
+  /* ══ UNDO / REDO ══ */
+
+  UNDO: () => {
+    const step = undoHistory.undo(committedSnapshot);
+    if (!step) { showToast('Nothing to undo.', 'info'); return; }
+    restoreSnapshot(step.snapshot);
+    showToast(`↶ Undone${step.label ? `: ${step.label}` : ''}`, 'info');
+  },
+
+  REDO: () => {
+    const step = undoHistory.redo(committedSnapshot);
+    if (!step) { showToast('Nothing to redo.', 'info'); return; }
+    restoreSnapshot(step.snapshot);
+    showToast(`↷ Redone${step.label ? `: ${step.label}` : ''}`, 'info');
+  },
+
+  /* ══ PROFILES ══ */
+
+  OPEN_PROFILES: () => {
+    showProfileModal(listProfiles(), getActiveProfile().id, dispatch);
+  },
+
+  ADD_PROFILE: () => {
+    showPromptModal('New Profile', 'e.g. Priya', '', async name => {
+      const profile = createProfile(name);
+      await switchProfile(profile.id);
+      showToast(`Profile "${name}" created.`, 'success');
+    });
+  },
+
+  SWITCH_PROFILE: async ({ profileId }) => {
+    await switchProfile(profileId);
+    showToast(`Switched to ${getActiveProfile().name}.`, 'info');
+  },
+
+  RENAME_PROFILE: ({ profileId }) => {
+    const p = listProfiles().find(x => x.id === profileId);
+    if (!p) return;
+    showPromptModal('Rename Profile', 'Profile name', p.name, name => {
+      renameProfile(profileId, name);
+      render();
+      dispatch('OPEN_PROFILES');
+    });
+  },
+
+  DELETE_PROFILE: ({ profileId }) => {
+    const p = listProfiles().find(x => x.id === profileId);
+    if (!p) return;
+    if (listProfiles().length <= 1) {
+      showToast('You need at least one profile.', 'warn');
+      return;
+    }
+    showConfirmModal(`Delete profile "${p.name}" and ALL of its data? Export a backup first if unsure.`, () => {
+      const wasActive = getActiveProfile().id === profileId;
+      deleteProfile(profileId);
+      const done = () => { render(); showToast(`Profile "${p.name}" deleted.`, 'info'); };
+      if (wasActive) bootProgram().then(done);
+      else done();
+    });
+  },
+
+  /* ══ TERM ══ */
+
+  ADD_TERM: () => {
+    showPromptModal('New Term', 'e.g. May 2026', currentTermName(), name => {
+      program.terms.push(makeTerm(name));
+      commit('Term added. Add a course to it next.');
+    });
+  },
+
+  RENAME_TERM: ({ termId }) => {
+    const t = findTerm(termId);
+    if (!t) return;
+    showPromptModal('Rename Term', 'Term name', t.termName, name => {
+      t.termName = name;
+      commit('Term renamed.');
+    });
+  },
+
+  DELETE_TERM: ({ termId }) => {
+    const t = findTerm(termId);
+    if (!t) return;
+    const wc = t.courses.reduce((n, c) => n + c.weeks.length, 0);
+    showConfirmModal(`Delete term "${t.termName}" with ${t.courses.length} courses and ${wc} weeks?`, () => {
+      snapshotBefore('delete', `Before deleting term "${t.termName}"`);
+      program.terms = program.terms.filter(x => x.termId !== termId);
+      if (!findCourse(program.activeCourseId)) program.activeCourseId = firstCourseId();
+      commit('Term deleted.', { undoable: true });
+    });
+  },
+
+  /* ══ COURSE ══ */
+
+  SELECT_COURSE: ({ courseId }) => {
+    if (!findCourse(courseId)) return;
+    program.activeCourseId = courseId;
+    save();
+    render();
+  },
+
+  ADD_COURSE: () => {
+    const term = targetTerm();
+    showPromptModal(`New Course · ${term.termName}`, 'e.g. Maths 1', '', name => {
+      const course = makeCourse(name);
+      term.courses.push(course);
+      program.activeCourseId = course.courseId;
+      commit('Course added.');
+    });
+  },
+
+  OPEN_CATALOG: () => {
+    const term = findTermOfCourse(program.activeCourseId) || program.terms[program.terms.length - 1];
+    showCatalogModal({ courses: COURSE_CATALOG, levels: CATALOG_LEVELS }, {
+      termName: term ? term.termName : currentTermName(),
+      existingNames: term ? term.courses.map(c => c.courseName) : [],
+    }, dispatch);
+  },
+
+  /* New course with its weeks and lectures from the built-in catalog */
+  ADD_CATALOG_COURSE: ({ code }) => {
+    const entry = findCatalogCourse(code);
+    if (!entry) return;
+    const term = targetTerm();
+    const course = makeCourse(entry.name, weeksFromSyllabus(catalogSyllabus(entry)));
+    course.catalog = catalogSource(entry);
+    term.courses.push(course);
+    program.activeCourseId = course.courseId;
+    commit(`✓ ${entry.name} added to ${term.termName} with ${course.weeks.length} weeks.`, { undoable: true });
+  },
+
+  RENAME_COURSE: ({ courseId }) => {
+    const c = findCourse(courseId);
+    if (!c) return;
+    showPromptModal('Rename Course', 'Course name', c.courseName, name => {
+      c.courseName = name;
+      commit('Course renamed.');
+    });
+  },
+
+  DELETE_COURSE: ({ courseId }) => {
+    const c = findCourse(courseId);
+    const t = findTermOfCourse(courseId);
+    if (!c || !t) return;
+    showConfirmModal(`Delete course "${c.courseName}" and its ${c.weeks.length} weeks?`, () => {
+      snapshotBefore('delete', `Before deleting course "${c.courseName}"`);
+      t.courses = t.courses.filter(x => x.courseId !== courseId);
+      if (program.activeCourseId === courseId) program.activeCourseId = firstCourseId();
+      commit('Course deleted.', { undoable: true });
+    });
+  },
+
   /* ══ WEEK ══ */
 
   ADD_WEEK: () => {
-    showPromptModal('New Week', 'e.g. Week 1: Linear Algebra', '', name => {
+    const course = findCourse(program.activeCourseId);
+    if (!course) {
+      showToast('Add a course first.', 'warn');
+      return;
+    }
+    showPromptModal(`New Week · ${course.courseName}`, 'e.g. Week 1: Linear Algebra', '', name => {
       const week = makeWeek(name);
-      program.weeks.push(week);
+      course.weeks.push(week);
       expandedWeeks.add(week.weekId);
       commit('Week added.');
     });
   },
 
+  /* Import a syllabus file into the active course, or export it as one */
+  SYLLABUS: () => {
+    const course = findCourse(program.activeCourseId);
+    if (!course) {
+      showToast('Add a course first.', 'warn');
+      return;
+    }
+    showChoiceModal({
+      title: `Syllabus · ${course.courseName}`,
+      message: 'Import a syllabus (JSON, CSV or a plain-text outline) to add all its weeks and lectures at once.\n\n' +
+        'Export saves this course\'s weeks and lectures as a template — names and counts only, ' +
+        'no progress or notes — for classmates to import.',
+      choices: [
+        { label: 'Cancel', cls: 'btn-cancel' },
+        { label: 'Export template', cls: 'btn-cancel', onClick: () => {
+          if (course.weeks.length === 0) { showToast('This course has no weeks to export yet.', 'warn'); return; }
+          showToast(`✓ Syllabus template downloaded: ${exportSyllabus(course)}`, 'success');
+        } },
+        { label: 'Import…', cls: 'btn-confirm', onClick: () => document.getElementById('syllabus-file-input')?.click() },
+      ],
+    });
+  },
+
+  /* Preview the weeks a syllabus file would add, then add them */
+  REVIEW_SYLLABUS: ({ text, filename }) => {
+    const course = findCourse(program.activeCourseId);
+    if (!course) return;
+    const result = parseSyllabus(text, { filename });
+    if (!result.ok) {
+      showChoiceModal({
+        title: 'Syllabus can\'t be imported',
+        message: `${result.error} Nothing was changed.`,
+        details: limitLines(result.errors.map(e => `✕ ${e}`), 'problems'),
+        choices: [{ label: 'Close', cls: 'btn-cancel' }],
+      });
+      return;
+    }
+
+    const { syllabus, lectures } = result;
+    const existing = new Set(course.weeks.map(w => w.weekName.trim().toLowerCase()));
+    const clashes = syllabus.weeks.filter(w => existing.has(w.name.toLowerCase())).length;
+    const details = limitLines(syllabus.weeks.map(w => {
+      const counts = [`${w.lectures.length} lecture${w.lectures.length === 1 ? '' : 's'}`];
+      if (w.practiceQuestions) counts.push(`practice ${w.practiceQuestions}`);
+      if (w.gradedQuestions) counts.push(`graded ${w.gradedQuestions}`);
+      return `${existing.has(w.name.toLowerCase()) ? '⚠' : '+'} ${w.name} — ${counts.join(' · ')}`;
+    }), 'weeks');
+    const from = syllabus.course ? `Syllabus of "${syllabus.course}"\n` : '';
+    const warn = clashes
+      ? `\n⚠ ${clashes} week${clashes === 1 ? ' has' : 's have'} the same name as a week already in this course — they are added as well, not combined.`
+      : '';
+
+    showChoiceModal({
+      title: `Import syllabus · ${course.courseName}`,
+      message: `${from}${syllabus.weeks.length} weeks · ${lectures} lectures will be added after the existing weeks.${warn}`,
+      details,
+      choices: [
+        { label: 'Cancel', cls: 'btn-cancel' },
+        { label: 'Add weeks', cls: 'btn-confirm', onClick: () => {
+          const weeks = weeksFromSyllabus(syllabus);
+          course.weeks.push(...weeks);
+          commit(`✓ ${weeks.length} weeks and ${lectures} lectures added.`, { undoable: true });
+        } },
+      ],
+    });
+  },
+
   EDIT_WEEK_NAME: ({ weekId }) => {
     const w = findWeek(weekId);
     if (!w) return;
@@ -106,10 +429,12 @@ const ACTION_HANDLERS = {
   DELETE_WEEK: ({ weekId }) => {
     const w = findWeek(weekId);
     if (!w) return;
+    const course = findCourseOfWeek(weekId);
     showConfirmModal(`Delete "${w.weekName}" and all its data?`, () => {
-      program.weeks = program.weeks.filter(x => x.weekId !== weekId);
+      snapshotBefore('delete', `Before deleting "${w.weekName}"`);
+      course.weeks = course.weeks.filter(x => x.weekId !== weekId);
       expandedWeeks.delete(weekId);
-      commit('Week deleted.');
+      commit('Week deleted.', { undoable: true });
     });
   },
 
@@ -144,10 +469,11 @@ const ACTION_HANDLERS = {
     const lec = findLecture(weekId, lectureId);
     if (!w || !lec) return;
     showConfirmModal(`Delete "${lec.lectureName}"?`, () => {
+      snapshotBefore('delete', `Before deleting "${lec.lectureName}"`);
       w.lectures = w.lectures.filter(l => l.lectureId !== lectureId);
       expandedLectures.delete(lectureId);
       if (w.weekCompleted && !isWeekCoreComplete(w)) w.weekCompleted = false;
-      commit('Lecture deleted.');
+      commit('Lecture deleted.', { undoable: true });
     });
   },
 
@@ -156,11 +482,24 @@ const ACTION_HANDLERS = {
     render();
   },
 
+  /** Show a lecture from the revision queue: its course, week and card open */
+  OPEN_LECTURE: ({ courseId, weekId, lectureId }) => {
+    if (!findCourse(courseId) || !findLecture(weekId, lectureId)) return;
+    if (program.activeCourseId !== courseId) {
+      program.activeCourseId = courseId;
+      save();
+    }
+    expandedWeeks.add(weekId);
+    expandedLectures.add(lectureId);
+    render();
+    document.querySelector(`[data-lecture-id="${lectureId}"]`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  },
+
   /* ══ LECTURE NOTES (auto-save, no re-render) ══ */
 
   SAVE_LECTURE_NOTE: ({ weekId, lectureId, text }) => {
     const lec = findLecture(weekId, lectureId);
-    if (lec) { lec.notes = text; save(); }
+    if (lec) { lec.notes = text; lec.notesUpdatedAt = new Date().toISOString(); save(); }
   },
 
   /* ══ LECTURE BOOLEAN TOGGLES ══ */
@@ -182,7 +521,7 @@ const ACTION_HANDLERS = {
 
   /* ══ LECTURE STEPPERS ══ */
 
-  LECTURE_STEP: ({ weekId, lectureId, action }) => {
+  LECTURE_STEP: ({ weekId, lectureId, action, quality = null }) => {
     const lec = findLecture(weekId, lectureId);
     if (!lec) return;
     switch (action) {
@@ -193,8 +532,8 @@ const ACTION_HANDLERS = {
         break;
       case 'actDone-inc': if (lec.activityDone < lec.activityTotal) lec.activityDone++; break;
       case 'actDone-dec': if (lec.activityDone > 0) lec.activityDone--; break;
-      case 'rev-inc': lec.revisionCount = (lec.revisionCount || 0) + 1; break;
-      case 'rev-dec': lec.revisionCount = Math.max(0, (lec.revisionCount || 0) - 1); break;
+      case 'rev-inc': logRevision(lec, studyToday(), quality); break;
+      case 'rev-dec': removeRevision(lec); break;
     }
     xpCommit();
   },
@@ -232,14 +571,16 @@ const ACTION_HANDLERS = {
     w[field] = value;
 
     if (field === 'weekCompleted' && value) {
-      if ((program.streakFreezes || 0) < XP.MAX_FREEZES) {
+      const bonus = program.xpRules.values.WEEK_COMPLETE;
+      if ((program.streakFreezes || 0) < XP.MAX_FREEZES && !freezeEarnedFor(program, w.weekId)) {
         program.streakFreezes = (program.streakFreezes || 0) + 1;
+        logFreezeEarned(program, new Date().toISOString(), studyToday(), w.weekId, w.weekName);
         setTimeout(() => showToast(
-          `🎉 Week complete! +15 XP · ❄️ Earned a Streak Freeze (${program.streakFreezes}/${XP.MAX_FREEZES})`,
+          `🎉 Week complete! +${bonus} XP · ❄️ Earned a Streak Freeze (${program.streakFreezes}/${XP.MAX_FREEZES})`,
           'success'
         ), 100);
       } else {
-        setTimeout(() => showToast('🎉 Week complete! +15 XP bonus.', 'success'), 100);
+        setTimeout(() => showToast(`🎉 Week complete! +${bonus} XP bonus.`, 'success'), 100);
       }
     }
     xpCommit();
@@ -251,7 +592,7 @@ const ACTION_HANDLERS = {
     graphVisible = !graphVisible;
     document.getElementById('graph-section')?.classList.toggle('hidden', !graphVisible);
     document.getElementById('btn-graph').textContent = graphVisible ? '▲ Hide Graph' : '▼ XP Graph';
-    if (graphVisible) setTimeout(() => renderXPGraph(program.xpHistory), 50);
+    if (graphVisible) setTimeout(() => renderXPGraph(program.xpHistory, studyToday()), 50);
   },
 
   /* ══ STATS PANEL ══ */
@@ -263,11 +604,238 @@ const ACTION_HANDLERS = {
     if (statsVisible) renderStats(program);
   },
 
+  /* ══ BADGES ══ */
+
+  TOGGLE_BADGES: () => {
+    badgesVisible = !badgesVisible;
+    document.getElementById('badges-section')?.classList.toggle('hidden', !badgesVisible);
+    document.getElementById('btn-badges').textContent = badgesVisible ? '▲ Hide Badges' : '🏅 Badges';
+    if (badgesVisible) renderBadges(program);
+  },
+
+  TOGGLE_DUE: () => {
+    dueVisible = !dueVisible;
+    document.getElementById('due-section')?.classList.toggle('hidden', !dueVisible);
+    render();
+  },
+
+  /* ══ STREAK PROTECTION ══ */
+
+  TOGGLE_STREAK: () => {
+    streakVisible = !streakVisible;
+    document.getElementById('streak-section')?.classList.toggle('hidden', !streakVisible);
+    render();
+  },
+
+  /* Vacations aren't undoable steps — like settings, they are saved as they are */
+  ADD_VACATION: ({ from, to }) => {
+    const added = addVacation(program, from, to, studyToday());
+    if (!added.ok) {
+      showToast(added.error, 'warn');
+      return;
+    }
+    save();
+    render();
+    showToast('🏖️ Vacation planned — your streak will pause over it.', 'success');
+  },
+
+  REMOVE_VACATION: ({ from }) => {
+    if (!removeVacation(program, from)) return;
+    save();
+    render();
+    showToast('Vacation removed.', 'info');
+  },
+
+  /* ══ GRADES ══ */
+
+  TOGGLE_GRADES: () => {
+    gradesVisible = !gradesVisible;
+    document.getElementById('grades-section')?.classList.toggle('hidden', !gradesVisible);
+    render();
+  },
+
+  /* Scores are part of the course, so each change is an undoable step */
+  UPDATE_GRADES: ({ courseId, patch }) => {
+    const c = findCourse(courseId);
+    if (!c) return;
+    const updated = updateGrades(c, patch, new Date().toISOString());
+    if (!updated.ok) {
+      showToast(updated.error, 'warn');
+      render();
+      return;
+    }
+    xpCommit('Update grades');
+  },
+
+  /* ══ SETTINGS PANEL ══ */
+
+  TOGGLE_SETTINGS: () => {
+    settingsVisible = !settingsVisible;
+    document.getElementById('settings-section')?.classList.toggle('hidden', !settingsVisible);
+    document.getElementById('btn-settings').textContent = settingsVisible ? '▲ Hide Settings' : '⚙ Settings';
+    if (settingsVisible) renderSettingsPanel();
+  },
+
+  UPDATE_SETTING: ({ key, value }) => {
+    if (key === 'levelTable') {
+      const parsed = parseLevelTable(value);
+      if (!parsed.ok) {
+        showToast(parsed.error, 'warn');
+        render();
+        return;
+      }
+      value = parsed.table;
+    }
+    if (!validSetting(key, value)) return;   // same checks as an imported backup
+    program.settings[key] = value;
+    if (key === 'undoDepth') undoHistory.setDepth(value);
+    if (key === 'dayStartHour') rekeyLedger(program, at => studyDay(at, value));   // past XP follows the new day boundary
+    if (key === 'levelCurve' || key === 'levelTable') program.level = getLevel(program.totalXP, levelCurveOf(program));
+    if (key === 'streakRule' || key === 'streakMinXP') advanceStreak(studyToday());   // today may count now
+    if (key === 'dailyGoals') advanceGoal(studyToday());                                // … or meet its goal
+    save();
+    render();
+    showToast('Setting saved.', 'info');
+  },
+
+  /**
+   * Switch to a preset ({ preset }) or change one rule ({ key, value }).
+   * All XP is recomputed under the new rules; the difference is booked
+   * today as one 'rules' ledger entry, and the change can be undone.
+   */
+  UPDATE_XP_RULES: ({ preset, key, value }) => {
+    if (preset && !XP_PRESETS[preset]) return;
+    const before = program.totalXP;
+    program.xpRules = preset
+      ? makeXPRules(preset)
+      : normalizeXPRules({ ...program.xpRules, values: { ...program.xpRules.values, [key]: value } });
+    xpCommit('Change XP rules', 'rules');
+    const diff = program.totalXP - before;
+    showToast(diff === 0
+      ? 'XP rules saved — your total is unchanged.'
+      : `XP rules saved — total XP ${before} → ${program.totalXP} (${diff > 0 ? '+' : ''}${diff}).`,
+      'info', { label: 'Undo', onClick: () => dispatch('UNDO') });
+  },
+
+  /* Remote sync settings belong to this device, not to the program */
+  UPDATE_REMOTE: ({ key, value }) => {
+    const config = { ...getRemoteConfig(), [key]: value };
+    const result = setRemoteConfig(config);
+    if (!result.ok) {
+      showToast(result.error, 'warn');
+      renderSettingsPanel();
+      return;
+    }
+    renderSettingsPanel();
+    if (remoteEnabled(config)) dispatch('SYNC_NOW');
+  },
+
+  SYNC_NOW: async () => {
+    await flushSaves();
+    const result = await syncRemote();
+    if (!result.ok && result.action !== 'off') showToast(`☁ Sync failed: ${result.error}`, 'warn');
+  },
+
+  /* ══ DAMAGED DATA RECOVERY ══ */
+
+  RECOVERY_DOWNLOAD: () => {
+    const filename = exportDamagedData(recovery.loaded.raw);
+    showToast(`✓ Damaged data downloaded: ${filename}`, 'success');
+  },
+
+  RECOVERY_SALVAGE: () => {
+    const res = salvageProgram(recovery.loaded.raw);
+    const back = { label: 'Back', cls: 'btn-cancel', onClick: showRecovery };
+    if (!res.ok) {
+      showChoiceModal({
+        title: 'Nothing could be recovered',
+        message: `${res.error}\nYou can still download the damaged data or start fresh.`,
+        details: limitLines((res.errors || []).map(e => `✕ ${e.path} ${e.message}`), 'problems'),
+        choices: [back],
+      });
+      return;
+    }
+    const weeks = allWeeks(res.program);
+    const lectures = weeks.reduce((n, w) => n + w.lectures.length, 0);
+    const courses = res.program.terms.reduce((n, t) => n + t.courses.length, 0);
+    showChoiceModal({
+      title: 'Recovered data',
+      message: `Found ${courses} courses, ${weeks.length} weeks and ${lectures} lectures.` +
+        (res.dropped ? `\nThe last ${res.dropped} characters could not be read — whatever was saved there is lost.` : '') +
+        '\n\nNothing is saved until you choose "Use recovered data".',
+      details: limitLines(res.repairs.map(r => `🔧 ${r.path} ${r.message}`), 'repairs'),
+      choices: [back, { label: 'Use recovered data', cls: 'btn-confirm', onClick: () =>
+        finishRecovery(res.program, `🩹 Recovered ${weeks.length} weeks.`) }],
+    });
+  },
+
+  RECOVERY_FRESH: () => {
+    showChoiceModal({
+      title: 'Start fresh?',
+      message: `"${getActiveProfile().name}" will start with an empty program. ` +
+        'A copy of the damaged data stays aside in this browser, but the app won\'t show it again.',
+      choices: [
+        { label: 'Back', cls: 'btn-cancel', onClick: showRecovery },
+        { label: 'Start fresh', cls: 'btn-danger', onClick: () =>
+          finishRecovery(createDefaultProgram(), 'Started fresh.') },
+      ],
+    });
+  },
+
+  /* ══ RESTORE POINTS ══ */
+
+  TOGGLE_RESTORE: () => {
+    restoreVisible = !restoreVisible;
+    document.getElementById('restore-section')?.classList.toggle('hidden', !restoreVisible);
+    document.getElementById('btn-restore').textContent = restoreVisible ? '▲ Hide Restore points' : '⟲ Restore points';
+    if (restoreVisible) refreshRestorePoints();
+  },
+
+  TAKE_SNAPSHOT: () => {
+    snapshotBefore('manual', 'Taken by hand')
+      .then(entry => showToast(entry ? '📌 Restore point saved.' : 'Could not save a restore point.', entry ? 'success' : 'warn'));
+  },
+
+  RESTORE_SNAPSHOT: async ({ id }) => {
+    const entry = (await listSnapshots()).find(e => e.id === id);
+    const snap = await loadSnapshot(id);
+    if (!entry || !snap) { showToast('That restore point is no longer available.', 'warn'); refreshRestorePoints(); return; }
+    showConfirmModal(
+      `Go back to the restore point from ${new Date(entry.at).toLocaleString()} ` +
+      `(${entry.weeks} weeks, ${entry.xp} XP)? Your current data is saved as a restore point first.`,
+      () => {
+        snapshotBefore('restore', 'Before restoring an older point');
+        replaceProgram(snap);
+        showToast('⟲ Restore point loaded.', 'success');
+      }
+    );
+  },
+
+  DOWNLOAD_SNAPSHOT: async ({ id }) => {
+    const snap = await loadSnapshot(id);
+    if (!snap) { showToast('That restore point is no longer available.', 'warn'); return; }
+    const filename = await exportBackup(snap);
+    showToast(`✓ Restore point downloaded: ${filename}`, 'success');
+  },
+
   /* ══ EXPORT ══ */
 
   EXPORT_DATA: () => {
-    const filename = exportBackup(program);
-    showToast(`✓ Backup downloaded: ${filename}`, 'success');
+    showChoiceModal({
+      title: 'Export',
+      message: 'Backup (JSON) — to import again later. A plain backup can be read by anyone who gets the file; ' +
+        'an encrypted one needs your passphrase — if you forget it, the file can\'t be opened.\n\n' +
+        'Spreadsheet (CSV) or study report (Markdown) — to read or share; these can\'t be imported.',
+      choices: [
+        { label: 'Cancel', cls: 'btn-cancel' },
+        { label: 'CSV', cls: 'btn-cancel', onClick: () =>
+          showToast(`✓ Spreadsheet downloaded: ${exportCSV(program)}`, 'success') },
+        { label: 'Report (.md)', cls: 'btn-cancel', onClick: () =>
+          showToast(`✓ Study report downloaded: ${exportReport(program)}`, 'success') },
+        { label: 'Backup', cls: 'btn-cancel', onClick: () => downloadBackup(null) },
+        { label: 'Encrypted backup…', cls: 'btn-confirm', onClick: () => askExportPassphrase() },
+      ],
+    });
   },
 
   /* ══ IMPORT ══ */
@@ -275,96 +843,465 @@ const ACTION_HANDLERS = {
   IMPORT_DATA: () => {
     document.getElementById('import-file-input')?.click();
   },
-};
 
-/* ─────────────────────────────────────────
-   FACTORIES
-───────────────────────────────────────── */
+  /* Preview a loaded backup, then replace or merge */
+  REVIEW_IMPORT: async ({ text, passphrase = null }) => {
+    const result = await parseImportedBackup(text, program, { passphrase });
+    if (!result.ok && result.needsPassphrase) {
+      showPromptModal('Encrypted backup', 'Passphrase', '',
+        p => dispatch('REVIEW_IMPORT', { text, passphrase: p }),
+        { type: 'password', message: result.error || 'Enter the passphrase this backup was exported with.' });
+      return;
+    }
+    if (!result.ok) {
+      if (!result.errors) { showToast(`Import failed: ${result.error}`, 'warn'); return; }
+      showChoiceModal({
+        title: 'Backup can\'t be imported',
+        message: `${result.error} Nothing was changed.`,
+        details: limitLines(result.errors.map(e => `✕ ${e.path} ${e.message}`), 'problems'),
+        choices: [{ label: 'Close', cls: 'btn-cancel' }],
+      });
+      return;
+    }
 
-function makeWeek(name) {
-  return {
-    weekId: generateId('w'),
-    weekName: name,
-    lectures: [],
-    practiceAssignment: { totalQuestions: 0, doneQuestions: 0 },
-    gradedAssignment: { totalQuestions: 0, doneQuestions: 0 },
-    weeklyMemoryNote: false,
-    weeklyFinalNote: false,
-    weekCompleted: false,
-    xpEarned: 0
-  };
-}
-
-function makeLecture(name) {
-  return {
-    lectureId: generateId('l'),
-    lectureName: name,
-    watched: false,
-    memoryNote: false,
-    activityTotal: 0,
-    activityDone: 0,
-    finalNote: false,
-    revisionCount: 0,
-    notes: '',
-    xpEarned: 0
-  };
-}
+    const { diff, repairs } = result;
+    const wc = allWeeks(result.program).length;
+    const xp = result.program.totalXP;
+    const from = result.meta ? `Backup of profile "${result.meta.profileName}"` : 'Backup (no profile info)';
+
+    const details = [
+      `+ ${diff.added.courses} courses, ${diff.added.weeks} weeks, ${diff.added.lectures} lectures not in "${getActiveProfile().name}"`,
+      `↑ ${diff.progress} items further ahead in the backup`,
+      `+ ${diff.newDays} new days of XP history`,
+      ...limitLines(diff.conflicts.map(c =>
+        `⚠ ${c.path} — ${c.field}: keeping ${c.kept === 'incoming' ? 'backup (newer)' : 'current'}`), 'conflicts'),
+      ...limitLines(repairs.map(r => `🔧 ${r.path} ${r.message}`), 'repairs'),
+    ];
+    const repaired = repairs.length
+      ? `\n${repairs.length} small problem${repairs.length === 1 ? ' was' : 's were'} repaired automatically (🔧 below).`
+      : '';
+
+    showChoiceModal({
+      title: 'Import backup',
+      message: `${from}\n${wc} weeks · ${xp} XP total${repaired}\n\n` +
+        `Merge keeps everything and takes the furthest progress on each item. ` +
+        `Replace discards all current data of "${getActiveProfile().name}".`,
+      details,
+      choices: [
+        { label: 'Cancel', cls: 'btn-cancel' },
+        { label: 'Replace', cls: 'btn-danger', onClick: () => {
+          snapshotBefore('import', 'Before replacing with a backup');
+          replaceProgram(result.program);
+          showToast(`✓ Restored: ${wc} weeks imported.`, 'success');
+        } },
+        { label: 'Merge', cls: 'btn-confirm', onClick: () => {
+          snapshotBefore('import', 'Before merging a backup');
+          replaceProgram(mergePrograms(program, result.program));
+          showToast(`✓ Merged: ${diff.added.weeks} weeks added, ${diff.progress} items updated.`, 'success');
+        } },
+      ],
+    });
+  },
+};
 
 /* ─────────────────────────────────────────
    HELPERS
 ───────────────────────────────────────── */
 
-function findWeek(id) { return program.weeks.find(w => w.weekId === id) || null; }
+function findTerm(id) { return program.terms.find(t => t.termId === id) || null; }
+function findCourse(id) {
+  for (const t of program.terms) {
+    const c = t.courses.find(c => c.courseId === id);
+    if (c) return c;
+  }
+  return null;
+}
+function findTermOfCourse(id) {
+  return program.terms.find(t => t.courses.some(c => c.courseId === id)) || null;
+}
+function findCourseOfWeek(id) {
+  for (const t of program.terms) {
+    const c = t.courses.find(c => c.weeks.some(w => w.weekId === id));
+    if (c) return c;
+  }
+  return null;
+}
+function firstCourseId() {
+  const t = program.terms.find(t => t.courses.length > 0);
+  return t ? t.courses[0].courseId : null;
+}
+/** Term new courses go into: the active course's, else the newest (created if there is none) */
+function targetTerm() {
+  if (program.terms.length === 0) program.terms.push(makeTerm(currentTermName()));
+  return findTermOfCourse(program.activeCourseId) || program.terms[program.terms.length - 1];
+}
+/** The current study day — local date, starting at the program's day-start hour */
+function studyToday() { return studyDay(new Date(), dayStartOf(program)); }
+function findWeek(id) { return allWeeks(program).find(w => w.weekId === id) || null; }
 function findLecture(wId, lId) {
   const w = findWeek(wId);
   return w ? (w.lectures.find(l => l.lectureId === lId) || null) : null;
 }
 function toggle(set, key) { set.has(key) ? set.delete(key) : set.add(key); }
 
-/** Recalculate total XP and level. Returns XP gained since last calculation. */
-function syncXP() {
-  const prev = program.totalXP;
+/** Ask for a new backup passphrase twice, then export encrypted. */
+function askExportPassphrase(message = `At least ${MIN_PASSPHRASE_LENGTH} characters. It is not stored anywhere.`) {
+  showPromptModal('Backup passphrase', 'Passphrase', '', pass => {
+    if (pass.length < MIN_PASSPHRASE_LENGTH) {
+      askExportPassphrase(`Too short — use at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+      return;
+    }
+    showPromptModal('Repeat passphrase', 'Passphrase again', '', again => {
+      if (again !== pass) { askExportPassphrase('The passphrases didn\'t match — try again.'); return; }
+      downloadBackup(pass);
+    }, { type: 'password' });
+  }, { type: 'password', message });
+}
+
+function downloadBackup(passphrase) {
+  exportBackup(program, getActiveProfile(), { passphrase })
+    .then(filename => showToast(`✓ ${passphrase ? 'Encrypted backup' : 'Backup'} downloaded: ${filename}`, 'success'))
+    .catch(err => {
+      console.error('[App] Export failed:', err);
+      showToast('Export failed — your browser may not support encryption here (needs HTTPS).', 'warn');
+    });
+}
+
+/** Show the recovery screen; resolves with the program the user settles on. */
+function recoverProgram(loaded) {
+  return new Promise(resolve => {
+    recovery = { loaded, resolve };
+    showRecovery();
+  });
+}
+
+function showRecovery() {
+  const { reason, error, raw } = recovery.loaded;
+  showRecoveryScreen({ profileName: getActiveProfile().name, reason, error, size: raw ? raw.length : 0 }, dispatch);
+}
+
+/** The user agreed: saving is allowed again and boot carries on with `next`. */
+function finishRecovery(next, msg) {
+  const { resolve } = recovery;
+  recovery = null;
+  removeModal();
+  unlockProgram();
+  resolve(next);
+  showToast(msg, 'success');
+}
+
+/** Keep a restore point of the current data, then refresh the panel if it's open. */
+function snapshotBefore(reason, label) {
+  return takeSnapshot(program, reason, label).then(entry => { refreshRestorePoints(); return entry; });
+}
+
+function refreshRestorePoints() {
+  if (restoreVisible) listSnapshots().then(entries => renderRestorePoints(entries, dispatch));
+}
+
+/** First MAX_DETAIL_LINES lines, plus a "…and N more <what>" line */
+function limitLines(lines, what) {
+  if (lines.length <= MAX_DETAIL_LINES) return lines;
+  return [...lines.slice(0, MAX_DETAIL_LINES), `…and ${lines.length - MAX_DETAIL_LINES} more ${what}`];
+}
+
+/**
+ * Recalculate total XP and level, and return ledger entries for what
+ * changed per source since the last sync, with the core actions ticked
+ * or unticked on the lecture entry. `sourceOverride` books the whole
+ * change under one source (e.g. a rule change).
+ */
+function syncXP(sourceOverride = null) {
   program.totalXP = recalculateTotalXP(program);
-  program.level = getLevel(program.totalXP);
-  return Math.max(0, program.totalXP - prev);
-}
-
-/** Record XP earned today in the xpHistory map (keyed by YYYY-MM-DD). */
-function recordXP(gained) {
-  if (gained <= 0) return;
-  const today = todayISO();
-  program.xpHistory[today] = (program.xpHistory[today] || 0) + gained;
-  // Trim entries older than 365 days
-  const cutoff = new Date();
-  cutoff.setDate(cutoff.getDate() - 365);
-  const cutoffStr = cutoff.toISOString().slice(0, 10);
-  for (const k of Object.keys(program.xpHistory)) {
-    if (k < cutoffStr) delete program.xpHistory[k];
+  program.level = getLevel(program.totalXP, levelCurveOf(program));
+  const after = xpBySource(program);
+  const core = coreActionCount(program);
+  let entries = [];
+  if (program.xpSources) {
+    const at = new Date().toISOString();
+    entries = tagCoreActions(diffSources(program.xpSources, after, at, sourceOverride), core - (program.coreActions ?? core), at);
+  } else {
+    // First sync after an upgrade: take the current split as the baseline
+    // and let the opening balance absorb any undated difference
+    program.xpOpeningBalance += program.totalXP - ledgerBalance(program);
   }
+  program.xpSources = after;
+  program.coreActions = core;
+  return entries;
 }
 
-function save() { saveProgram(program); }
+/**
+ * Count today toward the streak once its XP record qualifies — or take
+ * it back once it no longer does (see updateStreak) — book any freezes
+ * spent or refunded and say so. Toasts wait `delay` ms.
+ */
+function advanceStreak(today, delay = 0) {
+  const result = updateStreak(program, today);
+  program.streak = result.streak;
+  program.bestStreak = result.bestStreak;
+  program.lastActiveDate = result.lastActiveDate;
+  program.streakFreezes = result.streakFreezes;
+  program.streakCredit = result.streakCredit;
+  logFreezesRefunded(program, new Date().toISOString(), today, result.refundedDays);
+  logFreezesSpent(program, new Date().toISOString(), today, result.frozenDays);
+  if (program.lastActiveDate) pruneVacations(program, program.lastActiveDate);
 
-/** XP recalc + record + save + re-render — after any data change */
-function xpCommit() {
-  const gained = syncXP();
-  recordXP(gained);
+  const used = result.frozenDays.length;
+  if (used > 0) {
+    setTimeout(() => showToast(used === 1
+      ? '❄️ Streak Freeze used — streak protected!'
+      : `❄️ ${used} Streak Freezes used for ${used} missed days — streak protected!`, 'info'), delay);
+  } else if (result.refundedDays.length > 0) {
+    const back = result.refundedDays.length;
+    setTimeout(() => showToast(`❄️ Today no longer counts — ${back === 1 ? 'Streak Freeze' : `${back} Streak Freezes`} returned.`, 'info'), delay);
+  } else if (result.pausedDays > 0) {
+    setTimeout(() => showToast(`🏖️ Welcome back! Your streak was paused while you were away — now ${program.streak} days.`, 'info'), delay);
+  }
+}
+
+/** Move the daily goal streak on once today's goal is met and celebrate it — or take today back once it no longer is. */
+function advanceGoal(today, delay = 0) {
+  const result = updateGoalStreak(program, today);
+  program.goalStreak = result.goalStreak;
+  program.bestGoalStreak = result.bestGoalStreak;
+  program.lastGoalDate = result.lastGoalDate;
+  program.goalCredit = result.goalCredit;
+
+  if (result.metToday) {
+    const { xp, goal } = goalProgress(program, today);
+    setTimeout(() => showToast(program.goalStreak > 1
+      ? `⭕ Daily goal reached — ${xp}/${goal} XP! Goal streak: ${program.goalStreak} days.`
+      : `⭕ Daily goal reached — ${xp}/${goal} XP!`, 'success'), delay);
+  }
+}
+
+/** Book XP changes (gains and losses) under today in the ledger + xpHistory. */
+function recordXP(entries) {
+  if (entries.length === 0) return;
+  recordLedger(program, studyToday(), entries);
+  // Trim entries older than the retention window into the opening balance
+  trimLedger(program, addDays(studyToday(), -LEDGER_RETENTION_DAYS));
+}
+
+/** Swap in a whole new program (import / merge) and start a fresh undo history. */
+function replaceProgram(next) {
+  program = next;
+  updateQuests(program, studyToday(), new Date().toISOString(), { count: false });
+  recordXP(syncXP());
+  undoHistory.clear();   // steps from the old data can't apply to the new one
+  save();
+  render();
+}
+
+/** Save without an undo step; the saved state becomes the new undo baseline. */
+function save({ broadcast = true } = {}) {
+  committedSnapshot = snapshotOf(program);
+  persist(broadcast);
+}
+
+/** Queue the write and, unless told otherwise, the broadcast to other tabs. */
+function persist(broadcast = true) {
+  program.updatedAt = new Date().toISOString();
+  saveProgram(program, undefined, { remote: broadcast });
+  if (!broadcast) return;
+  unsentEdits = true;
+  clearTimeout(broadcastTimer);
+  broadcastTimer = setTimeout(broadcastNow, BROADCAST_DELAY);
+}
+
+/** Program without the KEEP_ON_UNDO journal fields, serialised */
+function snapshotOf(p) {
+  const copy = { ...p };
+  for (const k of KEEP_ON_UNDO) delete copy[k];
+  return JSON.stringify(copy);
+}
+
+/** Swap in an undo/redo snapshot, keep the journal, book the XP difference, re-check the streak. */
+function restoreSnapshot(snapshot) {
+  const kept = {};
+  for (const k of KEEP_ON_UNDO) kept[k] = program[k];
+  const rulesBefore = JSON.stringify(program.xpRules);
+  program = { ...JSON.parse(snapshot), ...kept };
+  announceQuests(updateQuests(program, studyToday(), new Date().toISOString()));   // undone progress comes back off today's quests
+  recordXP(syncXP(JSON.stringify(program.xpRules) !== rulesBefore ? 'rules' : null));
+  advanceStreak(studyToday());
+  advanceGoal(studyToday());
   save();
   render();
 }
 
-/** Full commit: xpCommit + optional info toast */
-function commit(msg) {
-  xpCommit();
-  if (msg) showToast(msg, 'info');
+/** Save the current profile, then load and show another one. */
+async function switchProfile(profileId) {
+  save();
+  await broadcastNow();   // still under the old profile id
+  if (!setActiveProfile(profileId)) return;
+  await bootProgram();
+  render();
+  refreshRestorePoints();
+}
+
+/**
+ * XP recalc + record + save + re-render — after any data change.
+ * The state before the change becomes one undo step, labelled `label`.
+ * `sourceOverride` is passed on to syncXP().
+ */
+function xpCommit(label = '', sourceOverride = null) {
+  const levelBefore = program.level;
+  const at = new Date().toISOString();
+  announceQuests(updateQuests(program, studyToday(), at));
+  recordXP(syncXP(sourceOverride));
+  // Celebrate levels earned by studying, not by a rule change
+  if (!sourceOverride && program.level > levelBefore) celebrateLevelUp(levelBefore, program.level);
+  advanceStreak(studyToday());
+  advanceGoal(studyToday());
+  announceBadges(unlockAchievements(program, at));
+  const snap = snapshotOf(program);
+  if (committedSnapshot !== null && snap !== committedSnapshot) undoHistory.record(committedSnapshot, label);
+  committedSnapshot = snap;
+  persist();
+  render();
+}
+
+/**
+ * Full commit: xpCommit + optional info toast.
+ * `undoable` adds an "Undo" button to the toast (for destructive actions).
+ */
+function commit(msg, { undoable = false } = {}) {
+  xpCommit(msg);
+  if (msg) showToast(msg, 'info', undoable ? { label: 'Undo', onClick: () => dispatch('UNDO') } : null);
+}
+
+/* ─────────────────────────────────────────
+   TAB SYNC
+───────────────────────────────────────── */
+
+/** Write pending saves, then tell other windows about them. */
+async function broadcastNow() {
+  clearTimeout(broadcastTimer);
+  broadcastTimer = null;
+  if (!unsentEdits || !tabSync) return;
+  unsentEdits = false;
+  const rev = newRevisionId();
+  const parent = syncRev;
+  program.revision = rev;
+  syncRev = rev;
+  rememberRevision(rev, program);
+  saveProgram(program, undefined, { remote: false });   // already pushed by persist()
+  await flushSaves();   // storage-event receivers reload from storage
+  tabSync.publish({ type: 'program', profileId: getActiveProfile().id, rev, parent, program });
+}
+
+/** Another window saved — adopt, merge or keep according to settings.syncPolicy. */
+async function onSyncMessage(msg) {
+  if (recovery || msg.type !== 'program' || msg.profileId !== getActiveProfile().id) return;
+  let incoming = msg.program;
+  if (!incoming) {
+    const loaded = await loadProgram();
+    if (!loaded.ok) {
+      showToast('Another window saved data this one can\'t read — reload to recover it.', 'warn');
+      return;
+    }
+    incoming = loaded.program;
+  }
+  const base = syncBases.get(msg.parent);
+  rememberRevision(msg.rev, incoming);
+  const res = resolveIncoming(program, incoming, {
+    lastRev: syncRev, rev: msg.rev, parent: msg.parent,
+    hasLocalEdits: unsentEdits, policy: program.settings.syncPolicy,
+    base: base ? JSON.parse(base) : null
+  });
+
+  switch (res.action) {
+    case 'ignore':
+      return;
+    case 'adopt':
+      adoptRemote(res.program, res.rev);
+      if (res.conflict) showToast('Another window saved newer changes; your unsynced edits here were replaced.', 'warn');
+      return;
+    case 'merge':
+      adoptRemote(res.program, msg.rev);
+      save();   // send the merged result back
+      showToast('Merged changes made in another window.', 'info');
+      return;
+    case 'keep':
+      syncRev = msg.rev;
+      save();   // ours is newer: re-send it so the other window takes it
+      showToast('Kept your newer changes over another window\'s.', 'info');
+      return;
+  }
+}
+
+/** Keep `p` as revision `rev` for later three-way merges; the oldest go first. */
+function rememberRevision(rev, p) {
+  if (!rev) return;
+  syncBases.delete(rev);
+  syncBases.set(rev, JSON.stringify(p));
+  while (syncBases.size > SYNC_BASES_KEPT) syncBases.delete(syncBases.keys().next().value);
+}
+
+/** Replace the program with one from another tab. Undo steps can't span it. */
+function adoptRemote(next, rev) {
+  program = next;
+  syncRev = rev;
+  unsentEdits = false;
+  clearTimeout(broadcastTimer);
+  undoHistory.clear();
+  undoHistory.setDepth(program.settings.undoDepth);
+  committedSnapshot = snapshotOf(program);
+  saveProgram(program, undefined, { remote: false });   // replaces any stale local write still queued; the other window pushes
+  render();
+}
+
+/* ─────────────────────────────────────────
+   REMOTE SYNC
+───────────────────────────────────────── */
+
+/**
+ * A newer program came from the sync server (storage.js has saved it).
+ * Show it, and tell the other windows; undo steps can't span it.
+ */
+function adoptFromServer(profileId, next, how) {
+  if (recovery || profileId !== getActiveProfile().id) return;
+  program = next;
+  if (how === 'merged') {
+    updateQuests(program, studyToday(), new Date().toISOString(), { count: false });
+    recordXP(syncXP());
+  }
+  undoHistory.clear();
+  undoHistory.setDepth(program.settings.undoDepth);
+  committedSnapshot = snapshotOf(program);
+  unsentEdits = true;
+  clearTimeout(broadcastTimer);
+  broadcastTimer = setTimeout(broadcastNow, BROADCAST_DELAY);
+  render();
+  showToast(how === 'merged'
+    ? '☁ Merged with changes from your other devices.'
+    : '☁ Updated with changes from your other devices.', 'info');
+}
+
+function renderSettingsPanel() {
+  renderSettings(program, dispatch, { config: getRemoteConfig(), status: remoteStatus() });
 }
 
 function render() {
   try {
-    renderHeader(program);
-    renderWeeks(program, dispatch, expandedWeeks, expandedLectures);
-    if (graphVisible) renderXPGraph(program.xpHistory);
+    renderHeader(program, getActiveProfile(), studyToday());
+    renderQuests(program, studyToday());
+    renderCourseBar(program, dispatch, gradesVisible);
+    if (gradesVisible) renderGradesPanel(program, dispatch);
+    renderWeeks(program, dispatch, expandedWeeks, expandedLectures, studyToday());
+    if (graphVisible) renderXPGraph(program.xpHistory, studyToday());
     if (statsVisible) renderStats(program);
+    if (badgesVisible) renderBadges(program);
+    if (streakVisible) renderStreakPanel(program, studyToday(), dispatch);
+    if (dueVisible) renderDueQueue(program, studyToday(), dispatch);
+    const dueBtn = document.getElementById('btn-due');
+    if (dueBtn) dueBtn.textContent = dueVisible ? '▲ Hide Due' : `🔁 Due (${dueQueue(program, studyToday()).length})`;
+    if (settingsVisible) renderSettingsPanel();
+    const undoBtn = document.getElementById('btn-undo');
+    const redoBtn = document.getElementById('btn-redo');
+    if (undoBtn) undoBtn.disabled = !undoHistory.canUndo;
+    if (redoBtn) redoBtn.disabled = !undoHistory.canRedo;
   } catch (err) {
     console.error('[App] Render error:', err);
   }
@@ -375,9 +1312,28 @@ function render() {
 ───────────────────────────────────────── */
 
 function wireStaticListeners() {
+  document.getElementById('hdr-profile')?.addEventListener('click', () => dispatch('OPEN_PROFILES'));
+  document.getElementById('hdr-freeze')?.addEventListener('click', () => dispatch('TOGGLE_STREAK'));
   document.getElementById('btn-add-week')?.addEventListener('click', () => dispatch('ADD_WEEK'));
+  document.getElementById('btn-syllabus')?.addEventListener('click', () => dispatch('SYLLABUS'));
   document.getElementById('btn-graph')?.addEventListener('click', () => dispatch('TOGGLE_GRAPH'));
   document.getElementById('btn-stats')?.addEventListener('click', () => dispatch('TOGGLE_STATS'));
+  document.getElementById('btn-badges')?.addEventListener('click', () => dispatch('TOGGLE_BADGES'));
+  document.getElementById('btn-due')?.addEventListener('click', () => dispatch('TOGGLE_DUE'));
+  document.getElementById('btn-settings')?.addEventListener('click', () => dispatch('TOGGLE_SETTINGS'));
+  document.getElementById('btn-restore')?.addEventListener('click', () => dispatch('TOGGLE_RESTORE'));
+  document.getElementById('btn-undo')?.addEventListener('click', () => dispatch('UNDO'));
+  document.getElementById('btn-redo')?.addEventListener('click', () => dispatch('REDO'));
+
+  /* Ctrl+Z / Ctrl+Shift+Z (⌘ on Mac), Ctrl+Y — text fields keep their own undo */
+  document.addEventListener('keydown', e => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (e.target.closest?.('input, textarea, select, [contenteditable]')) return;
+    if (document.querySelector('.modal-overlay')) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) { e.preventDefault(); dispatch('UNDO'); }
+    else if ((key === 'z' && e.shiftKey) || key === 'y') { e.preventDefault(); dispatch('REDO'); }
+  });
   document.getElementById('btn-export')?.addEventListener('click', () => dispatch('EXPORT_DATA'));
   document.getElementById('btn-import')?.addEventListener('click', () => dispatch('IMPORT_DATA'));
 
@@ -390,37 +1346,47 @@ function wireStaticListeners() {
 
       const reader = new FileReader();
       reader.onload = ev => {
-        const result = parseImportedBackup(ev.target.result);
         fileInput.value = '';   // reset so same file can trigger again
+        dispatch('REVIEW_IMPORT', { text: ev.target.result });
+      };
+      reader.readAsText(file);
+    });
+  }
 
-        if (!result.ok) {
-          showToast(`Import failed: ${result.error}`, 'warn');
-          return;
-        }
-
-        const wc = result.program.weeks.length;
-        const xp = result.program.totalXP;
-        showConfirmModal(
-          `Import backup?\n\n${wc} weeks · ${xp} XP total\n\nThis REPLACES all current data.`,
-          () => {
-            program = result.program;
-            saveProgram(program);
-            syncXP();
-            render();
-            showToast(`✓ Restored: ${wc} weeks imported.`, 'success');
-          }
-        );
+  /* Hidden file input for syllabus import */
+  const syllabusInput = document.getElementById('syllabus-file-input');
+  if (syllabusInput) {
+    syllabusInput.addEventListener('change', e => {
+      const file = e.target.files[0];
+      if (!file) return;
+
+      const reader = new FileReader();
+      reader.onload = ev => {
+        syllabusInput.value = '';
+        dispatch('REVIEW_SYLLABUS', { text: ev.target.result, filename: file.name });
       };
       reader.readAsText(file);
     });
   }
 
+  /* Write queued saves (and tell other tabs) before the page is hidden or closed */
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') broadcastNow().then(flushSaves);
+    else {
+      // Tab left open overnight: a new restore point, and today isn't counted yet
+      takeDailySnapshot(program).then(taken => { if (taken) refreshRestorePoints(); });
+      render();
+    }
+  });
+  window.addEventListener('pagehide', () => { broadcastNow(); flushSaves(); });
+  window.addEventListener('online', retryRemote);   // push changes made while offline
+
   /* Redraw graph on window resize */
   let resizeTimer;
   window.addEventListener('resize', () => {
     clearTimeout(resizeTimer);
     resizeTimer = setTimeout(() => {
-      if (graphVisible) renderXPGraph(program.xpHistory);
+      if (graphVisible) renderXPGraph(program.xpHistory, studyToday());
     }, 150);
   });
 }
@@ -0,0 +1,159 @@
+/**
+ * dailyGoal.js — Daily XP Goal & Goal Streak
+ *
+ * Pure functions only. No DOM, no localStorage.
+ *
+ * A daily XP target per day of the week (settings.dailyGoals, Sunday
+ * first like Date#getDay — weekends can ask for more). 0 makes a rest
+ * day: no goal, and it doesn't break the goal streak.
+ *
+ * Today's progress is the day's net XP from the ledger; rule changes
+ * ('rules' entries) don't count toward it.
+ *
+ * The goal streak runs beside the study streak (schema v14):
+ *
+ *   program.goalStreak     — consecutive goal days met
+ *   program.bestGoalStreak — longest ever
+ *   program.lastGoalDate   — last day the goal was met
+ *   program.goalCredit     — the goal streak before today's goal was met,
+ *                            so an undo can take today back
+ *
+ * A goal day in between that fell short breaks it; rest days and planned
+ * vacations (streakProtection.js) are skipped. Freezes don't apply.
+ */
+
+import { addDays, daysBetween, lastDays, weekdayOf } from './dateService.js';
+import { vacationOn } from './streakProtection.js';
+
+export const DEFAULT_DAILY_GOAL = 40;
+export const MAX_DAILY_GOAL = 1000;
+export const GOAL_HIT_WINDOW = 30;   // days in the hit-rate stat
+
+export const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/* ─────────────────────────────────────────
+   TARGETS
+───────────────────────────────────────── */
+
+/** Seven targets, Sunday first; each a whole number 0 … MAX_DAILY_GOAL */
+export function validDailyGoals(goals) {
+  return Array.isArray(goals) && goals.length === 7 &&
+    goals.every(g => Number.isInteger(g) && g >= 0 && g <= MAX_DAILY_GOAL);
+}
+
+/** The program's weekday targets, or the default for damaged settings */
+export function dailyGoalsOf(program) {
+  const goals = program.settings?.dailyGoals;
+  return validDailyGoals(goals) ? goals : Array(7).fill(DEFAULT_DAILY_GOAL);
+}
+
+/** e.g. 'Saturday' for a YYYY-MM-DD day */
+export function weekdayName(day) {
+  return WEEKDAY_NAMES[weekdayOf(day)];
+}
+
+/** Target for `day` (YYYY-MM-DD); 0 on a rest day */
+export function goalFor(program, day) {
+  return dailyGoalsOf(program)[weekdayOf(day)];
+}
+
+/* ─────────────────────────────────────────
+   PROGRESS
+───────────────────────────────────────── */
+
+/** Net XP of `day` toward the goal — the ledger without rule changes, else xpHistory */
+export function goalXP(program, day) {
+  const entries = program.xpLedger?.[day];
+  if (!entries) return program.xpHistory?.[day] || 0;
+  return entries.reduce((s, e) => s + (e.source === 'rules' ? 0 : e.delta), 0);
+}
+
+/**
+ * Goal progress on `day`:
+ *   { goal, xp, pct (0–1), met, rest }
+ * `rest` — no goal that day (target 0, or a planned vacation).
+ */
+export function goalProgress(program, day) {
+  const goal = goalFor(program, day);
+  const xp = goalXP(program, day);
+  const rest = goal === 0 || Boolean(vacationOn(program, day));
+  return {
+    goal, xp,
+    pct: rest ? 0 : Math.max(0, Math.min(1, xp / goal)),
+    met: !rest && xp >= goal,
+    rest
+  };
+}
+
+/* ─────────────────────────────────────────
+   GOAL STREAK
+───────────────────────────────────────── */
+
+/**
+ * Update the goal streak on `today`. Like updateStreak: nothing moves
+ * until today's goal is met; before that, a goal day missed since
+ * lastGoalDate already shows it as 0. Meeting the goal leaves
+ * goalCredit behind — if today drops below the goal again (a step
+ * undone or unchecked), the streak goes back to what it was.
+ * @returns {{ goalStreak, bestGoalStreak, lastGoalDate, goalCredit, metToday, lostToday }}
+ *   metToday  — today's goal was met by this call
+ *   lostToday — today's goal, met before, no longer is
+ */
+export function updateGoalStreak(program, today) {
+  const credit = program.goalCredit;
+  const lostToday = Boolean(credit) && credit.day === today && program.lastGoalDate === today &&
+    !goalProgress(program, today).met;
+  const p = lostToday
+    ? { ...program, goalStreak: credit.goalStreak, bestGoalStreak: credit.bestGoalStreak, lastGoalDate: credit.lastGoalDate }
+    : program;
+
+  const last = p.lastGoalDate || null;
+  const current = p.goalStreak || 0;
+  const best = p.bestGoalStreak || 0;
+  const same = { goalStreak: current, bestGoalStreak: best, lastGoalDate: last, goalCredit: null, metToday: false, lostToday };
+
+  if (last && daysBetween(last, today) <= 0) return { ...same, goalCredit: p.goalCredit || null };
+
+  const broken = Boolean(last) && missedGoalDay(p, last, today);
+  if (!goalProgress(p, today).met) return { ...same, goalStreak: broken ? 0 : current };
+
+  const goalStreak = !last || broken ? 1 : current + 1;
+  return {
+    goalStreak, bestGoalStreak: Math.max(goalStreak, best), lastGoalDate: today,
+    goalCredit: { day: today, goalStreak: current, bestGoalStreak: best, lastGoalDate: last },
+    metToday: true, lostToday
+  };
+}
+
+/**
+ * How often the goal was met over the GOAL_HIT_WINDOW days ending `today`:
+ *   { met, days, rate }   rate 0–1, or null with no goal days
+ * Rest days and days before the first in the XP history don't count;
+ * today only once it's met (it isn't over yet). Past days are measured
+ * against the current weekday targets.
+ */
+export function goalHitRate(program, today, window = GOAL_HIT_WINDOW) {
+  const first = Object.keys(program.xpHistory || {}).sort()[0] || today;
+  let met = 0, days = 0;
+  for (const day of lastDays(today, window)) {
+    const p = goalProgress(program, day);
+    if (day < first || p.rest || (day === today && !p.met)) continue;
+    days++;
+    if (p.met) met++;
+  }
+  return { met, days, rate: days > 0 ? met / days : null };
+}
+
+/* ─────────────────────────────────────────
+   HELPERS
+───────────────────────────────────────── */
+
+/** Whether a goal day strictly between `last` and `today` fell short */
+function missedGoalDay(program, last, today) {
+  const gap = daysBetween(last, today) - 1;
+  for (let i = 1; i <= gap; i++) {
+    const p = goalProgress(program, addDays(last, i));
+    if (!p.rest && !p.met) return true;
+  }
+  return false;
+}
@@ -0,0 +1,124 @@
+/**
+ * dailyGoal.test.js — Unit tests for the daily XP goal and goal streak
+ *
+ * Run with: node --test dailyGoal.test.js
+ *
+ * Tests cover:
+ *   1. goalFor / goalProgress — weekday targets, rest days, rule changes
+ *   2. updateGoalStreak       — met days, misses, rest days and vacations, undo
+ *   3. goalHitRate            — last 30 days
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    goalFor,
+    goalProgress,
+    updateGoalStreak,
+    goalHitRate,
+    validDailyGoals,
+    dailyGoalsOf,
+    DEFAULT_DAILY_GOAL,
+} from './dailyGoal.js';
+
+/* ─── Factories ─── */
+
+// Sunday first: 60 on weekends, 30 on weekdays, Wednesday off
+const GOALS = [60, 30, 30, 0, 30, 30, 60];
+
+function makeProgram(history = {}, overrides = {}) {
+    return {
+        settings: { dailyGoals: GOALS },
+        xpHistory: { ...history }, xpLedger: {},
+        goalStreak: 0, bestGoalStreak: 0, lastGoalDate: null, vacations: [],
+        ...overrides,
+    };
+}
+
+/* ─── Targets ─── */
+
+test('goalFor: each weekday has its own target', () => {
+    const p = makeProgram();
+    assert.equal(goalFor(p, '2026-03-07'), 60);   // Saturday
+    assert.equal(goalFor(p, '2026-03-09'), 30);   // Monday
+    assert.equal(goalFor(p, '2026-03-11'), 0);    // Wednesday — rest day
+});
+
+test('dailyGoalsOf: damaged settings fall back to the default target', () => {
+    assert.equal(validDailyGoals([40, 40, 40]), false);
+    assert.equal(validDailyGoals([40, 40, 40, 40, 40, 40, -1]), false);
+    assert.deepEqual(dailyGoalsOf({ settings: { dailyGoals: 'lots' } }), Array(7).fill(DEFAULT_DAILY_GOAL));
+});
+
+test('goalProgress: net XP of the day, rule changes left out', () => {
+    const p = makeProgram();
+    p.xpLedger['2026-03-09'] = [
+        { at: 'T1', source: 'lecture', delta: 20 },
+        { at: 'T2', source: 'rules', delta: 100 },
+        { at: 'T3', source: 'quest', delta: 5 },
+    ];
+    assert.deepEqual(goalProgress(p, '2026-03-09'), { goal: 30, xp: 25, pct: 25 / 30, met: false, rest: false });
+    assert.equal(goalProgress(makeProgram({ '2026-03-09': 45 }), '2026-03-09').pct, 1);
+    assert.equal(goalProgress(p, '2026-03-11').rest, true);
+});
+
+/* ─── Goal streak ─── */
+
+test('updateGoalStreak: counts met days, skips rest days, waits for today', () => {
+    // Mon 9 → Thu 12 March; Wednesday is a rest day
+    const p = makeProgram({ '2026-03-09': 30, '2026-03-10': 35, '2026-03-12': 10 });
+    Object.assign(p, updateGoalStreak(p, '2026-03-09'));
+    Object.assign(p, updateGoalStreak(p, '2026-03-10'));
+    assert.equal(p.goalStreak, 2);
+
+    const r = updateGoalStreak(p, '2026-03-12');   // 10 of 30 so far
+    assert.deepEqual([r.goalStreak, r.lastGoalDate, r.metToday], [2, '2026-03-10', false]);
+
+    p.xpHistory['2026-03-12'] = 30;
+    const met = updateGoalStreak(p, '2026-03-12');
+    assert.deepEqual([met.goalStreak, met.bestGoalStreak, met.metToday], [3, 3, true]);
+    Object.assign(p, met);
+    assert.equal(updateGoalStreak(p, '2026-03-12').metToday, false);   // once a day
+});
+
+test('updateGoalStreak: a goal day that fell short breaks it; a vacation does not', () => {
+    const p = makeProgram({ '2026-03-02': 30 }, { goalStreak: 4, bestGoalStreak: 6, lastGoalDate: '2026-03-02' });
+    const waiting = updateGoalStreak(p, '2026-03-05');   // Tuesday 3 March had 0 XP
+    assert.equal(waiting.goalStreak, 0);
+    p.xpHistory['2026-03-05'] = 30;
+    assert.deepEqual(updateGoalStreak(p, '2026-03-05').goalStreak, 1);
+    assert.equal(updateGoalStreak(p, '2026-03-05').bestGoalStreak, 6);
+
+    p.vacations = [{ from: '2026-03-03', to: '2026-03-04' }];
+    assert.equal(updateGoalStreak(p, '2026-03-05').goalStreak, 5);
+});
+
+test('updateGoalStreak: undone below the goal, today comes back off the goal streak', () => {
+    const p = makeProgram({ '2026-03-09': 30 }, { goalStreak: 1, bestGoalStreak: 1, lastGoalDate: '2026-03-09' });
+    p.xpHistory['2026-03-10'] = 30;
+    Object.assign(p, updateGoalStreak(p, '2026-03-10'));
+    assert.deepEqual([p.goalStreak, p.bestGoalStreak, p.lastGoalDate], [2, 2, '2026-03-10']);
+
+    p.xpHistory['2026-03-10'] = 25;   // a step undone
+    const lost = updateGoalStreak(p, '2026-03-10');
+    assert.deepEqual([lost.goalStreak, lost.bestGoalStreak, lost.lastGoalDate, lost.goalCredit, lost.lostToday],
+        [1, 1, '2026-03-09', null, true]);
+    Object.assign(p, lost);
+
+    p.xpHistory['2026-03-10'] = 30;   // … and redone
+    const again = updateGoalStreak(p, '2026-03-10');
+    assert.deepEqual([again.goalStreak, again.metToday], [2, true]);
+});
+
+/* ─── Hit rate ─── */
+
+test('goalHitRate: met goal days over the window, rest days, unfinished today and days before the history left out', () => {
+    // Thu 5 → Sat 7 March: 30 (met), 10 (missed), today 20 of 60 (in progress)
+    const p = makeProgram({ '2026-03-05': 30, '2026-03-06': 10, '2026-03-07': 20 });
+    assert.deepEqual(goalHitRate(p, '2026-03-07', 3), { met: 1, days: 2, rate: 0.5 });
+    p.xpHistory['2026-03-07'] = 60;
+    assert.deepEqual(goalHitRate(p, '2026-03-07', 3), { met: 2, days: 3, rate: 2 / 3 });
+    assert.equal(goalHitRate(p, '2026-03-07').days, 3);   // nothing before the first day with XP
+    assert.equal(goalHitRate(makeProgram({ '2026-03-01': 5 }, { settings: { dailyGoals: Array(7).fill(0) } }), '2026-03-07').rate, null);
+});
@@ -0,0 +1,140 @@
+/**
+ * dateService.js — Study Days in the Device's Local Time
+ *
+ * Pure functions only. No DOM, no localStorage.
+ *
+ * Every day key in the app — xpHistory / xpLedger days, streaks, quests,
+ * revision dates, "XP This Month", the graph — is a YYYY-MM-DD *study
+ * day* from studyDay(): the device's local calendar date, shifted by the
+ * program's "day starts at" hour (settings.dayStartHour). With a 3 AM
+ * start, 01:30 on Tuesday still counts as Monday.
+ *
+ * Before schema v12 days were UTC dates (toISOString), so in IST anything
+ * done before 05:30 landed on the previous day. rekeyLedger() moves
+ * ledger entries to the study day of their timestamp, and on that
+ * upgrade the rest of the history and lastActiveDate with them.
+ *
+ * Day strings are compared and stepped with calendar arithmetic only
+ * (addDays, daysBetween), which doesn't depend on the time zone.
+ */
+
+export const DEFAULT_DAY_START_HOUR = 0;
+export const MAX_DAY_START_HOUR = 6;
+
+/** Local calendar date of `date` as YYYY-MM-DD */
+export function localDayKey(date = new Date()) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+/** The study day `date` belongs to: local date, with the day starting at `dayStartHour` */
+export function studyDay(date = new Date(), dayStartHour = DEFAULT_DAY_START_HOUR) {
+  const shifted = new Date(date);
+  shifted.setHours(shifted.getHours() - clampHour(dayStartHour));
+  return localDayKey(shifted);
+}
+
+/** A program's day-start hour from its settings (0 when unset or invalid) */
+export function dayStartOf(program) {
+  return clampHour(program?.settings?.dayStartHour);
+}
+
+/** YYYY-MM month of a day */
+export function monthOf(day) {
+  return day.slice(0, 7);
+}
+
+/** YYYY-MM-DD plus `n` days */
+export function addDays(day, n) {
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+/** Whole days from `a` to `b` (both YYYY-MM-DD); negative when b is earlier */
+export function daysBetween(a, b) {
+  return Math.round((Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / 86400000);
+}
+
+/** The `n` days ending with `today`, oldest first */
+export function lastDays(today, n) {
+  const days = [];
+  for (let i = n - 1; i >= 0; i--) days.push(addDays(today, -i));
+  return days;
+}
+
+/** Day of the week of a YYYY-MM-DD day: 0 = Sunday … 6 = Saturday (like Date#getDay) */
+export function weekdayOf(day) {
+  return new Date(`${day}T00:00:00Z`).getUTCDay();
+}
+
+/** ISO week of a YYYY-MM-DD day, e.g. '2026-W42' (weeks start on Monday) */
+export function isoWeek(day) {
+  const d = new Date(`${day}T00:00:00Z`);
+  const weekday = (d.getUTCDay() + 6) % 7;           // Monday = 0
+  d.setUTCDate(d.getUTCDate() - weekday + 3);         // Thursday decides the year
+  const year = d.getUTCFullYear();
+  const week = Math.ceil(((d - Date.UTC(year, 0, 1)) / 86400000 + 1) / 7);
+  return `${year}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Move every ledger entry to the day `dayOf(entry.at)` says it belongs
+ * to, keeping xpHistory in step: each moved delta leaves its old day's
+ * net and joins the new one, so the ledger still balances. History no
+ * entry explains (trimmed, or from before the ledger existed) stays
+ * where it is — unless `utcKeys` says the keys are UTC dates (the v12
+ * upgrade): then it moves to the day of its UTC day's midpoint, and
+ * lastActiveDate to the day of its last entry, so no local day ends up
+ * with two buckets. Mutates program; returns the number of entries moved.
+ */
+export function rekeyLedger(program, dayOf, { utcKeys = false } = {}) {
+  const ledger = program.xpLedger || {};
+  const history = program.xpHistory || {};
+  const next = {};
+  let moved = 0;
+
+  if (utcKeys) {
+    const middayOf = day => dayOf(new Date(`${day}T12:00:00Z`));
+    const undated = Object.keys(history).map(day =>
+      [day, history[day] - (ledger[day] || []).reduce((sum, e) => sum + e.delta, 0)]);
+    for (const [day, rest] of undated) {
+      const target = middayOf(day);
+      if (rest === 0 || target === day) continue;
+      history[day] -= rest;
+      history[target] = (history[target] || 0) + rest;
+    }
+
+    const last = program.lastActiveDate;
+    if (last) {
+      const stamps = (ledger[last] || []).map(e => Date.parse(e.at)).filter(t => !Number.isNaN(t));
+      program.lastActiveDate = stamps.length > 0 ? dayOf(new Date(Math.max(...stamps))) : middayOf(last);
+    }
+  }
+
+  for (const [day, entries] of Object.entries(ledger)) {
+    for (const e of entries) {
+      const at = Date.parse(e.at);
+      const target = Number.isNaN(at) ? day : dayOf(new Date(at));
+      (next[target] || (next[target] = [])).push(e);
+      if (target === day) continue;
+      history[day] = (history[day] || 0) - e.delta;
+      history[target] = (history[target] || 0) + e.delta;
+      moved++;
+    }
+  }
+
+  for (const day of Object.keys(history)) {
+    if (history[day] === 0 && !next[day]) delete history[day];
+  }
+  for (const list of Object.values(next)) list.sort((a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : 0));
+  program.xpLedger = next;
+  program.xpHistory = history;
+  return moved;
+}
+
+function clampHour(h) {
+  return Number.isInteger(h) && h >= 0 && h <= MAX_DAY_START_HOUR ? h : DEFAULT_DAY_START_HOUR;
+}
@@ -0,0 +1,124 @@
+/**
+ * dateService.test.js — Unit tests for study days in local time
+ *
+ * Run with: node --test dateService.test.js
+ *
+ * Runs in IST (UTC+05:30), where UTC dates go wrong before 05:30.
+ *
+ * Tests cover:
+ *   1. studyDay     — local date, day-start hour
+ *   2. day arithmetic — addDays, daysBetween, lastDays, weekdayOf, isoWeek
+ *   3. rekeyLedger  — entries move to their study day, the books still balance;
+ *                     on the v12 upgrade undated history and lastActiveDate too
+ */
+
+process.env.TZ = 'Asia/Kolkata';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    studyDay,
+    localDayKey,
+    dayStartOf,
+    addDays,
+    daysBetween,
+    lastDays,
+    weekdayOf,
+    isoWeek,
+    rekeyLedger,
+} from './dateService.js';
+
+/* ─── studyDay ─── */
+
+test('studyDay: the local date, not the UTC one', () => {
+    const at = new Date('2026-03-04T20:00:00Z');   // 01:30 IST on 5 March
+    assert.equal(at.toISOString().slice(0, 10), '2026-03-04');
+    assert.equal(localDayKey(at), '2026-03-05');
+    assert.equal(studyDay(at), '2026-03-05');
+});
+
+test('studyDay: before the day-start hour counts for the day before', () => {
+    const late = new Date('2026-03-04T20:00:00Z');    // 01:30 IST
+    const morning = new Date('2026-03-04T22:00:00Z'); // 03:30 IST
+    assert.equal(studyDay(late, 3), '2026-03-04');
+    assert.equal(studyDay(morning, 3), '2026-03-05');
+    assert.equal(studyDay(new Date('2026-02-28T19:00:00Z'), 2), '2026-02-28');   // across a month end
+});
+
+test('dayStartOf: unset or out-of-range hours fall back to midnight', () => {
+    assert.equal(dayStartOf({ settings: { dayStartHour: 4 } }), 4);
+    assert.equal(dayStartOf({ settings: { dayStartHour: 13 } }), 0);
+    assert.equal(dayStartOf({ settings: {} }), 0);
+    assert.equal(dayStartOf(null), 0);
+});
+
+/* ─── Day arithmetic ─── */
+
+test('addDays / daysBetween / lastDays / weekdayOf: calendar steps on day strings', () => {
+    assert.equal(addDays('2026-02-27', 2), '2026-03-01');
+    assert.equal(addDays('2026-01-01', -1), '2025-12-31');
+    assert.equal(daysBetween('2026-03-01', '2026-03-31'), 30);
+    assert.equal(daysBetween('2026-03-05', '2026-03-04'), -1);
+    assert.deepEqual(lastDays('2026-03-02', 3), ['2026-02-28', '2026-03-01', '2026-03-02']);
+    assert.equal(weekdayOf('2026-03-07'), 6);   // Saturday, whatever the time zone
+    assert.equal(weekdayOf('2026-03-08'), 0);
+});
+
+test('isoWeek: weeks run Monday to Sunday, the Thursday decides the year', () => {
+    assert.equal(isoWeek('2026-03-02'), '2026-W10');   // Monday
+    assert.equal(isoWeek('2026-03-08'), '2026-W10');   // Sunday
+    assert.equal(isoWeek('2026-03-09'), '2026-W11');
+    assert.equal(isoWeek('2027-01-01'), '2026-W53');   // Friday → last week of 2026
+    assert.equal(isoWeek('2024-12-30'), '2025-W01');   // Monday → first week of 2025
+});
+
+/* ─── rekeyLedger ─── */
+
+test('rekeyLedger: UTC-keyed entries move to their local day, history follows', () => {
+    const p = {
+        xpOpeningBalance: 50,
+        xpHistory: { '2026-01-01': 50, '2026-03-04': 20 },   // 1 Jan has no ledger (pre-ledger XP)
+        xpLedger: { '2026-03-04': [
+            { at: '2026-03-04T10:00:00.000Z', source: 'lecture', delta: 5 },    // 15:30 IST, 4 March
+            { at: '2026-03-04T19:00:00.000Z', source: 'lecture', delta: 15 },   // 00:30 IST, 5 March
+        ] },
+    };
+    const total = () => p.xpOpeningBalance + Object.values(p.xpHistory).reduce((s, v) => s + v, 0);
+    const before = total();
+
+    assert.equal(rekeyLedger(p, at => studyDay(at)), 1);
+    assert.deepEqual(p.xpHistory, { '2026-01-01': 50, '2026-03-04': 5, '2026-03-05': 15 });
+    assert.deepEqual(Object.keys(p.xpLedger).sort(), ['2026-03-04', '2026-03-05']);
+    assert.equal(total(), before);
+
+    // A 1 AM day start pulls the 00:30 entry back to 4 March
+    rekeyLedger(p, at => studyDay(at, 1));
+    assert.deepEqual(p.xpHistory, { '2026-01-01': 50, '2026-03-04': 20 });
+    assert.equal(p.xpLedger['2026-03-04'].length, 2);
+    assert.equal(total(), before);
+});
+
+test('rekeyLedger: the v12 upgrade also moves history older than the ledger, and lastActiveDate', () => {
+    // A learner at UTC+14: nearly all of a UTC day is the next local day
+    const dayOf = at => new Date(at.getTime() + 14 * 3600000).toISOString().slice(0, 10);
+    const p = {
+        xpOpeningBalance: 0,
+        lastActiveDate: '2026-03-04',
+        xpHistory: { '2026-03-03': 40, '2026-03-04': 30 },   // 3 March predates the ledger
+        xpLedger: { '2026-03-04': [
+            { at: '2026-03-04T08:00:00.000Z', source: 'lecture', delta: 10 },   // 22:00, 4 March
+            { at: '2026-03-04T12:00:00.000Z', source: 'lecture', delta: 20 },   // 02:00, 5 March
+        ] },
+    };
+
+    rekeyLedger(p, dayOf);   // a day-start change: undated history stays put
+    assert.deepEqual(p.xpHistory, { '2026-03-03': 40, '2026-03-04': 10, '2026-03-05': 20 });
+    assert.equal(p.lastActiveDate, '2026-03-04');
+
+    p.xpHistory = { '2026-03-03': 40, '2026-03-04': 30 };
+    p.xpLedger = { '2026-03-04': [...p.xpLedger['2026-03-04'], ...p.xpLedger['2026-03-05']] };
+    rekeyLedger(p, dayOf, { utcKeys: true });
+    assert.deepEqual(p.xpHistory, { '2026-03-04': 50, '2026-03-05': 20 });   // one bucket per local day
+    assert.equal(p.lastActiveDate, '2026-03-05');
+});
@@ -0,0 +1,399 @@
+/**
+ * gradeCalculator.js — Course Score Calculator
+ *
+ * Pure functions only. No DOM, no localStorage.
+ *
+ * Each course keeps its exam scores and the grading formula published on
+ * its course page (schema v15):
+ *
+ *   course.grades = {
+ *     scores:  { GAA, Qz1, Qz2, F, OPPE },  // 0–100, null = not written yet
+ *     weekGA:  { [weekId]: 0–100 },         // weekly graded assignment scores
+ *     formula:          '0.1·GAA + …',      // final course score T
+ *     eligibility:      'GAA_N >= 40',      // end-term eligibility, '' = none
+ *     eligibilityWeeks: 4,                  // N in GAA_N
+ *     updatedAt:        ISO | null          // last edit, lets merges keep the newer one
+ *   }
+ *
+ * Formulas are small expressions parsed here — never eval'd:
+ *
+ *   numbers, + - * / (· and × multiply), parentheses, max(…), min(…)
+ *   variables GAA, Qz1, Qz2, F, OPPE and GAA_N
+ *   comparisons >= <= > < (≥ ≤) joined by `and` / `or` — eligibility only
+ *
+ * GAA is the score entered for it, else the average of the weekly scores
+ * entered so far. GAA_N averages the course's first N weeks and is known
+ * once each of them has a score.
+ */
+
+export const SCORE_FIELDS = [
+  { key: 'GAA',  label: 'GAA',      hint: 'Graded assignment average' },
+  { key: 'Qz1',  label: 'Quiz 1',   hint: 'Quiz 1' },
+  { key: 'Qz2',  label: 'Quiz 2',   hint: 'Quiz 2' },
+  { key: 'F',    label: 'End term', hint: 'End term exam' },
+  { key: 'OPPE', label: 'OPPE',     hint: 'Online proctored programming exam' },
+];
+
+/** Names a formula can use: the scores plus GAA_N */
+export const FORMULA_VARIABLES = [...SCORE_FIELDS.map(f => f.key), 'GAA_N'];
+
+export const DEFAULT_FORMULA = '0.1·GAA + max(0.6·F + 0.2·max(Qz1, Qz2), 0.4·F + 0.2·Qz1 + 0.3·Qz2)';
+export const DEFAULT_ELIGIBILITY = 'GAA_N >= 40';
+export const DEFAULT_ELIGIBILITY_WEEKS = 4;
+export const MAX_ELIGIBILITY_WEEKS = 24;
+export const MAX_FORMULA_LENGTH = 300;
+
+/** Letter grades by final score, highest first; below the last is U */
+export const GRADE_BANDS = [
+  { grade: 'S', min: 90 },
+  { grade: 'A', min: 80 },
+  { grade: 'B', min: 70 },
+  { grade: 'C', min: 60 },
+  { grade: 'D', min: 50 },
+  { grade: 'E', min: 40 },
+];
+
+const FUNCTIONS = { max: Math.max, min: Math.min };
+
+/* ─────────────────────────────────────────
+   COURSE GRADES
+───────────────────────────────────────── */
+
+export function emptyGrades() {
+  return {
+    scores: Object.fromEntries(SCORE_FIELDS.map(f => [f.key, null])),
+    weekGA: {},
+    formula: DEFAULT_FORMULA,
+    eligibility: DEFAULT_ELIGIBILITY,
+    eligibilityWeeks: DEFAULT_ELIGIBILITY_WEEKS,
+    updatedAt: null
+  };
+}
+
+/** `grades` with every field present — missing ones get their default */
+export function normalizeGrades(grades) {
+  const empty = emptyGrades();
+  if (!grades || typeof grades !== 'object') return empty;
+  return { ...empty, ...grades, scores: { ...empty.scores, ...grades.scores }, weekGA: { ...grades.weekGA } };
+}
+
+/** A score is a number from 0 to 100, or null (not written yet) */
+export function validScore(v) {
+  return v === null || (typeof v === 'number' && Number.isFinite(v) && v >= 0 && v <= 100);
+}
+
+/**
+ * Apply `patch` to course.grades. Mutates course. Nothing changes unless
+ * the whole patch is valid.
+ *   patch: { scores?: { key: score }, weekGA?: { weekId: score },
+ *            formula?, eligibility?, eligibilityWeeks? }
+ * @returns {{ ok: true } | { ok: false, error: string }}
+ */
+export function updateGrades(course, patch, at) {
+  const grades = normalizeGrades(course.grades);
+
+  for (const [key, v] of Object.entries(patch.scores || {})) {
+    if (!(key in grades.scores)) return { ok: false, error: `Unknown score "${key}".` };
+    if (!validScore(v)) return { ok: false, error: 'Scores are numbers from 0 to 100.' };
+  }
+  for (const [weekId, v] of Object.entries(patch.weekGA || {})) {
+    if (!course.weeks.some(w => w.weekId === weekId)) return { ok: false, error: 'That week is not in this course.' };
+    if (!validScore(v)) return { ok: false, error: 'Scores are numbers from 0 to 100.' };
+  }
+  if ('formula' in patch) {
+    const c = compileFormula(patch.formula);
+    if (!c.ok) return { ok: false, error: `Course formula: ${c.error}` };
+  }
+  if ('eligibility' in patch && String(patch.eligibility).trim() !== '') {
+    const c = compileFormula(patch.eligibility, { condition: true });
+    if (!c.ok) return { ok: false, error: `Eligibility rule: ${c.error}` };
+  }
+  if ('eligibilityWeeks' in patch) {
+    const n = patch.eligibilityWeeks;
+    if (!Number.isInteger(n) || n < 1 || n > MAX_ELIGIBILITY_WEEKS)
+      return { ok: false, error: `N is a whole number of weeks from 1 to ${MAX_ELIGIBILITY_WEEKS}.` };
+  }
+
+  Object.assign(grades.scores, patch.scores);
+  for (const [weekId, v] of Object.entries(patch.weekGA || {})) {
+    if (v === null) delete grades.weekGA[weekId];
+    else grades.weekGA[weekId] = v;
+  }
+  if ('formula' in patch) grades.formula = patch.formula.trim();
+  if ('eligibility' in patch) grades.eligibility = String(patch.eligibility).trim();
+  if ('eligibilityWeeks' in patch) grades.eligibilityWeeks = patch.eligibilityWeeks;
+  grades.updatedAt = at;
+  course.grades = grades;
+  return { ok: true };
+}
+
+/**
+ * The values a formula sees for `course`: the entered scores, GAA from
+ * the weekly scores when it wasn't entered, and GAA_N. Unknown → null.
+ */
+export function gradeVariables(course) {
+  const grades = normalizeGrades(course.grades);
+  const weekly = course.weeks.map(w => grades.weekGA[w.weekId]).map(v => (validScore(v) ? v : null));
+  const entered = weekly.filter(v => v !== null);
+  const firstN = weekly.slice(0, grades.eligibilityWeeks);
+
+  const vars = { ...grades.scores };
+  if (vars.GAA === null && entered.length > 0) vars.GAA = average(entered);
+  vars.GAA_N = firstN.length > 0 && firstN.every(v => v !== null) ? average(firstN) : null;
+  return vars;
+}
+
+/**
+ * Everything the grade panel shows for `course`:
+ *   {
+ *     vars,                        // see gradeVariables()
+ *     score, grade,                // final score (2 decimals) and letter, or null
+ *     missing,                     // variables the score still needs
+ *     error,                       // the formula doesn't parse, or null
+ *     eligible,                    // true | false | null (unknown / no rule)
+ *     eligibilityMissing, eligibilityError
+ *   }
+ */
+export function courseResult(course) {
+  const grades = normalizeGrades(course.grades);
+  const vars = gradeVariables(course);
+  const out = {
+    vars, score: null, grade: null, missing: [], error: null,
+    eligible: null, eligibilityMissing: [], eligibilityError: null
+  };
+
+  const formula = compileFormula(grades.formula);
+  if (!formula.ok) out.error = formula.error;
+  else {
+    const r = evaluateFormula(formula.ast, vars);
+    if (r.ok) {
+      out.score = Math.round(r.value * 100) / 100;
+      out.grade = letterGrade(out.score);
+    } else if (r.missing) out.missing = r.missing;
+    else out.error = r.error;
+  }
+
+  if (grades.eligibility) {
+    const rule = compileFormula(grades.eligibility, { condition: true });
+    if (!rule.ok) out.eligibilityError = rule.error;
+    else {
+      const r = evaluateFormula(rule.ast, vars);
+      if (r.ok) out.eligible = r.value;
+      else if (r.missing) out.eligibilityMissing = r.missing;
+      else out.eligibilityError = r.error;
+    }
+  }
+  return out;
+}
+
+/** 'S' … 'E' by GRADE_BANDS, 'U' below them */
+export function letterGrade(score) {
+  return (GRADE_BANDS.find(b => score >= b.min) || { grade: 'U' }).grade;
+}
+
+/* ─────────────────────────────────────────
+   FORMULAS
+───────────────────────────────────────── */
+
+/**
+ * Parse a formula. A leading "T =" (as course pages write it) is allowed.
+ * With `condition`, the formula must be a yes/no rule (a comparison);
+ * otherwise it must give a number.
+ * @returns {{ ok: true, ast, names: string[] } | { ok: false, error: string }}
+ */
+export function compileFormula(text, { condition = false } = {}) {
+  if (typeof text !== 'string' || text.trim() === '') return { ok: false, error: 'The formula is empty.' };
+  if (text.length > MAX_FORMULA_LENGTH) return { ok: false, error: `Keep formulas under ${MAX_FORMULA_LENGTH} characters.` };
+  const prefix = /^\s*T\s*=/.exec(text)?.[0] || '';
+  try {
+    const ast = parse(tokenize(text.slice(prefix.length), prefix.length));
+    if (condition && ast.kind !== 'bool') return { ok: false, error: 'Write the rule as a comparison, e.g. GAA_N >= 40.' };
+    if (!condition && ast.kind !== 'number') return { ok: false, error: 'The formula compares instead of giving a score.' };
+    return { ok: true, ast, names: [...namesIn(ast, new Set())] };
+  } catch (err) {
+    if (err instanceof FormulaError) return { ok: false, error: err.message };
+    throw err;
+  }
+}
+
+/**
+ * Evaluate a compiled formula with `vars` ({ name: number | null }).
+ * @returns {{ ok: true, value: number | boolean }
+ *         | { ok: false, missing: string[] }   — some variables are null
+ *         | { ok: false, error: string }}
+ */
+export function evaluateFormula(ast, vars) {
+  const missing = new Set();
+  const value = evalNode(ast, vars, missing);
+  if (missing.size > 0) return { ok: false, missing: FORMULA_VARIABLES.filter(n => missing.has(n)) };
+  if (typeof value === 'number' && !Number.isFinite(value)) return { ok: false, error: 'The formula divides by zero.' };
+  return { ok: true, value };
+}
+
+/* ─────────────────────────────────────────
+   PARSER
+───────────────────────────────────────── */
+
+class FormulaError extends Error {}
+
+const TOKEN_RE = /(\d+(?:\.\d*)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|(>=|<=|[-+*/(),<>·×−≥≤])/y;
+const OP_ALIASES = { '·': '*', '×': '*', '−': '-', '≥': '>=', '≤': '<=' };
+
+/** Tokens with their 1-based character position in the original text */
+function tokenize(text, offset) {
+  const tokens = [];
+  let at = 0;
+  for (;;) {
+    while (at < text.length && /\s/.test(text[at])) at++;
+    if (at >= text.length) break;
+    TOKEN_RE.lastIndex = at;
+    const m = TOKEN_RE.exec(text);
+    const pos = offset + at + 1;
+    if (!m) throw new FormulaError(`"${text[at]}" isn't allowed (character ${pos}).`);
+    if (m[1] !== undefined) tokens.push({ type: 'num', value: Number(m[1]), pos });
+    else if (m[2] !== undefined) tokens.push({ type: 'name', value: m[2], pos });
+    else tokens.push({ type: 'op', value: OP_ALIASES[m[3]] || m[3], pos });
+    at = TOKEN_RE.lastIndex;
+  }
+  tokens.push({ type: 'end', value: '', pos: offset + text.length + 1 });
+  return tokens;
+}
+
+/*  or   := and ('or' and)*
+    and  := cmp ('and' cmp)*
+    cmp  := sum (('>=' | '<=' | '>' | '<') sum)?
+    sum  := prod (('+' | '-') prod)*
+    prod := unary (('*' | '/') unary)*
+    unary := '-' unary | atom
+    atom := number | variable | fn '(' or (',' or)* ')' | '(' or ')'          */
+function parse(tokens) {
+  let i = 0;
+  const peek = () => tokens[i];
+  const isOp = v => peek().type === 'op' && peek().value === v;
+  const isWord = w => peek().type === 'name' && peek().value.toLowerCase() === w;
+  const describe = t => (t.type === 'end' ? 'the end' : `"${t.value}" (character ${t.pos})`);
+  const fail = msg => { throw new FormulaError(msg); };
+  const need = (node, kind, what) => {
+    if (node.kind !== kind) fail(kind === 'number' ? `${what} needs a number, not a comparison.` : `${what} needs a comparison.`);
+    return node;
+  };
+
+  const logic = (word, next) => () => {
+    let a = next();
+    while (isWord(word)) {
+      i++;
+      a = { n: word, a: need(a, 'bool', `"${word}"`), b: need(next(), 'bool', `"${word}"`), kind: 'bool' };
+    }
+    return a;
+  };
+
+  function cmp() {
+    const a = sum();
+    const t = peek();
+    if (t.type === 'op' && ['>=', '<=', '>', '<'].includes(t.value)) {
+      i++;
+      return { n: 'cmp', op: t.value, a: need(a, 'number', `"${t.value}"`), b: need(sum(), 'number', `"${t.value}"`), kind: 'bool' };
+    }
+    return a;
+  }
+
+  const binary = (ops, next) => () => {
+    let a = next();
+    while (peek().type === 'op' && ops.includes(peek().value)) {
+      const op = tokens[i++].value;
+      a = { n: 'bin', op, a: need(a, 'number', `"${op}"`), b: need(next(), 'number', `"${op}"`), kind: 'number' };
+    }
+    return a;
+  };
+
+  function unary() {
+    if (isOp('-')) { i++; return { n: 'neg', a: need(unary(), 'number', '"-"'), kind: 'number' }; }
+    if (isOp('+')) { i++; return need(unary(), 'number', '"+"'); }
+    return atom();
+  }
+
+  function atom() {
+    const t = peek();
+    if (t.type === 'num') { i++; return { n: 'num', v: t.value, kind: 'number' }; }
+    if (isOp('(')) {
+      i++;
+      const inner = or();
+      if (!isOp(')')) fail(`Expected ")" but found ${describe(peek())}.`);
+      i++;
+      return inner;
+    }
+    if (t.type === 'name') {
+      i++;
+      const fn = t.value.toLowerCase();
+      if (isOp('(')) {
+        if (!(fn in FUNCTIONS)) fail(`Unknown function "${t.value}" — use max(…) or min(…).`);
+        i++;
+        const args = [need(or(), 'number', `${fn}()`)];
+        while (isOp(',')) { i++; args.push(need(or(), 'number', `${fn}()`)); }
+        if (!isOp(')')) fail(`Expected "," or ")" in ${fn}(…) but found ${describe(peek())}.`);
+        i++;
+        return { n: 'call', fn, args, kind: 'number' };
+      }
+      if (FORMULA_VARIABLES.includes(t.value)) return { n: 'var', name: t.value, kind: 'number' };
+      const near = FORMULA_VARIABLES.find(v => v.toLowerCase() === t.value.toLowerCase());
+      fail(near
+        ? `Unknown name "${t.value}" — did you mean ${near}?`
+        : `Unknown name "${t.value}" — use ${FORMULA_VARIABLES.join(', ')}.`);
+    }
+    fail(`Expected a number, a score or "(" but found ${describe(t)}.`);
+  }
+
+  const prod = binary(['*', '/'], unary);
+  const sum = binary(['+', '-'], prod);
+  const and = logic('and', cmp);
+  const or = logic('or', and);
+
+  const ast = or();
+  if (peek().type !== 'end') fail(`Unexpected ${describe(peek())}.`);
+  return ast;
+}
+
+/* ─────────────────────────────────────────
+   HELPERS
+───────────────────────────────────────── */
+
+/** Value of a node; a null variable is noted in `missing` and gives NaN */
+function evalNode(node, vars, missing) {
+  switch (node.n) {
+    case 'num': return node.v;
+    case 'var': {
+      const v = vars[node.name];
+      if (v === null || v === undefined) { missing.add(node.name); return NaN; }
+      return v;
+    }
+    case 'neg': return -evalNode(node.a, vars, missing);
+    case 'call': return FUNCTIONS[node.fn](...node.args.map(a => evalNode(a, vars, missing)));
+    case 'bin': {
+      const a = evalNode(node.a, vars, missing), b = evalNode(node.b, vars, missing);
+      return node.op === '+' ? a + b : node.op === '-' ? a - b : node.op === '*' ? a * b : a / b;
+    }
+    case 'cmp': {
+      const a = evalNode(node.a, vars, missing), b = evalNode(node.b, vars, missing);
+      return node.op === '>=' ? a >= b : node.op === '<=' ? a <= b : node.op === '>' ? a > b : a < b;
+    }
+    case 'and': {
+      const a = evalNode(node.a, vars, missing), b = evalNode(node.b, vars, missing);
+      return a && b;
+    }
+    case 'or': {
+      const a = evalNode(node.a, vars, missing), b = evalNode(node.b, vars, missing);
+      return a || b;
+    }
+  }
+  return NaN;
+}
+
+function namesIn(node, names) {
+  if (node.n === 'var') names.add(node.name);
+  for (const child of [node.a, node.b, ...(node.args || [])]) if (child) namesIn(child, names);
+  return names;
+}
+
+function average(values) {
+  return values.reduce((s, v) => s + v, 0) / values.length;
+}
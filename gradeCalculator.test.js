@@ -0,0 +1,124 @@
+/**
+ * gradeCalculator.test.js — Unit tests for course scores and grading formulas
+ *
+ * Run with: node --test gradeCalculator.test.js
+ *
+ * Tests cover:
+ *   1. compileFormula / evaluateFormula — syntax, aliases, errors, missing scores
+ *   2. gradeVariables  — GAA from weekly scores, GAA_N over the first N weeks
+ *   3. courseResult    — final score, letter grade, end-term eligibility
+ *   4. updateGrades    — validation, all-or-nothing
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    compileFormula,
+    evaluateFormula,
+    gradeVariables,
+    courseResult,
+    updateGrades,
+    letterGrade,
+    emptyGrades,
+    DEFAULT_FORMULA,
+} from './gradeCalculator.js';
+
+/* ─── Factories ─── */
+
+function makeCourse(weekCount = 6, grades = {}) {
+    const weeks = Array.from({ length: weekCount }, (_, i) => ({ weekId: `w${i + 1}`, weekName: `Week ${i + 1}` }));
+    const base = emptyGrades();
+    return { courseId: 'c1', courseName: 'Maths 1', weeks, grades: { ...base, ...grades, scores: { ...base.scores, ...grades.scores } } };
+}
+
+function evaluate(text, vars, opts) {
+    const c = compileFormula(text, opts);
+    assert.equal(c.ok, true, c.error);
+    return evaluateFormula(c.ast, vars);
+}
+
+/* ─── Formulas ─── */
+
+test('compileFormula: the published formula, with · and a leading "T ="', () => {
+    const vars = { GAA: 80, Qz1: 50, Qz2: 70, F: 60 };
+    // max(0.6·60 + 0.2·70, 0.4·60 + 0.2·50 + 0.3·70) = max(50, 55)
+    assert.equal(evaluate(DEFAULT_FORMULA, vars).value, 8 + 55);
+    assert.equal(evaluate(`T = ${DEFAULT_FORMULA}`, vars).value, 63);
+    assert.equal(evaluate('0.1*GAA + 0.4×F − 2 / (1 + 1)', vars).value, 8 + 24 - 1);
+    assert.deepEqual(compileFormula('0.5·Qz1 + 0.5·max(F, Qz1)').names, ['Qz1', 'F']);
+});
+
+test('compileFormula: mistakes come back as messages, nothing is eval\'d', () => {
+    assert.match(compileFormula('0.1·GAA + ').error, /Expected a number/);
+    assert.match(compileFormula('0.1·qz1').error, /did you mean Qz1/);
+    assert.match(compileFormula('floor(F)').error, /Unknown function/);
+    assert.match(compileFormula('max(F, Qz1').error, /Expected "," or "\)"/);
+    assert.match(compileFormula('F; alert(1)').error, /";" isn't allowed \(character 2\)/);
+    assert.match(compileFormula('T = F $').error, /character 7/);
+    assert.equal(compileFormula('').ok, false);
+    assert.match(compileFormula('GAA >= 40').error, /compares/);
+    assert.match(compileFormula('GAA + 1', { condition: true }).error, /comparison/);
+    assert.match(compileFormula('(GAA >= 40) + 1').error, /needs a number/);
+});
+
+test('evaluateFormula: missing scores are listed, comparisons give yes / no', () => {
+    const { ast } = compileFormula(DEFAULT_FORMULA);
+    assert.deepEqual(evaluateFormula(ast, { GAA: 70, Qz1: 60, Qz2: null, F: null }), { ok: false, missing: ['Qz2', 'F'] });
+    assert.deepEqual(evaluate('GAA_N ≥ 40 and (Qz1 > 0 or Qz2 > 0)', { GAA_N: 45, Qz1: 0, Qz2: 30 }, { condition: true }), { ok: true, value: true });
+    assert.equal(evaluate('GAA_N >= 40', { GAA_N: 39.5 }, { condition: true }).value, false);
+    assert.match(evaluate('F / (Qz1 - Qz2)', { F: 50, Qz1: 40, Qz2: 40 }).error, /divides by zero/);
+});
+
+/* ─── Course scores ─── */
+
+test('gradeVariables: GAA from the weekly scores, GAA_N once the first N weeks are in', () => {
+    const course = makeCourse(6, { weekGA: { w1: 30, w2: 50, w3: 40 }, eligibilityWeeks: 4 });
+    assert.equal(gradeVariables(course).GAA, 40);
+    assert.equal(gradeVariables(course).GAA_N, null);    // week 4 not graded yet
+
+    course.grades.weekGA.w4 = 60;
+    assert.equal(gradeVariables(course).GAA_N, 45);
+    course.grades.scores.GAA = 72;                          // an entered GAA wins
+    assert.equal(gradeVariables(course).GAA, 72);
+    assert.equal(gradeVariables(makeCourse(2, { weekGA: { w1: 20, w2: 80 } })).GAA_N, 50);   // fewer weeks than N
+});
+
+test('courseResult: final score and grade, end-term eligibility', () => {
+    const course = makeCourse(4, {
+        scores: { GAA: 80, Qz1: 50, Qz2: 70 },
+        weekGA: { w1: 20, w2: 40, w3: 30, w4: 50 },
+    });
+    let r = courseResult(course);
+    assert.deepEqual([r.score, r.missing, r.eligible], [null, ['F'], false]);   // GAA_N 35 < 40
+
+    course.grades.scores.F = 60;
+    course.grades.eligibility = '';
+    r = courseResult(course);
+    assert.deepEqual([r.score, r.grade, r.eligible], [63, 'C', null]);
+
+    course.grades.formula = '0.1·GAA +';   // damaged by hand in a backup
+    assert.match(courseResult(course).error, /Expected a number/);
+});
+
+test('letterGrade: IITM bands', () => {
+    assert.deepEqual([90, 89.99, 72, 40, 39.99].map(letterGrade), ['S', 'A', 'B', 'E', 'U']);
+});
+
+/* ─── Editing ─── */
+
+test('updateGrades: scores and rules are checked, a bad patch changes nothing', () => {
+    const course = makeCourse(3);
+    assert.deepEqual(updateGrades(course, { scores: { Qz1: 64.5 }, weekGA: { w1: 90 } }, 'T1'), { ok: true });
+    assert.deepEqual([course.grades.scores.Qz1, course.grades.weekGA.w1, course.grades.updatedAt], [64.5, 90, 'T1']);
+
+    assert.match(updateGrades(course, { scores: { Qz2: 120 } }, 'T2').error, /0 to 100/);
+    assert.match(updateGrades(course, { scores: { Qz2: 50 }, formula: 'max(' }, 'T2').error, /^Course formula/);
+    assert.match(updateGrades(course, { eligibility: 'GAA_N' }, 'T2').error, /^Eligibility rule/);
+    assert.match(updateGrades(course, { weekGA: { w9: 50 } }, 'T2').error, /not in this course/);
+    assert.equal(course.grades.scores.Qz2, null);
+    assert.equal(course.grades.updatedAt, 'T1');
+
+    assert.equal(updateGrades(course, { weekGA: { w1: null }, eligibility: '', eligibilityWeeks: 2 }, 'T3').ok, true);
+    assert.deepEqual([course.grades.weekGA, course.grades.eligibility, course.grades.eligibilityWeeks], [{}, '', 2]);
+});
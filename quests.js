@@ -0,0 +1,267 @@
+/**
+ * quests.js — Daily & Weekly Quests
+ *
+ * Pure functions only. No DOM, no localStorage.
+ *
+ * Short-term objectives that award bonus XP once:
+ *   daily  — e.g. "Log 2 revisions today"; 3 per study day (see dateService.js)
+ *   weekly — e.g. "Complete the graded assignment for Week 4 before
+ *            Sunday"; 2 per ISO week (Monday → Sunday)
+ *
+ * Generation: the board for a day / week is picked by a seeded shuffle of
+ * the templates below — the seed is the date, and templates that the
+ * program can't complete right now (no activity questions left, …) are
+ * skipped. Same date + same program → same quests. The board is stored
+ * when generated so it doesn't change while you work through it.
+ *
+ * Tracking: every change to the program goes through updateQuests(),
+ * which diffs activity counts (revisions, activity questions, …) against
+ * the last baseline — like xpSources in the XP ledger — and adds the
+ * difference to the day's log. Undoing a step takes its count back, and
+ * a quest on the board that falls below its goal again (undone, or
+ * unchecked) loses its bonus — the XP ledger books it as a quest loss.
+ *
+ *   program.quests = {
+ *     board:    { day, week, daily: [quest], weekly: [quest] } | null,
+ *     baseline: { revisions, activities, … } | null,
+ *     log:      { 'YYYY-MM-DD': { revisions: 2, … } },   // this week's days only
+ *     done:     { [quest key]: { at, xp, kind, title } }   // bonus XP, counted in totalXP
+ *   }
+ */
+
+import { allWeeks } from './xpEngine.js';
+import { isoWeek } from './dateService.js';
+
+export const DAILY_QUEST_COUNT = 3;
+export const WEEKLY_QUEST_COUNT = 2;
+
+/* ─────────────────────────────────────────
+   TEMPLATES
+───────────────────────────────────────── */
+
+/**
+ * Count quests: `metric` done `goal` times in the period.
+ * `room(facts)` says how many the program still allows — templates with
+ * less room than their goal are not picked.
+ */
+const DAILY_TEMPLATES = [
+  { id: 'revisions',  metric: 'revisions',  goal: 2, xp: 15, title: 'Log 2 revisions today',            room: f => (f.lectures > 0 ? Infinity : 0) },
+  { id: 'activities', metric: 'activities', goal: 5, xp: 10, title: 'Finish 5 activity questions',      room: f => f.activitiesLeft },
+  { id: 'watched',    metric: 'watched',    goal: 2, xp: 10, title: 'Watch 2 lectures',                 room: f => f.unwatched },
+  { id: 'notes',      metric: 'notes',      goal: 2, xp: 10, title: 'Write 2 memory or final notes',    room: f => f.notesLeft },
+  { id: 'practice',   metric: 'practice',   goal: 5, xp: 10, title: 'Do 5 practice questions',          room: f => f.practiceLeft },
+  { id: 'graded',     metric: 'graded',     goal: 3, xp: 15, title: 'Do 3 graded questions',            room: f => f.gradedLeft }
+];
+
+/**
+ * Weekly quests: count quests over the week, or target quests about one
+ * week of the active course (`pick(program)` finds it, or null).
+ */
+const WEEKLY_TEMPLATES = [
+  { id: 'revisions-week', metric: 'revisions', goal: 10, xp: 30, title: 'Log 10 revisions this week', room: f => (f.lectures > 0 ? Infinity : 0) },
+  { id: 'activities-week', metric: 'activities', goal: 25, xp: 30, title: 'Finish 25 activity questions this week', room: f => f.activitiesLeft },
+  {
+    id: 'graded-week', xp: 40,
+    title: w => `Complete the graded assignment for ${w.weekName} before Sunday`,
+    pick: program => activeWeeks(program).find(w => w.gradedAssignment.totalQuestions > w.gradedAssignment.doneQuestions) || null
+  },
+  {
+    id: 'complete-week', xp: 40,
+    title: w => `Mark ${w.weekName} complete before Sunday`,
+    pick: program => activeWeeks(program).find(w => !w.weekCompleted && w.lectures.length > 0) || null
+  }
+];
+
+/* ─────────────────────────────────────────
+   METRICS
+───────────────────────────────────────── */
+
+/** Running totals the count quests track */
+export function questMetrics(program) {
+  const m = { revisions: 0, activities: 0, watched: 0, notes: 0, practice: 0, graded: 0 };
+  for (const week of allWeeks(program)) {
+    m.practice += clampDone(week.practiceAssignment);
+    m.graded   += clampDone(week.gradedAssignment);
+    m.notes    += (week.weeklyMemoryNote ? 1 : 0) + (week.weeklyFinalNote ? 1 : 0);
+    for (const lec of week.lectures) {
+      m.revisions  += lec.revisionCount || 0;
+      m.activities += Math.min(lec.activityDone || 0, lec.activityTotal || 0);
+      m.watched    += lec.watched ? 1 : 0;
+      m.notes      += (lec.memoryNote ? 1 : 0) + (lec.finalNote ? 1 : 0);
+    }
+  }
+  return m;
+}
+
+/** What is still left to do — decides which templates make sense */
+function roomFacts(program) {
+  const f = { lectures: 0, activitiesLeft: 0, unwatched: 0, notesLeft: 0, practiceLeft: 0, gradedLeft: 0 };
+  for (const week of allWeeks(program)) {
+    f.practiceLeft += week.practiceAssignment.totalQuestions - clampDone(week.practiceAssignment);
+    f.gradedLeft   += week.gradedAssignment.totalQuestions - clampDone(week.gradedAssignment);
+    f.notesLeft    += (week.weeklyMemoryNote ? 0 : 1) + (week.weeklyFinalNote ? 0 : 1);
+    for (const lec of week.lectures) {
+      f.lectures++;
+      f.activitiesLeft += Math.max(0, (lec.activityTotal || 0) - (lec.activityDone || 0));
+      f.unwatched      += lec.watched ? 0 : 1;
+      f.notesLeft      += (lec.memoryNote ? 0 : 1) + (lec.finalNote ? 0 : 1);
+    }
+  }
+  return f;
+}
+
+/* ─────────────────────────────────────────
+   BOARD
+───────────────────────────────────────── */
+
+/** Empty quest state for a new program */
+export function emptyQuestState() {
+  return { board: null, baseline: null, log: {}, done: {} };
+}
+
+/**
+ * The quests for `day` (YYYY-MM-DD): DAILY_QUEST_COUNT daily and
+ * WEEKLY_QUEST_COUNT weekly ones, each
+ *   { key, kind, title, xp, goal, metric } (count) or
+ *   { key, kind, title, xp, weekId }      (target)
+ */
+export function generateQuests(program, day) {
+  const week = isoWeek(day);
+  const facts = roomFacts(program);
+
+  const daily = shuffled(DAILY_TEMPLATES, `d:${day}`)
+    .filter(t => t.room(facts) >= t.goal)
+    .slice(0, DAILY_QUEST_COUNT)
+    .map(t => ({ key: `daily:${day}:${t.id}`, kind: 'daily', title: t.title, xp: t.xp, metric: t.metric, goal: t.goal }));
+
+  const weekly = [];
+  for (const t of shuffled(WEEKLY_TEMPLATES, `w:${week}`)) {
+    if (weekly.length >= WEEKLY_QUEST_COUNT) break;
+    if (t.pick) {
+      const w = t.pick(program);
+      if (w) weekly.push({ key: `weekly:${week}:${t.id}:${w.weekId}`, kind: 'weekly', title: t.title(w), xp: t.xp, weekId: w.weekId, target: t.id });
+    } else if (t.room(facts) >= t.goal) {
+      weekly.push({ key: `weekly:${week}:${t.id}`, kind: 'weekly', title: t.title, xp: t.xp, metric: t.metric, goal: t.goal });
+    }
+  }
+
+  return { day, week, daily, weekly };
+}
+
+/**
+ * Progress of one quest on `day`: { value, goal, done, gone }.
+ * `gone` — a target quest whose week was deleted.
+ */
+export function questProgress(program, quest, day) {
+  const done = Boolean(program.quests?.done?.[quest.key]);
+  if (quest.metric) {
+    const log = program.quests?.log || {};
+    const days = quest.kind === 'daily' ? [day] : Object.keys(log).filter(d => isoWeek(d) === isoWeek(day));
+    const value = days.reduce((s, d) => s + (log[d]?.[quest.metric] || 0), 0);
+    return { value: Math.min(value, quest.goal), goal: quest.goal, done, gone: false };
+  }
+  const week = allWeeks(program).find(w => w.weekId === quest.weekId);
+  if (!week) return { value: 0, goal: 1, done, gone: true };
+  if (quest.target === 'graded-week') {
+    const g = week.gradedAssignment;
+    return { value: clampDone(g), goal: Math.max(1, g.totalQuestions), done, gone: false };
+  }
+  return { value: week.weekCompleted ? 1 : 0, goal: 1, done, gone: false };
+}
+
+/** Today's board with progress: [{ ...quest, value, goal, done, gone }] */
+export function questBoard(program, day) {
+  const board = program.quests?.board;
+  if (!board) return [];
+  return [...board.daily, ...board.weekly].map(q => ({ ...q, ...questProgress(program, q, day) }));
+}
+
+/* ─────────────────────────────────────────
+   TRACKING
+───────────────────────────────────────── */
+
+/**
+ * Bring program.quests up to date after a change. Mutates program:
+ *   - a new day / week gets a fresh board
+ *   - with `count`, what changed since the baseline is added to the
+ *     day's log (never below 0); without it the baseline just moves
+ *     (loading, importing, merging — nothing was done today)
+ *   - finished quests are recorded in `done` with their bonus XP; with
+ *     `count`, a finished quest on the board that no longer meets its
+ *     goal is taken out of `done` again (a quest whose week was deleted
+ *     keeps its bonus)
+ * Returns the quests completed by this call.
+ */
+export function updateQuests(program, day, at, { count = true } = {}) {
+  const q = program.quests || (program.quests = emptyQuestState());
+  const metrics = questMetrics(program);
+
+  if (count && q.baseline) {
+    const today = q.log[day] || (q.log[day] = {});
+    for (const [k, v] of Object.entries(metrics)) {
+      const delta = v - (q.baseline[k] || 0);
+      if (delta !== 0) today[k] = Math.max(0, (today[k] || 0) + delta);
+    }
+  }
+  q.baseline = metrics;
+
+  // Keep this week's days only — older ones can't count for anything
+  const week = isoWeek(day);
+  for (const d of Object.keys(q.log)) if (isoWeek(d) !== week) delete q.log[d];
+
+  if (!q.board || q.board.day !== day) {
+    const fresh = generateQuests(program, day);
+    q.board = q.board && q.board.week === week ? { ...fresh, weekly: q.board.weekly } : fresh;
+  }
+
+  const completed = [];
+  for (const quest of questBoard(program, day)) {
+    if (quest.gone) continue;
+    if (quest.done && count && quest.value < quest.goal) delete q.done[quest.key];
+    if (quest.done || quest.value < quest.goal) continue;
+    q.done[quest.key] = { at, xp: quest.xp, kind: quest.kind, title: quest.title };
+    completed.push(quest);
+  }
+  return completed;
+}
+
+/** Union of two programs' finished quests (each key counts once); the rest is current's */
+export function mergeQuests(current, incoming) {
+  const out = { ...emptyQuestState(), ...current };
+  out.done = { ...(incoming?.done || {}), ...(current?.done || {}) };
+  out.baseline = null;   // the merged program has new progress that wasn't done today
+  return out;
+}
+
+/* ─────────────────────────────────────────
+   HELPERS
+───────────────────────────────────────── */
+
+/** Weeks of the active course, in order */
+function activeWeeks(program) {
+  for (const term of program.terms)
+    for (const course of term.courses)
+      if (course.courseId === program.activeCourseId) return course.weeks;
+  return [];
+}
+
+function clampDone(a) {
+  return Math.max(0, Math.min(a.doneQuestions || 0, a.totalQuestions || 0));
+}
+
+/** Deterministic shuffle of `list`, seeded by a string */
+function shuffled(list, seed) {
+  let h = 2166136261;
+  for (let i = 0; i < seed.length; i++) h = Math.imul(h ^ seed.charCodeAt(i), 16777619);
+  const next = () => {
+    h = Math.imul(h ^ (h >>> 15), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    return ((h ^= h >>> 16) >>> 0) / 4294967296;
+  };
+  const out = [...list];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(next() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
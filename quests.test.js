@@ -0,0 +1,204 @@
+/**
+ * quests.test.js — Unit tests for daily & weekly quests
+ *
+ * Run with: node --test quests.test.js
+ *
+ * Tests cover:
+ *   1. generateQuests   — same date → same board; impossible quests skipped
+ *   2. updateQuests     — counting, undo, bonus awarded once (and taken back), new day / week
+ *   3. mergeQuests      — finished quests united
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    generateQuests,
+    updateQuests,
+    questBoard,
+    mergeQuests,
+    emptyQuestState,
+    DAILY_QUEST_COUNT,
+    WEEKLY_QUEST_COUNT,
+} from './quests.js';
+import { xpBySource } from './xpLedger.js';
+
+/* ─── Factories ─── */
+
+function makeLec(overrides = {}) {
+    return { watched: false, memoryNote: false, activityTotal: 10, activityDone: 0,
+             finalNote: false, revisionCount: 0, xpEarned: 0, ...overrides };
+}
+
+function makeWeek(id, overrides = {}) {
+    return {
+        weekId: id, weekName: `Week ${id}`,
+        lectures: [makeLec(), makeLec()],
+        practiceAssignment: { totalQuestions: 10, doneQuestions: 0 },
+        gradedAssignment: { totalQuestions: 10, doneQuestions: 0 },
+        weeklyMemoryNote: false, weeklyFinalNote: false, weekCompleted: false, xpEarned: 0,
+        ...overrides,
+    };
+}
+
+function makeProgram(weeks = [makeWeek('w1'), makeWeek('w2')]) {
+    return {
+        terms: [{ termId: 't', termName: 'T', courses: [{ courseId: 'c', courseName: 'C', weeks }] }],
+        activeCourseId: 'c',
+        quests: emptyQuestState(),
+    };
+}
+
+const lectures = p => p.terms[0].courses[0].weeks.flatMap(w => w.lectures);
+
+/** A board with one known daily and one known weekly count quest */
+function fixedBoard(day, week) {
+    return {
+        day, week,
+        daily:  [{ key: `daily:${day}:revisions`, kind: 'daily', title: 'Log 2 revisions today', xp: 15, metric: 'revisions', goal: 2 }],
+        weekly: [{ key: `weekly:${week}:revisions-week`, kind: 'weekly', title: 'Log 10 revisions this week', xp: 30, metric: 'revisions', goal: 10 }],
+    };
+}
+
+/* ─── Generation ─── */
+
+test('generateQuests: deterministic for a date and the program state', () => {
+    const a = generateQuests(makeProgram(), '2026-03-04');
+    const b = generateQuests(makeProgram(), '2026-03-04');
+    assert.deepEqual(a, b);
+    assert.equal(a.daily.length, DAILY_QUEST_COUNT);
+    assert.equal(a.weekly.length, WEEKLY_QUEST_COUNT);
+    assert.ok(a.daily.every(q => q.key.startsWith('daily:2026-03-04:')));
+    assert.ok(a.weekly.every(q => q.key.startsWith('weekly:2026-W10:')));
+});
+
+test('generateQuests: skips quests the program cannot finish', () => {
+    const done = { totalQuestions: 10, doneQuestions: 10 };
+    const p = makeProgram([makeWeek('w1', {
+        lectures: [makeLec({ watched: true, memoryNote: true, finalNote: true, activityDone: 10 })],
+        practiceAssignment: done, gradedAssignment: done,
+        weeklyMemoryNote: true, weeklyFinalNote: true, weekCompleted: true,
+    })]);
+    for (const day of ['2026-03-02', '2026-03-03', '2026-03-04', '2026-03-05']) {
+        const board = generateQuests(p, day);
+        assert.deepEqual(board.daily.map(q => q.metric), ['revisions']);   // the only thing left to do
+        assert.deepEqual(board.weekly.map(q => q.metric), ['revisions']);
+    }
+});
+
+test('generateQuests: the graded quest targets the first week with graded questions left', () => {
+    const p = makeProgram([makeWeek('w1', { gradedAssignment: { totalQuestions: 5, doneQuestions: 5 } }), makeWeek('w2')]);
+    for (const day of ['2026-03-02', '2026-03-09', '2026-03-16', '2026-03-23']) {
+        const graded = generateQuests(p, day).weekly.find(q => q.target === 'graded-week');
+        if (graded) {
+            assert.equal(graded.weekId, 'w2');
+            assert.equal(graded.title, 'Complete the graded assignment for Week w2 before Sunday');
+        }
+    }
+});
+
+/* ─── Tracking ─── */
+
+test('updateQuests: counts changes since the last call and awards the bonus once', () => {
+    const p = makeProgram();
+    p.quests.board = fixedBoard('2026-03-04', '2026-W10');
+    updateQuests(p, '2026-03-04', 'T0', { count: false });
+
+    lectures(p)[0].revisionCount = 1;
+    assert.deepEqual(updateQuests(p, '2026-03-04', 'T1'), []);
+    lectures(p)[1].revisionCount = 1;
+    const done = updateQuests(p, '2026-03-04', 'T2');
+    assert.deepEqual(done.map(q => q.key), ['daily:2026-03-04:revisions']);
+    assert.deepEqual(p.quests.done['daily:2026-03-04:revisions'], { at: 'T2', xp: 15, kind: 'daily', title: 'Log 2 revisions today' });
+
+    lectures(p)[1].revisionCount = 3;
+    assert.deepEqual(updateQuests(p, '2026-03-04', 'T3'), []);
+    assert.equal(p.quests.done['daily:2026-03-04:revisions'].at, 'T2');
+});
+
+test('updateQuests: undone progress comes off the count; without `count` nothing is logged', () => {
+    const p = makeProgram();
+    p.quests.board = fixedBoard('2026-03-04', '2026-W10');
+    updateQuests(p, '2026-03-04', 'T0', { count: false });
+
+    lectures(p)[0].revisionCount = 1;
+    updateQuests(p, '2026-03-04', 'T1');
+    lectures(p)[0].revisionCount = 0;   // undo
+    updateQuests(p, '2026-03-04', 'T2');
+    assert.equal(p.quests.log['2026-03-04'].revisions, 0);
+
+    lectures(p)[0].revisionCount = 5;   // e.g. imported from a backup
+    updateQuests(p, '2026-03-04', 'T3', { count: false });
+    assert.equal(p.quests.log['2026-03-04'].revisions, 0);
+    assert.equal(p.quests.baseline.revisions, 5);
+});
+
+test('updateQuests: a new day draws new daily quests and keeps the weekly ones', () => {
+    const p = makeProgram();
+    p.quests.board = fixedBoard('2026-03-04', '2026-W10');
+    updateQuests(p, '2026-03-04', 'T0', { count: false });
+    lectures(p)[0].revisionCount = 4;
+    updateQuests(p, '2026-03-04', 'T1');
+
+    lectures(p)[1].revisionCount = 6;
+    updateQuests(p, '2026-03-05', 'T2');
+    assert.equal(p.quests.board.day, '2026-03-05');
+    assert.ok(p.quests.board.daily.every(q => q.key.startsWith('daily:2026-03-05:')));
+    assert.deepEqual(p.quests.board.weekly, fixedBoard('2026-03-04', '2026-W10').weekly);
+    // 4 on Wednesday + 6 on Thursday finish the weekly quest
+    assert.ok(p.quests.done['weekly:2026-W10:revisions-week']);
+    assert.deepEqual(questBoard(p, '2026-03-05').find(q => q.kind === 'weekly').value, 10);
+
+    updateQuests(p, '2026-03-09', 'T3');
+    assert.deepEqual(Object.keys(p.quests.log), ['2026-03-09']);   // last week's days dropped
+    assert.ok(p.quests.board.weekly.every(q => q.key.startsWith('weekly:2026-W11:')));
+});
+
+test('updateQuests: a target quest is done when its week is', () => {
+    const p = makeProgram();
+    p.quests.board = { day: '2026-03-04', week: '2026-W10', daily: [], weekly: [
+        { key: 'weekly:2026-W10:complete-week:w1', kind: 'weekly', title: 'Mark Week w1 complete before Sunday', xp: 40, weekId: 'w1', target: 'complete-week' },
+    ] };
+    updateQuests(p, '2026-03-04', 'T0', { count: false });
+    p.terms[0].courses[0].weeks[0].weekCompleted = true;
+    assert.deepEqual(updateQuests(p, '2026-03-04', 'T1').map(q => q.xp), [40]);
+});
+
+test('updateQuests: a finished quest taken back below its goal loses its bonus', () => {
+    const p = makeProgram();
+    p.quests.board = fixedBoard('2026-03-04', '2026-W10');
+    p.quests.board.weekly.push({ key: 'weekly:2026-W10:complete-week:w1', kind: 'weekly', title: 'Mark Week w1 complete before Sunday', xp: 40, weekId: 'w1', target: 'complete-week' });
+    updateQuests(p, '2026-03-04', 'T0', { count: false });
+
+    lectures(p)[0].revisionCount = 2;
+    p.terms[0].courses[0].weeks[0].weekCompleted = true;
+    updateQuests(p, '2026-03-04', 'T1');
+    assert.equal(xpBySource(p).quest, 55);
+
+    lectures(p)[0].revisionCount = 1;                          // undo
+    p.terms[0].courses[0].weeks[0].weekCompleted = false;      // uncheck
+    assert.deepEqual(updateQuests(p, '2026-03-04', 'T2'), []);
+    assert.deepEqual(p.quests.done, {});
+    assert.equal(xpBySource(p).quest, 0);                      // syncXP books −55 as a quest loss
+
+    lectures(p)[0].revisionCount = 2;                          // redo: done again, bonus once
+    assert.deepEqual(updateQuests(p, '2026-03-04', 'T3').map(q => q.xp), [15]);
+    assert.equal(xpBySource(p).quest, 15);
+
+    lectures(p)[0].revisionCount = 0;                          // loading or merging doesn't take it back
+    updateQuests(p, '2026-03-04', 'T4', { count: false });
+    assert.ok(p.quests.done['daily:2026-03-04:revisions']);
+});
+
+/* ─── Merge ─── */
+
+test('mergeQuests: finished quests from both sides, board from current', () => {
+    const board = fixedBoard('2026-03-04', '2026-W10');
+    const merged = mergeQuests(
+        { board, baseline: { revisions: 1 }, log: {}, done: { a: { xp: 10, kind: 'daily' } } },
+        { board: null, baseline: null, log: {}, done: { a: { xp: 10, kind: 'daily' }, b: { xp: 30, kind: 'weekly' } } },
+    );
+    assert.deepEqual(Object.keys(merged.done).sort(), ['a', 'b']);
+    assert.equal(merged.board, board);
+    assert.equal(merged.baseline, null);
+});
@@ -0,0 +1,136 @@
+/**
+ * revisionScheduler.js — Spaced-Repetition Revision Scheduler
+ *
+ * Pure functions only. No DOM, no localStorage.
+ *
+ * Every logged revision is kept on its lecture with its date and an
+ * optional self-rated recall quality (schema v11):
+ *
+ *   lec.revisions = [{ on: 'YYYY-MM-DD', quality: 0–5 | null }, …]   // oldest first
+ *
+ * lec.revisionCount stays the number XP is scored on. Revisions logged
+ * before dates were kept have no entry here — revisionCount can be larger
+ * than revisions.length — and don't take part in scheduling.
+ *
+ * Scheduling follows SM-2: replaying the log gives each lecture an ease
+ * factor and an interval; the next revision is due `interval` days after
+ * the last one. Recall below QUALITY_PASS starts the intervals over.
+ * Unrated revisions count as DEFAULT_QUALITY ("good").
+ */
+
+import { addDays, daysBetween } from './dateService.js';
+
+export const QUALITY_PASS = 3;
+export const DEFAULT_QUALITY = 4;
+export const START_EASE = 2.5;
+export const MIN_EASE = 1.3;
+
+/** Recall ratings offered when logging a revision */
+export const RECALL_RATINGS = [
+  { quality: 1, label: 'Again', hint: 'Barely remembered it' },
+  { quality: 3, label: 'Hard',  hint: 'Remembered with effort' },
+  { quality: 4, label: 'Good',  hint: 'Remembered it' },
+  { quality: 5, label: 'Easy',  hint: 'Remembered it instantly' }
+];
+
+/* ─────────────────────────────────────────
+   LOG
+───────────────────────────────────────── */
+
+/**
+ * Log a revision on `day`. Mutates lec: appends to lec.revisions and
+ * bumps revisionCount. `quality` is 0–5 or null (not rated).
+ */
+export function logRevision(lec, day, quality = null) {
+  if (!Array.isArray(lec.revisions)) lec.revisions = [];
+  lec.revisions.push({ on: day, quality: validQuality(quality) ? quality : null });
+  lec.revisionCount = (lec.revisionCount || 0) + 1;
+}
+
+/**
+ * Remove the last revision. Mutates lec. Undated revisions (from before
+ * the log) go first so the dated history stays as long as possible.
+ */
+export function removeRevision(lec) {
+  const count = lec.revisionCount || 0;
+  if (count <= 0) return;
+  const revisions = lec.revisions || [];
+  if (revisions.length >= count) revisions.pop();
+  lec.revisionCount = count - 1;
+}
+
+/* ─────────────────────────────────────────
+   SCHEDULE
+───────────────────────────────────────── */
+
+/**
+ * Replay a lecture's revision log through SM-2:
+ *   { reps, interval, ease, last, due }
+ * `last` and `due` are YYYY-MM-DD, or null when nothing is logged yet.
+ */
+export function scheduleLecture(lec) {
+  let reps = 0, interval = 0, ease = START_EASE, last = null;
+
+  for (const r of lec.revisions || []) {
+    const q = validQuality(r.quality) ? r.quality : DEFAULT_QUALITY;
+    if (q < QUALITY_PASS) {
+      reps = 0;
+      interval = 1;
+    } else {
+      interval = reps === 0 ? 1 : reps === 1 ? 6 : Math.round(interval * ease);
+      reps++;
+    }
+    ease = Math.max(MIN_EASE, ease + 0.1 - (5 - q) * (0.08 + (5 - q) * 0.02));
+    last = r.on;
+  }
+
+  return { reps, interval, ease, last, due: last ? addDays(last, interval) : null };
+}
+
+/**
+ * Where a lecture stands on `today`:
+ *   { state: 'unscheduled' | 'scheduled' | 'due' | 'overdue', due, daysLate }
+ * 'due' means due today; 'overdue' means the due date has passed.
+ */
+export function revisionStatus(lec, today) {
+  const { due } = scheduleLecture(lec);
+  if (!due) return { state: 'unscheduled', due: null, daysLate: 0 };
+  const daysLate = daysBetween(due, today);
+  return {
+    state: daysLate > 0 ? 'overdue' : daysLate === 0 ? 'due' : 'scheduled',
+    due,
+    daysLate: Math.max(0, daysLate)
+  };
+}
+
+/**
+ * Lectures due or overdue on `today`, across every term, course and week —
+ * most overdue first:
+ *   [{ termName, courseId, courseName, weekId, weekName, lectureId, lectureName, due, daysLate, state }]
+ */
+export function dueQueue(program, today) {
+  const queue = [];
+  for (const term of program.terms)
+    for (const course of term.courses)
+      for (const week of course.weeks)
+        for (const lec of week.lectures) {
+          const s = revisionStatus(lec, today);
+          if (s.state !== 'due' && s.state !== 'overdue') continue;
+          queue.push({
+            termName: term.termName,
+            courseId: course.courseId, courseName: course.courseName,
+            weekId: week.weekId, weekName: week.weekName,
+            lectureId: lec.lectureId, lectureName: lec.lectureName,
+            ...s
+          });
+        }
+  return queue.sort((a, b) => b.daysLate - a.daysLate || a.due.localeCompare(b.due));
+}
+
+/* ─────────────────────────────────────────
+   HELPERS
+───────────────────────────────────────── */
+
+function validQuality(q) {
+  return Number.isInteger(q) && q >= 0 && q <= 5;
+}
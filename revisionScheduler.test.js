@@ -0,0 +1,113 @@
+/**
+ * revisionScheduler.test.js — Unit tests for the spaced-repetition scheduler
+ *
+ * Run with: node --test revisionScheduler.test.js
+ *
+ * Tests cover:
+ *   1. logRevision / removeRevision — dated log next to revisionCount
+ *   2. scheduleLecture   — SM-2 intervals, ease, lapses
+ *   3. revisionStatus    — scheduled / due / overdue
+ *   4. dueQueue          — across courses, most overdue first
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    logRevision,
+    removeRevision,
+    scheduleLecture,
+    revisionStatus,
+    dueQueue,
+    MIN_EASE,
+} from './revisionScheduler.js';
+import { addDays } from './dateService.js';
+
+/* ─── Factories ─── */
+
+function makeLec(id, revisions = [], overrides = {}) {
+    return { lectureId: id, lectureName: `Lecture ${id}`, revisionCount: revisions.length, revisions, ...overrides };
+}
+
+const rev = (on, quality = null) => ({ on, quality });
+
+function makeProgram(courses) {
+    return {
+        terms: [{ termId: 't', termName: 'Jan 2026', courses: courses.map(([courseId, lectures]) => ({
+            courseId, courseName: `Course ${courseId}`,
+            weeks: [{ weekId: `w-${courseId}`, weekName: 'Week 1', lectures }],
+        })) }],
+    };
+}
+
+/* ─── Log ─── */
+
+test('logRevision: dates the revision and bumps the count', () => {
+    const lec = makeLec('a');
+    logRevision(lec, '2026-03-02');
+    logRevision(lec, '2026-03-03', 5);
+    logRevision(lec, '2026-03-04', 9);   // not a rating
+    assert.equal(lec.revisionCount, 3);
+    assert.deepEqual(lec.revisions, [rev('2026-03-02'), rev('2026-03-03', 5), rev('2026-03-04')]);
+});
+
+test('removeRevision: undated revisions from before the log go first', () => {
+    const lec = makeLec('a', [rev('2026-03-02')], { revisionCount: 3 });
+    removeRevision(lec);
+    removeRevision(lec);
+    assert.equal(lec.revisionCount, 1);
+    assert.equal(lec.revisions.length, 1);
+    removeRevision(lec);
+    assert.deepEqual([lec.revisionCount, lec.revisions.length], [0, 0]);
+    removeRevision(lec);
+    assert.equal(lec.revisionCount, 0);
+});
+
+/* ─── Schedule ─── */
+
+test('scheduleLecture: nothing logged means nothing scheduled', () => {
+    assert.deepEqual(scheduleLecture(makeLec('a', [], { revisionCount: 4 })).due, null);
+});
+
+test('scheduleLecture: SM-2 intervals 1, 6, then × ease', () => {
+    const lec = makeLec('a', [rev('2026-03-01')]);
+    assert.equal(scheduleLecture(lec).due, '2026-03-02');
+    lec.revisions.push(rev('2026-03-02'));
+    assert.equal(scheduleLecture(lec).due, '2026-03-08');
+    lec.revisions.push(rev('2026-03-08'));
+    const s = scheduleLecture(lec);
+    assert.equal(s.interval, 15);    // round(6 × 2.5) — "good" keeps the ease at 2.5
+    assert.equal(s.due, '2026-03-23');
+});
+
+test('scheduleLecture: poor recall starts over and lowers the ease', () => {
+    const lec = makeLec('a', [rev('2026-03-01', 5), rev('2026-03-02', 5), rev('2026-03-08', 1)]);
+    const s = scheduleLecture(lec);
+    assert.equal(s.reps, 0);
+    assert.equal(s.interval, 1);
+    assert.equal(s.due, '2026-03-09');
+    assert.ok(s.ease < 2.7);
+    const many = makeLec('b', Array.from({ length: 10 }, (_, i) => rev(addDays('2026-03-01', i), 0)));
+    assert.equal(scheduleLecture(many).ease, MIN_EASE);
+});
+
+test('revisionStatus: scheduled, due today, overdue', () => {
+    const lec = makeLec('a', [rev('2026-03-01')]);   // due 2026-03-02
+    assert.equal(revisionStatus(lec, '2026-03-01').state, 'scheduled');
+    assert.equal(revisionStatus(lec, '2026-03-02').state, 'due');
+    assert.deepEqual(revisionStatus(lec, '2026-03-05'), { state: 'overdue', due: '2026-03-02', daysLate: 3 });
+    assert.equal(revisionStatus(makeLec('b'), '2026-03-05').state, 'unscheduled');
+});
+
+/* ─── Queue ─── */
+
+test('dueQueue: due and overdue lectures across courses, most overdue first', () => {
+    const p = makeProgram([
+        ['c1', [makeLec('due', [rev('2026-03-09')]), makeLec('later', [rev('2026-03-01'), rev('2026-03-09')])]],
+        ['c2', [makeLec('late', [rev('2026-03-05')]), makeLec('never')]],
+    ]);
+    const q = dueQueue(p, '2026-03-10');
+    assert.deepEqual(q.map(i => [i.lectureId, i.state, i.daysLate]), [['late', 'overdue', 4], ['due', 'due', 0]]);
+    assert.equal(q[0].courseName, 'Course c2');
+    assert.equal(q[0].weekId, 'w-c2');
+});
@@ -0,0 +1,200 @@
+/**
+ * server/syncServer.js — Minimal Self-Hosted Sync Server
+ *
+ * A tiny stand-in for the 'rest' remote sync target (see
+ * src/storage/remoteSync.js). No dependencies; Node 18+.
+ *
+ *   node server/syncServer.js --port 8787 --dir ./sync-data --token <secret>
+ *
+ * Contract — every path ending in <name>.json is one document (folders
+ * before the name are ignored):
+ *   GET    → 200 + body + ETag, 304 if If-None-Match matches, 404 if missing
+ *   HEAD   → like GET without the body
+ *   PUT    → 200 / 201 + new ETag; 412 if If-Match doesn't match the current
+ *            ETag, or If-None-Match: * and the document exists
+ *   OPTIONS → CORS preflight (the app runs on another origin)
+ * With a token, requests need `Authorization: Bearer <token>` or HTTP
+ * Basic auth with the token as password.
+ *
+ * Documents live in memory, or as files under --dir when given.
+ * Put it behind HTTPS (e.g. a reverse proxy) before using it over the internet.
+ */
+
+import http from 'node:http';
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { readFile, writeFile, mkdir, rename } from 'node:fs/promises';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+const MAX_BODY = 5 * 1024 * 1024;
+const NAME_RE = /^[\w-][\w.-]*\.json$/;   // last path segment; no dots first, so no hidden files or ..
+
+const CORS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, HEAD, PUT, OPTIONS',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type, If-Match, If-None-Match',
+  'Access-Control-Expose-Headers': 'ETag',
+  'Access-Control-Max-Age': '600'
+};
+
+/**
+ * @param {Object} opts
+ *   token — required secret, or null for no auth (local testing only)
+ *   dir   — directory to keep documents in; in memory when null
+ * @returns {http.Server} not yet listening
+ */
+export function createSyncServer({ token = null, dir = null } = {}) {
+  const store = dir ? fileStore(dir) : memoryStore();
+  let lock = Promise.resolve();   // one PUT at a time, so If-Match checks can't interleave
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch(err => {
+      console.error('[sync-server]', err);
+      send(res, 500, 'Internal error');
+    });
+  });
+
+  async function handle(req, res) {
+    if (req.method === 'OPTIONS') return send(res, 204);
+    if (token && !authorised(req.headers.authorization, token)) {
+      return send(res, 401, 'Unauthorized', { 'WWW-Authenticate': 'Basic realm="iit-learn-sync"' });
+    }
+
+    const name = documentName(req.url);
+    if (!name) return send(res, 404, 'Not found');
+
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      const body = await store.get(name);
+      if (body === null) return send(res, 404, 'Not found');
+      const etag = etagOf(body);
+      if (matches(req.headers['if-none-match'], etag)) return send(res, 304, null, { ETag: etag });
+      return send(res, 200, req.method === 'GET' ? body : null, { ETag: etag, 'Content-Type': 'application/json' });
+    }
+
+    if (req.method === 'PUT') {
+      const body = await readBody(req);
+      if (body === null) return send(res, 413, 'Too large');
+      const run = lock.then(async () => {
+        const current = await store.get(name);
+        const currentTag = current === null ? null : etagOf(current);
+        const ifMatch = req.headers['if-match'];
+        const ifNoneMatch = req.headers['if-none-match'];
+        if (ifNoneMatch === '*' && current !== null) return send(res, 412, 'Already exists', { ETag: currentTag });
+        if (ifMatch && !matches(ifMatch, currentTag)) return send(res, 412, 'Changed meanwhile', currentTag ? { ETag: currentTag } : {});
+        await store.set(name, body);
+        return send(res, current === null ? 201 : 200, null, { ETag: etagOf(body) });
+      });
+      lock = run.catch(() => {});
+      return run;
+    }
+
+    return send(res, 405, 'Method not allowed', { Allow: 'GET, HEAD, PUT, OPTIONS' });
+  }
+}
+
+/* ─────────────────────────────────────────
+   HELPERS
+───────────────────────────────────────── */
+
+function send(res, status, body = null, headers = {}) {
+  res.writeHead(status, { ...CORS, ...headers });
+  res.end(body ?? undefined);
+}
+
+/** File name of the document a URL points at, or null. Leading folders are ignored. */
+function documentName(url) {
+  let name;
+  try {
+    name = decodeURIComponent(new URL(url, 'http://x').pathname.split('/').pop());
+  } catch {
+    return null;
+  }
+  return NAME_RE.test(name) ? name : null;
+}
+
+function etagOf(body) {
+  return `"${createHash('sha256').update(body).digest('base64url').slice(0, 27)}"`;
+}
+
+/** Does an If-Match / If-None-Match header name this ETag? (weak tags compare equal) */
+function matches(header, etag) {
+  if (!header || !etag) return false;
+  if (header.trim() === '*') return true;
+  const strip = t => t.trim().replace(/^W\//, '');
+  return header.split(',').some(t => strip(t) === strip(etag));
+}
+
+function authorised(header, token) {
+  if (!header) return false;
+  let given = null;
+  if (header.startsWith('Bearer ')) given = header.slice(7);
+  else if (header.startsWith('Basic ')) {
+    const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
+    given = decoded.slice(decoded.indexOf(':') + 1);
+  }
+  if (given === null) return false;
+  const a = Buffer.from(given), b = Buffer.from(token);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', c => {
+      size += c.length;
+      if (size > MAX_BODY) { resolve(null); req.destroy(); return; }
+      chunks.push(c);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function memoryStore() {
+  const docs = new Map();
+  return {
+    get: async name => (docs.has(name) ? docs.get(name) : null),
+    set: async (name, body) => { docs.set(name, body); }
+  };
+}
+
+function fileStore(dir) {
+  const ready = mkdir(dir, { recursive: true });
+  return {
+    async get(name) {
+      await ready;
+      try {
+        return await readFile(join(dir, name), 'utf8');
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    async set(name, body) {
+      await ready;
+      const tmp = join(dir, `.${name}.tmp`);
+      await writeFile(tmp, body, 'utf8');
+      await rename(tmp, join(dir, name));   // never leave a half-written document behind
+    }
+  };
+}
+
+/* ─────────────────────────────────────────
+   CLI
+───────────────────────────────────────── */
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const arg = (name, fallback = null) => {
+    const i = process.argv.indexOf(`--${name}`);
+    return i > 0 ? process.argv[i + 1] : fallback;
+  };
+  const port = Number(arg('port', process.env.PORT || 8787));
+  const token = arg('token', process.env.SYNC_TOKEN || null);
+  const dir = arg('dir', null);
+  if (!token) console.warn('[sync-server] No --token given: anyone who can reach this port can read and overwrite data.');
+
+  createSyncServer({ token, dir }).listen(port, () => {
+    console.log(`[sync-server] Listening on http://localhost:${port} — documents ${dir ? `in ${dir}` : 'in memory'}`);
+  });
+}
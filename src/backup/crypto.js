@@ -0,0 +1,131 @@
+/**
+ * src/backup/crypto.js — Passphrase-Encrypted Backups
+ *
+ * WebCrypto only (browser and Node 18+). No DOM, no storage.
+ *
+ * Key:    PBKDF2-HMAC-SHA256 over the passphrase, random 16-byte salt
+ * Cipher: AES-256-GCM, random 12-byte IV. GCM's tag authenticates the
+ *         data, and the envelope header is bound in as additional data,
+ *         so any edit to the file makes decryption fail.
+ *
+ * Envelope (what the .json file contains):
+ *   {
+ *     "format":  "iit-learn-encrypted",
+ *     "version": 1,
+ *     "kdf":     { "name": "PBKDF2", "hash": "SHA-256", "iterations": 600000, "salt": "<base64>" },
+ *     "cipher":  { "name": "AES-GCM", "iv": "<base64>" },
+ *     "data":    "<base64 ciphertext + tag>"
+ *   }
+ *
+ * A wrong passphrase and a tampered file look the same to AES-GCM, so
+ * both are reported as one error.
+ */
+
+export const ENCRYPTED_FORMAT  = 'iit-learn-encrypted';
+export const ENCRYPTED_VERSION = 1;
+export const PBKDF2_ITERATIONS = 600000;
+const MAX_ITERATIONS = 10000000;   // refuse envelopes that would hang the tab
+
+/** Does this parsed JSON look like an encrypted backup envelope? */
+export function isEncryptedBackup(data) {
+    return !!data && typeof data === 'object' && data.format === ENCRYPTED_FORMAT;
+}
+
+/**
+ * Encrypt `text` with a key derived from `passphrase`.
+ * Returns the envelope object (JSON.stringify it to save).
+ */
+export async function encryptText(text, passphrase, { iterations = PBKDF2_ITERATIONS } = {}) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv   = crypto.getRandomValues(new Uint8Array(12));
+    const header = {
+        format: ENCRYPTED_FORMAT,
+        version: ENCRYPTED_VERSION,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: toBase64(salt) },
+        cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+    };
+    const key = await deriveKey(passphrase, salt, iterations);
+    const sealed = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: headerBytes(header) },
+        key, new TextEncoder().encode(text)
+    );
+    return { ...header, data: toBase64(new Uint8Array(sealed)) };
+}
+
+/**
+ * Decrypt an envelope made by encryptText().
+ * Returns { ok: true, text } or { ok: false, reason: 'format'|'passphrase', error }.
+ */
+export async function decryptText(envelope, passphrase) {
+    const problem = checkEnvelope(envelope);
+    if (problem) return { ok: false, reason: 'format', error: problem };
+
+    let salt, iv, data;
+    try {
+        salt = fromBase64(envelope.kdf.salt);
+        iv   = fromBase64(envelope.cipher.iv);
+        data = fromBase64(envelope.data);
+    } catch {
+        return { ok: false, reason: 'format', error: 'The encrypted backup is damaged (bad base64).' };
+    }
+
+    try {
+        const key = await deriveKey(passphrase, salt, envelope.kdf.iterations);
+        const plain = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv, additionalData: headerBytes(envelope) },
+            key, data
+        );
+        return { ok: true, text: new TextDecoder().decode(plain) };
+    } catch {
+        return { ok: false, reason: 'passphrase', error: 'Wrong passphrase, or the file was changed after it was exported.' };
+    }
+}
+
+/* ── Internals ── */
+
+function checkEnvelope(env) {
+    if (!isEncryptedBackup(env)) return 'Not an encrypted IIT Learn backup.';
+    if (env.version !== ENCRYPTED_VERSION)
+        return `Encrypted backup version ${env.version} is not supported — update the app first.`;
+    const { kdf, cipher } = env;
+    if (!kdf || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || typeof kdf.salt !== 'string' ||
+        !Number.isInteger(kdf.iterations) || kdf.iterations < 1 || kdf.iterations > MAX_ITERATIONS)
+        return 'The encrypted backup is damaged (bad key settings).';
+    if (!cipher || cipher.name !== 'AES-GCM' || typeof cipher.iv !== 'string')
+        return 'The encrypted backup is damaged (bad cipher settings).';
+    if (typeof env.data !== 'string') return 'The encrypted backup is damaged (no data).';
+    return null;
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']
+    );
+}
+
+/** The header fields in a fixed order — authenticated along with the data */
+function headerBytes(env) {
+    const { format, version, kdf, cipher } = env;
+    return new TextEncoder().encode(JSON.stringify([
+        format, version, kdf.name, kdf.hash, kdf.iterations, kdf.salt, cipher.name, cipher.iv
+    ]));
+}
+
+function toBase64(bytes) {
+    let bin = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(bin);
+}
+
+function fromBase64(str) {
+    const bin = atob(str);
+    const out = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+    return out;
+}
@@ -0,0 +1,60 @@
+/**
+ * crypto.test.js — Unit tests for passphrase-encrypted backups
+ *
+ * Run with: node --test src/backup/crypto.test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { encryptText, decryptText, isEncryptedBackup, ENCRYPTED_FORMAT } from './crypto.js';
+
+// Real exports use PBKDF2_ITERATIONS; a low count keeps the tests fast
+const FAST = { iterations: 1000 };
+const TEXT = JSON.stringify({ totalXP: 42, terms: [], notes: 'private — नोट्स' });
+
+test('round trip with the right passphrase', async () => {
+    const env = await encryptText(TEXT, 'correct horse', FAST);
+    assert.equal(env.format, ENCRYPTED_FORMAT);
+    assert.equal(isEncryptedBackup(env), true);
+    assert.ok(!env.data.includes('private'));
+    const r = await decryptText(JSON.parse(JSON.stringify(env)), 'correct horse');
+    assert.deepEqual(r, { ok: true, text: TEXT });
+});
+
+test('salt and IV are fresh for every export', async () => {
+    const a = await encryptText(TEXT, 'pw-12345', FAST);
+    const b = await encryptText(TEXT, 'pw-12345', FAST);
+    assert.notEqual(a.kdf.salt, b.kdf.salt);
+    assert.notEqual(a.cipher.iv, b.cipher.iv);
+    assert.notEqual(a.data, b.data);
+});
+
+test('wrong passphrase is reported, not thrown', async () => {
+    const env = await encryptText(TEXT, 'correct horse', FAST);
+    const r = await decryptText(env, 'wrong horse');
+    assert.equal(r.ok, false);
+    assert.equal(r.reason, 'passphrase');
+    assert.match(r.error, /Wrong passphrase/);
+});
+
+test('tampered data or header fails authentication', async () => {
+    const env = await encryptText(TEXT, 'correct horse', FAST);
+
+    const bytes = Buffer.from(env.data, 'base64');
+    bytes[0] ^= 1;
+    const r1 = await decryptText({ ...env, data: bytes.toString('base64') }, 'correct horse');
+    assert.equal(r1.reason, 'passphrase');
+
+    const otherIv = Buffer.alloc(12, 7).toString('base64');
+    const r2 = await decryptText({ ...env, cipher: { ...env.cipher, iv: otherIv } }, 'correct horse');
+    assert.equal(r2.ok, false);
+});
+
+test('malformed envelopes give a format error', async () => {
+    const env = await encryptText(TEXT, 'pw-12345', FAST);
+    assert.equal((await decryptText({ ...env, version: 2 }, 'pw-12345')).reason, 'format');
+    assert.equal((await decryptText({ ...env, kdf: { ...env.kdf, iterations: 1e9 } }, 'pw-12345')).reason, 'format');
+    assert.equal((await decryptText({ ...env, data: 42 }, 'pw-12345')).reason, 'format');
+    assert.equal(isEncryptedBackup({ totalXP: 1 }), false);
+});
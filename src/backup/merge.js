@@ -0,0 +1,379 @@
+/**
+ * src/backup/merge.js — Merge Two Programs
+ *
+ * Pure functions only. No DOM, no storage.
+ *
+ * Used by "Merge import" (phone + laptop backups) and by live tab sync.
+ * Items are matched by ID program-wide: a week or lecture merges into the
+ * one with the same weekId / lectureId wherever it sits, even under a
+ * different term or course. Only what matches nothing falls back to its
+ * termId / courseId to find a home (created if missing). Anything that
+ * exists on only one side is kept. When both sides have an item, the
+ * FURTHEST progress wins field by field:
+ *
+ *   checkboxes (watched, notes, milestones)  → true if either is true
+ *   counters (activity, revisions, questions) → the larger value
+ *   lecture notes  → the newer non-empty text (notesUpdatedAt), else current
+ *   revision log   → the longer one (it goes with the larger revisionCount)
+ *   course grades  → scores from either side; on a difference the newer edit (grades.updatedAt)
+ *   names          → current, conflict reported
+ *   xpHistory      → union of days; a day on both sides keeps the larger net
+ *   streak         → from the side that was active most recently
+ *   goal streak    → from the side that met its daily goal most recently
+ *   vacations      → union; an overlapping range keeps current's
+ *   freeze ledger  → union of entries
+ *   xpRules        → current (XP is recomputed under them)
+ *   achievements   → union; one unlocked on both sides keeps the earlier date
+ *   quests         → finished quests united (bonus XP once per quest), board current
+ *
+ * diffPrograms() describes what a merge would do so the UI can preview it.
+ * mergeFromBase() is the three-way merge for tabs on one device, where
+ * unchecks and deletions have to carry over.
+ */
+
+import { recalculateTotalXP, getLevel, levelCurveOf, coreActionCount } from '../../xpEngine.js';
+import { xpBySource, ledgerBalance } from '../../xpLedger.js';
+import { mergeAchievements } from '../../achievements.js';
+import { mergeQuests } from '../../quests.js';
+import { mergeVacations, mergeFreezeLogs } from '../../streakProtection.js';
+
+const LECTURE_FLAGS    = ['watched', 'memoryNote', 'finalNote'];
+const LECTURE_COUNTERS = ['activityTotal', 'activityDone', 'revisionCount'];
+const WEEK_FLAGS       = ['weeklyMemoryNote', 'weeklyFinalNote', 'weekCompleted'];
+const ASSIGNMENTS      = ['practiceAssignment', 'gradedAssignment'];
+
+/**
+ * Describe the merge of `incoming` into `current` without changing either.
+ * Returns {
+ *   added:     { terms, courses, weeks, lectures }   — counts of new items
+ *   progress:  number of fields where incoming is further ahead
+ *   newDays:   number of xpHistory days only in incoming
+ *   conflicts: [{ path, field, current, incoming, kept: 'current'|'incoming' }]
+ * }
+ */
+export function diffPrograms(current, incoming) {
+    const report = emptyReport();
+    mergeInto(clone(current), incoming, report);
+    report.newDays = Object.keys(incoming.xpHistory || {})
+        .filter(d => !(d in (current.xpHistory || {}))).length;
+    return report;
+}
+
+/**
+ * Merge `incoming` into a copy of `current`. Returns the merged program
+ * with XP recomputed and the ledger rebalanced. Inputs are not mutated.
+ */
+export function mergePrograms(current, incoming) {
+    const merged = clone(current);
+    mergeInto(merged, incoming, emptyReport());
+
+    /* XP history: union of days, larger net wins on shared days */
+    const inHist = incoming.xpHistory || {};
+    const inLedger = incoming.xpLedger || {};
+    for (const [day, v] of Object.entries(inHist)) {
+        if (!(day in merged.xpHistory) || v > merged.xpHistory[day]) {
+            merged.xpHistory[day] = v;
+            if (inLedger[day]) merged.xpLedger[day] = clone(inLedger[day]);
+            else delete merged.xpLedger[day];
+        }
+    }
+
+    /* Streak: whoever studied most recently knows the live streak */
+    if ((incoming.lastActiveDate || '') > (merged.lastActiveDate || '')) {
+        merged.streak = incoming.streak;
+        merged.lastActiveDate = incoming.lastActiveDate;
+        merged.streakFreezes = incoming.streakFreezes;
+        merged.streakCredit = incoming.streakCredit ?? null;
+    }
+    merged.bestStreak = Math.max(merged.bestStreak || 0, incoming.bestStreak || 0, merged.streak || 0);
+    if ((incoming.lastGoalDate || '') > (merged.lastGoalDate || '')) {
+        merged.goalStreak = incoming.goalStreak;
+        merged.lastGoalDate = incoming.lastGoalDate;
+        merged.goalCredit = incoming.goalCredit ?? null;
+    }
+    merged.bestGoalStreak = Math.max(merged.bestGoalStreak || 0, incoming.bestGoalStreak || 0, merged.goalStreak || 0);
+    merged.vacations = mergeVacations(merged.vacations, incoming.vacations);
+    merged.freezeLog = mergeFreezeLogs(merged.freezeLog, incoming.freezeLog);
+
+    merged.achievements = mergeAchievements(merged.achievements, incoming.achievements);
+    merged.quests = mergeQuests(merged.quests, incoming.quests);
+
+    return rebalance(merged);
+}
+
+/**
+ * Merge two copies of one program that both grew from `base` — tabs on
+ * one device, where the revision both started from is known. Per record
+ * (term, course, week, lecture) the side that changed it since `base`
+ * wins, so unchecks and deletions carry over too; a record both sides
+ * changed goes to the side saved last (updatedAt). A deleted record
+ * comes back only if the other side changed it since.
+ *
+ * XP ledger days hold the entries of both sides, each once (entries are
+ * only ever added); the rest of the journal merges as in mergePrograms().
+ * Inputs are not mutated.
+ */
+export function mergeFromBase(base, current, incoming) {
+    const merged = mergePrograms(current, incoming);
+    const incomingNewer = (incoming.updatedAt || '') > (current.updatedAt || '');
+    merged.terms = mergeRecords(base.terms || [], current.terms, incoming.terms, 0, incomingNewer);
+
+    const inLedger = incoming.xpLedger || {};
+    merged.xpLedger = clone(current.xpLedger || {});
+    for (const [day, entries] of Object.entries(inLedger)) {
+        const list = merged.xpLedger[day] || (merged.xpLedger[day] = []);
+        const seen = new Set(list.map(e => JSON.stringify(e)));
+        for (const e of entries) if (!seen.has(JSON.stringify(e))) list.push(clone(e));
+        list.sort((x, y) => (x.at < y.at ? -1 : x.at > y.at ? 1 : 0));
+    }
+    for (const [day, list] of Object.entries(merged.xpLedger)) {
+        merged.xpHistory[day] = list.reduce((sum, e) => sum + e.delta, 0);
+    }
+
+    return rebalance(merged);
+}
+
+/** Recompute XP and rebalance: opening balance absorbs what the
+    merged history doesn't explain, so the books add up again */
+function rebalance(merged) {
+    merged.totalXP = recalculateTotalXP(merged);
+    merged.level = getLevel(merged.totalXP, levelCurveOf(merged));
+    merged.xpSources = xpBySource(merged);
+    merged.coreActions = coreActionCount(merged);
+    merged.xpOpeningBalance = (merged.xpOpeningBalance || 0) + merged.totalXP - ledgerBalance(merged);
+    return merged;
+}
+
+/* ─────────────────────────────────────────
+   TREE MERGE (mutates `target`, fills `report`)
+───────────────────────────────────────── */
+
+function mergeInto(target, incoming, report) {
+    const index = indexProgram(target);
+    for (const inTerm of incoming.terms || []) {
+        let term = index.terms.get(inTerm.termId);
+        if (term) conflictName(report, term.termName, 'termName', term, inTerm);
+        // A new term is only added once something in it has nowhere else to go
+        const termHome = () => term || (term = addTerm(target, inTerm, index, report));
+
+        for (const inCourse of inTerm.courses || []) {
+            let hit = index.courses.get(inCourse.courseId);
+            if (hit) conflictName(report, hit.path, 'courseName', hit.course, inCourse);
+            else if (inCourse.weeks.length === 0) hit = addCourse(termHome(), inCourse, index, report);
+            const courseHome = () => hit || (hit = addCourse(termHome(), inCourse, index, report));
+            let weeksHome = null;   // where matched weeks sit, for a course that matched nothing itself
+
+            for (const inWeek of inCourse.weeks) {
+                const found = index.weeks.get(inWeek.weekId);
+                if (found) {
+                    mergeWeek(found.week, inWeek, found.path, index, report);
+                    weeksHome = weeksHome || found.home;
+                    continue;
+                }
+                const home = courseHome();
+                const week = { ...clone(inWeek), lectures: [] };
+                home.course.weeks.push(week);
+                const path = `${home.path} › ${week.weekName}`;
+                index.weeks.set(week.weekId, { week, path, home });
+                report.added.weeks++;
+                mergeLectures(week, inWeek, path, index, report);
+            }
+            const graded = hit || weeksHome;
+            if (!graded.added) mergeGrades(graded.course, inCourse, graded.path, report);
+        }
+        if (inTerm.courses.length === 0) termHome();
+    }
+}
+
+/**
+ * Terms, courses, weeks and lectures of `program` by ID, program-wide:
+ * a week or lecture moved to another course or term (or a term re-created
+ * under a new ID on one device) still finds its match.
+ */
+function indexProgram(program) {
+    const index = { terms: new Map(), courses: new Map(), weeks: new Map(), lectures: new Map() };
+    for (const term of program.terms) {
+        index.terms.set(term.termId, term);
+        for (const course of term.courses) {
+            const home = { course, path: `${term.termName} › ${course.courseName}` };
+            index.courses.set(course.courseId, home);
+            for (const week of course.weeks) {
+                const wPath = `${home.path} › ${week.weekName}`;
+                index.weeks.set(week.weekId, { week, path: wPath, home });
+                for (const lec of week.lectures) {
+                    index.lectures.set(lec.lectureId, { lec, path: `${wPath} › ${lec.lectureName}` });
+                }
+            }
+        }
+    }
+    return index;
+}
+
+function addTerm(target, inTerm, index, report) {
+    const term = { ...clone(inTerm), courses: [] };
+    target.terms.push(term);
+    index.terms.set(term.termId, term);
+    report.added.terms++;
+    return term;
+}
+
+/** An empty copy of `inCourse` in `term`; its weeks are added as they turn out to be new */
+function addCourse(term, inCourse, index, report) {
+    const course = { ...clone(inCourse), weeks: [] };
+    term.courses.push(course);
+    const hit = { course, path: `${term.termName} › ${course.courseName}`, added: true };
+    index.courses.set(course.courseId, hit);
+    report.added.courses++;
+    return hit;
+}
+
+function mergeWeek(week, inWeek, path, index, report) {
+    conflictName(report, path, 'weekName', week, inWeek);
+    for (const f of WEEK_FLAGS) takeFlag(week, inWeek, f, report);
+    for (const a of ASSIGNMENTS) {
+        takeMax(week[a], inWeek[a], 'totalQuestions', report);
+        takeMax(week[a], inWeek[a], 'doneQuestions', report);
+    }
+    mergeLectures(week, inWeek, path, index, report);
+}
+
+/** Lectures found anywhere in the program are merged there; the rest join `week` */
+function mergeLectures(week, inWeek, path, index, report) {
+    for (const inLec of inWeek.lectures) {
+        const found = index.lectures.get(inLec.lectureId);
+        if (found) {
+            mergeLecture(found.lec, inLec, found.path, report);
+            continue;
+        }
+        const lec = clone(inLec);
+        week.lectures.push(lec);
+        index.lectures.set(lec.lectureId, { lec, path: `${path} › ${lec.lectureName}` });
+        report.added.lectures++;
+    }
+}
+
+function mergeLecture(lec, inLec, path, report) {
+    conflictName(report, path, 'lectureName', lec, inLec);
+    for (const f of LECTURE_FLAGS) takeFlag(lec, inLec, f, report);
+    for (const f of LECTURE_COUNTERS) takeMax(lec, inLec, f, report);
+    if ((inLec.revisions || []).length > (lec.revisions || []).length) lec.revisions = clone(inLec.revisions);
+
+    const mine = lec.notes || '', theirs = inLec.notes || '';
+    if (theirs && theirs !== mine) {
+        if (!mine) {
+            lec.notes = theirs;
+            lec.notesUpdatedAt = inLec.notesUpdatedAt || null;
+            report.progress++;
+        } else {
+            const incomingNewer = (inLec.notesUpdatedAt || '') > (lec.notesUpdatedAt || '');
+            report.conflicts.push({
+                path, field: 'notes', current: mine, incoming: theirs,
+                kept: incomingNewer ? 'incoming' : 'current'
+            });
+            if (incomingNewer) {
+                lec.notes = theirs;
+                lec.notesUpdatedAt = inLec.notesUpdatedAt;
+            }
+        }
+    }
+}
+
+/** Scores written on one side only are taken; different ones follow the newer edit */
+function mergeGrades(course, inCourse, path, report) {
+    const mine = course.grades, theirs = inCourse.grades;
+    if (!theirs) return;
+    if (!mine) { course.grades = clone(theirs); report.progress++; return; }
+
+    const incomingNewer = (theirs.updatedAt || '') > (mine.updatedAt || '');
+    const kept = incomingNewer ? 'incoming' : 'current';
+    for (const bag of ['scores', 'weekGA']) {
+        const target = mine[bag] || (mine[bag] = {});
+        for (const [key, v] of Object.entries(theirs[bag] || {})) {
+            if (v === null || v === undefined || v === target[key]) continue;
+            if (target[key] === null || target[key] === undefined) {
+                target[key] = v;
+                report.progress++;
+                continue;
+            }
+            const field = bag === 'scores' ? key : `GA ${course.weeks.find(w => w.weekId === key)?.weekName || key}`;
+            report.conflicts.push({ path, field, current: target[key], incoming: v, kept });
+            if (incomingNewer) target[key] = v;
+        }
+    }
+    for (const field of ['formula', 'eligibility', 'eligibilityWeeks']) {
+        if (theirs[field] === undefined || theirs[field] === mine[field]) continue;
+        report.conflicts.push({ path, field, current: mine[field], incoming: theirs[field], kept });
+        if (incomingNewer) mine[field] = theirs[field];
+    }
+    if (incomingNewer) mine.updatedAt = theirs.updatedAt;
+}
+
+/* ─────────────────────────────────────────
+   THREE-WAY TREE MERGE (mergeFromBase)
+───────────────────────────────────────── */
+
+const TREE_LEVELS = [['termId', 'courses'], ['courseId', 'weeks'], ['weekId', 'lectures'], ['lectureId', null]];
+
+/** One level of the tree: records in the newer side's order, the other side's additions after */
+function mergeRecords(base, mine, theirs, depth, incomingNewer) {
+    const idKey = TREE_LEVELS[depth][0];
+    const byId = list => new Map(list.map(r => [r[idKey], r]));
+    const b = byId(base), m = byId(mine), t = byId(theirs);
+    const out = [];
+    const seen = new Set();
+    for (const rec of incomingNewer ? [...theirs, ...mine] : [...mine, ...theirs]) {
+        const id = rec[idKey];
+        if (seen.has(id)) continue;
+        seen.add(id);
+        const merged = mergeRecord(b.get(id), m.get(id), t.get(id), depth, incomingNewer);
+        if (merged) out.push(merged);
+    }
+    return out;
+}
+
+/** A record from both sides and the base (either may be missing); null when it was deleted */
+function mergeRecord(base, mine, theirs, depth, incomingNewer) {
+    const childKey = TREE_LEVELS[depth][1];
+    if (!mine || !theirs) {
+        const only = mine || theirs;
+        return !base || recordKey(only) !== recordKey(base) ? clone(only) : null;
+    }
+    const own = r => recordKey(r, childKey);
+    const mineChanged = !base || own(mine) !== own(base);
+    const theirsChanged = !base || own(theirs) !== own(base);
+    const out = clone(theirsChanged && (!mineChanged || incomingNewer) ? theirs : mine);
+    if (childKey) out[childKey] = mergeRecords(base?.[childKey] || [], mine[childKey], theirs[childKey], depth + 1, incomingNewer);
+    return out;
+}
+
+/** A record as a string, without derived XP (and without `childKey`, its children) */
+function recordKey(record, childKey = null) {
+    return JSON.stringify(record, (k, v) => (k === 'xpEarned' || (childKey && k === childKey) ? undefined : v));
+}
+
+/* ── Field rules ── */
+
+function takeFlag(obj, inObj, field, report) {
+    if (inObj[field] && !obj[field]) { obj[field] = true; report.progress++; }
+}
+
+function takeMax(obj, inObj, field, report) {
+    const a = Number(obj[field]) || 0, b = Number(inObj[field]) || 0;
+    if (b > a) { obj[field] = b; report.progress++; }
+}
+
+function conflictName(report, path, field, obj, inObj) {
+    if (inObj[field] && inObj[field] !== obj[field]) {
+        report.conflicts.push({ path, field, current: obj[field], incoming: inObj[field], kept: 'current' });
+    }
+}
+
+/* ── Helpers ── */
+
+function emptyReport() {
+    return { added: { terms: 0, courses: 0, weeks: 0, lectures: 0 }, progress: 0, newDays: 0, conflicts: [] };
+}
+
+function clone(v) {
+    return JSON.parse(JSON.stringify(v));
+}
@@ -0,0 +1,182 @@
+/**
+ * merge.test.js — Unit tests for merging two programs
+ *
+ * Run with: node --test src/backup/merge.test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { diffPrograms, mergePrograms } from './merge.js';
+import { ledgerBalance } from '../../xpLedger.js';
+import { XP } from '../../xpEngine.js';
+
+/* ─── Factories ─── */
+
+function lec(id, overrides = {}) {
+    return { lectureId: id, lectureName: id, watched: false, memoryNote: false, finalNote: false,
+             activityTotal: 0, activityDone: 0, revisionCount: 0, notes: '', notesUpdatedAt: null,
+             xpEarned: 0, ...overrides };
+}
+
+function week(id, lectures = [], overrides = {}) {
+    return { weekId: id, weekName: id, lectures,
+             practiceAssignment: { totalQuestions: 0, doneQuestions: 0 },
+             gradedAssignment: { totalQuestions: 0, doneQuestions: 0 },
+             weeklyMemoryNote: false, weeklyFinalNote: false, weekCompleted: false, xpEarned: 0,
+             ...overrides };
+}
+
+function program(weeks, overrides = {}) {
+    return {
+        terms: [{ termId: 't1', termName: 'Jan 2026', xpEarned: 0,
+                  courses: [{ courseId: 'c1', courseName: 'Maths 1', xpEarned: 0, weeks }] }],
+        totalXP: 0, level: 1, streak: 0, bestStreak: 0, streakFreezes: 0, lastActiveDate: null,
+        xpHistory: {}, xpLedger: {}, xpOpeningBalance: 0, xpSources: null,
+        ...overrides,
+    };
+}
+
+const weeksOf = p => p.terms[0].courses[0].weeks;
+
+/* ─── mergePrograms ─── */
+
+test('mergePrograms: furthest progress wins per checkbox and counter', () => {
+    const phone = program([week('w1', [lec('l1', { watched: true, activityTotal: 5, activityDone: 2 })])]);
+    const laptop = program([week('w1', [lec('l1', { memoryNote: true, activityTotal: 5, activityDone: 4, revisionCount: 1 })])]);
+    const m = mergePrograms(phone, laptop);
+    const l = weeksOf(m)[0].lectures[0];
+    assert.equal(l.watched, true);
+    assert.equal(l.memoryNote, true);
+    assert.equal(l.activityDone, 4);
+    assert.equal(l.revisionCount, 1);
+    assert.equal(m.totalXP, XP.LECTURE_WATCH + XP.LECTURE_MEMORY + 4 * XP.LECTURE_ACTIVITY + XP.LECTURE_REVISION);
+});
+
+test('mergePrograms: the longer revision log goes with the larger revision count', () => {
+    const phone = program([week('w1', [lec('l1', { revisionCount: 1, revisions: [{ on: '2026-03-01', quality: 4 }] })])]);
+    const laptop = program([week('w1', [lec('l1', { revisionCount: 2, revisions: [{ on: '2026-03-01', quality: 4 }, { on: '2026-03-02', quality: 5 }] })])]);
+    const l = weeksOf(mergePrograms(phone, laptop))[0].lectures[0];
+    assert.equal(l.revisionCount, 2);
+    assert.deepEqual(l.revisions.map(r => r.on), ['2026-03-01', '2026-03-02']);
+    assert.notEqual(l.revisions, weeksOf(laptop)[0].lectures[0].revisions);
+});
+
+test('mergePrograms: weeks and lectures on only one side are kept', () => {
+    const a = program([week('w1', [lec('l1')])]);
+    const b = program([week('w1', [lec('l2')]), week('w2')]);
+    const m = mergePrograms(a, b);
+    assert.deepEqual(weeksOf(m).map(w => w.weekId), ['w1', 'w2']);
+    assert.deepEqual(weeksOf(m)[0].lectures.map(l => l.lectureId), ['l1', 'l2']);
+});
+
+test('mergePrograms: weeks and lectures match by ID across terms and courses', () => {
+    const a = program([week('w1', [lec('l1', { watched: true })])]);
+    a.terms[0].termId = 't_a';
+    const b = program([week('w1', [lec('l1', { memoryNote: true })])]);
+    b.terms[0].termId = 't_b';
+
+    const m = mergePrograms(a, b);
+    assert.deepEqual(m.terms.map(t => t.courses.map(c => c.weeks.map(w => w.weekId))), [[['w1']]]);
+    assert.deepEqual([weeksOf(m)[0].lectures[0].watched, weeksOf(m)[0].lectures[0].memoryNote], [true, true]);
+
+    // A lecture moved to another week, and a new week in a re-created term and course
+    b.terms[0].courses[0].courseId = 'c_b';
+    b.terms[0].courses[0].weeks = [week('w2', [lec('l1', { finalNote: true }), lec('l2')])];
+    const d = diffPrograms(a, b);
+    assert.deepEqual(d.added, { terms: 1, courses: 1, weeks: 1, lectures: 1 });
+    const m2 = mergePrograms(a, b);
+    assert.deepEqual(m2.terms.map(t => t.termId), ['t_a', 't_b']);
+    assert.deepEqual(m2.terms[1].courses[0].weeks[0].lectures.map(l => l.lectureId), ['l2']);
+    assert.equal(weeksOf(m2)[0].lectures[0].finalNote, true);
+});
+
+test('mergePrograms: newer non-empty notes win, empty notes never overwrite', () => {
+    const a = program([week('w1', [
+        lec('l1', { notes: 'old', notesUpdatedAt: '2026-01-01T00:00:00Z' }),
+        lec('l2', { notes: 'keep me', notesUpdatedAt: '2026-01-05T00:00:00Z' }),
+    ])]);
+    const b = program([week('w1', [
+        lec('l1', { notes: 'new', notesUpdatedAt: '2026-01-02T00:00:00Z' }),
+        lec('l2', { notes: '', notesUpdatedAt: '2026-02-01T00:00:00Z' }),
+    ])]);
+    const [l1, l2] = weeksOf(mergePrograms(a, b))[0].lectures;
+    assert.equal(l1.notes, 'new');
+    assert.equal(l2.notes, 'keep me');
+});
+
+test('mergePrograms: xpHistory is a union of days and the books balance', () => {
+    const a = program([week('w1', [lec('l1', { watched: true })])],
+        { xpHistory: { '2026-01-01': 5 }, totalXP: 5 });
+    const b = program([week('w1', [lec('l1', { memoryNote: true })])],
+        { xpHistory: { '2026-01-01': 3, '2026-01-02': 7 }, totalXP: 7 });
+    const m = mergePrograms(a, b);
+    assert.deepEqual(m.xpHistory, { '2026-01-01': 5, '2026-01-02': 7 });
+    assert.equal(ledgerBalance(m), m.totalXP);
+});
+
+test('mergePrograms: streak comes from the most recently active side', () => {
+    const a = program([], { streak: 9, bestStreak: 12, lastActiveDate: '2026-01-05' });
+    const b = program([], { streak: 3, bestStreak: 3, lastActiveDate: '2026-01-08' });
+    const m = mergePrograms(a, b);
+    assert.equal(m.streak, 3);
+    assert.equal(m.lastActiveDate, '2026-01-08');
+    assert.equal(m.bestStreak, 12);
+});
+
+test('mergePrograms: goal streak from the side that met its goal last, best of both', () => {
+    const a = program([], { goalStreak: 2, bestGoalStreak: 9, lastGoalDate: '2026-01-08' });
+    const b = program([], { goalStreak: 5, bestGoalStreak: 5, lastGoalDate: '2026-01-06' });
+    const m = mergePrograms(a, b);
+    assert.deepEqual([m.goalStreak, m.bestGoalStreak, m.lastGoalDate], [2, 9, '2026-01-08']);
+});
+
+test('mergePrograms: vacations and freeze ledgers are united', () => {
+    const earned = { at: '2026-01-03T10:00:00.000Z', on: '2026-01-03', delta: 1, reason: 'earned', weekName: 'Week 1' };
+    const spent = { at: '2026-01-07T08:00:00.000Z', on: '2026-01-07', delta: -1, reason: 'spent', days: ['2026-01-06'] };
+    const a = program([], { vacations: [{ from: '2026-02-01', to: '2026-02-05' }], freezeLog: [earned] });
+    const b = program([], { vacations: [{ from: '2026-02-03', to: '2026-02-08' }, { from: '2026-03-01', to: '2026-03-02' }], freezeLog: [earned, spent] });
+    const m = mergePrograms(a, b);
+    assert.deepEqual(m.vacations, [{ from: '2026-02-01', to: '2026-02-05' }, { from: '2026-03-01', to: '2026-03-02' }]);
+    assert.deepEqual(m.freezeLog, [earned, spent]);
+});
+
+test('mergePrograms: course grades — one-sided scores are kept, differences follow the newer edit', () => {
+    const grades = (scores, updatedAt, more = {}) => ({ scores, weekGA: {}, formula: 'F', eligibility: '', eligibilityWeeks: 4, updatedAt, ...more });
+    const a = program([week('w1')]);
+    const b = program([week('w1')]);
+    a.terms[0].courses[0].grades = grades({ Qz1: 60, Qz2: null }, '2026-03-01T10:00:00.000Z', { weekGA: { w1: 80 } });
+    b.terms[0].courses[0].grades = grades({ Qz1: 65, Qz2: 70 }, '2026-03-02T10:00:00.000Z', { formula: '0.5·F + 0.5·Qz2' });
+
+    const m = mergePrograms(a, b).terms[0].courses[0].grades;
+    assert.deepEqual(m.scores, { Qz1: 65, Qz2: 70 });
+    assert.deepEqual([m.weekGA, m.formula, m.updatedAt], [{ w1: 80 }, '0.5·F + 0.5·Qz2', '2026-03-02T10:00:00.000Z']);
+
+    const diff = diffPrograms(b, a);   // current is newer: its values stay
+    assert.deepEqual(diff.conflicts.map(c => [c.field, c.kept]), [['Qz1', 'current'], ['formula', 'current']]);
+});
+
+test('mergePrograms: inputs are not mutated', () => {
+    const a = program([week('w1', [lec('l1')])]);
+    const b = program([week('w1', [lec('l1', { watched: true })])]);
+    const before = JSON.stringify(a);
+    mergePrograms(a, b);
+    assert.equal(JSON.stringify(a), before);
+});
+
+/* ─── diffPrograms ─── */
+
+test('diffPrograms: counts additions, progress, new days and conflicts', () => {
+    const a = program([week('w1', [lec('l1', { notes: 'mine' })])], { xpHistory: { '2026-01-01': 1 } });
+    const b = program([
+        week('w1', [lec('l1', { lectureName: 'Renamed', notes: 'theirs', watched: true }), lec('l2')]),
+        week('w2', [lec('l3')]),
+    ], { xpHistory: { '2026-01-01': 1, '2026-01-02': 4 } });
+
+    const d = diffPrograms(a, b);
+    assert.deepEqual(d.added, { terms: 0, courses: 0, weeks: 1, lectures: 2 });
+    assert.equal(d.progress, 1);
+    assert.equal(d.newDays, 1);
+    assert.deepEqual(d.conflicts.map(c => c.field).sort(), ['lectureName', 'notes']);
+    assert.equal(weeksOf(a)[0].lectures.length, 1, 'diff must not change current');
+});
@@ -0,0 +1,148 @@
+/**
+ * src/backup/reports.js — Human-Readable Progress Exports
+ *
+ * Pure functions only. No DOM, no storage. They return strings;
+ * storage.js downloads them (exportCSV / exportReport).
+ *
+ *   programToCSV(program)       — one row per lecture, opens in any spreadsheet
+ *   programToMarkdown(program)  — study report: per-week progress, assignments
+ *                                 and every lecture's notes, grouped by course
+ *
+ * Both cover every term and course. XP is recomputed from the data, so the
+ * numbers match what the app shows even for an unsaved program.
+ */
+
+import { localDayKey } from '../../dateService.js';
+import { calcLectureXP, weekXPBreakdown, questXPBreakdown, weekProgress, weeksProgress, isWeekCoreComplete } from '../../xpEngine.js';
+
+export const CSV_COLUMNS = [
+    'Term', 'Course', 'Week', 'Lecture', 'Watched (W)', 'Memory Note (M)', 'Final Note (F)',
+    'Activity done', 'Activity total', 'Revisions', 'XP',
+];
+
+/* ─────────────────────────────────────────
+   CSV
+───────────────────────────────────────── */
+
+/**
+ * RFC 4180 CSV with a header row and CRLF line ends. Starts with a BOM so
+ * Excel reads it as UTF-8. Weeks without lectures get one row with the
+ * lecture columns empty, so they don't vanish from the sheet.
+ */
+export function programToCSV(program) {
+    const rows = [CSV_COLUMNS];
+    for (const term of program.terms) {
+        for (const course of term.courses) {
+            for (const week of course.weeks) {
+                const where = [term.termName, course.courseName, week.weekName];
+                if (week.lectures.length === 0) {
+                    rows.push([...where, '', '', '', '', '', '', '', '']);
+                    continue;
+                }
+                for (const lec of week.lectures) {
+                    rows.push([
+                        ...where, lec.lectureName,
+                        yesNo(lec.watched), yesNo(lec.memoryNote), yesNo(lec.finalNote),
+                        lec.activityDone || 0, lec.activityTotal || 0, lec.revisionCount || 0,
+                        calcLectureXP(lec, program.xpRules),
+                    ]);
+                }
+            }
+        }
+    }
+    return '\uFEFF' + rows.map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function yesNo(flag) { return flag ? 'Y' : 'N'; }
+
+/**
+ * Quote a cell when needed. Text starting with = + - @ is prefixed with
+ * an apostrophe so a spreadsheet shows it instead of running it as a formula.
+ */
+function csvCell(value) {
+    let s = String(value ?? '');
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/* ─────────────────────────────────────────
+   MARKDOWN
+───────────────────────────────────────── */
+
+/**
+ * @param {Object} program
+ * @param {Object} opts
+ *   title — report heading (e.g. the profile name)
+ *   date  — Date the report is for (default: now)
+ */
+export function programToMarkdown(program, { title = 'Study report', date = new Date() } = {}) {
+    const out = [];
+    out.push(`# ${inline(title)}`);
+    out.push('');
+    out.push(`_${localDayKey(date)} · ${program.totalXP || 0} XP · Level ${program.level || 1} · ` +
+             `🔥 ${program.streak || 0}-day streak_`);
+    const quests = questXPBreakdown(program);
+    if (quests.completed > 0) {
+        out.push('');
+        out.push(`Quest bonus: **${quests.total} XP** from ${quests.completed} quests ` +
+                 `(daily ${quests.dailyXP} XP · weekly ${quests.weeklyXP} XP) — not part of any week below`);
+    }
+
+    for (const term of program.terms) {
+        for (const course of term.courses) {
+            out.push('');
+            out.push(`## ${inline(term.termName)} › ${inline(course.courseName)}`);
+            out.push('');
+            if (course.weeks.length === 0) {
+                out.push('_No weeks yet._');
+                continue;
+            }
+            out.push(`Overall progress: **${pct(weeksProgress(course.weeks))}**`);
+            for (const week of course.weeks) out.push('', ...weekSection(week, program.xpRules));
+        }
+    }
+    return out.join('\n') + '\n';
+}
+
+function weekSection(week, rules) {
+    const xp = weekXPBreakdown(week, rules).total;
+    const status = week.weekCompleted ? ' ✅' : isWeekCoreComplete(week) ? ' (core done)' : '';
+    const lines = [`### ${inline(week.weekName)} — ${pct(weekProgress(week))} · ${xp} XP${status}`, ''];
+
+    if (week.lectures.length > 0) {
+        lines.push('| Lecture | W | M | F | Activity | Revisions | XP |');
+        lines.push('|---|:-:|:-:|:-:|:-:|:-:|--:|');
+        for (const lec of week.lectures) {
+            lines.push(`| ${cell(lec.lectureName)} | ${tick(lec.watched)} | ${tick(lec.memoryNote)} | ${tick(lec.finalNote)} | ` +
+                       `${lec.activityDone || 0}/${lec.activityTotal || 0} | ${lec.revisionCount || 0} | ${calcLectureXP(lec, rules)} |`);
+        }
+        lines.push('');
+    } else {
+        lines.push('_No lectures yet._', '');
+    }
+
+    const pa = week.practiceAssignment, ga = week.gradedAssignment;
+    lines.push(`- Practice assignment: ${pa.doneQuestions}/${pa.totalQuestions} questions`);
+    lines.push(`- Graded assignment: ${ga.doneQuestions}/${ga.totalQuestions} questions`);
+    lines.push(`- Weekly memory note ${tick(week.weeklyMemoryNote)} · Weekly final note ${tick(week.weeklyFinalNote)}`);
+
+    const noted = week.lectures.filter(l => (l.notes || '').trim());
+    if (noted.length > 0) {
+        lines.push('', '**Notes**');
+        for (const lec of noted) {
+            lines.push('', `_${inline(lec.lectureName)}_`, '');
+            for (const line of lec.notes.trim().split(/\r?\n/)) lines.push(`> ${line}`);
+        }
+    }
+    return lines;
+}
+
+function tick(flag) { return flag ? '✓' : '·'; }
+
+function pct(fraction) { return `${Math.round(fraction * 100)}%`; }
+
+/** Text for a table cell: no pipes or line breaks */
+function cell(text) { return inline(text).replace(/\|/g, '\\|'); }
+
+/** Text for a heading or emphasis: one line */
+function inline(text) { return String(text ?? '').replace(/\s*\r?\n\s*/g, ' '); }
@@ -0,0 +1,116 @@
+/**
+ * reports.test.js — Unit tests for CSV and Markdown progress exports
+ *
+ * Run with: node --test src/backup/reports.test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { programToCSV, programToMarkdown, CSV_COLUMNS } from './reports.js';
+import { XP } from '../../xpEngine.js';
+
+/* ─── Factories ─── */
+
+function lec(id, overrides = {}) {
+    return { lectureId: id, lectureName: id, watched: false, memoryNote: false, finalNote: false,
+             activityTotal: 0, activityDone: 0, revisionCount: 0, notes: '', notesUpdatedAt: null,
+             xpEarned: 0, ...overrides };
+}
+
+function week(name, lectures = [], overrides = {}) {
+    return { weekId: name, weekName: name, lectures,
+             practiceAssignment: { totalQuestions: 0, doneQuestions: 0 },
+             gradedAssignment: { totalQuestions: 0, doneQuestions: 0 },
+             weeklyMemoryNote: false, weeklyFinalNote: false, weekCompleted: false, xpEarned: 0,
+             ...overrides };
+}
+
+function program(weeks) {
+    return {
+        terms: [{ termId: 't1', termName: 'Jan 2026', xpEarned: 0,
+                  courses: [{ courseId: 'c1', courseName: 'Maths 1', xpEarned: 0, weeks }] }],
+        totalXP: 0, level: 1, streak: 3,
+    };
+}
+
+/** Split CSV into rows of cells — enough for these tests (handles quotes, no embedded CRLF) */
+function parseCSV(text) {
+    return text.replace(/^﻿/, '').trimEnd().split('\r\n').map(line => {
+        const cells = [];
+        let cur = '', quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const c = line[i];
+            if (quoted) {
+                if (c === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+                else if (c === '"') quoted = false;
+                else cur += c;
+            } else if (c === '"') quoted = true;
+            else if (c === ',') { cells.push(cur); cur = ''; }
+            else cur += c;
+        }
+        cells.push(cur);
+        return cells;
+    });
+}
+
+/* ─── CSV ─── */
+
+test('CSV has a header and one row per lecture', () => {
+    const p = program([
+        week('Week 1', [lec('Intro', { watched: true, memoryNote: true, activityTotal: 4, activityDone: 3, revisionCount: 2 })]),
+        week('Week 2', [lec('Sets'), lec('Logic', { finalNote: true })]),
+    ]);
+    const rows = parseCSV(programToCSV(p));
+    assert.deepEqual(rows[0], CSV_COLUMNS);
+    assert.equal(rows.length, 4);
+    const xp = XP.LECTURE_WATCH + XP.LECTURE_MEMORY + 3 * XP.LECTURE_ACTIVITY + 2 * XP.LECTURE_REVISION;
+    assert.deepEqual(rows[1], ['Jan 2026', 'Maths 1', 'Week 1', 'Intro', 'Y', 'Y', 'N', '3', '4', '2', String(xp)]);
+    assert.deepEqual(rows[3].slice(2, 7), ['Week 2', 'Logic', 'N', 'N', 'Y']);
+});
+
+test('CSV starts with a BOM and uses CRLF', () => {
+    const csv = programToCSV(program([week('W', [lec('L')])]));
+    assert.ok(csv.startsWith('﻿'));
+    assert.equal(csv.split('\r\n').length, 3);
+});
+
+test('CSV quotes commas and quotes, and defuses formulas', () => {
+    const p = program([week('Week 1', [lec('Limits, "intro"'), lec('=HYPERLINK("x")')])]);
+    const rows = parseCSV(programToCSV(p));
+    assert.equal(rows[1][3], 'Limits, "intro"');
+    assert.equal(rows[2][3], '\'=HYPERLINK("x")');
+});
+
+test('weeks without lectures still get a row', () => {
+    const rows = parseCSV(programToCSV(program([week('Empty week')])));
+    assert.equal(rows.length, 2);
+    assert.equal(rows[1][2], 'Empty week');
+    assert.equal(rows[1][3], '');
+});
+
+/* ─── Markdown ─── */
+
+test('report shows per-week progress, assignments and notes', () => {
+    const p = program([
+        week('Week 1', [lec('Intro', { watched: true, memoryNote: true, finalNote: true, notes: 'Key idea\nSecond line' })],
+             { practiceAssignment: { totalQuestions: 10, doneQuestions: 7 }, weekCompleted: true }),
+    ]);
+    const md = programToMarkdown(p, { title: 'Study report — Asha', date: new Date('2026-03-02T10:00:00Z') });
+    assert.match(md, /^# Study report — Asha\n/);
+    assert.match(md, /_2026-03-02 · 0 XP · Level 1 · 🔥 3-day streak_/);
+    assert.match(md, /## Jan 2026 › Maths 1/);
+    assert.match(md, /### Week 1 — 67% · \d+ XP ✅/);
+    assert.match(md, /\| Intro \| ✓ \| ✓ \| ✓ \| 0\/0 \| 0 \| \d+ \|/);
+    assert.match(md, /- Practice assignment: 7\/10 questions/);
+    assert.match(md, /> Key idea\n> Second line/);
+});
+
+test('pipes in names do not break the table', () => {
+    const md = programToMarkdown(program([week('W', [lec('a | b')])]));
+    assert.match(md, /\| a \\\| b \|/);
+});
+
+test('courses without weeks are listed as empty', () => {
+    assert.match(programToMarkdown(program([])), /_No weeks yet._/);
+});
@@ -0,0 +1,91 @@
+/**
+ * src/backup/salvage.js — Best-Effort Recovery of Damaged JSON
+ *
+ * Pure functions only. No DOM, no storage.
+ *
+ * Damaged saves are almost always cut off (tab killed mid-write, disk
+ * full) or have junk at the end. salvageJSON() keeps the longest prefix
+ * that can be turned back into valid JSON:
+ *
+ *   1. Scan once, tracking strings and the stack of open { / [.
+ *      Remember every "safe cut": right after a closing bracket, right
+ *      before a comma, or right after an object's / the root's opening
+ *      bracket — places where everything before is complete.
+ *   2. Cut at a safe point and append the closers still open there.
+ *   3. Binary-search for the LAST safe point whose result parses, so junk
+ *      in the middle costs only what comes after it.
+ *
+ * Whatever was after the cut is lost; callers should say so.
+ */
+
+const CLOSERS = { '{': '}', '[': ']' };
+
+/**
+ * @param {string} text
+ * @returns {{ ok: true, value, dropped: number } | { ok: false, error: string }}
+ *   `dropped` — characters of the input that were not used (0 if it parsed as is)
+ */
+export function salvageJSON(text) {
+    if (typeof text !== 'string') return { ok: false, error: 'Nothing to recover.' };
+    try {
+        return { ok: true, value: JSON.parse(text), dropped: 0 };
+    } catch { /* fall through to salvage */ }
+
+    const start = text.indexOf('{');
+    if (start < 0) return { ok: false, error: 'No JSON object found in the data.' };
+
+    const cuts = safeCuts(text, start);
+    let lo = 0, hi = cuts.length - 1, best = null;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        const { at, open } = cuts[mid];
+        const value = tryParse(text.slice(start, at) + closersFor(open));
+        if (value !== undefined) { best = { value, at }; lo = mid + 1; }
+        else hi = mid - 1;
+    }
+
+    if (!best) return { ok: false, error: 'The data is too damaged to recover.' };
+    return { ok: true, value: best.value, dropped: text.length - best.at };
+}
+
+/** Every safe cut from `start` on: [{ at, open }] — `open` is the bracket stack there */
+function safeCuts(text, start) {
+    const cuts = [];
+    const stack = [];
+    let inString = false, escaped = false;
+
+    for (let i = start; i < text.length; i++) {
+        const c = text[i];
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (c === '\\') escaped = true;
+            else if (c === '"') inString = false;
+            continue;
+        }
+        if (c === '"') inString = true;
+        else if (c === '{' || c === '[') {
+            // Inside a list, cutting here would leave an empty item behind;
+            // the cut before the preceding comma covers it instead
+            const inList = stack[stack.length - 1] === '[';
+            stack.push(c);
+            if (!inList) cuts.push({ at: i + 1, open: stack.join('') });
+        } else if (c === '}' || c === ']') {
+            stack.pop();
+            cuts.push({ at: i + 1, open: stack.join('') });
+            if (stack.length === 0) break;   // top-level value complete; the rest is junk
+        } else if (c === ',') {
+            cuts.push({ at: i, open: stack.join('') });
+        }
+    }
+    return cuts;
+}
+
+function closersFor(open) {
+    let out = '';
+    for (let i = open.length - 1; i >= 0; i--) out += CLOSERS[open[i]];
+    return out;
+}
+
+function tryParse(text) {
+    try { return JSON.parse(text); } catch { return undefined; }
+}
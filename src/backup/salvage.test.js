@@ -0,0 +1,63 @@
+/**
+ * salvage.test.js — Unit tests for best-effort JSON recovery
+ *
+ * Run with: node --test src/backup/salvage.test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { salvageJSON } from './salvage.js';
+
+const SAVED = JSON.stringify({
+    schemaVersion: 7,
+    terms: [{ termId: 't1', courses: [{ courseId: 'c1', weeks: [
+        { weekId: 'w1', weekName: 'Week 1', lectures: [{ lectureId: 'l1', notes: 'a "quoted" note, with {braces}' }] },
+        { weekId: 'w2', weekName: 'Week 2', lectures: [{ lectureId: 'l2' }, { lectureId: 'l3' }] },
+    ] }] }],
+    totalXP: 55,
+});
+
+test('valid JSON comes back untouched', () => {
+    const r = salvageJSON(SAVED);
+    assert.equal(r.ok, true);
+    assert.equal(r.dropped, 0);
+    assert.deepEqual(r.value, JSON.parse(SAVED));
+});
+
+test('a cut-off save keeps everything before the cut', () => {
+    const cut = SAVED.indexOf('"l3"') + 2;      // inside the last lecture id
+    const r = salvageJSON(SAVED.slice(0, cut));
+    assert.equal(r.ok, true);
+    const weeks = r.value.terms[0].courses[0].weeks;
+    assert.equal(weeks.length, 2);
+    assert.deepEqual(weeks[1].lectures.map(l => l.lectureId), ['l2']);
+    assert.equal(weeks[0].lectures[0].notes, 'a "quoted" note, with {braces}');
+    assert.ok(r.dropped > 0);
+});
+
+test('a cut inside a string with brackets is handled', () => {
+    const cut = SAVED.indexOf('{braces}') + 3;
+    const r = salvageJSON(SAVED.slice(0, cut));
+    assert.equal(r.ok, true);
+    assert.equal(r.value.terms[0].courses[0].weeks[0].weekName, 'Week 1');
+});
+
+test('junk after the object is dropped', () => {
+    const r = salvageJSON(SAVED + '\u0000\u0000garbage}');
+    assert.equal(r.ok, true);
+    assert.equal(r.value.totalXP, 55);
+    assert.equal(r.dropped, '\u0000\u0000garbage}'.length);
+});
+
+test('junk in the middle keeps the part before it', () => {
+    const at = SAVED.indexOf('{"weekId":"w2"');
+    const r = salvageJSON(SAVED.slice(0, at) + '\u0000@@' + SAVED.slice(at));
+    assert.equal(r.ok, true);
+    assert.equal(r.value.terms[0].courses[0].weeks.length, 1);
+});
+
+test('hopeless input is reported', () => {
+    assert.equal(salvageJSON('no json here').ok, false);
+    assert.equal(salvageJSON(null).ok, false);
+});
@@ -0,0 +1,574 @@
+/**
+ * src/backup/schema.js — Backup Structure Validation
+ *
+ * Pure functions only. No DOM, no storage.
+ *
+ * validateBackup() walks a parsed backup BEFORE migration, so every path
+ * it reports matches the file the user picked, e.g.
+ *
+ *   weeks[3].lectures[1].activityDone must be a number
+ *   terms[0].courses[2].weeks[0].practiceAssignment must be an object
+ *
+ * The expected layout follows the file's schemaVersion: flat `weeks`
+ * below v5, `terms` → `courses` → `weeks` from v5. A field added in a
+ * later version (`since`) may be missing from an older file — the
+ * migrations in storage.js add it, so it is not reported here.
+ *
+ * Safe issues are repaired in place and listed in `repairs`:
+ *   missing fields → their default       "3" → 3, "true" → true
+ *   negative / fractional counts → 0 / rounded
+ *   done > total → clamped               duplicate IDs → a new ID
+ *   unknown activeCourseId → first course, bad history days → dropped
+ *   settings out of range → their default (same rules as UPDATE_SETTING)
+ * Anything else (wrong kinds of values, lists that aren't lists, files
+ * from a newer app version) is an error and blocks the import.
+ */
+
+import { STREAK_RULES, MAX_STREAK_MIN_XP, LEVEL_CURVES, MAX_LEVEL_TABLE } from '../../xpEngine.js';
+import { validDailyGoals } from '../../dailyGoal.js';
+import { MAX_DAY_START_HOUR } from '../../dateService.js';
+import { MAX_UNDO_DEPTH } from '../../undoHistory.js';
+import { MAX_SNAPSHOT_KEEP } from '../storage/snapshots.js';
+import { SYNC_POLICIES } from '../storage/tabSync.js';
+
+/* ── Field specs per level ──
+   type:     'id' | 'string' | 'boolean' | 'count' | 'integer' | 'number' | 'date' | 'timestamp'
+   fallback: value used when a string field is missing
+   since:    schema version that introduced the field
+   optional: null / missing is fine
+   required: missing is an error, not a repair */
+
+const PROGRAM_FIELDS = {
+    totalXP:        { type: 'count', required: true },
+    xpOpeningBalance: { type: 'integer', since: 6 },
+    streak:         { type: 'count' },
+    bestStreak:     { type: 'count', since: 3 },
+    streakFreezes:  { type: 'count', since: 4 },
+    lastActiveDate: { type: 'date', optional: true },
+    goalStreak:     { type: 'count', since: 14 },
+    bestGoalStreak: { type: 'count', since: 14 },
+    lastGoalDate:   { type: 'date', optional: true },
+};
+
+const TERM_FIELDS = {
+    termId:   { type: 'id', prefix: 't' },
+    termName: { type: 'string', fallback: 'Untitled term' },
+};
+
+const COURSE_FIELDS = {
+    courseId:   { type: 'id', prefix: 'c' },
+    courseName: { type: 'string', fallback: 'Untitled course' },
+};
+
+const WEEK_FIELDS = {
+    weekId:           { type: 'id', prefix: 'w' },
+    weekName:         { type: 'string', fallback: 'Untitled week' },
+    weeklyMemoryNote: { type: 'boolean' },
+    weeklyFinalNote:  { type: 'boolean' },
+    weekCompleted:    { type: 'boolean' },
+};
+
+const ASSIGNMENT_FIELDS = {
+    totalQuestions: { type: 'count' },
+    doneQuestions:  { type: 'count' },
+};
+
+const LECTURE_FIELDS = {
+    lectureId:      { type: 'id', prefix: 'l' },
+    lectureName:    { type: 'string', fallback: 'Untitled lecture' },
+    watched:        { type: 'boolean' },
+    memoryNote:     { type: 'boolean' },
+    finalNote:      { type: 'boolean' },
+    activityTotal:  { type: 'count' },
+    activityDone:   { type: 'count' },
+    revisionCount:  { type: 'count', since: 2 },
+    notes:          { type: 'string', fallback: '', since: 3 },
+    notesUpdatedAt: { type: 'timestamp', optional: true },
+};
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const wholeIn = (min, max) => v => Number.isInteger(v) && v >= min && v <= max;
+
+/** Allowed values per setting (v7). Unknown keys are left alone. */
+const SETTING_CHECKS = {
+    undoDepth:    wholeIn(1, MAX_UNDO_DEPTH),
+    syncPolicy:   v => SYNC_POLICIES.includes(v),
+    snapshotKeep: wholeIn(1, MAX_SNAPSHOT_KEEP),
+    levelCurve:   v => Object.hasOwn(LEVEL_CURVES, v),
+    levelTable:   v => Array.isArray(v) && v.length <= MAX_LEVEL_TABLE &&
+                       v.every((n, i) => Number.isInteger(n) && n > 0 && (i === 0 || n > v[i - 1])),
+    dayStartHour: wholeIn(0, MAX_DAY_START_HOUR),
+    streakRule:   v => Object.hasOwn(STREAK_RULES, v),
+    streakMinXP:  wholeIn(1, MAX_STREAK_MIN_XP),
+    dailyGoals:   validDailyGoals,
+};
+
+/** Whether `value` is allowed for settings[key] — unknown keys always are */
+export function validSetting(key, value) {
+    const check = SETTING_CHECKS[key];
+    return !check || check(value);
+}
+
+/**
+ * Validate (and repair) a parsed backup in place.
+ *
+ * @param {*} data — result of JSON.parse, backupMeta already removed
+ * @param {Object} opts
+ *   schemaVersion — newest version this app understands
+ *   newId(prefix) — ID generator for missing / duplicate IDs
+ * @returns {{ ok: boolean, version: number,
+ *             errors: [{ path, message }], repairs: [{ path, message }] }}
+ */
+export function validateBackup(data, { schemaVersion, newId = defaultId } = {}) {
+    const ctx = {
+        version: 0, newId, errors: [], repairs: [],
+        seen: { termId: new Set(), courseId: new Set(), weekId: new Set(), lectureId: new Set() },
+    };
+
+    if (!isObject(data)) {
+        error(ctx, '(file)', 'must be a JSON object — this is not an IIT Learn backup');
+        return result(ctx);
+    }
+
+    /* Version decides the expected layout */
+    const v = data.schemaVersion;
+    if (v !== undefined && (!Number.isInteger(v) || v < 0)) {
+        error(ctx, 'schemaVersion', 'must be a whole number');
+        return result(ctx);
+    }
+    if (v > schemaVersion) {
+        error(ctx, 'schemaVersion', `is ${v}, but this app only understands up to ${schemaVersion} — update the app first`);
+        return result(ctx);
+    }
+    ctx.version = v || 0;
+
+    if (!('terms' in data) && !('weeks' in data)) {
+        error(ctx, 'terms', 'is missing — this is not an IIT Learn backup');
+        return result(ctx);
+    }
+    if (ctx.version >= 5 && !('terms' in data)) error(ctx, 'terms', `is required in schema v${ctx.version}`);
+    if (ctx.version > 0 && ctx.version < 5 && !('weeks' in data)) error(ctx, 'weeks', `is required in schema v${ctx.version}`);
+
+    checkFields(data, PROGRAM_FIELDS, '', ctx);
+
+    if ('terms' in data) {
+        eachItem(data, 'terms', '', ctx, (term, p) => {
+            checkFields(term, TERM_FIELDS, p, ctx);
+            eachItem(term, 'courses', p, ctx, (course, cp) => {
+                checkFields(course, COURSE_FIELDS, cp, ctx);
+                eachItem(course, 'weeks', cp, ctx, (week, wp) => checkWeek(week, wp, ctx));
+                checkGrades(course, cp, ctx);
+            });
+        });
+        checkActiveCourse(data, ctx);
+    } else {
+        eachItem(data, 'weeks', '', ctx, (week, wp) => checkWeek(week, wp, ctx));
+    }
+
+    checkHistory(data, ctx);
+    checkLedger(data, ctx);
+    checkSettings(data, ctx);
+    checkXPRules(data, ctx);
+    checkAchievements(data, ctx);
+    checkQuests(data, ctx);
+    checkStreakProtection(data, ctx);
+
+    return result(ctx);
+}
+
+/* ─────────────────────────────────────────
+   LEVELS
+───────────────────────────────────────── */
+
+function checkWeek(week, path, ctx) {
+    checkFields(week, WEEK_FIELDS, path, ctx);
+    for (const key of ['practiceAssignment', 'gradedAssignment']) {
+        const p = join(path, key);
+        if (week[key] === undefined || week[key] === null) {
+            week[key] = { totalQuestions: 0, doneQuestions: 0 };
+            repair(ctx, p, 'was missing — set to 0 / 0 questions');
+            continue;
+        }
+        if (!isObject(week[key])) { error(ctx, p, 'must be an object'); continue; }
+        checkFields(week[key], ASSIGNMENT_FIELDS, p, ctx);
+        clampDone(week[key], 'doneQuestions', 'totalQuestions', p, ctx);
+    }
+    eachItem(week, 'lectures', path, ctx, (lec, lp) => {
+        checkFields(lec, LECTURE_FIELDS, lp, ctx);
+        clampDone(lec, 'activityDone', 'activityTotal', lp, ctx);
+        checkRevisionLog(lec, lp, ctx);
+    });
+}
+
+/**
+ * lec.revisions (v11): dated entries only, quality 0–5 or null. The log
+ * can't hold more revisions than revisionCount.
+ */
+function checkRevisionLog(lec, path, ctx) {
+    const p = join(path, 'revisions');
+    if (lec.revisions === undefined || lec.revisions === null) return;   // added by migration
+    if (!Array.isArray(lec.revisions)) {
+        lec.revisions = [];
+        repair(ctx, p, 'was not a list — revision dates cleared');
+        return;
+    }
+    const valid = lec.revisions.filter(r => isObject(r) && typeof r.on === 'string' && DAY_RE.test(r.on) &&
+        (r.quality === null || r.quality === undefined || (Number.isInteger(r.quality) && r.quality >= 0 && r.quality <= 5)));
+    if (valid.length < lec.revisions.length) {
+        repair(ctx, p, `had ${lec.revisions.length - valid.length} entries without a valid date or rating — dropped`);
+        lec.revisions = valid;
+    }
+    if (lec.revisions.length > (lec.revisionCount || 0)) {
+        repair(ctx, join(path, 'revisionCount'), `was below the ${lec.revisions.length} logged revisions — raised`);
+        lec.revisionCount = lec.revisions.length;
+    }
+}
+
+/**
+ * course.grades (v15): scores are numbers 0–100 or null, formulas are
+ * text. Bad values are dropped — storage.js fills in their defaults. A
+ * formula that doesn't parse is kept; the grade panel shows why.
+ */
+function checkGrades(course, path, ctx) {
+    const p = join(path, 'grades');
+    const g = course.grades;
+    if (g === undefined || g === null) return;   // added by migration
+    if (!isObject(g)) {
+        delete course.grades;
+        repair(ctx, p, 'was not an object — scores cleared');
+        return;
+    }
+    for (const key of ['scores', 'weekGA']) {
+        if (g[key] === undefined || g[key] === null) continue;
+        if (!isObject(g[key])) {
+            g[key] = {};
+            repair(ctx, join(p, key), 'was not an object — cleared');
+            continue;
+        }
+        for (const [k, v] of Object.entries(g[key])) {
+            if (v === null || (typeof v === 'number' && v >= 0 && v <= 100)) continue;
+            delete g[key][k];
+            repair(ctx, join(join(p, key), k), 'was not a score from 0 to 100 — cleared');
+        }
+    }
+    for (const key of ['formula', 'eligibility']) {
+        if (g[key] === undefined || typeof g[key] === 'string') continue;
+        delete g[key];
+        repair(ctx, join(p, key), 'was not text — reset to the default');
+    }
+    const n = g.eligibilityWeeks;
+    if (n !== undefined && !(Number.isInteger(n) && n >= 1)) {
+        delete g.eligibilityWeeks;
+        repair(ctx, join(p, 'eligibilityWeeks'), 'was not a number of weeks — reset to the default');
+    }
+}
+
+/** Run `fn(item, path)` on each object in obj[key]; a missing list becomes []. */
+function eachItem(obj, key, path, ctx, fn) {
+    const p = join(path, key);
+    if (obj[key] === undefined || obj[key] === null) {
+        obj[key] = [];
+        repair(ctx, p, 'was missing — set to an empty list');
+        return;
+    }
+    if (!Array.isArray(obj[key])) { error(ctx, p, 'must be a list'); return; }
+    obj[key].forEach((item, i) => {
+        const ip = `${p}[${i}]`;
+        if (!isObject(item)) error(ctx, ip, 'must be an object');
+        else fn(item, ip);
+    });
+}
+
+function checkActiveCourse(data, ctx) {
+    if (!Array.isArray(data.terms) || data.activeCourseId === undefined) return;
+    const courses = data.terms.flatMap(t => (isObject(t) && Array.isArray(t.courses) ? t.courses : []));
+    if (courses.some(c => isObject(c) && c.courseId === data.activeCourseId)) return;
+    const first = courses.find(isObject);
+    data.activeCourseId = first ? first.courseId : null;
+    repair(ctx, 'activeCourseId', first
+        ? `pointed to no course — set to "${first.courseName}"`
+        : 'pointed to no course — cleared');
+}
+
+function checkHistory(data, ctx) {
+    if (data.xpHistory === undefined || data.xpHistory === null) return;
+    if (!isObject(data.xpHistory)) {
+        error(ctx, 'xpHistory', 'must be an object of { "YYYY-MM-DD": XP }');
+        return;
+    }
+    for (const [day, val] of Object.entries(data.xpHistory)) {
+        const p = `xpHistory["${day}"]`;
+        if (!DAY_RE.test(day)) {
+            delete data.xpHistory[day];
+            repair(ctx, p, 'is not a date — dropped');
+            continue;
+        }
+        const n = toNumber(val);
+        if (n === null) {
+            delete data.xpHistory[day];
+            repair(ctx, p, 'is not a number — dropped');
+        } else if (n !== val) {
+            data.xpHistory[day] = n;
+            repair(ctx, p, `was ${JSON.stringify(val)} — converted to ${n}`);
+        }
+    }
+}
+
+function checkLedger(data, ctx) {
+    if (data.xpLedger === undefined || data.xpLedger === null) return;
+    if (!isObject(data.xpLedger)) {
+        error(ctx, 'xpLedger', 'must be an object of { "YYYY-MM-DD": [entries] }');
+        return;
+    }
+    for (const [day, list] of Object.entries(data.xpLedger)) {
+        const p = `xpLedger["${day}"]`;
+        if (!DAY_RE.test(day) || !Array.isArray(list)) {
+            delete data.xpLedger[day];
+            repair(ctx, p, 'is not a dated list — dropped');
+            continue;
+        }
+        const kept = list.filter(e => isObject(e) && typeof e.source === 'string' && Number.isFinite(e.delta));
+        if (kept.length < list.length) {
+            data.xpLedger[day] = kept;
+            repair(ctx, p, `${list.length - kept.length} malformed entries dropped`);
+        }
+    }
+}
+
+/** Settings (v7). Values the settings panel couldn't have saved fall back to their default when migrated. */
+function checkSettings(data, ctx) {
+    if (data.settings === undefined || data.settings === null) return;
+    if (!isObject(data.settings)) {
+        data.settings = {};
+        repair(ctx, 'settings', 'was not an object — reset to defaults');
+        return;
+    }
+    for (const [key, v] of Object.entries(data.settings)) {
+        if (validSetting(key, v)) continue;
+        delete data.settings[key];
+        repair(ctx, `settings.${key}`, `${JSON.stringify(v)} is not a valid value — default used`);
+    }
+}
+
+/** XP rule set (v8). Bad values fall back to the default rule when migrated. */
+function checkXPRules(data, ctx) {
+    if (data.xpRules === undefined || data.xpRules === null) return;
+    if (!isObject(data.xpRules) || !isObject(data.xpRules.values)) {
+        data.xpRules = undefined;
+        repair(ctx, 'xpRules', 'was not a rule set — default XP rules used');
+        return;
+    }
+    for (const [key, v] of Object.entries(data.xpRules.values)) {
+        if (typeof v === 'number' && Number.isFinite(v) && v >= 0) continue;
+        delete data.xpRules.values[key];
+        repair(ctx, `xpRules.values.${key}`, 'was not a number ≥ 0 — default used');
+    }
+}
+
+/** Unlocked achievements (v9): { id: ISO time }. Undated entries are dropped. */
+function checkAchievements(data, ctx) {
+    if (data.achievements === undefined || data.achievements === null) return;
+    if (!isObject(data.achievements)) {
+        data.achievements = {};
+        repair(ctx, 'achievements', 'was not an object — badges will be re-checked');
+        return;
+    }
+    for (const [id, at] of Object.entries(data.achievements)) {
+        if (typeof at === 'string' && !Number.isNaN(Date.parse(at))) continue;
+        delete data.achievements[id];
+        repair(ctx, `achievements.${id}`, 'has no valid unlock time — dropped');
+    }
+}
+
+function checkQuests(data, ctx) {
+    const q = data.quests;
+    if (q === undefined || q === null) return;
+    if (!isObject(q)) {
+        data.quests = { board: null, baseline: null, log: {}, done: {} };
+        repair(ctx, 'quests', 'was not an object — quest progress reset');
+        return;
+    }
+    const board = q.board;
+    if (board !== undefined && board !== null &&
+        !(isObject(board) && typeof board.day === 'string' && Array.isArray(board.daily) && Array.isArray(board.weekly))) {
+        q.board = null;
+        repair(ctx, 'quests.board', 'is malformed — a new board will be drawn');
+    }
+    if (q.baseline !== undefined && q.baseline !== null && !isObject(q.baseline)) {
+        q.baseline = null;
+        repair(ctx, 'quests.baseline', 'was not an object — cleared');
+    }
+    for (const key of ['log', 'done']) {
+        if (q[key] === undefined || q[key] === null || isObject(q[key])) continue;
+        q[key] = {};
+        repair(ctx, `quests.${key}`, 'was not an object — cleared');
+    }
+    for (const [key, entry] of Object.entries(q.done || {})) {
+        if (isObject(entry) && Number.isFinite(entry.xp) && entry.xp >= 0) continue;
+        delete q.done[key];
+        repair(ctx, `quests.done.${key}`, 'has no valid bonus XP — dropped');
+    }
+}
+
+/**
+ * Vacations and the freeze ledger (v13). Entries without valid dates or
+ * a whole-number delta are dropped; both only explain the streak.
+ */
+function checkStreakProtection(data, ctx) {
+    const lists = {
+        vacations: v => isObject(v) && DAY_RE.test(v.from) && DAY_RE.test(v.to) && v.from <= v.to,
+        freezeLog: e => isObject(e) && typeof e.on === 'string' && DAY_RE.test(e.on) && Number.isInteger(e.delta),
+    };
+    for (const [key, valid] of Object.entries(lists)) {
+        if (data[key] === undefined || data[key] === null) continue;
+        if (!Array.isArray(data[key])) {
+            data[key] = [];
+            repair(ctx, key, 'was not a list — cleared');
+            continue;
+        }
+        const kept = data[key].filter(valid);
+        if (kept.length < data[key].length) {
+            repair(ctx, key, `had ${data[key].length - kept.length} malformed entries — dropped`);
+            data[key] = kept;
+        }
+    }
+}
+
+/* ─────────────────────────────────────────
+   FIELDS
+───────────────────────────────────────── */
+
+function checkFields(obj, fields, path, ctx) {
+    for (const [key, spec] of Object.entries(fields)) {
+        checkField(obj, key, spec, join(path, key), ctx);
+    }
+}
+
+function checkField(obj, key, spec, path, ctx) {
+    const val = obj[key];
+
+    if (val === undefined || val === null) {
+        if (spec.optional) return;
+        if (spec.since && ctx.version < spec.since) return;   // added by migration
+        if (spec.required) { error(ctx, path, `is missing (${describe(spec.type)} expected)`); return; }
+        obj[key] = defaultFor(spec, ctx);
+        repair(ctx, path, `was missing — set to ${JSON.stringify(obj[key])}`);
+        if (spec.type === 'id') ctx.seen[key].add(obj[key]);
+        return;
+    }
+
+    const fixed = coerce(spec.type, val);
+    if (fixed === INVALID) {
+        if (spec.type === 'date' || spec.type === 'timestamp') {
+            obj[key] = null;
+            repair(ctx, path, `${JSON.stringify(val)} is not a valid ${spec.type} — cleared`);
+        } else {
+            error(ctx, path, `must be ${describe(spec.type)}`);
+        }
+        return;
+    }
+    if (fixed !== val) {
+        obj[key] = fixed;
+        repair(ctx, path, `was ${JSON.stringify(val)} — converted to ${JSON.stringify(fixed)}`);
+    }
+
+    if (spec.type === 'id') {
+        const seen = ctx.seen[key];
+        if (seen.has(obj[key])) {
+            const old = obj[key];
+            obj[key] = ctx.newId(spec.prefix);
+            repair(ctx, path, `duplicate ID "${old}" — given a new ID`);
+        }
+        seen.add(obj[key]);
+    }
+}
+
+function clampDone(obj, doneKey, totalKey, path, ctx) {
+    const done = obj[doneKey], total = obj[totalKey];
+    if (Number.isFinite(done) && Number.isFinite(total) && done > total) {
+        obj[doneKey] = total;
+        repair(ctx, join(path, doneKey), `was ${done}, more than ${totalKey} (${total}) — clamped`);
+    }
+}
+
+const INVALID = Symbol('invalid');
+
+/** The value converted to `type` (same value if already fine), or INVALID */
+function coerce(type, val) {
+    switch (type) {
+        case 'id':
+            if (typeof val === 'string' && val.trim()) return val;
+            if (typeof val === 'number' && Number.isFinite(val)) return String(val);
+            return INVALID;
+        case 'string':
+            if (typeof val === 'string') return val;
+            if (typeof val === 'number' || typeof val === 'boolean') return String(val);
+            return INVALID;
+        case 'boolean':
+            if (typeof val === 'boolean') return val;
+            if (val === 'true' || val === 1) return true;
+            if (val === 'false' || val === 0) return false;
+            return INVALID;
+        case 'count': {
+            const n = toNumber(val);
+            return n === null ? INVALID : Math.max(0, Math.round(n));
+        }
+        case 'integer': {
+            const n = toNumber(val);
+            return n === null ? INVALID : Math.round(n);
+        }
+        case 'number': {
+            const n = toNumber(val);
+            return n === null ? INVALID : n;
+        }
+        case 'date':
+            return typeof val === 'string' && DAY_RE.test(val) ? val : INVALID;
+        case 'timestamp':
+            return typeof val === 'string' && !Number.isNaN(Date.parse(val)) ? val : INVALID;
+    }
+    return val;
+}
+
+/** A finite number from a number or numeric string, else null */
+function toNumber(val) {
+    if (typeof val === 'number') return Number.isFinite(val) ? val : null;
+    if (typeof val === 'string' && val.trim() !== '') {
+        const n = Number(val);
+        return Number.isFinite(n) ? n : null;
+    }
+    return null;
+}
+
+function defaultFor(spec, ctx) {
+    switch (spec.type) {
+        case 'id':      return ctx.newId(spec.prefix);
+        case 'string':  return spec.fallback ?? '';
+        case 'boolean': return false;
+        default:        return 0;
+    }
+}
+
+function describe(type) {
+    return {
+        id: 'a non-empty ID', string: 'text', boolean: 'true or false',
+        count: 'a number', integer: 'a whole number', number: 'a number', date: 'a YYYY-MM-DD date', timestamp: 'a timestamp',
+    }[type];
+}
+
+/* ── Helpers ── */
+
+function error(ctx, path, message)  { ctx.errors.push({ path, message }); }
+function repair(ctx, path, message) { ctx.repairs.push({ path, message }); }
+
+function result(ctx) {
+    return { ok: ctx.errors.length === 0, version: ctx.version, errors: ctx.errors, repairs: ctx.repairs };
+}
+
+function join(path, key) { return path ? `${path}.${key}` : key; }
+
+function isObject(v) { return v !== null && typeof v === 'object' && !Array.isArray(v); }
+
+function defaultId(prefix = 'id') {
+    return `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+}
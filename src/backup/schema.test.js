@@ -0,0 +1,274 @@
+/**
+ * schema.test.js — Unit tests for backup structure validation
+ *
+ * Run with: node --test src/backup/schema.test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateBackup } from './schema.js';
+import { ledgerBalance } from '../../xpLedger.js';
+
+const OPTS = { schemaVersion: 15, newId: prefix => `${prefix}_new` };
+
+/* ─── Factories ─── */
+
+function lec(id, overrides = {}) {
+    return { lectureId: id, lectureName: id, watched: false, memoryNote: false, finalNote: false,
+             activityTotal: 0, activityDone: 0, revisionCount: 0, notes: '', notesUpdatedAt: null,
+             xpEarned: 0, ...overrides };
+}
+
+function week(id, lectures = [], overrides = {}) {
+    return { weekId: id, weekName: id, lectures,
+             practiceAssignment: { totalQuestions: 0, doneQuestions: 0 },
+             gradedAssignment: { totalQuestions: 0, doneQuestions: 0 },
+             weeklyMemoryNote: false, weeklyFinalNote: false, weekCompleted: false, xpEarned: 0,
+             ...overrides };
+}
+
+function backup(weeks, overrides = {}) {
+    return {
+        schemaVersion: 7,
+        terms: [{ termId: 't1', termName: 'Jan 2026', xpEarned: 0,
+                  courses: [{ courseId: 'c1', courseName: 'Maths 1', xpEarned: 0, weeks }] }],
+        activeCourseId: 'c1',
+        totalXP: 0, level: 1, streak: 0, bestStreak: 0, streakFreezes: 0, lastActiveDate: null,
+        xpHistory: {}, xpLedger: {}, xpOpeningBalance: 0, xpSources: null, settings: {},
+        ...overrides,
+    };
+}
+
+const paths = list => list.map(e => `${e.path} ${e.message}`);
+
+/* ─── Tests ─── */
+
+test('a clean backup passes with nothing to repair', () => {
+    const r = validateBackup(backup([week('w1', [lec('l1')])]), OPTS);
+    assert.equal(r.ok, true);
+    assert.deepEqual(r.errors, []);
+    assert.deepEqual(r.repairs, []);
+});
+
+test('errors name the exact path in a legacy flat backup', () => {
+    const data = {
+        schemaVersion: 4, totalXP: 10, streak: 0, bestStreak: 0, streakFreezes: 0,
+        weeks: [week('w0'), week('w1'), week('w2'),
+                week('w3', [lec('l0'), lec('l1', { activityDone: 'lots' })])],
+    };
+    const r = validateBackup(data, OPTS);
+    assert.equal(r.ok, false);
+    assert.deepEqual(paths(r.errors), ['weeks[3].lectures[1].activityDone must be a number']);
+});
+
+test('nested paths go through terms and courses', () => {
+    const data = backup([week('w1', [], { practiceAssignment: 'none', lectures: {} })]);
+    const r = validateBackup(data, OPTS);
+    assert.deepEqual(paths(r.errors), [
+        'terms[0].courses[0].weeks[0].practiceAssignment must be an object',
+        'terms[0].courses[0].weeks[0].lectures must be a list',
+    ]);
+});
+
+test('missing assignments and fields are filled with defaults', () => {
+    const w = week('w1', [{ lectureId: 'l1', lectureName: 'Intro' }]);
+    delete w.practiceAssignment;
+    const data = backup([w]);
+    const r = validateBackup(data, OPTS);
+    assert.equal(r.ok, true);
+    assert.deepEqual(data.terms[0].courses[0].weeks[0].practiceAssignment, { totalQuestions: 0, doneQuestions: 0 });
+    const l = data.terms[0].courses[0].weeks[0].lectures[0];
+    assert.equal(l.watched, false);
+    assert.equal(l.activityDone, 0);
+    assert.equal(l.notes, '');
+    assert.ok(r.repairs.some(x => x.path === 'terms[0].courses[0].weeks[0].practiceAssignment'));
+});
+
+test('numeric strings, bad counts and done > total are repaired', () => {
+    const data = backup([week('w1', [lec('l1', { activityTotal: '4', activityDone: 6, revisionCount: -2, watched: 'true' })],
+                              { gradedAssignment: { totalQuestions: 3, doneQuestions: 5 } })]);
+    const r = validateBackup(data, OPTS);
+    assert.equal(r.ok, true);
+    const w = data.terms[0].courses[0].weeks[0];
+    const l = w.lectures[0];
+    assert.equal(l.activityTotal, 4);
+    assert.equal(l.activityDone, 4);
+    assert.equal(l.revisionCount, 0);
+    assert.equal(l.watched, true);
+    assert.equal(w.gradedAssignment.doneQuestions, 3);
+    assert.equal(r.repairs.length, 5);
+});
+
+test('duplicate IDs get new ones', () => {
+    const data = backup([week('w1', [lec('l1'), lec('l1')]), week('w1')]);
+    const r = validateBackup(data, OPTS);
+    assert.equal(r.ok, true);
+    const weeks = data.terms[0].courses[0].weeks;
+    assert.equal(weeks[1].weekId, 'w_new');
+    assert.equal(weeks[0].lectures[1].lectureId, 'l_new');
+    assert.deepEqual(r.repairs.map(x => x.path), [
+        'terms[0].courses[0].weeks[0].lectures[1].lectureId',
+        'terms[0].courses[0].weeks[1].weekId',
+    ]);
+});
+
+test('fields newer than the file version are left to migrations', () => {
+    const data = { schemaVersion: 1, totalXP: 0, streak: 0,
+                   weeks: [week('w1', [{ ...lec('l1'), revisionCount: undefined, notes: undefined }])] };
+    const r = validateBackup(data, OPTS);
+    assert.equal(r.ok, true);
+    assert.deepEqual(r.repairs, []);
+});
+
+test('version and layout problems are errors', () => {
+    assert.match(paths(validateBackup(backup([], { schemaVersion: 99 }), OPTS).errors)[0], /^schemaVersion is 99/);
+    assert.deepEqual(paths(validateBackup({ totalXP: 1 }, OPTS).errors),
+        ['terms is missing — this is not an IIT Learn backup']);
+    assert.deepEqual(paths(validateBackup(backup([], { totalXP: undefined }), OPTS).errors),
+        ['totalXP is missing (a number expected)']);
+    assert.equal(validateBackup([1, 2], OPTS).ok, false);
+});
+
+test('bad history days and ledger entries are dropped, unknown active course reset', () => {
+    const data = backup([week('w1')], {
+        activeCourseId: 'gone',
+        xpHistory: { '2026-01-05': '12', 'yesterday': 4, '2026-01-06': 'x' },
+        xpLedger: { '2026-01-05': [{ at: 'a', source: 'lecture', delta: 12 }, { delta: 'x' }] },
+        lastActiveDate: 'last tuesday',
+    });
+    const r = validateBackup(data, OPTS);
+    assert.equal(r.ok, true);
+    assert.deepEqual(data.xpHistory, { '2026-01-05': 12 });
+    assert.equal(data.xpLedger['2026-01-05'].length, 1);
+    assert.equal(data.activeCourseId, 'c1');
+    assert.equal(data.lastActiveDate, null);
+});
+
+test('bad XP rule values fall back to the defaults', () => {
+    const data = backup([week('w1')], {
+        schemaVersion: 8,
+        xpRules: { version: 1, preset: 'custom', values: { GRADED_Q: 6, PRACTICE_Q: -1, WEEK_COMPLETE: 'lots' } },
+    });
+    const r = validateBackup(data, OPTS);
+    assert.equal(r.ok, true);
+    assert.deepEqual(data.xpRules.values, { GRADED_Q: 6 });
+    assert.deepEqual(paths(r.repairs), [
+        'xpRules.values.PRACTICE_Q was not a number ≥ 0 — default used',
+        'xpRules.values.WEEK_COMPLETE was not a number ≥ 0 — default used',
+    ]);
+
+    const broken = backup([week('w1')], { schemaVersion: 8, xpRules: 'generous' });
+    assert.equal(validateBackup(broken, OPTS).ok, true);
+    assert.equal(broken.xpRules, undefined);
+});
+
+test('a text opening balance is converted so XP totals stay numbers', () => {
+    const data = backup([week('w1')], { totalXP: 60, xpOpeningBalance: '50', xpHistory: { '2026-03-02': 10 } });
+    const r = validateBackup(data, OPTS);
+    assert.equal(r.ok, true);
+    assert.equal(data.xpOpeningBalance, 50);
+    assert.equal(ledgerBalance(data), 60);
+    assert.deepEqual(paths(r.repairs), ['xpOpeningBalance was "50" — converted to 50']);
+
+    const negative = backup([week('w1')], { xpOpeningBalance: -12.4 });
+    validateBackup(negative, OPTS);
+    assert.equal(negative.xpOpeningBalance, -12);   // XP taken back before the ledger began
+
+    const r2 = validateBackup(backup([week('w1')], { xpOpeningBalance: 'lots' }), OPTS);
+    assert.deepEqual(paths(r2.errors), ['xpOpeningBalance must be a whole number']);
+});
+
+test('settings the settings panel could not have saved fall back to their defaults', () => {
+    const data = backup([week('w1')], {
+        schemaVersion: 13,
+        settings: {
+            undoDepth: 25, syncPolicy: 'fastest', levelCurve: 'table', levelTable: [100, 50],
+            dayStartHour: 9, streakRule: 'xp', streakMinXP: '20', dailyGoals: [40, 40, 40],
+            theme: 'dark',
+        },
+    });
+    const r = validateBackup(data, OPTS);
+    assert.equal(r.ok, true);
+    assert.deepEqual(data.settings, { undoDepth: 25, levelCurve: 'table', streakRule: 'xp', theme: 'dark' });
+    assert.deepEqual(paths(r.repairs), [
+        'settings.syncPolicy "fastest" is not a valid value — default used',
+        'settings.levelTable [100,50] is not a valid value — default used',
+        'settings.dayStartHour 9 is not a valid value — default used',
+        'settings.streakMinXP "20" is not a valid value — default used',
+        'settings.dailyGoals [40,40,40] is not a valid value — default used',
+    ]);
+
+    const broken = backup([week('w1')], { settings: 'dark mode' });
+    validateBackup(broken, OPTS);
+    assert.deepEqual(broken.settings, {});
+});
+
+test('achievements without a valid unlock time are dropped', () => {
+    const data = backup([week('w1')], {
+        schemaVersion: 9,
+        achievements: { 'first-week': '2026-03-01T10:00:00.000Z', 'streak-week': true, 'xp-thousand': 'soon' },
+    });
+    const r = validateBackup(data, OPTS);
+    assert.equal(r.ok, true);
+    assert.deepEqual(Object.keys(data.achievements), ['first-week']);
+    assert.equal(r.repairs.length, 2);
+});
+
+test('quests: a malformed board is redrawn and finished quests without bonus XP are dropped', () => {
+    const data = backup([week('w1')], {
+        schemaVersion: 10,
+        quests: {
+            board: { day: '2026-03-02', daily: 'soon' },
+            baseline: null, log: {},
+            done: { 'daily:2026-03-01:notes': { at: '2026-03-01T10:00:00.000Z', xp: 10, kind: 'daily' }, 'daily:x': { xp: 'lots' } },
+        },
+    });
+    const r = validateBackup(data, OPTS);
+    assert.equal(r.ok, true);
+    assert.equal(data.quests.board, null);
+    assert.deepEqual(Object.keys(data.quests.done), ['daily:2026-03-01:notes']);
+    assert.equal(r.repairs.length, 2);
+});
+
+test('revision log: bad entries are dropped and the count covers the log', () => {
+    const data = backup([week('w1', [lec('l1', {
+        revisionCount: 1,
+        revisions: [{ on: '2026-03-01', quality: 4 }, { on: 'yesterday' }, { on: '2026-03-03', quality: 7 }, { on: '2026-03-04', quality: null }],
+    })])], { schemaVersion: 11 });
+    const r = validateBackup(data, OPTS);
+    assert.equal(r.ok, true);
+    const l = data.terms[0].courses[0].weeks[0].lectures[0];
+    assert.deepEqual(l.revisions.map(x => x.on), ['2026-03-01', '2026-03-04']);
+    assert.equal(l.revisionCount, 2);
+    assert.equal(r.repairs.length, 2);
+});
+
+test('vacations and the freeze ledger: malformed entries are dropped', () => {
+    const data = backup([week('w1')], {
+        schemaVersion: 13,
+        vacations: [{ from: '2026-03-10', to: '2026-03-12' }, { from: '2026-03-20', to: '2026-03-15' }, 'soon'],
+        freezeLog: [{ at: '2026-03-01T10:00:00.000Z', on: '2026-03-01', delta: 1, reason: 'earned' }, { on: 'today', delta: 1 }],
+    });
+    const r = validateBackup(data, OPTS);
+    assert.equal(r.ok, true);
+    assert.deepEqual(data.vacations, [{ from: '2026-03-10', to: '2026-03-12' }]);
+    assert.equal(data.freezeLog.length, 1);
+    assert.equal(r.repairs.length, 2);
+});
+
+test('course grades: bad scores and formulas are dropped for their defaults', () => {
+    const data = backup([week('w1')], { schemaVersion: 15 });
+    data.terms[0].courses[0].grades = {
+        scores: { Qz1: 72, Qz2: 140, F: '60' }, weekGA: { w1: 55 },
+        formula: 42, eligibility: 'GAA_N >= 40', eligibilityWeeks: 0,
+    };
+    const r = validateBackup(data, OPTS);
+    assert.equal(r.ok, true);
+    assert.deepEqual(data.terms[0].courses[0].grades,
+        { scores: { Qz1: 72 }, weekGA: { w1: 55 }, eligibility: 'GAA_N >= 40' });
+    assert.deepEqual(r.repairs.map(e => e.path).filter(p => p.includes('grades')), [
+        'terms[0].courses[0].grades.scores.Qz2', 'terms[0].courses[0].grades.scores.F',
+        'terms[0].courses[0].grades.formula', 'terms[0].courses[0].grades.eligibilityWeeks',
+    ]);
+});
@@ -0,0 +1,286 @@
+/**
+ * src/backup/syllabus.js — Syllabus Templates
+ *
+ * Pure functions only. No DOM, no storage.
+ *
+ * A syllabus is the structure of a course without any progress:
+ *
+ *   { course, weeks: [{ name, practiceQuestions, gradedQuestions,
+ *                       lectures: [{ name, activities }] }] }
+ *
+ * parseSyllabus() reads one from any of three formats:
+ *
+ *   JSON     — { format: 'iit-learn-syllabus', version: 1, course, weeks } as
+ *              written by courseToSyllabus(), or just the weeks array.
+ *              Lectures may be plain strings.
+ *   CSV      — header row, then one row per lecture:
+ *                Week,Lecture,Activities,Practice,Graded
+ *              Rows of the same week must be together; a row with an empty
+ *              Lecture adds the week alone. Practice / Graded may be on any
+ *              row of the week.
+ *   Outline  — plain text, a week per unindented line and a lecture per
+ *              indented line. Counts go in trailing brackets:
+ *                Week 1: Vectors [practice 10, graded 12]
+ *                  L1.1 Introduction [3 activities]
+ *              Blank lines and lines starting with # are skipped.
+ *
+ * storage.js turns a parsed syllabus into weeks (weeksFromSyllabus).
+ */
+
+export const SYLLABUS_FORMAT  = 'iit-learn-syllabus';
+export const SYLLABUS_VERSION = 1;
+
+export const MAX_SYLLABUS_WEEKS    = 52;
+export const MAX_SYLLABUS_LECTURES = 100;   // per week
+const MAX_COUNT = 999;                      // activities / questions
+
+const CSV_HEADERS = {
+    week: 'week', lecture: 'lecture',
+    activities: 'activities', 'activity total': 'activities',
+    practice: 'practice', 'practice questions': 'practice',
+    graded: 'graded', 'graded questions': 'graded',
+};
+
+/* ─────────────────────────────────────────
+   EXPORT
+───────────────────────────────────────── */
+
+/** The structure of a course as a syllabus template — names and counts, no progress */
+export function courseToSyllabus(course) {
+    return {
+        format: SYLLABUS_FORMAT,
+        version: SYLLABUS_VERSION,
+        course: course.courseName,
+        weeks: course.weeks.map(w => ({
+            name: w.weekName,
+            practiceQuestions: w.practiceAssignment.totalQuestions,
+            gradedQuestions: w.gradedAssignment.totalQuestions,
+            lectures: w.lectures.map(l => ({ name: l.lectureName, activities: l.activityTotal })),
+        })),
+    };
+}
+
+/* ─────────────────────────────────────────
+   IMPORT
+───────────────────────────────────────── */
+
+/**
+ * @param {string} text
+ * @param {Object} opts
+ *   filename — used to tell CSV from an outline (default: sniff the text)
+ * @returns {{ ok: true, syllabus, lectures: number } | { ok: false, error: string, errors: string[] }}
+ *   `errors` — one line per problem, with its line number (CSV / outline)
+ *   or its place in the file (JSON)
+ */
+export function parseSyllabus(text, { filename = '' } = {}) {
+    if (typeof text !== 'string' || !text.trim()) return fail(['The file is empty.']);
+    const body = text.replace(/^\uFEFF/, '');
+    const trimmed = body.trim();
+
+    let result;
+    if (/\.json$/i.test(filename) || trimmed.startsWith('{') || trimmed.startsWith('[')) result = fromJSON(trimmed);
+    else if (/\.csv$/i.test(filename) || looksLikeCSV(trimmed)) result = fromCSV(body);
+    else result = fromOutline(body);
+    if (result.errors.length > 0) return fail(result.errors);
+
+    const { syllabus } = result;
+    if (syllabus.weeks.length === 0) return fail(['No weeks found.']);
+    if (syllabus.weeks.length > MAX_SYLLABUS_WEEKS) {
+        return fail([`${syllabus.weeks.length} weeks — a syllabus can have at most ${MAX_SYLLABUS_WEEKS}.`]);
+    }
+    const tooLong = syllabus.weeks.find(w => w.lectures.length > MAX_SYLLABUS_LECTURES);
+    if (tooLong) return fail([`"${tooLong.name}" has ${tooLong.lectures.length} lectures — at most ${MAX_SYLLABUS_LECTURES} per week.`]);
+
+    const lectures = syllabus.weeks.reduce((n, w) => n + w.lectures.length, 0);
+    return { ok: true, syllabus, lectures };
+}
+
+function fail(errors) {
+    return { ok: false, error: 'This file is not a usable syllabus.', errors };
+}
+
+/* ─── JSON ─── */
+
+function fromJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        return { errors: [`Not valid JSON: ${err.message}`] };
+    }
+    if (data && data.format && data.format !== SYLLABUS_FORMAT) {
+        return { errors: [`This is a "${data.format}" file, not a syllabus. Backups are imported with ⬆ Import.`] };
+    }
+    if (data && !Array.isArray(data) && Array.isArray(data.terms)) {
+        return { errors: ['This looks like a backup, not a syllabus. Backups are imported with ⬆ Import.'] };
+    }
+    if (data && typeof data.version === 'number' && data.version > SYLLABUS_VERSION) {
+        return { errors: [`Syllabus version ${data.version} is newer than this app understands (${SYLLABUS_VERSION}).`] };
+    }
+
+    const rawWeeks = Array.isArray(data) ? data : data?.weeks;
+    if (!Array.isArray(rawWeeks)) return { errors: ['weeks must be a list'] };
+
+    const errors = [];
+    const weeks = rawWeeks.map((w, i) => {
+        const at = `weeks[${i}]`;
+        if (!w || typeof w !== 'object') { errors.push(`${at} must be an object`); return null; }
+        const lectures = Array.isArray(w.lectures) ? w.lectures : [];
+        if (w.lectures !== undefined && !Array.isArray(w.lectures)) errors.push(`${at}.lectures must be a list`);
+        return {
+            name: nameOf(w.name, `${at}.name`, errors),
+            practiceQuestions: countOf(w.practiceQuestions, `${at}.practiceQuestions`, errors),
+            gradedQuestions: countOf(w.gradedQuestions, `${at}.gradedQuestions`, errors),
+            lectures: lectures.map((l, j) => {
+                const lat = `${at}.lectures[${j}]`;
+                if (typeof l === 'string') return { name: nameOf(l, lat, errors), activities: 0 };
+                if (!l || typeof l !== 'object') { errors.push(`${lat} must be a name or an object`); return null; }
+                return { name: nameOf(l.name, `${lat}.name`, errors), activities: countOf(l.activities, `${lat}.activities`, errors) };
+            }),
+        };
+    });
+    const course = typeof data?.course === 'string' ? data.course.trim() : '';
+    return { errors, syllabus: { course, weeks } };
+}
+
+function nameOf(value, where, errors) {
+    if (typeof value !== 'string' || !value.trim()) { errors.push(`${where} must be a non-empty name`); return ''; }
+    return value.trim();
+}
+
+function countOf(value, where, errors) {
+    if (value === undefined || value === null || value === '') return 0;
+    const n = typeof value === 'string' ? Number(value.trim()) : value;
+    if (!Number.isInteger(n) || n < 0 || n > MAX_COUNT) {
+        errors.push(`${where} must be a whole number from 0 to ${MAX_COUNT}`);
+        return 0;
+    }
+    return n;
+}
+
+/* ─── CSV ─── */
+
+function looksLikeCSV(text) {
+    const first = text.split(/\r?\n/, 1)[0].toLowerCase();
+    return /(^|,)\s*"?week"?\s*,/.test(first) && first.includes('lecture');
+}
+
+function fromCSV(text) {
+    const rows = parseCSVRows(text);
+    const errors = [];
+    const header = rows.shift();
+    if (!header) return { errors: ['The file is empty.'] };
+
+    const col = {};
+    header.cells.forEach((h, i) => {
+        const key = CSV_HEADERS[h.trim().toLowerCase()];
+        if (key && col[key] === undefined) col[key] = i;
+    });
+    if (col.week === undefined || col.lecture === undefined) {
+        return { errors: ['Line 1: the header needs at least the columns Week and Lecture.'] };
+    }
+
+    const weeks = [];
+    const seen = new Set();
+    for (const { line, cells } of rows) {
+        if (cells.every(c => !c.trim())) continue;
+        const get = key => (col[key] === undefined ? '' : (cells[col[key]] || '').trim());
+        const weekName = get('week');
+        if (!weekName) { errors.push(`Line ${line}: Week is empty`); continue; }
+
+        let week = weeks[weeks.length - 1];
+        if (!week || week.name !== weekName) {
+            if (seen.has(weekName)) { errors.push(`Line ${line}: rows of "${weekName}" must be together`); continue; }
+            seen.add(weekName);
+            week = { name: weekName, practiceQuestions: 0, gradedQuestions: 0, lectures: [] };
+            weeks.push(week);
+        }
+        const where = `Line ${line}:`;
+        const practice = countOf(get('practice'), `${where} Practice`, errors);
+        const graded   = countOf(get('graded'), `${where} Graded`, errors);
+        if (practice) week.practiceQuestions = practice;
+        if (graded)   week.gradedQuestions = graded;
+
+        const lectureName = get('lecture');
+        const activities = countOf(get('activities'), `${where} Activities`, errors);
+        if (lectureName) week.lectures.push({ name: lectureName, activities });
+    }
+    return { errors, syllabus: { course: '', weeks } };
+}
+
+/** Rows of cells with the line each row starts on. Quoted cells may contain commas, quotes and line breaks. */
+function parseCSVRows(text) {
+    const rows = [];
+    let cells = [], cur = '', quoted = false, line = 1, rowLine = 1;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') { cur += '"'; i++; }
+            else if (c === '"') quoted = false;
+            else { if (c === '\n') line++; cur += c; }
+        } else if (c === '"') quoted = true;
+        else if (c === ',') { cells.push(cur); cur = ''; }
+        else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            cells.push(cur);
+            rows.push({ line: rowLine, cells });
+            cells = []; cur = '';
+            rowLine = ++line;
+        } else cur += c;
+    }
+    if (cur || cells.length) { cells.push(cur); rows.push({ line: rowLine, cells }); }
+    return rows;
+}
+
+/* ─── Outline ─── */
+
+function fromOutline(text) {
+    const errors = [];
+    const weeks = [];
+    text.split(/\r?\n/).forEach((raw, i) => {
+        const line = i + 1;
+        if (!raw.trim() || raw.trim().startsWith('#')) return;
+        const indented = /^\s/.test(raw);
+        const { name, counts } = splitCounts(raw.trim().replace(/^[-*•]\s+/, ''), line, errors);
+        if (!name) { errors.push(`Line ${line}: name is empty`); return; }
+
+        if (!indented) {
+            for (const key of Object.keys(counts)) {
+                if (key === 'activities') errors.push(`Line ${line}: activities belong to a lecture — indent the line`);
+            }
+            weeks.push({ name, practiceQuestions: counts.practice || 0, gradedQuestions: counts.graded || 0, lectures: [] });
+            return;
+        }
+        const week = weeks[weeks.length - 1];
+        if (!week) { errors.push(`Line ${line}: lecture "${name}" comes before any week`); return; }
+        if (counts.practice !== undefined || counts.graded !== undefined) {
+            errors.push(`Line ${line}: practice / graded belong to a week — remove the indent`);
+        }
+        week.lectures.push({ name, activities: counts.activities || 0 });
+    });
+    return { errors, syllabus: { course: '', weeks } };
+}
+
+/** "L1 Intro [3 activities]" → { name: 'L1 Intro', counts: { activities: 3 } } */
+function splitCounts(text, line, errors) {
+    const m = /^(.*?)\s*\[([^\]]*)\]\s*$/.exec(text);
+    if (!m) return { name: text, counts: {} };
+
+    const counts = {};
+    for (const part of m[2].split(',')) {
+        if (!part.trim()) continue;
+        const pm = /^\s*(?:(\d+)\s*([a-z]+)|([a-z]+)\s*:?\s*(\d+))\s*$/i.exec(part);
+        const key = pm && normaliseKey(pm[2] || pm[3]);
+        if (!key) { errors.push(`Line ${line}: can't read "${part.trim()}" — use e.g. "3 activities", "practice 10", "graded 12"`); continue; }
+        counts[key] = countOf(pm[1] || pm[4], `Line ${line}: ${key}`, errors);
+    }
+    return { name: m[1].trim(), counts };
+}
+
+function normaliseKey(word) {
+    const w = word.toLowerCase();
+    if (w.startsWith('activit')) return 'activities';
+    if (w.startsWith('practice')) return 'practice';
+    if (w.startsWith('graded')) return 'graded';
+    return null;
+}
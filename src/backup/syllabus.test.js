@@ -0,0 +1,110 @@
+/**
+ * syllabus.test.js — Unit tests for syllabus templates
+ *
+ * Run with: node --test src/backup/syllabus.test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseSyllabus, courseToSyllabus, SYLLABUS_FORMAT, MAX_SYLLABUS_WEEKS } from './syllabus.js';
+
+const EXPECTED = [
+    { name: 'Week 1: Vectors', practiceQuestions: 10, gradedQuestions: 12, lectures: [
+        { name: 'L1.1 Introduction', activities: 3 },
+        { name: 'L1.2 Dot product', activities: 0 },
+    ] },
+    { name: 'Week 2', practiceQuestions: 0, gradedQuestions: 0, lectures: [] },
+];
+
+test('outline: weeks unindented, lectures indented, counts in brackets', () => {
+    const text = [
+        '# Maths 1',
+        'Week 1: Vectors [practice 10, graded: 12]',
+        '  - L1.1 Introduction [3 activities]',
+        '  L1.2 Dot product',
+        '',
+        'Week 2',
+    ].join('\n');
+    const r = parseSyllabus(text, { filename: 'maths.txt' });
+    assert.equal(r.ok, true);
+    assert.deepEqual(r.syllabus.weeks, EXPECTED);
+    assert.equal(r.lectures, 2);
+});
+
+test('outline problems are reported with line numbers', () => {
+    const r = parseSyllabus('  L0 Orphan\nWeek 1 [3 activities]\n  L1 [lots of fun]');
+    assert.equal(r.ok, false);
+    assert.equal(r.errors.length, 3);
+    assert.match(r.errors[0], /^Line 1: .*before any week/);
+    assert.match(r.errors[1], /^Line 2: activities belong to a lecture/);
+    assert.match(r.errors[2], /^Line 3: can't read "lots of fun"/);
+});
+
+test('CSV: one row per lecture, quoted cells, week-only rows', () => {
+    const text = '\uFEFFWeek,Lecture,Activities,Practice,Graded\r\n' +
+        '"Week 1: Vectors",L1.1 Introduction,3,10,\r\n' +
+        '"Week 1: Vectors","L1.2 Dot product",,,12\r\n' +
+        'Week 2,,,,\r\n';
+    const r = parseSyllabus(text, { filename: 'maths.csv' });
+    assert.equal(r.ok, true);
+    assert.deepEqual(r.syllabus.weeks, EXPECTED);
+});
+
+test('CSV is recognised without a file name and checks its rows', () => {
+    const r = parseSyllabus('week,lecture,activities\nW1,L1,three\nW2,L2,\nW1,L3,');
+    assert.equal(r.ok, false);
+    assert.deepEqual(r.errors, [
+        'Line 2: Activities must be a whole number from 0 to 999',
+        'Line 4: rows of "W1" must be together',
+    ]);
+});
+
+test('JSON: an exported template round-trips, progress is left out', () => {
+    const course = { courseName: 'Maths 1', weeks: [{
+        weekName: 'Week 1: Vectors',
+        practiceAssignment: { totalQuestions: 10, doneQuestions: 9 },
+        gradedAssignment: { totalQuestions: 12, doneQuestions: 12 },
+        weekCompleted: true,
+        lectures: [
+            { lectureName: 'L1.1 Introduction', activityTotal: 3, activityDone: 3, watched: true, notes: 'private' },
+            { lectureName: 'L1.2 Dot product', activityTotal: 0, activityDone: 0, watched: false, notes: '' },
+        ],
+    }, { weekName: 'Week 2', practiceAssignment: { totalQuestions: 0, doneQuestions: 0 },
+         gradedAssignment: { totalQuestions: 0, doneQuestions: 0 }, lectures: [] }] };
+
+    const template = courseToSyllabus(course);
+    assert.equal(template.format, SYLLABUS_FORMAT);
+    assert.doesNotMatch(JSON.stringify(template), /private|done|watched/i);
+
+    const r = parseSyllabus(JSON.stringify(template, null, 2), { filename: 'x.json' });
+    assert.equal(r.ok, true);
+    assert.equal(r.syllabus.course, 'Maths 1');
+    assert.deepEqual(r.syllabus.weeks, EXPECTED);
+});
+
+test('JSON: a bare weeks list with lecture names is accepted', () => {
+    const r = parseSyllabus(JSON.stringify([{ name: 'Week 1', lectures: ['A', { name: 'B', activities: 2 }] }]));
+    assert.equal(r.ok, true);
+    assert.deepEqual(r.syllabus.weeks[0].lectures, [{ name: 'A', activities: 0 }, { name: 'B', activities: 2 }]);
+});
+
+test('JSON problems name their place; backups are turned away', () => {
+    const bad = parseSyllabus(JSON.stringify({ weeks: [{ name: '', lectures: [{ name: 'A', activities: -1 }] }] }));
+    assert.equal(bad.ok, false);
+    assert.deepEqual(bad.errors, [
+        'weeks[0].name must be a non-empty name',
+        'weeks[0].lectures[0].activities must be a whole number from 0 to 999',
+    ]);
+
+    const backup = parseSyllabus(JSON.stringify({ schemaVersion: 7, terms: [] }));
+    assert.equal(backup.ok, false);
+    assert.match(backup.errors[0], /looks like a backup/);
+});
+
+test('empty and oversized syllabi are refused', () => {
+    assert.equal(parseSyllabus('').ok, false);
+    assert.equal(parseSyllabus('# only a comment').ok, false);
+    const many = Array.from({ length: MAX_SYLLABUS_WEEKS + 1 }, (_, i) => `Week ${i + 1}`).join('\n');
+    assert.match(parseSyllabus(many).errors[0], /at most/);
+});
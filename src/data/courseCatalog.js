@@ -0,0 +1,274 @@
+/**
+ * src/data/courseCatalog.js — Built-In IITM BS Course Templates
+ *
+ * Data only, bundled with the app and cached by sw.js, so new courses can
+ * be set up offline. Each entry is a course's typical 12-week structure:
+ *
+ *   { code, name, level, weeks: [[topic, [lecture, …]], …] }
+ *
+ * Lecture names are topic outlines, not official titles — learners rename
+ * them to match the course page. Question counts change every term, so
+ * they are left at 0.
+ *
+ * catalogSyllabus() turns an entry into the syllabus shape of
+ * src/backup/syllabus.js; storage.js weeksFromSyllabus() builds the weeks
+ * with the usual makeWeek / makeLecture factories.
+ *
+ * Courses added from the catalog keep catalogSource(entry) as
+ * course.catalog = { code, version }, so a course can be traced back to
+ * the template (and catalog release) it came from. Bump CATALOG_VERSION
+ * whenever course data changes.
+ */
+
+export const CATALOG_VERSION = 1;
+
+export const CATALOG_LEVELS = [
+    { id: 'foundation', label: 'Foundation' },
+    { id: 'diploma', label: 'Diploma' },
+];
+
+export const COURSE_CATALOG = [
+
+    /* ─────────────────────────────────────────
+       FOUNDATION
+    ───────────────────────────────────────── */
+
+    { code: 'BSMA1001', name: 'Maths 1', level: 'foundation', weeks: [
+        ['Set Theory and Number Systems', ['Natural numbers and integers', 'Rational and real numbers', 'Sets and set operations', 'Relations', 'Functions']],
+        ['Coordinate Geometry', ['Rectangular coordinate system', 'Distance and section formula', 'Slope of a line', 'Equations of a line', 'Parallel and perpendicular lines']],
+        ['Quadratic Functions', ['Quadratic functions', 'Minima and maxima', 'Quadratic equations', 'Graphing quadratics']],
+        ['Algebra of Polynomials', ['Polynomials', 'Addition and multiplication', 'Division of polynomials', 'Graphs of polynomials', 'End behaviour and zeros']],
+        ['Functions', ['Function basics', 'One-one and onto functions', 'Inverse functions', 'Composition of functions']],
+        ['Exponential Functions', ['Exponents', 'Exponential functions', 'Graphs of exponential functions', 'Compound growth']],
+        ['Logarithmic Functions', ['Logarithms', 'Properties of logarithms', 'Logarithmic functions', 'Exponential and logarithmic equations']],
+        ['Sequences and Limits', ['Sequences', 'Limits of sequences', 'Limits of functions', 'Continuity']],
+        ['Derivatives', ['Derivative as rate of change', 'Rules of differentiation', 'Tangent lines', 'Maxima and minima']],
+        ['Integrals', ['Area under a curve', 'Antiderivatives', 'Definite integrals', 'Fundamental theorem of calculus']],
+        ['Graph Theory', ['Graphs and their representations', 'Breadth-first search', 'Depth-first search', 'Directed acyclic graphs', 'Topological sort']],
+        ['Graph Algorithms', ['Shortest paths', 'Dijkstra\'s algorithm', 'Minimum spanning trees', 'Prim\'s and Kruskal\'s algorithms']],
+    ] },
+
+    { code: 'BSMA1002', name: 'Stats 1', level: 'foundation', weeks: [
+        ['Introduction and Types of Data', ['What is statistics', 'Types of data', 'Scales of measurement', 'Collecting data']],
+        ['Describing Categorical Data', ['Frequency tables', 'Bar and pie charts', 'Mode and median of categorical data']],
+        ['Describing Numerical Data', ['Histograms', 'Mean and median', 'Variance and standard deviation', 'Percentiles and quartiles', 'Box plots']],
+        ['Association Between Two Variables', ['Contingency tables', 'Scatter plots', 'Covariance', 'Correlation', 'Point bi-serial correlation']],
+        ['Permutations and Combinations', ['Counting principles', 'Factorials', 'Permutations', 'Combinations']],
+        ['Probability', ['Sample spaces and events', 'Axioms of probability', 'Equally likely outcomes']],
+        ['Conditional Probability', ['Conditional probability', 'Independent events', 'Bayes\' theorem']],
+        ['Random Variables', ['Random variables', 'Probability mass functions', 'Cumulative distribution functions']],
+        ['Expectation and Variance', ['Expected value', 'Properties of expectation', 'Variance of a random variable']],
+        ['Binomial and Poisson Distributions', ['Bernoulli trials', 'Binomial distribution', 'Poisson distribution']],
+        ['Continuous Distributions', ['Continuous random variables', 'Uniform distribution', 'Exponential distribution']],
+        ['Normal Distribution', ['Normal distribution', 'Standard normal and z-scores', 'Normal approximation to the binomial']],
+    ] },
+
+    { code: 'BSCS1001', name: 'Computational Thinking', level: 'foundation', weeks: [
+        ['Datasets and Iteration', ['Introduction to datasets', 'Iterating over cards', 'Counting and summing', 'Filtering']],
+        ['Variables and Flowcharts', ['Variables', 'Flowcharts', 'Filtering with conditions', 'Finding the maximum']],
+        ['Pseudocode', ['From flowcharts to pseudocode', 'Compound conditions', 'Multiple filters', 'Averages']],
+        ['Nested Iterations', ['Pairs of cards', 'Nested loops', 'Reducing comparisons']],
+        ['Procedures', ['Procedures and parameters', 'Return values', 'Side effects']],
+        ['Lists', ['Introduction to lists', 'Building lists', 'Iterating over lists']],
+        ['Sorting', ['Why sort', 'Insertion sort', 'Sorting and searching']],
+        ['Dictionaries', ['Introduction to dictionaries', 'Counting with dictionaries', 'Nested dictionaries']],
+        ['Graphs and Matrices', ['Relations as graphs', 'Adjacency matrices', 'Traversing matrices']],
+        ['Recursion', ['Recursive procedures', 'Base cases', 'Recursion on lists']],
+        ['Objects and Data Structures', ['Objects', 'Queues and stacks', 'Trees']],
+        ['Concurrency and Review', ['Interacting processes', 'Concurrency', 'Course review']],
+    ] },
+
+    { code: 'BSHS1001', name: 'English 1', level: 'foundation', weeks: [
+        ['Sounds of English', ['Vowel sounds', 'Consonant sounds', 'Phonetic transcription']],
+        ['Word Stress and Intonation', ['Syllables', 'Word stress', 'Intonation patterns']],
+        ['Parts of Speech', ['Nouns and pronouns', 'Verbs and adverbs', 'Adjectives', 'Prepositions and conjunctions']],
+        ['Tenses', ['Present tenses', 'Past tenses', 'Future forms']],
+        ['Sentence Structure', ['Subjects and predicates', 'Clauses', 'Types of sentences']],
+        ['Vocabulary Building', ['Word formation', 'Synonyms and antonyms', 'Collocations']],
+        ['Listening Skills', ['Active listening', 'Listening for details', 'Note-taking']],
+        ['Reading Skills', ['Skimming and scanning', 'Reading for meaning', 'Inference']],
+        ['Speaking Skills', ['Pronunciation in context', 'Conversations', 'Presentations']],
+        ['Writing Basics', ['Paragraph writing', 'Coherence and cohesion', 'Punctuation']],
+        ['Functional Writing', ['Emails', 'Formal letters', 'Summaries']],
+        ['Review and Practice', ['Common errors', 'Grammar review', 'Exam practice']],
+    ] },
+
+    { code: 'BSMA1003', name: 'Maths 2', level: 'foundation', weeks: [
+        ['Vectors and Matrices', ['Vectors', 'Matrices', 'Systems of linear equations', 'Determinants']],
+        ['Solving Linear Equations', ['Cramer\'s rule', 'Echelon form', 'Gaussian elimination']],
+        ['Vector Spaces', ['Introduction to vector spaces', 'Subspaces', 'Linear dependence']],
+        ['Basis and Dimension', ['Spanning sets', 'Basis', 'Dimension', 'Rank']],
+        ['Linear Transformations', ['Linear mappings', 'Matrix of a transformation', 'Kernel and image']],
+        ['Inner Products', ['Equivalence and similarity', 'Inner products and norms', 'Orthogonality', 'Gram–Schmidt process']],
+        ['Orthogonal Projections', ['Orthogonal projections', 'Rotations and reflections', 'Orthogonal matrices']],
+        ['Multivariable Functions', ['Functions of several variables', 'Lines and planes', 'Limits and continuity']],
+        ['Partial Derivatives', ['Partial derivatives', 'Directional derivatives', 'Gradient']],
+        ['Tangents and Linear Approximation', ['Tangent planes', 'Linear approximation', 'Chain rule']],
+        ['Critical Points', ['Critical points', 'Hessian matrix', 'Saddle points']],
+        ['Optimisation', ['Maxima and minima in several variables', 'Constrained optimisation', 'Lagrange multipliers']],
+    ] },
+
+    { code: 'BSMA1004', name: 'Stats 2', level: 'foundation', weeks: [
+        ['Multiple Random Variables', ['Joint PMF', 'Marginal PMF', 'Conditional distributions']],
+        ['Independence and Functions of Random Variables', ['Independence', 'Functions of random variables', 'Sums of random variables']],
+        ['Expectations', ['Expected value', 'Variance and covariance', 'Correlation']],
+        ['Continuous Random Variables', ['Continuous distributions', 'PDFs and CDFs', 'Functions of continuous random variables']],
+        ['Joint Continuous Distributions', ['Joint densities', 'Marginal densities', 'Independence']],
+        ['Inequalities and Limit Theorems', ['Markov and Chebyshev inequalities', 'Weak law of large numbers', 'Central limit theorem']],
+        ['Statistics from Samples', ['Sampling', 'Sample mean and variance', 'Sampling distributions']],
+        ['Parameter Estimation', ['Estimators', 'Bias and variance', 'Method of moments']],
+        ['Maximum Likelihood', ['Likelihood', 'Maximum likelihood estimation', 'Examples of MLE']],
+        ['Bayesian Estimation', ['Priors and posteriors', 'Conjugate priors', 'Bayesian estimates']],
+        ['Hypothesis Testing', ['Null and alternative hypotheses', 'Significance and p-values', 'z-tests']],
+        ['More Tests', ['t-tests', 'Chi-square tests', 'Two-sample tests']],
+    ] },
+
+    { code: 'BSCS1002', name: 'Programming in Python', level: 'foundation', weeks: [
+        ['Getting Started', ['Introduction to programming', 'Variables and data types', 'Input and output', 'Operators']],
+        ['Strings and Conditionals', ['Strings', 'String methods', 'if / elif / else']],
+        ['Loops', ['while loops', 'for loops', 'Nested loops', 'break and continue']],
+        ['Lists', ['Lists', 'List methods', 'Slicing', 'Sorting and searching']],
+        ['Functions', ['Defining functions', 'Parameters and return values', 'Scope', 'Recursion']],
+        ['Dictionaries, Tuples and Sets', ['Tuples', 'Dictionaries', 'Sets', 'Choosing a collection']],
+        ['Problem Solving', ['Matrices with lists', 'Common algorithms', 'Debugging']],
+        ['Files', ['Reading files', 'Writing files', 'Working with CSV']],
+        ['Errors and Exceptions', ['Errors', 'try / except', 'Raising exceptions']],
+        ['Object-Oriented Programming', ['Classes and objects', 'Methods', 'Inheritance']],
+        ['Modules and Libraries', ['Modules and packages', 'The standard library', 'Working with dates']],
+        ['Functional Ideas', ['Comprehensions', 'Lambda functions', 'map and filter']],
+    ] },
+
+    { code: 'BSHS1002', name: 'English 2', level: 'foundation', weeks: [
+        ['Spoken Communication', ['Speaking with clarity', 'Spoken and written English', 'Accent and fluency']],
+        ['Conversation Skills', ['Small talk', 'Asking and answering', 'Politeness']],
+        ['Listening in Context', ['Listening to lectures', 'Listening to conversations', 'Understanding accents']],
+        ['Vocabulary in Use', ['Phrasal verbs', 'Idioms', 'Register']],
+        ['Grammar for Communication', ['Modals', 'Conditionals', 'Reported speech']],
+        ['Reading Critically', ['Argument and evidence', 'Tone and purpose', 'Critical reading']],
+        ['Writing Clearly', ['Planning writing', 'Clear sentences', 'Editing']],
+        ['Professional Writing', ['Reports', 'Proposals', 'Professional emails']],
+        ['Presentations', ['Structuring a talk', 'Visual aids', 'Delivery']],
+        ['Group Discussion', ['Taking part in discussions', 'Agreeing and disagreeing', 'Leading a discussion']],
+        ['Interviews', ['Preparing for interviews', 'Answering questions', 'Mock interview']],
+        ['Review and Practice', ['Common errors', 'Communication review', 'Exam practice']],
+    ] },
+
+    /* ─────────────────────────────────────────
+       DIPLOMA
+    ───────────────────────────────────────── */
+
+    { code: 'BSCS2001', name: 'Database Management Systems', level: 'diploma', weeks: [
+        ['Course Overview and SQL', ['Why databases', 'Introduction to the relational model', 'Introduction to SQL']],
+        ['SQL Queries', ['Basic SQL queries', 'Aggregate functions', 'Nested subqueries', 'Modifying the database']],
+        ['Intermediate SQL', ['Joins', 'Views', 'Transactions', 'Integrity constraints']],
+        ['Relational Algebra', ['Relational algebra', 'Tuple relational calculus', 'Domain relational calculus']],
+        ['Entity-Relationship Model', ['Database design', 'E-R model', 'E-R diagrams', 'Reduction to relational schemas']],
+        ['Relational Database Design', ['Functional dependencies', 'Armstrong\'s axioms', 'Closure and canonical cover']],
+        ['Normalisation', ['Decomposition', '1NF to BCNF', '3NF', 'Multivalued dependencies and 4NF']],
+        ['Application Development', ['Application architecture', 'Connecting from programs', 'Web applications']],
+        ['Storage and File Structure', ['Storage devices', 'File organisation', 'Data dictionary']],
+        ['Indexing', ['Ordered indices', 'B+ trees', 'Hashing']],
+        ['Transactions', ['Transactions', 'Concurrency control', 'Serializability']],
+        ['Recovery', ['Recovery systems', 'Logs and checkpoints', 'Course review']],
+    ] },
+
+    { code: 'BSCS2002', name: 'Programming, Data Structures and Algorithms using Python', level: 'diploma', weeks: [
+        ['Python Recap and Complexity', ['Python recap', 'Measuring efficiency', 'Asymptotic notation']],
+        ['Searching and Sorting', ['Binary search', 'Selection sort', 'Insertion sort', 'Merge sort']],
+        ['More Sorting and Arrays', ['Quicksort', 'Stable sorting', 'Arrays and lists']],
+        ['Graphs', ['Graph representations', 'Breadth-first search', 'Depth-first search', 'Topological sort']],
+        ['Shortest Paths and Spanning Trees', ['Dijkstra\'s algorithm', 'Bellman-Ford', 'Prim\'s algorithm', 'Kruskal\'s algorithm']],
+        ['Union-Find and Heaps', ['Union-find', 'Priority queues', 'Heaps', 'Heap sort']],
+        ['Search Trees', ['Binary search trees', 'Balanced trees', 'AVL trees']],
+        ['Greedy Algorithms', ['Greedy strategy', 'Interval scheduling', 'Huffman coding']],
+        ['Divide and Conquer', ['Divide and conquer', 'Counting inversions', 'Closest pair of points']],
+        ['Dynamic Programming', ['Memoization', 'Grid paths', 'Longest common subsequence', 'Edit distance']],
+        ['String Matching', ['Naive string matching', 'Rabin-Karp', 'Knuth-Morris-Pratt']],
+        ['Linear Programming and Intractability', ['Linear programming', 'Network flows', 'P and NP']],
+    ] },
+
+    { code: 'BSCS2003', name: 'Modern Application Development I', level: 'diploma', weeks: [
+        ['Introduction to Web Apps', ['How the web works', 'Client and server', 'HTTP basics']],
+        ['HTML and CSS', ['HTML structure', 'Forms', 'CSS styling', 'Layout']],
+        ['Presentation Layer', ['Templates', 'Jinja', 'Views']],
+        ['Models', ['Data models', 'SQLite', 'ORM']],
+        ['Controllers', ['MVC pattern', 'Routing', 'Request handling']],
+        ['APIs and REST', ['REST principles', 'Designing APIs', 'JSON']],
+        ['Backend Systems', ['Databases in practice', 'Caching', 'Scaling']],
+        ['Application Frontend', ['Client-side JavaScript', 'The DOM', 'Fetching data']],
+        ['Security', ['Authentication', 'Sessions and cookies', 'Common vulnerabilities']],
+        ['Testing', ['Why test', 'Unit tests', 'Testing web apps']],
+        ['HTML Evolution', ['HTML5', 'Responsive design', 'Accessibility']],
+        ['Deployment', ['Hosting options', 'Deploying an app', 'Course review']],
+    ] },
+
+    { code: 'BSCS2005', name: 'Programming Concepts using Java', level: 'diploma', weeks: [
+        ['Introduction', ['Programming languages', 'Types', 'Control flow', 'Java basics']],
+        ['Classes and Objects', ['Classes and objects', 'Constructors', 'Encapsulation']],
+        ['Inheritance', ['Subclasses', 'Dynamic dispatch', 'The Java class hierarchy']],
+        ['Abstract Classes and Interfaces', ['Abstract classes', 'Interfaces', 'Private classes']],
+        ['Polymorphism and Generics', ['Polymorphism', 'Generics', 'Wildcards']],
+        ['Collections', ['Collections framework', 'Lists and sets', 'Maps']],
+        ['Exceptions', ['Exception handling', 'Checked and unchecked exceptions', 'Cloning and type inference']],
+        ['Concurrency', ['Threads', 'Race conditions', 'Locks and monitors']],
+        ['More Concurrency', ['Thread-safe collections', 'Executors', 'Thread pools']],
+        ['Streams and Optional', ['Stream API', 'Optional', 'Functional interfaces']],
+        ['I/O and Serialization', ['Input and output streams', 'Serialization', 'Files']],
+        ['GUI and Wrap-up', ['Event-driven programming', 'Swing basics', 'Course review']],
+    ] },
+
+    { code: 'BSCS2004', name: 'Machine Learning Foundations', level: 'diploma', weeks: [
+        ['Introduction to Machine Learning', ['What is machine learning', 'Supervised learning', 'Unsupervised learning']],
+        ['Calculus Refresher', ['Continuity and differentiability', 'Gradients', 'Directional derivatives']],
+        ['Least Squares', ['Linear regression', 'Least squares', 'Projections']],
+        ['Linear Algebra Review', ['Orthogonality', 'Eigenvalues and eigenvectors', 'Diagonalisation']],
+        ['Symmetric Matrices', ['Symmetric matrices', 'Spectral theorem', 'Positive definite matrices']],
+        ['Singular Value Decomposition', ['SVD', 'Low-rank approximation', 'Principal component analysis']],
+        ['Unconstrained Optimisation', ['Gradient descent', 'Convergence', 'Step sizes']],
+        ['Convexity', ['Convex sets', 'Convex functions', 'Properties of convex problems']],
+        ['Constrained Optimisation', ['Lagrangian', 'Duality', 'KKT conditions']],
+        ['Probability for ML', ['Random variables review', 'Gaussian distributions', 'Conditional independence']],
+        ['Estimation', ['Maximum likelihood', 'Bayesian estimation', 'Gaussian mixture models']],
+        ['Expectation Maximisation', ['EM algorithm', 'EM for mixtures', 'Course review']],
+    ] },
+
+    { code: 'BSMS2001', name: 'Business Data Management', level: 'diploma', weeks: [
+        ['Introduction', ['Business data', 'Decision making with data', 'Case study overview']],
+        ['Data Collection', ['Primary and secondary data', 'Sampling', 'Data quality']],
+        ['Descriptive Analysis', ['Summary statistics', 'Visualising business data', 'Pivot tables']],
+        ['Demand and Sales', ['Demand patterns', 'Sales data', 'Trends and seasonality']],
+        ['Inventory', ['Inventory basics', 'Reorder points', 'Safety stock']],
+        ['Pricing', ['Pricing decisions', 'Price elasticity', 'Discounts']],
+        ['Customers', ['Customer segmentation', 'Customer lifetime value', 'Retention']],
+        ['Operations', ['Process data', 'Capacity', 'Bottlenecks']],
+        ['Forecasting', ['Moving averages', 'Exponential smoothing', 'Forecast accuracy']],
+        ['Project Planning', ['Defining a project', 'Data plan', 'Proposal writing']],
+        ['Analysis and Insights', ['Analysing project data', 'Drawing insights', 'Recommendations']],
+        ['Reporting', ['Report structure', 'Presenting results', 'Course review']],
+    ] },
+];
+
+export function findCatalogCourse(code) {
+    return COURSE_CATALOG.find(c => c.code === code) || null;
+}
+
+/** Where a course came from: its catalog code and the catalog release. */
+export function catalogSource(entry) {
+    return { code: entry.code, version: CATALOG_VERSION };
+}
+
+/**
+ * A catalog entry as a syllabus (see src/backup/syllabus.js):
+ * weeks "Week 1: Topic", lectures "L1.1 Name".
+ */
+export function catalogSyllabus(entry) {
+    return {
+        course: entry.name,
+        weeks: entry.weeks.map(([topic, lectures], i) => ({
+            name: `Week ${i + 1}: ${topic}`,
+            practiceQuestions: 0,
+            gradedQuestions: 0,
+            lectures: lectures.map((name, j) => ({ name: `L${i + 1}.${j + 1} ${name}`, activities: 0 })),
+        })),
+    };
+}
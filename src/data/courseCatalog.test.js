@@ -0,0 +1,49 @@
+/**
+ * courseCatalog.test.js — Checks on the bundled course catalog data
+ *
+ * Run with: node --test src/data/courseCatalog.test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { COURSE_CATALOG, CATALOG_LEVELS, CATALOG_VERSION, findCatalogCourse, catalogSyllabus, catalogSource } from './courseCatalog.js';
+import { parseSyllabus } from '../backup/syllabus.js';
+
+test('every course has a unique code, a known level and 12 weeks', () => {
+    const levels = new Set(CATALOG_LEVELS.map(l => l.id));
+    const codes = new Set();
+    for (const c of COURSE_CATALOG) {
+        assert.ok(!codes.has(c.code), `duplicate code ${c.code}`);
+        codes.add(c.code);
+        assert.ok(levels.has(c.level), `${c.code}: unknown level ${c.level}`);
+        assert.equal(c.weeks.length, 12, `${c.code}: ${c.weeks.length} weeks`);
+        for (const [topic, lectures] of c.weeks) {
+            assert.ok(topic.trim(), `${c.code}: empty topic`);
+            assert.ok(lectures.length > 0, `${c.code} ${topic}: no lectures`);
+            assert.ok(lectures.every(l => typeof l === 'string' && l.trim()), `${c.code} ${topic}: empty lecture`);
+        }
+    }
+    for (const level of levels) assert.ok(COURSE_CATALOG.some(c => c.level === level), `no ${level} courses`);
+});
+
+test('catalog entries are valid syllabi with numbered weeks and lectures', () => {
+    for (const c of COURSE_CATALOG) {
+        const r = parseSyllabus(JSON.stringify(catalogSyllabus(c)));
+        assert.equal(r.ok, true, `${c.code}: ${r.errors?.join('; ')}`);
+    }
+    const s = catalogSyllabus(findCatalogCourse('BSMA1001'));
+    assert.equal(s.course, 'Maths 1');
+    assert.equal(s.weeks[0].name, 'Week 1: Set Theory and Number Systems');
+    assert.equal(s.weeks[1].lectures[0].name, 'L2.1 Rectangular coordinate system');
+});
+
+test('unknown codes are not found', () => {
+    assert.equal(findCatalogCourse('NOPE'), null);
+});
+
+test('a catalog course records its code and the catalog version', () => {
+    const source = catalogSource(findCatalogCourse('BSCS1002'));
+    assert.deepEqual(source, { code: 'BSCS1002', version: CATALOG_VERSION });
+    assert.ok(Number.isInteger(CATALOG_VERSION) && CATALOG_VERSION >= 1);
+});
@@ -0,0 +1,101 @@
+/**
+ * src/storage/adapters.js — Key/Value Storage Adapters
+ *
+ * Every adapter implements the same async interface, so storage.js
+ * never cares where bytes end up:
+ *
+ *   adapter.name              — 'indexedDB' | 'localStorage'
+ *   adapter.get(key)          → Promise<string | null>
+ *   adapter.set(key, value)   → Promise<void>   (value is a string)
+ *   adapter.remove(key)       → Promise<void>
+ *   adapter.keys()            → Promise<string[]>
+ *
+ * IndexedDB is preferred (much larger quota, off the main thread);
+ * localStorage stays as the fallback for browsers / private modes
+ * where IndexedDB is missing or refuses to open.
+ */
+
+const DB_NAME    = 'iit-learn';
+const DB_VERSION = 1;
+const STORE_NAME = 'kv';
+
+/** localStorage adapter. `storage` is injectable for tests. */
+export function createLocalStorageAdapter(storage = globalThis.localStorage) {
+    return {
+        name: 'localStorage',
+        async get(key) { return storage.getItem(key); },
+        async set(key, value) { storage.setItem(key, value); },
+        async remove(key) { storage.removeItem(key); },
+        async keys() {
+            const out = [];
+            for (let i = 0; i < storage.length; i++) out.push(storage.key(i));
+            return out;
+        }
+    };
+}
+
+/**
+ * IndexedDB adapter backed by a single object store of string values.
+ * The database is opened lazily on first use and then reused.
+ */
+export function createIndexedDBAdapter(idb = globalThis.indexedDB, dbName = DB_NAME) {
+    let dbPromise = null;
+
+    function open() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const req = idb.open(dbName, DB_VERSION);
+                req.onupgradeneeded = () => {
+                    if (!req.result.objectStoreNames.contains(STORE_NAME)) {
+                        req.result.createObjectStore(STORE_NAME);
+                    }
+                };
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => reject(req.error);
+                req.onblocked = () => reject(new Error('IndexedDB open blocked by another tab'));
+            });
+            dbPromise.catch(() => { dbPromise = null; });
+        }
+        return dbPromise;
+    }
+
+    /** Run one request inside a transaction and resolve when it commits */
+    async function run(mode, makeRequest) {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE_NAME, mode);
+            const req = makeRequest(tx.objectStore(STORE_NAME));
+            tx.oncomplete = () => resolve(req.result);
+            tx.onerror = () => reject(tx.error || req.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    return {
+        name: 'indexedDB',
+        open,
+        async get(key) {
+            const v = await run('readonly', s => s.get(key));
+            return v === undefined ? null : v;
+        },
+        async set(key, value) { await run('readwrite', s => s.put(value, key)); },
+        async remove(key) { await run('readwrite', s => s.delete(key)); },
+        async keys() { return (await run('readonly', s => s.getAllKeys())).map(String); }
+    };
+}
+
+/**
+ * Pick the best available adapter: IndexedDB if it opens, else localStorage.
+ */
+export async function openBestAdapter() {
+    if (globalThis.indexedDB) {
+        const idb = createIndexedDBAdapter();
+        try {
+            await idb.open();
+            return idb;
+        } catch (err) {
+            console.warn('[Storage] IndexedDB unavailable, falling back to localStorage:', err);
+        }
+    }
+    return createLocalStorageAdapter();
+}
@@ -0,0 +1,267 @@
+/**
+ * src/storage/remoteSync.js — Optional Sync with a Self-Hosted Server
+ *
+ * Keeps each profile's program in one document on a server the user
+ * runs themselves:
+ *
+ *   <url>/<profileId>.json
+ *
+ * Two kinds of target speak the same three verbs, only auth differs:
+ *   'rest'   — GET / PUT / HEAD with `Authorization: Bearer <token>`
+ *              (see server/syncServer.js for a stand-in server)
+ *   'webdav' — the same verbs on any WebDAV share, HTTP Basic auth
+ *
+ * Conflicts are detected with ETags: every PUT carries If-Match (or
+ * If-None-Match: * for a new document); a 412 means another device got
+ * there first, so the engine pulls, merges and tries again.
+ *
+ * Offline: a local change only marks the profile "pending" (persisted
+ * through `state`, so it survives a reload). Pushes are retried with
+ * backoff until the server answers. Nothing here ever blocks a save —
+ * storage.js calls changed() after queueing the local write.
+ */
+
+export const REMOTE_KINDS = ['off', 'rest', 'webdav'];
+
+const REQUEST_TIMEOUT = 15000;
+const RETRY_BASE  = 30 * 1000;
+const RETRY_MAX   = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 3;   // GET → PUT rounds before giving up on a busy document
+
+/* ─────────────────────────────────────────
+   TRANSPORT
+───────────────────────────────────────── */
+
+/** URL of a profile's document under the configured base URL */
+export function documentUrl(baseUrl, profileId) {
+    return `${baseUrl.replace(/\/+$/, '')}/${encodeURIComponent(profileId)}.json`;
+}
+
+/**
+ * HTTP target for one document. Results are never thrown:
+ *   get(etag) → { ok: true, status: 'found', text, etag } | { ok: true, status: 'unchanged' | 'missing' }
+ *   put(text, { etag, create }) → { ok: true, etag } — sent with If-Match: etag,
+ *       or If-None-Match: * when `create`; neither → unconditional (servers without ETags)
+ * and on failure { ok: false, reason, error } with reason
+ *   'offline' (no answer) | 'auth' (401 / 403) | 'conflict' (412) | 'http' (anything else)
+ *
+ * @param {Object} config  { kind: 'rest' | 'webdav', url, token, username, password }
+ * @param {Object} opts    fetch — injectable for tests; timeout — ms per request
+ */
+export function createHttpTarget(config, profileId, { fetch: fetchImpl = globalThis.fetch, timeout = REQUEST_TIMEOUT } = {}) {
+    const url = documentUrl(config.url, profileId);
+    const auth = config.kind === 'webdav'
+        ? `Basic ${base64(`${config.username || ''}:${config.password || ''}`)}`
+        : (config.token ? `Bearer ${config.token}` : null);
+
+    async function request(method, headers = {}, body) {
+        const ctrl = new AbortController();
+        const timer = setTimeout(() => ctrl.abort(), timeout);
+        try {
+            const res = await fetchImpl(url, {
+                method, body, signal: ctrl.signal, cache: 'no-store',
+                headers: { ...(auth ? { Authorization: auth } : {}), ...headers },
+            });
+            return { res };
+        } catch (err) {
+            return { fail: { ok: false, reason: 'offline', error: err.name === 'AbortError' ? 'The server did not answer.' : err.message } };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async function get(etag = null) {
+        const { res, fail } = await request('GET', { Accept: 'application/json', ...(etag ? { 'If-None-Match': etag } : {}) });
+        if (fail) return fail;
+        if (res.status === 304) return { ok: true, status: 'unchanged' };
+        if (res.status === 404) return { ok: true, status: 'missing' };
+        if (!res.ok) return httpFailure(res);
+        return { ok: true, status: 'found', text: await res.text(), etag: res.headers.get('ETag') };
+    }
+
+    async function put(text, { etag = null, create = false } = {}) {
+        const condition = create ? { 'If-None-Match': '*' } : etag ? { 'If-Match': etag } : {};
+        const { res, fail } = await request('PUT', { 'Content-Type': 'application/json', ...condition }, text);
+        if (fail) return fail;
+        if (!res.ok) return httpFailure(res);
+
+        // Some WebDAV servers don't return the new ETag from PUT; ask for it
+        let newTag = res.headers.get('ETag');
+        if (!newTag) {
+            const head = await request('HEAD');
+            newTag = head.res?.ok ? head.res.headers.get('ETag') : null;
+        }
+        return { ok: true, etag: newTag };
+    }
+
+    return { get, put };
+}
+
+function httpFailure(res) {
+    if (res.status === 412) return { ok: false, reason: 'conflict', error: 'Changed on the server meanwhile.' };
+    if (res.status === 401 || res.status === 403) return { ok: false, reason: 'auth', error: 'The server refused the login details.' };
+    return { ok: false, reason: 'http', error: `The server answered ${res.status} ${res.statusText || ''}`.trim() };
+}
+
+function base64(text) {
+    return btoa(String.fromCharCode(...new TextEncoder().encode(text)));
+}
+
+/* ─────────────────────────────────────────
+   SYNC ENGINE
+───────────────────────────────────────── */
+
+/**
+ * @param {Object} deps
+ *   target(profileId)      → transport (createHttpTarget) or null when sync is off
+ *   readLocal(profileId)   → Promise<string | null>, the program as saved locally
+ *   decode(text)           → { ok: true, program } | { ok: false, error } for remote text
+ *   merge(local, remote)   → program combining both
+ *   state                  — { get(profileId), set(profileId, st), ids() }; st is
+ *                            { etag, hash, pending, synced, lastSyncAt }; ids()
+ *                            lists the profiles with a stored st
+ *   onRemote(profileId, program, how) — a newer program arrived ('pulled' | 'merged');
+ *                            the caller stores and shows it
+ *   onStatus(status)       — { state: 'idle' | 'syncing' | 'offline' | 'error', pending, lastSyncAt, error }
+ *   delay                  — ms to wait after a change before pushing
+ */
+export function createRemoteSync({
+    target, readLocal, decode, merge, state,
+    onRemote = () => {}, onStatus = () => {}, delay = 3000,
+}) {
+    const edits = new Map();       // profileId → local change counter
+    const pushTimers = new Map();
+    let retryTimer = null;
+    let retryDelay = 0;
+    let chain = Promise.resolve(); // one sync at a time
+    let status = { state: 'idle', pending: false, lastSyncAt: null, error: null };
+
+    function setStatus(patch) {
+        status = { ...status, ...patch };
+        onStatus(status);
+    }
+
+    /** A local save happened: mark pending and push soon. */
+    function changed(profileId) {
+        edits.set(profileId, (edits.get(profileId) || 0) + 1);
+        state.set(profileId, { ...state.get(profileId), pending: true });
+        setStatus({ pending: true });
+        clearTimeout(pushTimers.get(profileId));
+        pushTimers.set(profileId, setTimeout(() => syncNow(profileId), delay));
+    }
+
+    /** Pull and/or push right away. Resolves to { ok, action, error? }. */
+    function syncNow(profileId) {
+        clearTimeout(pushTimers.get(profileId));
+        pushTimers.delete(profileId);
+        const run = chain.then(() => runSync(profileId));
+        chain = run.catch(() => {});
+        return run;
+    }
+
+    async function runSync(profileId) {
+        const remote = target(profileId);
+        if (!remote) return { ok: false, action: 'off' };
+        setStatus({ state: 'syncing', error: null });
+
+        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+            const st = state.get(profileId);
+            const startEdits = edits.get(profileId) || 0;
+            // Never synced with this target: merge rather than let either side overwrite the other
+            const pending = st.pending || !st.synced;
+
+            const got = await remote.get(st.synced ? st.etag : null);
+            if (!got.ok) return failed(got);
+            const localText = await readLocal(profileId);
+
+            const changedRemotely = got.status === 'found' &&
+                (got.etag && st.etag ? got.etag !== st.etag : hashText(got.text) !== st.hash);
+            let remoteProgram = null;
+            if (changedRemotely) {
+                const decoded = decode(got.text);
+                if (!decoded.ok) return failed({ reason: 'invalid', error: `The data on the server can't be used: ${decoded.error}` });
+                remoteProgram = decoded.program;
+            }
+
+            if (!changedRemotely && !(pending || got.status === 'missing')) return done(profileId, 'unchanged');
+            if (!localText && !changedRemotely) return done(profileId, 'unchanged');
+
+            // Nothing local to keep: take the server's version
+            if (changedRemotely && (!pending || !localText)) {
+                if ((edits.get(profileId) || 0) !== startEdits) continue;   // edited meanwhile — merge next round
+                state.set(profileId, { ...st, etag: got.etag, hash: hashText(got.text), pending: false, synced: true });
+                onRemote(profileId, remoteProgram, 'pulled');
+                return done(profileId, 'pulled');
+            }
+
+            const merged = changedRemotely ? merge(JSON.parse(localText), remoteProgram) : null;
+            const outText = merged ? JSON.stringify(merged) : localText;
+            const put = await remote.put(outText, got.status === 'missing'
+                ? { create: true }
+                : { etag: changedRemotely ? got.etag : st.etag });
+            if (!put.ok && put.reason === 'conflict') continue;
+            if (!put.ok) return failed(put);
+
+            if ((edits.get(profileId) || 0) !== startEdits) {
+                // Edited while pushing: the server has our older copy. Forget its
+                // ETag so the next round merges it with the newer local program.
+                state.set(profileId, { ...st, etag: null, hash: null, pending: true, synced: true });
+                continue;
+            }
+            state.set(profileId, { ...st, etag: put.etag, hash: hashText(outText), pending: false, synced: true });
+            if (merged) onRemote(profileId, merged, 'merged');
+            return done(profileId, merged ? 'merged' : 'pushed');
+        }
+        return failed({ reason: 'busy', error: 'The document kept changing on the server — will try again.' });
+    }
+
+    function done(profileId, action) {
+        retryDelay = 0;
+        clearTimeout(retryTimer);
+        const lastSyncAt = new Date().toISOString();
+        state.set(profileId, { ...state.get(profileId), lastSyncAt });
+        setStatus({ state: 'idle', pending: state.get(profileId).pending, lastSyncAt, error: null });
+        return { ok: true, action };
+    }
+
+    function failed({ reason, error }) {
+        const retry = reason === 'offline' || reason === 'http' || reason === 'busy';
+        setStatus({ state: reason === 'offline' ? 'offline' : 'error', error });
+        if (retry) scheduleRetry();
+        return { ok: false, action: reason, error };
+    }
+
+    function scheduleRetry() {
+        retryDelay = retryDelay ? Math.min(retryDelay * 2, RETRY_MAX) : RETRY_BASE;
+        clearTimeout(retryTimer);
+        retryTimer = setTimeout(() => { for (const id of pendingProfiles()) syncNow(id); }, retryDelay);
+    }
+
+    /** Profiles with changes not pushed yet — from `state`, so edits made before a reload count too */
+    function pendingProfiles() {
+        return state.ids().filter(id => state.get(id).pending);
+    }
+
+    /** Try again now (e.g. the browser came back online). */
+    function retryNow() {
+        retryDelay = 0;
+        clearTimeout(retryTimer);
+        for (const id of pendingProfiles()) syncNow(id);
+    }
+
+    /** Stop all timers. Pending changes stay marked for the next engine. */
+    function dispose() {
+        clearTimeout(retryTimer);
+        for (const t of pushTimers.values()) clearTimeout(t);
+        pushTimers.clear();
+    }
+
+    return { changed, syncNow, retryNow, dispose, status: () => status };
+}
+
+/** Short stable hash of the last synced text — fallback for servers without ETags */
+function hashText(text) {
+    let h = 5381;
+    for (let i = 0; i < text.length; i++) h = ((h << 5) + h + text.charCodeAt(i)) | 0;
+    return (h >>> 0).toString(36);
+}
@@ -0,0 +1,177 @@
+/**
+ * remoteSync.test.js — Remote sync against the local stand-in server
+ *
+ * Run with: node --test src/storage/remoteSync.test.js
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRemoteSync, createHttpTarget, documentUrl } from './remoteSync.js';
+import { createSyncServer } from '../../server/syncServer.js';
+
+const TOKEN = 'test-token';
+let server, baseUrl;
+
+before(async () => {
+    server = createSyncServer({ token: TOKEN });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/sync`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/* ─── A device: local storage + its own sync state ─── */
+
+let nextProfile = 0;
+
+/** Two devices share a profile id; each test uses a fresh one so documents don't collide */
+function newProfileId() { return `p${++nextProfile}`; }
+
+function device(profileId, config = { kind: 'rest', url: baseUrl, token: TOKEN }) {
+    const dev = {
+        local: null,          // the program as saved on this device
+        states: new Map(),
+        received: [],
+    };
+    dev.sync = createRemoteSync({
+        target: id => createHttpTarget(config, id, { timeout: 2000 }),
+        readLocal: async () => (dev.local ? JSON.stringify(dev.local) : null),
+        decode: text => ({ ok: true, program: JSON.parse(text) }),
+        merge: (a, b) => ({ items: [...new Set([...a.items, ...b.items])].sort() }),
+        state: {
+            get: id => dev.states.get(id) || {},
+            set: (id, st) => dev.states.set(id, st),
+            ids: () => [...dev.states.keys()],
+        },
+        onRemote: (id, program, how) => { dev.local = program; dev.received.push(how); },
+        delay: 60 * 1000,
+    });
+    dev.edit = items => { dev.local = { items }; dev.sync.changed(profileId); };
+    return dev;
+}
+
+test('first push creates the document; another device pulls it', async () => {
+    const id = newProfileId();
+    const a = device(id), b = device(id);
+
+    a.edit(['w1']);
+    assert.deepEqual(await a.sync.syncNow(id), { ok: true, action: 'pushed' });
+    assert.equal(a.sync.status().pending, false);
+
+    assert.deepEqual(await b.sync.syncNow(id), { ok: true, action: 'pulled' });
+    assert.deepEqual(b.local, { items: ['w1'] });
+
+    // Nothing new on either side
+    assert.deepEqual(await b.sync.syncNow(id), { ok: true, action: 'unchanged' });
+    a.sync.dispose(); b.sync.dispose();
+});
+
+test('edits on two devices are merged, not overwritten', async () => {
+    const id = newProfileId();
+    const a = device(id), b = device(id);
+    a.edit(['w1']);
+    await a.sync.syncNow(id);
+    await b.sync.syncNow(id);
+
+    a.edit(['w1', 'w2']);
+    b.edit(['w1', 'w3']);
+    assert.equal((await a.sync.syncNow(id)).action, 'pushed');
+    assert.equal((await b.sync.syncNow(id)).action, 'merged');   // its ETag is stale now
+    assert.deepEqual(b.local, { items: ['w1', 'w2', 'w3'] });
+    assert.deepEqual(b.received, ['pulled', 'merged']);
+
+    assert.equal((await a.sync.syncNow(id)).action, 'pulled');
+    assert.deepEqual(a.local, { items: ['w1', 'w2', 'w3'] });
+    a.sync.dispose(); b.sync.dispose();
+});
+
+test('a device that never synced merges with what is already on the server', async () => {
+    const id = newProfileId();
+    const a = device(id);
+    a.edit(['w1']);
+    await a.sync.syncNow(id);
+
+    const b = device(id);
+    b.local = { items: ['w9'] };   // existing data, no edits since sync was set up
+    assert.equal((await b.sync.syncNow(id)).action, 'merged');
+    assert.deepEqual(b.local, { items: ['w1', 'w9'] });
+    a.sync.dispose(); b.sync.dispose();
+});
+
+test('offline changes stay pending and go out once the server answers', async () => {
+    const id = newProfileId();
+    const offline = device(id, { kind: 'rest', url: 'http://127.0.0.1:9/sync', token: TOKEN });
+    offline.edit(['w1']);
+    const r = await offline.sync.syncNow(id);
+    assert.equal(r.ok, false);
+    assert.equal(r.action, 'offline');
+    assert.equal(offline.sync.status().state, 'offline');
+    assert.equal(offline.states.get(id).pending, true);
+    offline.sync.dispose();
+
+    // Same device later, with the server reachable: the pending flag was kept
+    const online = device(id);
+    online.states = offline.states;
+    online.local = offline.local;
+    assert.equal((await online.sync.syncNow(id)).action, 'pushed');
+    assert.equal(online.states.get(id).pending, false);
+    online.sync.dispose();
+});
+
+test('after a reload, retrying pushes profiles left pending in the stored state', async () => {
+    const id = newProfileId(), other = newProfileId();
+    const before = device(id, { kind: 'rest', url: 'http://127.0.0.1:9/sync', token: TOKEN });
+    before.edit(['w1']);
+    await before.sync.syncNow(id);
+    before.sync.dispose();
+
+    // A new engine (the page reloaded) that has seen no edit yet
+    const after = device(id);
+    after.states = before.states;
+    after.states.set(other, { pending: false, synced: true });
+    after.local = before.local;
+    after.sync.retryNow();
+    for (let i = 0; i < 100 && after.states.get(id).pending; i++) await new Promise(r => setTimeout(r, 20));
+    assert.equal(after.states.get(id).pending, false);
+    assert.equal(after.states.get(other).lastSyncAt, undefined);   // nothing to push there
+
+    const reader = device(id);
+    assert.equal((await reader.sync.syncNow(id)).action, 'pulled');
+    assert.deepEqual(reader.local, { items: ['w1'] });
+    after.sync.dispose(); reader.sync.dispose();
+});
+
+test('wrong credentials are reported and not retried', async () => {
+    const id = newProfileId();
+    const a = device(id, { kind: 'rest', url: baseUrl, token: 'nope' });
+    a.edit(['w1']);
+    const r = await a.sync.syncNow(id);
+    assert.equal(r.action, 'auth');
+    assert.equal(a.sync.status().state, 'error');
+    a.sync.dispose();
+});
+
+test('WebDAV targets log in with HTTP Basic auth', async () => {
+    const id = newProfileId();
+    const dav = device(id, { kind: 'webdav', url: baseUrl, username: 'me', password: TOKEN });
+    dav.edit(['w1']);
+    assert.equal((await dav.sync.syncNow(id)).action, 'pushed');
+    dav.sync.dispose();
+});
+
+test('stale writes are refused by the server with 412', async () => {
+    const id = newProfileId();
+    const target = createHttpTarget({ kind: 'rest', url: baseUrl, token: TOKEN }, id);
+    const first = await target.put('{"v":1}', { create: true });
+    assert.equal(first.ok, true);
+    assert.equal((await target.put('{"v":2}', { create: true })).reason, 'conflict');
+    const second = await target.put('{"v":2}', { etag: first.etag });
+    assert.equal(second.ok, true);
+    assert.equal((await target.put('{"v":3}', { etag: first.etag })).reason, 'conflict');
+    assert.deepEqual(await target.get(second.etag), { ok: true, status: 'unchanged' });
+});
+
+test('profile documents get their own URL', () => {
+    assert.equal(documentUrl('https://example.org/dav/iit/', 'p_1 x'), 'https://example.org/dav/iit/p_1%20x.json');
+});
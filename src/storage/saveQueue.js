@@ -0,0 +1,56 @@
+/**
+ * src/storage/saveQueue.js — Coalescing Async Write Queue
+ *
+ * saveProgram() is called on every click. Instead of serialising the
+ * whole program each time, the queue remembers only the LATEST value
+ * per key and writes it once after `delay` ms of quiet. Writes are
+ * serialised: a flush never overlaps the previous one, so an older
+ * value can never land after a newer one.
+ *
+ *   const q = createSaveQueue(adapter, { delay: 300, onError });
+ *   q.enqueue(key, program);   // cheap, call as often as you like
+ *   await q.flush();           // write everything now (e.g. on pagehide)
+ */
+
+export function createSaveQueue(adapter, { delay = 300, onError = () => {} } = {}) {
+    const pending = new Map();   // key → latest value (serialised at flush time)
+    let timer = null;
+    let inFlight = Promise.resolve();
+
+    function enqueue(key, value) {
+        pending.set(key, value);
+        clearTimeout(timer);
+        timer = setTimeout(flush, delay);
+    }
+
+    /** Write all pending values. Resolves once they are stored (or failed). */
+    function flush() {
+        clearTimeout(timer);
+        timer = null;
+        inFlight = inFlight.then(async () => {
+            const batch = [...pending.entries()];
+            pending.clear();
+            for (const [key, value] of batch) {
+                try {
+                    await adapter.set(key, typeof value === 'string' ? value : JSON.stringify(value));
+                } catch (err) {
+                    console.error('[Storage] Save failed:', key, err);
+                    onError(err, key);
+                }
+            }
+        });
+        return inFlight;
+    }
+
+    /** Drop a pending write (e.g. the key is being deleted) */
+    function cancel(key) {
+        pending.delete(key);
+    }
+
+    return {
+        enqueue,
+        flush,
+        cancel,
+        get size() { return pending.size; }
+    };
+}
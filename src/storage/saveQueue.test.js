@@ -0,0 +1,103 @@
+/**
+ * saveQueue.test.js — Unit tests for the coalescing save queue
+ *
+ * Run with: node --test src/storage/saveQueue.test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createSaveQueue } from './saveQueue.js';
+import { createLocalStorageAdapter } from './adapters.js';
+
+/* ─── Fakes ─── */
+
+function fakeAdapter({ failWith = null } = {}) {
+    const data = new Map();
+    const writes = [];
+    return {
+        data,
+        writes,
+        async set(key, value) {
+            if (failWith) throw failWith;
+            writes.push(key);
+            data.set(key, value);
+        }
+    };
+}
+
+function fakeStorage() {
+    const m = new Map();
+    return {
+        get length() { return m.size; },
+        key: i => [...m.keys()][i] ?? null,
+        getItem: k => (m.has(k) ? m.get(k) : null),
+        setItem: (k, v) => m.set(k, String(v)),
+        removeItem: k => m.delete(k),
+    };
+}
+
+/* ─── createSaveQueue ─── */
+
+test('saveQueue: many enqueues of one key coalesce into a single write', async () => {
+    const adapter = fakeAdapter();
+    const q = createSaveQueue(adapter, { delay: 10_000 });
+    for (let i = 0; i < 20; i++) q.enqueue('prog', { n: i });
+    assert.equal(q.size, 1);
+    await q.flush();
+    assert.deepEqual(adapter.writes, ['prog']);
+    assert.equal(adapter.data.get('prog'), JSON.stringify({ n: 19 }));
+});
+
+test('saveQueue: value is serialised at flush time, not enqueue time', async () => {
+    const adapter = fakeAdapter();
+    const q = createSaveQueue(adapter, { delay: 10_000 });
+    const program = { totalXP: 5 };
+    q.enqueue('prog', program);
+    program.totalXP = 12;
+    await q.flush();
+    assert.equal(JSON.parse(adapter.data.get('prog')).totalXP, 12);
+});
+
+test('saveQueue: writes after the delay without an explicit flush', async () => {
+    const adapter = fakeAdapter();
+    const q = createSaveQueue(adapter, { delay: 5 });
+    q.enqueue('a', 'x');
+    await new Promise(r => setTimeout(r, 30));
+    assert.equal(adapter.data.get('a'), 'x');
+    assert.equal(q.size, 0);
+});
+
+test('saveQueue: cancel drops a pending write', async () => {
+    const adapter = fakeAdapter();
+    const q = createSaveQueue(adapter, { delay: 10_000 });
+    q.enqueue('a', 'x');
+    q.enqueue('b', 'y');
+    q.cancel('a');
+    await q.flush();
+    assert.deepEqual(adapter.writes, ['b']);
+});
+
+test('saveQueue: failed writes are reported through onError', async () => {
+    const quota = Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+    const errors = [];
+    const q = createSaveQueue(fakeAdapter({ failWith: quota }), {
+        delay: 10_000,
+        onError: (err, key) => errors.push([err.name, key]),
+    });
+    q.enqueue('prog', {});
+    await q.flush();
+    assert.deepEqual(errors, [['QuotaExceededError', 'prog']]);
+});
+
+/* ─── createLocalStorageAdapter ─── */
+
+test('localStorage adapter: get / set / remove / keys round-trip', async () => {
+    const a = createLocalStorageAdapter(fakeStorage());
+    assert.equal(await a.get('k'), null);
+    await a.set('k', 'v');
+    assert.equal(await a.get('k'), 'v');
+    assert.deepEqual(await a.keys(), ['k']);
+    await a.remove('k');
+    assert.equal(await a.get('k'), null);
+});
@@ -0,0 +1,102 @@
+/**
+ * src/storage/snapshots.js — Rolling Local Restore Points
+ *
+ * Keeps copies of a profile's program on the same storage adapter as the
+ * program itself (see adapters.js):
+ *
+ *   <prefix>:<profileId>          — index: [{ id, at, day, reason, label, weeks, lectures, xp }], newest first
+ *   <prefix>:<profileId>:<id>     — the program JSON of one snapshot
+ *
+ * Two kinds are kept, each rolling over at `keep` entries:
+ *   'daily'  — first start of each day
+ *   anything else ('import', 'delete', 'restore', 'manual', …) — taken
+ *              right before the action. A burst of deletes therefore
+ *              never pushes the daily history out.
+ */
+
+import { allWeeks } from '../../xpEngine.js';
+import { localDayKey } from '../../dateService.js';
+
+export const DEFAULT_SNAPSHOT_KEEP = 10;
+export const MAX_SNAPSHOT_KEEP     = 50;
+
+export function createSnapshotStore(adapter, { prefix = 'iit_learn_snapshots_v1' } = {}) {
+    const indexKey = profileId => `${prefix}:${profileId}`;
+    const dataKey  = (profileId, id) => `${prefix}:${profileId}:${id}`;
+    let chain = Promise.resolve();   // index read-modify-writes run one at a time
+
+    async function list(profileId) {
+        const raw = await adapter.get(indexKey(profileId));
+        if (!raw) return [];
+        try {
+            const entries = JSON.parse(raw);
+            return Array.isArray(entries) ? entries : [];
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Store a copy of `program`. The program is serialised before the
+     * first await, so callers may change it right after calling take().
+     * Resolves to the new index entry.
+     */
+    function take(program, { profileId, reason, label = '', day, keep = DEFAULT_SNAPSHOT_KEEP, at = new Date() }) {
+        const json = JSON.stringify(program);
+        const weeks = allWeeks(program);
+        const entry = {
+            id: `s${at.getTime().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            at: at.toISOString(),
+            day: day || localDayKey(at),
+            reason,
+            label,
+            weeks: weeks.length,
+            lectures: weeks.reduce((n, w) => n + w.lectures.length, 0),
+            xp: program.totalXP || 0,
+        };
+
+        const run = chain.then(() => writeEntry(profileId, entry, json, keep));
+        chain = run.catch(() => {});
+        return run;
+    }
+
+    async function writeEntry(profileId, entry, json, keep) {
+        await adapter.set(dataKey(profileId, entry.id), json);
+        const entries = [entry, ...(await list(profileId))];
+
+        // Roll over each kind separately
+        const isDaily = e => e.reason === 'daily';
+        const kept = [
+            ...entries.filter(isDaily).slice(0, keep),
+            ...entries.filter(e => !isDaily(e)).slice(0, keep),
+        ];
+        const keptIds = new Set(kept.map(e => e.id));
+        const ordered = entries.filter(e => keptIds.has(e.id));
+        await adapter.set(indexKey(profileId), JSON.stringify(ordered));
+        for (const e of entries) {
+            if (!keptIds.has(e.id)) await adapter.remove(dataKey(profileId, e.id));
+        }
+        return entry;
+    }
+
+    /** Raw program JSON of one snapshot, or null */
+    async function read(profileId, id) {
+        return adapter.get(dataKey(profileId, id));
+    }
+
+    function removeAll(profileId) {
+        const run = chain.then(async () => {
+            for (const e of await list(profileId)) await adapter.remove(dataKey(profileId, e.id));
+            await adapter.remove(indexKey(profileId));
+        });
+        chain = run.catch(() => {});
+        return run;
+    }
+
+    return { list, take, read, removeAll };
+}
+
+/** Has a daily snapshot already been taken on `day` (YYYY-MM-DD)? */
+export function hasDailySnapshot(entries, day) {
+    return entries.some(e => e.reason === 'daily' && e.day === day);
+}
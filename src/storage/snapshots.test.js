@@ -0,0 +1,96 @@
+/**
+ * snapshots.test.js — Unit tests for rolling restore points
+ *
+ * Run with: node --test src/storage/snapshots.test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createSnapshotStore, hasDailySnapshot } from './snapshots.js';
+import { createLocalStorageAdapter } from './adapters.js';
+
+/* ─── Fakes ─── */
+
+function fakeStorage() {
+    const m = new Map();
+    return {
+        map: m,
+        get length() { return m.size; },
+        key: i => [...m.keys()][i] ?? null,
+        getItem: k => (m.has(k) ? m.get(k) : null),
+        setItem: (k, v) => m.set(k, String(v)),
+        removeItem: k => m.delete(k),
+    };
+}
+
+function program(weekCount, totalXP = 0) {
+    const weeks = Array.from({ length: weekCount }, (_, i) => ({ weekId: `w${i}`, lectures: [{ lectureId: `l${i}` }] }));
+    return { totalXP, terms: [{ termId: 't1', courses: [{ courseId: 'c1', weeks }] }] };
+}
+
+function setup() {
+    const storage = fakeStorage();
+    return { storage, store: createSnapshotStore(createLocalStorageAdapter(storage)) };
+}
+
+const at = n => new Date(Date.UTC(2026, 2, 1, 9, n));
+
+/* ─── Tests ─── */
+
+test('take stores a copy and a summary entry', async () => {
+    const { store } = setup();
+    const p = program(3, 120);
+    const entry = await store.take(p, { profileId: 'default', reason: 'import', label: 'Before import', at: at(0) });
+    p.totalXP = 999;   // later changes don't leak into the snapshot
+
+    assert.equal(entry.weeks, 3);
+    assert.equal(entry.lectures, 3);
+    assert.equal(entry.xp, 120);
+    assert.equal(entry.day, '2026-03-01');
+    assert.deepEqual(await store.list('default'), [entry]);
+    assert.equal(JSON.parse(await store.read('default', entry.id)).totalXP, 120);
+});
+
+test('the program is copied before take() awaits anything', async () => {
+    const { store } = setup();
+    const p = program(1, 10);
+    const pending = store.take(p, { profileId: 'default', reason: 'delete', at: at(0) });
+    p.totalXP = 0;
+    p.terms = [];
+    const entry = await pending;
+    assert.equal(entry.xp, 10);
+    assert.equal(JSON.parse(await store.read('default', entry.id)).terms.length, 1);
+});
+
+test('list is newest first and rolls over per kind', async () => {
+    const { store, storage } = setup();
+    for (let i = 0; i < 3; i++) await store.take(program(1, i), { profileId: 'p', reason: 'daily', keep: 2, at: at(i) });
+    for (let i = 0; i < 4; i++) await store.take(program(1, 10 + i), { profileId: 'p', reason: 'delete', keep: 2, at: at(10 + i) });
+
+    const entries = await store.list('p');
+    assert.deepEqual(entries.map(e => `${e.reason}:${e.xp}`), ['delete:13', 'delete:12', 'daily:2', 'daily:1']);
+    // Dropped snapshots are removed from storage too: 4 payloads + 1 index
+    assert.equal(storage.map.size, 5);
+});
+
+test('profiles are kept apart and removeAll clears one profile', async () => {
+    const { store } = setup();
+    await store.take(program(1), { profileId: 'a', reason: 'manual', at: at(0) });
+    await store.take(program(2), { profileId: 'b', reason: 'manual', at: at(1) });
+    await store.removeAll('a');
+    assert.deepEqual(await store.list('a'), []);
+    assert.equal((await store.list('b')).length, 1);
+});
+
+test('hasDailySnapshot only counts daily snapshots of that day', () => {
+    const entries = [{ reason: 'delete', day: '2026-03-02' }, { reason: 'daily', day: '2026-03-01' }];
+    assert.equal(hasDailySnapshot(entries, '2026-03-01'), true);
+    assert.equal(hasDailySnapshot(entries, '2026-03-02'), false);
+});
+
+test('an unreadable index reads as empty', async () => {
+    const { store, storage } = setup();
+    storage.setItem('iit_learn_snapshots_v1:x', '{oops');
+    assert.deepEqual(await store.list('x'), []);
+});
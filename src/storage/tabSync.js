@@ -0,0 +1,122 @@
+/**
+ * src/storage/tabSync.js — Live Sync Between Open Tabs / PWA Windows
+ *
+ * Transport:
+ *   BroadcastChannel when available — messages carry the whole program.
+ *   Otherwise a `storage` event on SYNC_PING_KEY — the ping carries only
+ *   the revision info and the receiver reloads the program from storage.
+ *
+ * Revisions:
+ *   Every broadcast gets a fresh revision id and names its parent: the
+ *   revision the sender had last broadcast or accepted. A receiver whose
+ *   own last revision IS that parent (and who has no unsent edits) can
+ *   simply adopt the incoming program. Anything else means both sides
+ *   changed concurrently, and resolveIncoming() applies the sync policy:
+ *
+ *     'merge' — per record, the side that changed it wins, unchecks and
+ *               deletions included: a three-way merge against the parent
+ *               revision (mergeFromBase in src/backup/merge.js). Without
+ *               that revision, field-level merge — furthest progress wins
+ *     'lww'   — last writer wins, by program.updatedAt; the loser is told
+ */
+
+import { mergePrograms, mergeFromBase } from '../backup/merge.js';
+
+const CHANNEL_NAME  = 'iit-learn-sync';
+const SYNC_PING_KEY = 'iit_learn_sync_ping_v1';
+
+export const SYNC_POLICIES = ['merge', 'lww'];
+
+/** Random revision / tab id */
+export function newRevisionId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Open the cross-tab channel. `onMessage(msg)` receives messages from
+ * OTHER tabs only. Returns { tabId, publish(msg), close() }.
+ */
+export function createTabSync({ onMessage }) {
+    const tabId = newRevisionId();
+
+    if (typeof BroadcastChannel === 'function') {
+        const channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.onmessage = e => {
+            if (e.data && e.data.tabId !== tabId) onMessage(e.data);
+        };
+        return {
+            tabId,
+            transport: 'broadcast',
+            publish(msg) { channel.postMessage({ ...msg, tabId }); },
+            close() { channel.close(); }
+        };
+    }
+
+    const onStorage = e => {
+        if (e.key !== SYNC_PING_KEY || !e.newValue) return;
+        try {
+            const msg = JSON.parse(e.newValue);
+            if (msg.tabId !== tabId) onMessage(msg);
+        } catch (err) {
+            console.warn('[Sync] Bad ping ignored:', err);
+        }
+    };
+    window.addEventListener('storage', onStorage);
+    return {
+        tabId,
+        transport: 'storage',
+        publish(msg) {
+            // The program itself is already in storage; ping without it
+            const { program, ...ping } = msg;
+            localStorage.setItem(SYNC_PING_KEY, JSON.stringify({ ...ping, tabId }));
+        },
+        close() { window.removeEventListener('storage', onStorage); }
+    };
+}
+
+/**
+ * Decide what to do with a program received from another tab.
+ *
+ * @param {Object} local     — this tab's program
+ * @param {Object} incoming  — the other tab's program
+ * @param {Object} info
+ *   lastRev        — revision this tab last broadcast or accepted
+ *   rev, parent    — incoming revision and the revision it was based on
+ *   hasLocalEdits  — this tab has edits it hasn't broadcast yet
+ *   policy         — 'merge' | 'lww'
+ *   base           — the program at revision `parent`, if this tab still has it
+ * @returns {{ action: 'ignore'|'adopt'|'merge'|'keep', program, rev, conflict }}
+ *   adopt — use `program` (incoming) as is
+ *   merge — use `program` (merged) and broadcast it
+ *   keep  — local wins (lww); broadcast local so the other tab takes it
+ *   `conflict` is true when both sides had changed.
+ */
+export function resolveIncoming(local, incoming, { lastRev, rev, parent, hasLocalEdits, policy = 'merge', base = null }) {
+    if (rev === lastRev) return { action: 'ignore', program: local, rev, conflict: false };
+
+    if (parent === lastRev && !hasLocalEdits) {
+        return { action: 'adopt', program: incoming, rev, conflict: false };
+    }
+
+    /* Concurrent edits */
+    if (policy === 'lww') {
+        const incomingNewer = (incoming.updatedAt || '') >= (local.updatedAt || '');
+        return incomingNewer
+            ? { action: 'adopt', program: incoming, rev, conflict: true }
+            : { action: 'keep', program: local, rev: lastRev, conflict: true };
+    }
+
+    const merged = base ? mergeFromBase(base, local, incoming) : mergePrograms(local, incoming);
+    const data = treeKey(merged);
+    if (data === treeKey(local) && data === treeKey(incoming)) {
+        // Both sides already hold the same data — settle on one revision id
+        // (the larger) on both ends without another broadcast
+        return { action: 'adopt', program: merged, rev: rev > lastRev ? rev : lastRev, conflict: false };
+    }
+    return { action: 'merge', program: merged, rev: null, conflict: true };
+}
+
+/** Terms tree as a string, ignoring derived XP, for "same data?" checks */
+function treeKey(program) {
+    return JSON.stringify(program.terms, (k, v) => (k === 'xpEarned' ? undefined : v));
+}
@@ -0,0 +1,148 @@
+/**
+ * tabSync.test.js — Unit tests for resolving programs from other tabs
+ *
+ * Run with: node --test src/storage/tabSync.test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { resolveIncoming } from './tabSync.js';
+import { XP } from '../../xpEngine.js';
+
+/* ─── Factories ─── */
+
+function lec(id, overrides = {}) {
+    return { lectureId: id, lectureName: id, watched: false, memoryNote: false, finalNote: false,
+             activityTotal: 0, activityDone: 0, revisionCount: 0, notes: '', notesUpdatedAt: null,
+             xpEarned: 0, ...overrides };
+}
+
+function program(lectures, overrides = {}) {
+    const week = { weekId: 'w1', weekName: 'Week 1', lectures,
+                   practiceAssignment: { totalQuestions: 0, doneQuestions: 0 },
+                   gradedAssignment: { totalQuestions: 0, doneQuestions: 0 },
+                   weeklyMemoryNote: false, weeklyFinalNote: false, weekCompleted: false, xpEarned: 0 };
+    return {
+        terms: [{ termId: 't1', termName: 'Jan 2026', xpEarned: 0,
+                  courses: [{ courseId: 'c1', courseName: 'Maths 1', xpEarned: 0, weeks: [week] }] }],
+        totalXP: 0, level: 1, streak: 0, bestStreak: 0, streakFreezes: 0, lastActiveDate: null,
+        xpHistory: {}, xpLedger: {}, xpOpeningBalance: 0, xpSources: null,
+        updatedAt: null, revision: null,
+        ...overrides,
+    };
+}
+
+const lecturesOf = p => p.terms[0].courses[0].weeks[0].lectures;
+
+/* ─── Tests ─── */
+
+test('own echo is ignored', () => {
+    const local = program([lec('l1')]);
+    const r = resolveIncoming(local, local, { lastRev: 'r1', rev: 'r1', parent: 'r0', hasLocalEdits: false });
+    assert.equal(r.action, 'ignore');
+});
+
+test('change built on our last revision is adopted as is', () => {
+    const local = program([lec('l1', { watched: true })]);
+    const incoming = program([lec('l1', { watched: false })]);   // unchecked elsewhere
+    const r = resolveIncoming(local, incoming, { lastRev: 'r1', rev: 'r2', parent: 'r1', hasLocalEdits: false });
+    assert.equal(r.action, 'adopt');
+    assert.equal(r.conflict, false);
+    assert.equal(r.program, incoming);
+    assert.equal(r.rev, 'r2');
+});
+
+test('unsent local edits make it concurrent even when the parent matches', () => {
+    const local = program([lec('l1', { watched: true }), lec('l2')]);
+    const incoming = program([lec('l1'), lec('l2', { memoryNote: true })]);
+    const r = resolveIncoming(local, incoming, { lastRev: 'r1', rev: 'r2', parent: 'r1', hasLocalEdits: true });
+    assert.equal(r.action, 'merge');
+    assert.equal(r.conflict, true);
+    const [l1, l2] = lecturesOf(r.program);
+    assert.equal(l1.watched, true);
+    assert.equal(l2.memoryNote, true);
+});
+
+test('merge policy keeps both sides of a concurrent edit', () => {
+    const local = program([lec('l1', { watched: true })]);
+    const incoming = program([lec('l1', { activityTotal: 4, activityDone: 2 })]);
+    const r = resolveIncoming(local, incoming, { lastRev: 'rA', rev: 'rB', parent: 'r0', hasLocalEdits: false });
+    assert.equal(r.action, 'merge');
+    const [l1] = lecturesOf(r.program);
+    assert.equal(l1.watched, true);
+    assert.equal(l1.activityDone, 2);
+    assert.equal(r.program.totalXP > 0, true);
+});
+
+test('merge policy with the parent revision: an uncheck in the other window carries over', () => {
+    const base = program([lec('l1', { watched: true }), lec('l2')]);
+    const local = program([lec('l1', { watched: true }), lec('l2', { memoryNote: true })], { updatedAt: '2026-03-01T10:00:05.000Z' });
+    const incoming = program([lec('l1'), lec('l2')], { updatedAt: '2026-03-01T10:00:04.000Z' });   // l1 unchecked
+    const r = resolveIncoming(local, incoming, { lastRev: 'r0', rev: 'rB', parent: 'r0', hasLocalEdits: true, base });
+    assert.equal(r.action, 'merge');
+    const [l1, l2] = lecturesOf(r.program);
+    assert.equal(l1.watched, false);
+    assert.equal(l2.memoryNote, true);
+
+    // Without the parent revision, the furthest progress still wins
+    const union = resolveIncoming(local, incoming, { lastRev: 'r0', rev: 'rB', parent: 'r0', hasLocalEdits: true });
+    assert.equal(lecturesOf(union.program)[0].watched, true);
+});
+
+test('merge policy with the parent revision: a delete carries over unless the record changed since', () => {
+    const base = program([lec('l1'), lec('l2'), lec('l3')]);
+    const local = program([lec('l1'), lec('l2'), lec('l3', { finalNote: true })]);
+    const incoming = program([lec('l1')], { updatedAt: '2026-03-01T10:00:05.000Z' });   // l2 and l3 deleted
+    const r = resolveIncoming(local, incoming, { lastRev: 'rA', rev: 'rB', parent: 'r0', hasLocalEdits: true, base });
+    assert.deepEqual(lecturesOf(r.program).map(l => l.lectureId), ['l1', 'l3']);
+
+    // Both windows changed the same lecture: the later save wins it
+    const mine = program([lec('l1', { watched: true, notes: 'mine' })], { updatedAt: '2026-03-01T10:00:01.000Z' });
+    const theirs = program([lec('l1', { notes: 'theirs' })], { updatedAt: '2026-03-01T10:00:02.000Z' });
+    const both = resolveIncoming(mine, theirs, { lastRev: 'rA', rev: 'rB', parent: 'r0', hasLocalEdits: true, base: program([lec('l1')]) });
+    assert.deepEqual([lecturesOf(both.program)[0].watched, lecturesOf(both.program)[0].notes], [false, 'theirs']);
+});
+
+test('merge policy with the parent revision: XP ledger entries of both windows count once', () => {
+    const day = '2026-03-01', W = XP.LECTURE_WATCH;
+    const e0 = { at: `${day}T09:00:00.000Z`, source: 'lecture', delta: W };
+    const eA = { at: `${day}T10:00:00.000Z`, source: 'lecture', delta: W };    // l2 watched here
+    const eB = { at: `${day}T10:00:01.000Z`, source: 'lecture', delta: -W };   // l1 unwatched there
+    const base = program([lec('l1', { watched: true }), lec('l2')], { xpLedger: { [day]: [e0] }, xpHistory: { [day]: W } });
+    const local = program([lec('l1', { watched: true }), lec('l2', { watched: true })], { xpLedger: { [day]: [e0, eA] }, xpHistory: { [day]: 2 * W } });
+    const incoming = program([lec('l1'), lec('l2')], { xpLedger: { [day]: [e0, eB] }, xpHistory: { [day]: 0 } });
+    const r = resolveIncoming(local, incoming, { lastRev: 'r0', rev: 'rB', parent: 'r0', hasLocalEdits: true, base });
+    assert.deepEqual(r.program.xpLedger[day], [e0, eA, eB]);
+    assert.equal(r.program.xpHistory[day], W);
+    assert.equal(r.program.totalXP, W);
+    assert.equal(r.program.xpOpeningBalance, 0);
+});
+
+test('identical data after merge settles on one revision without another round', () => {
+    const local = program([lec('l1', { watched: true })]);
+    const incoming = program([lec('l1', { watched: true })]);
+    const a = resolveIncoming(local, incoming, { lastRev: 'rM1', rev: 'rM2', parent: 'rA', hasLocalEdits: false });
+    const b = resolveIncoming(incoming, local, { lastRev: 'rM2', rev: 'rM1', parent: 'rB', hasLocalEdits: false });
+    assert.equal(a.action, 'adopt');
+    assert.equal(b.action, 'adopt');
+    assert.equal(a.rev, b.rev);
+    assert.equal(a.conflict, false);
+});
+
+test('lww: newer incoming save replaces local and reports the conflict', () => {
+    const local = program([lec('l1', { watched: true })], { updatedAt: '2026-03-01T10:00:00.000Z' });
+    const incoming = program([lec('l1')], { updatedAt: '2026-03-01T10:00:05.000Z' });
+    const r = resolveIncoming(local, incoming, { lastRev: 'rA', rev: 'rB', parent: 'r0', hasLocalEdits: true, policy: 'lww' });
+    assert.equal(r.action, 'adopt');
+    assert.equal(r.conflict, true);
+    assert.equal(lecturesOf(r.program)[0].watched, false);
+});
+
+test('lww: newer local save is kept', () => {
+    const local = program([lec('l1', { watched: true })], { updatedAt: '2026-03-01T10:00:09.000Z' });
+    const incoming = program([lec('l1')], { updatedAt: '2026-03-01T10:00:05.000Z' });
+    const r = resolveIncoming(local, incoming, { lastRev: 'rA', rev: 'rB', parent: 'r0', hasLocalEdits: true, policy: 'lww' });
+    assert.equal(r.action, 'keep');
+    assert.equal(r.program, local);
+});
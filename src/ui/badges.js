@@ -0,0 +1,83 @@
+/**
+ * src/ui/badges.js — Badge Gallery & Unlock Announcements
+ *
+ * renderBadges() fills the badges panel with every achievement:
+ * unlocked ones with their date, locked ones greyed out with a progress
+ * bar toward their goal. announceBadges() shows newly unlocked badges in
+ * their own toast, above the regular one, so a "Week complete" or
+ * "Level up" toast from the same click doesn't hide it.
+ *
+ * Rules and state come from achievements.js; nothing is dispatched.
+ */
+
+import { evaluateAchievements } from '../../achievements.js';
+
+const BADGE_TOAST_MS = 4500;
+
+export function renderBadges(program) {
+    const panel = document.getElementById('badges-section');
+    if (!panel) return;
+
+    const all = evaluateAchievements(program);
+    const count = all.filter(a => a.unlocked).length;
+    panel.innerHTML = '';
+
+    const title = el('div', 'stats-title');
+    title.textContent = `BADGES · ${count} / ${all.length} UNLOCKED`;
+    panel.appendChild(title);
+
+    const grid = el('div', 'badge-grid');
+    for (const a of all) {
+        const card = el('div', `badge-card${a.unlocked ? ' badge-unlocked' : ''}`);
+        card.title = a.description;
+
+        const icon = el('span', 'badge-icon'); icon.textContent = a.icon;
+        const name = el('div', 'badge-name'); name.textContent = a.name;
+        const desc = el('div', 'badge-desc'); desc.textContent = a.description;
+        card.appendChild(icon); card.appendChild(name); card.appendChild(desc);
+
+        if (a.unlocked) {
+            const when = el('div', 'badge-when');
+            when.textContent = `Unlocked ${new Date(a.unlockedAt).toLocaleDateString()}`;
+            card.appendChild(when);
+        } else {
+            const track = el('div', 'badge-track');
+            const fill = el('div', 'badge-fill');
+            fill.style.width = `${((a.value / a.goal) * 100).toFixed(1)}%`;
+            track.appendChild(fill);
+            const count = el('div', 'badge-when');
+            count.textContent = `${a.value} / ${a.goal}`;
+            card.appendChild(track); card.appendChild(count);
+        }
+        grid.appendChild(card);
+    }
+    panel.appendChild(grid);
+}
+
+/** Toast for badges unlocked by the last change (evaluated achievements) */
+export function announceBadges(unlocked) {
+    if (unlocked.length === 0) return;
+    const message = unlocked.length === 1
+        ? `${unlocked[0].icon} Badge unlocked: ${unlocked[0].name} — ${unlocked[0].description}`
+        : `🏅 ${unlocked.length} badges unlocked: ${unlocked.map(a => a.name).join(', ')}`;
+
+    document.getElementById('badge-toast')?.remove();
+    const t = el('div', 'toast toast-success toast-badge');
+    t.id = 'badge-toast';
+    t.setAttribute('role', 'status');
+    t.textContent = message;
+    document.body.appendChild(t);
+    requestAnimationFrame(() => t.classList.add('toast-visible'));
+    setTimeout(() => {
+        t.classList.remove('toast-visible');
+        setTimeout(() => t.remove(), 300);
+    }, BADGE_TOAST_MS);
+}
+
+/* ── Local helpers ── */
+
+function el(tag, cls = '') {
+    const e = document.createElement(tag);
+    if (cls) e.className = cls;
+    return e;
+}
@@ -0,0 +1,84 @@
+/**
+ * src/ui/catalogModal.js — New Course from the Built-In Catalog
+ *
+ * Lists the courses of src/data/courseCatalog.js grouped by level, each
+ * with its week / lecture count and an "Add" button. Courses already in
+ * the target term are marked but can still be added again.
+ * All events dispatched upward via dispatch(action, payload).
+ */
+
+import { removeModal } from './modals.js';
+
+/**
+ * @param {Object} catalog
+ *   courses — COURSE_CATALOG entries
+ *   levels  — [{ id, label }] in display order
+ * @param {Object} target
+ *   termName      — term the course will be added to
+ *   existingNames — course names already in that term
+ */
+export function showCatalogModal({ courses, levels }, { termName, existingNames = [] }, dispatch) {
+    removeModal();
+    const overlay = el('div', 'modal-overlay');
+    const modal = el('div', 'modal');
+    const ttl = el('div', 'modal-title'); ttl.textContent = `New course from catalog · ${termName}`;
+    modal.appendChild(ttl);
+
+    const msg = el('p', 'modal-msg');
+    msg.textContent = 'Adds the course with its usual 12 weeks and lecture topics. ' +
+        'Rename lectures to match your course page, and set question counts per week.';
+    modal.appendChild(msg);
+
+    const existing = new Set(existingNames.map(n => n.trim().toLowerCase()));
+    const list = el('div', 'profile-list catalog-list');
+    for (const level of levels) {
+        const inLevel = courses.filter(c => c.level === level.id);
+        if (inLevel.length === 0) continue;
+
+        const head = el('div', 'catalog-level');
+        head.textContent = level.label;
+        list.appendChild(head);
+
+        for (const c of inLevel) {
+            const row = el('div', 'profile-row catalog-row');
+
+            const info = el('div', 'catalog-info');
+            const name = el('span', 'profile-name'); name.textContent = c.name;
+            const meta = el('span', 'catalog-meta');
+            const lectures = c.weeks.reduce((n, [, l]) => n + l.length, 0);
+            meta.textContent = `${c.code} · ${c.weeks.length} weeks · ${lectures} lectures`;
+            info.appendChild(name); info.appendChild(meta);
+            row.appendChild(info);
+
+            if (existing.has(c.name.toLowerCase())) {
+                const badge = el('span', 'badge badge-done');
+                badge.textContent = 'In term';
+                row.appendChild(badge);
+            }
+
+            const add = el('button', 'btn-secondary-sm');
+            add.textContent = '+ Add';
+            add.addEventListener('click', () => { removeModal(); dispatch('ADD_CATALOG_COURSE', { code: c.code }); });
+            row.appendChild(add);
+
+            list.appendChild(row);
+        }
+    }
+    modal.appendChild(list);
+
+    const acts = el('div', 'modal-actions');
+    const close = el('button', 'modal-btn btn-cancel'); close.textContent = 'Close';
+    acts.appendChild(close);
+    modal.appendChild(acts);
+
+    overlay.appendChild(modal); document.body.appendChild(overlay);
+    close.addEventListener('click', removeModal);
+    overlay.addEventListener('click', e => { if (e.target === overlay) removeModal(); });
+}
+
+/* ── Shared DOM helper (local to this module) ── */
+function el(tag, cls = '') {
+    const e = document.createElement(tag);
+    if (cls) e.className = cls;
+    return e;
+}
@@ -0,0 +1,129 @@
+/**
+ * src/ui/courseBar.js — Term / Course Switcher
+ *
+ * Builds the bar above the weeks list:
+ *   - Course select, grouped by term (one <optgroup> per term)
+ *   - Rename / delete buttons for the active course and its term
+ *   - Grades button for the active course (opens the score calculator)
+ *   - Add course / course from catalog / add term buttons
+ *   - Roll-up line: course XP + progress, term XP + progress
+ *
+ * All events dispatched upward via dispatch(action, payload).
+ */
+
+import { weeksProgress } from '../../xpEngine.js';
+
+export function renderCourseBar(program, dispatch, gradesOpen = false) {
+    const bar = document.getElementById('course-bar');
+    if (!bar) return;
+
+    bar.innerHTML = '';
+
+    const term = program.terms.find(t => t.courses.some(c => c.courseId === program.activeCourseId)) || null;
+    const course = term ? term.courses.find(c => c.courseId === program.activeCourseId) : null;
+
+    const row = el('div', 'course-bar-row');
+
+    /* Course select grouped by term */
+    const select = el('select', 'course-select');
+    select.setAttribute('aria-label', 'Active course');
+    if (!course) {
+        const none = el('option');
+        none.textContent = 'No course selected';
+        none.value = '';
+        select.appendChild(none);
+    }
+    for (const t of program.terms) {
+        const group = el('optgroup');
+        group.label = t.termName;
+        for (const c of t.courses) {
+            const opt = el('option');
+            opt.value = c.courseId;
+            opt.textContent = `${c.courseName} · ${c.xpEarned || 0} XP`;
+            if (c === course) opt.selected = true;
+            group.appendChild(opt);
+        }
+        if (t.courses.length === 0) {
+            const opt = el('option');
+            opt.disabled = true;
+            opt.textContent = 'No courses yet';
+            group.appendChild(opt);
+        }
+        select.appendChild(group);
+    }
+    select.addEventListener('change', () => dispatch('SELECT_COURSE', { courseId: select.value }));
+    row.appendChild(select);
+
+    if (course) {
+        row.appendChild(iconBtn('✎', 'btn-edit', 'Rename course',
+            () => dispatch('RENAME_COURSE', { courseId: course.courseId })));
+        row.appendChild(iconBtn('✕', 'btn-delete', 'Delete course',
+            () => dispatch('DELETE_COURSE', { courseId: course.courseId })));
+
+        const grades = el('button', 'btn-secondary-sm');
+        grades.textContent = gradesOpen ? '▲ Hide Grades' : '🎓 Grades';
+        grades.title = 'Exam scores, final course score and end-term eligibility';
+        grades.addEventListener('click', () => dispatch('TOGGLE_GRADES'));
+        row.appendChild(grades);
+    }
+
+    const addCourse = el('button', 'btn-secondary-sm');
+    addCourse.textContent = '+ Course';
+    addCourse.addEventListener('click', () => dispatch('ADD_COURSE'));
+    row.appendChild(addCourse);
+
+    const fromCatalog = el('button', 'btn-secondary-sm');
+    fromCatalog.textContent = '📚 Catalog';
+    fromCatalog.title = 'New course from the built-in IITM course catalog';
+    fromCatalog.addEventListener('click', () => dispatch('OPEN_CATALOG'));
+    row.appendChild(fromCatalog);
+
+    const addTerm = el('button', 'btn-secondary-sm');
+    addTerm.textContent = '+ Term';
+    addTerm.addEventListener('click', () => dispatch('ADD_TERM'));
+    row.appendChild(addTerm);
+
+    bar.appendChild(row);
+
+    /* Roll-up summary for the active course and its term */
+    if (term) {
+        const summary = el('div', 'course-bar-summary');
+
+        if (course) {
+            const cSpan = el('span', 'course-bar-stat');
+            cSpan.textContent = `Course: ${course.xpEarned || 0} XP · ${pct(weeksProgress(course.weeks))} · ${course.weeks.length} weeks`;
+            summary.appendChild(cSpan);
+        }
+
+        const tSpan = el('span', 'course-bar-stat');
+        tSpan.textContent = `${term.termName}: ${term.xpEarned || 0} XP · ${pct(weeksProgress(term.courses.flatMap(c => c.weeks)))}`;
+        summary.appendChild(tSpan);
+
+        const tEdit = iconBtn('✎', 'btn-edit', 'Rename term',
+            () => dispatch('RENAME_TERM', { termId: term.termId }));
+        const tDel = iconBtn('✕', 'btn-delete', 'Delete term',
+            () => dispatch('DELETE_TERM', { termId: term.termId }));
+        summary.appendChild(tEdit); summary.appendChild(tDel);
+
+        bar.appendChild(summary);
+    }
+}
+
+/* ── Local helpers ── */
+
+function pct(p) {
+    return `${Math.round(p * 100)}%`;
+}
+
+function iconBtn(text, cls, title, onClick) {
+    const b = el('button', `btn-icon ${cls}`);
+    b.textContent = text; b.title = title;
+    b.addEventListener('click', onClick);
+    return b;
+}
+
+function el(tag, cls = '') {
+    const e = document.createElement(tag);
+    if (cls) e.className = cls;
+    return e;
+}
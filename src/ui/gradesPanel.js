@@ -0,0 +1,260 @@
+/**
+ * src/ui/gradesPanel.js — Course Score Calculator Panel
+ *
+ * Opened from 🎓 Grades in the course bar. For the active course:
+ *   - Final score T and letter grade from the course formula
+ *   - End-term eligibility from the eligibility rule
+ *   - Score inputs (GAA, quizzes, end term, OPPE) and weekly GA scores
+ *   - The formula, the rule and N (weeks in GAA_N), editable
+ *
+ * Formulas are checked here before they are sent, so a typo keeps the
+ * text in the field. Rules live in gradeCalculator.js; every change goes
+ * through dispatch('UPDATE_GRADES', { courseId, patch }).
+ */
+
+import {
+    courseResult, compileFormula, normalizeGrades, SCORE_FIELDS, FORMULA_VARIABLES,
+    DEFAULT_FORMULA, DEFAULT_ELIGIBILITY, DEFAULT_ELIGIBILITY_WEEKS, MAX_ELIGIBILITY_WEEKS
+} from '../../gradeCalculator.js';
+
+export function renderGradesPanel(program, dispatch) {
+    const panel = document.getElementById('grades-section');
+    if (!panel) return;
+    panel.innerHTML = '';
+
+    const course = program.terms.flatMap(t => t.courses).find(c => c.courseId === program.activeCourseId);
+    const title = el('div', 'stats-title');
+    title.textContent = course ? `GRADES — ${course.courseName}` : 'GRADES';
+    panel.appendChild(title);
+
+    if (!course) {
+        const empty = el('p', 'section-empty');
+        empty.textContent = 'Pick a course to enter its scores.';
+        panel.appendChild(empty);
+        return;
+    }
+
+    const grades = normalizeGrades(course.grades);
+    const result = courseResult(course);
+    const update = patch => dispatch('UPDATE_GRADES', { courseId: course.courseId, patch });
+
+    panel.appendChild(resultCard(result, grades, Math.min(grades.eligibilityWeeks, course.weeks.length)));
+    panel.appendChild(scoresSection(grades, result, update));
+    panel.appendChild(weeksSection(course, grades, update));
+    panel.appendChild(formulaSection(grades, update));
+}
+
+/* ── Result ── */
+
+function resultCard(result, grades, firstWeeks) {
+    const card = el('div', 'grade-result');
+
+    const score = el('div', 'grade-score');
+    score.textContent = result.score === null ? 'T = —' : `T = ${fmt(result.score)}`;
+    card.appendChild(score);
+    if (result.grade) {
+        const pill = el('span', `stat-pill ${result.grade === 'U' ? 'pill-amber' : 'pill-green'}`);
+        pill.textContent = `Grade ${result.grade}`;
+        card.appendChild(pill);
+    }
+
+    const lines = el('div', 'grade-lines');
+    const line = (text, cls = '') => {
+        const p = el('span', `grade-line ${cls}`);
+        p.textContent = text;
+        lines.appendChild(p);
+    };
+
+    if (result.error) line(`⚠ Course formula: ${result.error}`, 'grade-warn');
+    else if (result.missing.length > 0) line(`Enter ${names(result.missing, firstWeeks)} to see the final score.`);
+
+    if (!grades.eligibility) line('No end-term eligibility rule.');
+    else if (result.eligibilityError) line(`⚠ Eligibility rule: ${result.eligibilityError}`, 'grade-warn');
+    else if (result.eligible === true) line(`✅ Eligible for the end term (${grades.eligibility}).`, 'grade-ok');
+    else if (result.eligible === false) line(`⛔ Not eligible for the end term yet (${grades.eligibility}).`, 'grade-warn');
+    else line(`Eligibility (${grades.eligibility}) needs ${names(result.eligibilityMissing, firstWeeks)}.`);
+
+    card.appendChild(lines);
+    return card;
+}
+
+/* ── Scores ── */
+
+function scoresSection(grades, result, update) {
+    const wrap = el('div');
+    const title = el('div', 'stats-title stats-subtitle');
+    title.textContent = 'SCORES';
+    wrap.appendChild(title);
+
+    // Only the scores the formula or the rule use (all of them while either is broken)
+    const used = new Set(['GAA']);
+    for (const [text, condition] of [[grades.formula, false], [grades.eligibility, true]]) {
+        if (!text) continue;
+        const c = compileFormula(text, { condition });
+        for (const name of c.ok ? c.names : FORMULA_VARIABLES) used.add(name);
+    }
+
+    const row = el('div', 'grade-fields');
+    for (const f of SCORE_FIELDS.filter(f => used.has(f.key))) {
+        const input = scoreInput(grades.scores[f.key], v => update({ scores: { [f.key]: v } }));
+        if (f.key === 'GAA' && grades.scores.GAA === null && result.vars.GAA !== null)
+            input.placeholder = fmt(result.vars.GAA);
+        row.appendChild(labelled(f.label, `${f.hint} (${f.key}), 0–100`, input));
+    }
+    wrap.appendChild(row);
+
+    const hint = el('p', 'section-empty');
+    hint.textContent = 'Leave a score blank until it is out. Without a GAA of its own, the average of the weekly scores below is used.';
+    wrap.appendChild(hint);
+    return wrap;
+}
+
+function weeksSection(course, grades, update) {
+    const wrap = el('div');
+    const title = el('div', 'stats-title stats-subtitle');
+    title.textContent = 'WEEKLY GRADED ASSIGNMENTS';
+    wrap.appendChild(title);
+
+    if (course.weeks.length === 0) {
+        const empty = el('p', 'section-empty');
+        empty.textContent = 'This course has no weeks yet.';
+        wrap.appendChild(empty);
+        return wrap;
+    }
+
+    const row = el('div', 'grade-fields');
+    course.weeks.forEach((w, i) => {
+        const input = scoreInput(grades.weekGA[w.weekId] ?? null, v => update({ weekGA: { [w.weekId]: v } }));
+        const field = labelled(`W${i + 1}`, w.weekName, input);
+        if (i < grades.eligibilityWeeks) field.classList.add('grade-field-first');
+        row.appendChild(field);
+    });
+    wrap.appendChild(row);
+
+    const hint = el('p', 'section-empty');
+    hint.textContent = `GAA_N averages the first ${grades.eligibilityWeeks} week${grades.eligibilityWeeks === 1 ? '' : 's'} (highlighted) once each has a score.`;
+    wrap.appendChild(hint);
+    return wrap;
+}
+
+/* ── Formula ── */
+
+function formulaSection(grades, update) {
+    const wrap = el('div');
+    const title = el('div', 'stats-title stats-subtitle');
+    title.textContent = 'GRADING FORMULA';
+    wrap.appendChild(title);
+
+    wrap.appendChild(formulaRow('Course score T', grades.formula, false,
+        text => update({ formula: text })));
+    wrap.appendChild(formulaRow('End-term eligibility', grades.eligibility, true,
+        text => update({ eligibility: text })));
+
+    const row = el('div', 'grade-fields');
+    const weeks = el('input', 'settings-input');
+    weeks.type = 'number';
+    weeks.min = 1; weeks.max = MAX_ELIGIBILITY_WEEKS; weeks.step = 1;
+    weeks.value = grades.eligibilityWeeks;
+    weeks.addEventListener('change', () => {
+        const n = Number(weeks.value);
+        if (!Number.isInteger(n) || n < 1 || n > MAX_ELIGIBILITY_WEEKS) {
+            flagError(weeks);
+            weeks.value = grades.eligibilityWeeks;
+            return;
+        }
+        update({ eligibilityWeeks: n });
+    });
+    row.appendChild(labelled('N (weeks in GAA_N)', `1–${MAX_ELIGIBILITY_WEEKS}`, weeks));
+
+    const reset = el('button', 'btn-secondary-sm');
+    reset.textContent = '↺ Default formula';
+    reset.title = `T = ${DEFAULT_FORMULA}; eligible when ${DEFAULT_ELIGIBILITY} over ${DEFAULT_ELIGIBILITY_WEEKS} weeks`;
+    reset.addEventListener('click', () => update({
+        formula: DEFAULT_FORMULA, eligibility: DEFAULT_ELIGIBILITY, eligibilityWeeks: DEFAULT_ELIGIBILITY_WEEKS
+    }));
+    row.appendChild(reset);
+    wrap.appendChild(row);
+
+    const hint = el('p', 'section-empty');
+    hint.textContent = `Copy the formula from your course page. Scores: ${FORMULA_VARIABLES.join(', ')}. ` +
+        'Use + − · / ( ), max(…) and min(…); the rule compares with >= <= > < and joins with and / or.';
+    wrap.appendChild(hint);
+    return wrap;
+}
+
+function formulaRow(label, value, condition, onText) {
+    const field = el('label', 'grade-formula');
+    const span = el('span', 'settings-hint'); span.textContent = label;
+    const input = el('input', 'settings-input settings-text-input grade-formula-input');
+    input.type = 'text';
+    input.value = value;
+    input.spellcheck = false;
+    input.placeholder = condition ? 'No rule' : DEFAULT_FORMULA;
+    const error = el('span', 'grade-line grade-warn');
+
+    input.addEventListener('change', () => {
+        const text = input.value.trim();
+        const c = condition && text === '' ? { ok: true } : compileFormula(text, { condition });
+        if (!c.ok) {
+            flagError(input);
+            error.textContent = `⚠ ${c.error}`;
+            return;
+        }
+        onText(text);
+    });
+
+    field.appendChild(span); field.appendChild(input); field.appendChild(error);
+    return field;
+}
+
+/* ── Local helpers ── */
+
+function scoreInput(value, onValue) {
+    const input = el('input', 'settings-input grade-input');
+    input.type = 'number';
+    input.min = 0; input.max = 100; input.step = 'any';
+    input.value = value === null ? '' : value;
+    input.addEventListener('change', () => {
+        const raw = input.value.trim();
+        const v = raw === '' ? null : Number(raw);
+        if (v !== null && (!Number.isFinite(v) || v < 0 || v > 100)) {
+            flagError(input);
+            input.value = value === null ? '' : value;
+            return;
+        }
+        onValue(v);
+    });
+    return input;
+}
+
+function labelled(text, title, control) {
+    const lbl = el('label', 'grade-field');
+    lbl.title = title;
+    const span = el('span', 'settings-hint'); span.textContent = text;
+    lbl.appendChild(span); lbl.appendChild(control);
+    return lbl;
+}
+
+/** 'Qz2 and F' — with the labels of known scores */
+function names(list, firstWeeks) {
+    const label = n => SCORE_FIELDS.find(f => f.key === n)?.label || (n === 'GAA_N'
+        ? `the first ${firstWeeks} weekly score${firstWeeks === 1 ? '' : 's'}`
+        : n);
+    const parts = list.map(label);
+    return parts.length <= 1 ? parts.join('') : `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
+}
+
+function fmt(v) {
+    return String(Math.round(v * 100) / 100);
+}
+
+function flagError(input) {
+    input.classList.add('input-error');
+    setTimeout(() => input.classList.remove('input-error'), 400);
+}
+
+function el(tag, cls = '') {
+    const e = document.createElement(tag);
+    if (cls) e.className = cls;
+    return e;
+}
@@ -1,16 +1,23 @@
 /**
  * src/ui/graph.js — XP History Bar Chart
  *
- * Renders a canvas-based bar chart of the last 30 days of XP.
- * Uses the device's real Date() — no library needed.
+ * Renders a canvas-based bar chart of the last 30 days of XP, ending
+ * with `today` — the current study day in local time (dateService.js).
+ * No library needed.
+ *
+ * Values are NET XP per day from the ledger, so a day where more XP
+ * was removed than earned dips below the zero line.
  *
  * Colour coding:
  *   Amber  = today
  *   Teal   = past days with XP
+ *   Red    = days with a net loss
  *   Dim    = days with 0 XP
  */
 
-export function renderXPGraph(xpHistory) {
+import { lastDays } from '../../dateService.js';
+
+export function renderXPGraph(xpHistory, today) {
     const canvas = document.getElementById('xp-chart');
     if (!canvas) return;
 
@@ -24,25 +31,20 @@ export function renderXPGraph(xpHistory) {
     ctx.scale(dpr, dpr);
     ctx.clearRect(0, 0, W, H);
 
-    /* Build the last 30 real calendar days */
-    const days = [];
-    const today = new Date();
-    const todayStr = today.toISOString().slice(0, 10);
-
-    for (let i = 29; i >= 0; i--) {
-        const d = new Date(today);
-        d.setDate(today.getDate() - i);
-        days.push(d.toISOString().slice(0, 10));
-    }
+    /* The last 30 study days */
+    const days = lastDays(today, 30);
 
     const values = days.map(d => xpHistory[d] || 0);
     const maxVal = Math.max(...values, 1);
+    const minVal = Math.min(...values, 0);
+    const range = maxVal - minVal;
 
     const padL = 40, padR = 16, padT = 20, padB = 36;
     const chartW = W - padL - padR;
     const chartH = H - padT - padB;
     const barW = Math.max(2, chartW / days.length - 2);
     const gap = (chartW - barW * days.length) / (days.length + 1);
+    const zeroY = padT + chartH * (maxVal / range);
 
     /* Horizontal grid lines */
     for (let i = 0; i <= 4; i++) {
@@ -53,20 +55,22 @@ export function renderXPGraph(xpHistory) {
         ctx.fillStyle = 'rgba(255,255,255,0.3)';
         ctx.font = '10px JetBrains Mono, monospace';
         ctx.textAlign = 'right';
-        ctx.fillText(Math.round(maxVal - (maxVal / 4) * i), padL - 4, y + 4);
+        ctx.fillText(Math.round(maxVal - (range / 4) * i), padL - 4, y + 4);
     }
 
     /* Bars */
     days.forEach((day, i) => {
         const v = values[i];
-        const barH = (v / maxVal) * chartH;
+        const barH = (Math.abs(v) / range) * chartH;
         const x = padL + gap + i * (barW + gap);
-        const y = padT + chartH - barH;
-        const isT = day === todayStr;
+        const y = v >= 0 ? zeroY - barH : zeroY;
+        const isT = day === today;
 
-        ctx.fillStyle = isT
-            ? `rgba(245,158,11,${v > 0 ? 1 : 0.2})`
-            : `rgba(56,189,148,${v > 0 ? 0.85 : 0.12})`;
+        ctx.fillStyle = v < 0
+            ? 'rgba(248,113,113,0.85)'
+            : isT
+                ? `rgba(245,158,11,${v > 0 ? 1 : 0.2})`
+                : `rgba(56,189,148,${v > 0 ? 0.85 : 0.12})`;
 
         if (barH > 0) {
             const r = Math.min(3, barH / 2);
@@ -91,10 +95,10 @@ export function renderXPGraph(xpHistory) {
         }
     });
 
-    /* X-axis baseline */
+    /* X-axis baseline (zero line) */
     ctx.strokeStyle = 'rgba(255,255,255,0.12)';
     ctx.beginPath();
-    ctx.moveTo(padL, padT + chartH);
-    ctx.lineTo(W - padR, padT + chartH);
+    ctx.moveTo(padL, zeroY);
+    ctx.lineTo(W - padR, zeroY);
     ctx.stroke();
 }
@@ -5,29 +5,72 @@
  * app.js imports only from here — never from sub-modules directly.
  *
  * Module map:
- *   renderHeader  — header bar (level, XP bar, streak, freeze)
- *   renderStats   — lifetime stats panel grid
- *   renderWeeks   — full weeks list (delegates to weekCard.js)
+ *   renderHeader  — header bar (profile, level + rank, XP bar, streak, daily goal ring, freeze)
+ *   celebrateLevelUp — level-up toast + header pulse
+ *   renderStats   — lifetime stats panel grid + per-course roll-up
+ *   renderBadges / announceBadges — badge gallery, unlock toast (badges.js)
+ *   renderQuests / announceQuests — quest board, completion toast (quests.js)
+ *   renderDueQueue — lectures due for revision (revisionQueue.js)
+ *   renderStreakPanel — vacations and the freeze ledger (streakPanel.js)
+ *   renderCourseBar — term / course switcher (delegates to courseBar.js)
+ *   renderGradesPanel — course score calculator for the active course (gradesPanel.js)
+ *   renderWeeks   — weeks of the active course (delegates to weekCard.js)
  *   renderXPGraph — canvas bar chart (delegates to graph.js)
- *   showPromptModal / showConfirmModal / showToast — modals.js
+ *   showPromptModal / showConfirmModal / showChoiceModal / showToast — modals.js
+ *   showProfileModal — profile manager (profileModal.js)
+ *   showCatalogModal — new course from the built-in catalog (catalogModal.js)
+ *   renderSettings / renderRemoteStatus — settings panel, remote sync status (settings.js)
+ *   renderRestorePoints — restore points panel (restorePanel.js)
+ *   showRecoveryScreen — damaged saved data (recoveryScreen.js)
  */
 
-import { XP, getLevelProgress, xpToNextLevel, computeLifetimeStats } from '../../xpEngine.js';
+import {
+    XP, getLevelProgress, xpToNextLevel, levelCurveOf, getRank, computeLifetimeStats, streakDay
+} from '../../xpEngine.js';
 import { buildWeekCard } from './weekCard.js';
 import { renderXPGraph } from './graph.js';
-import { showPromptModal, showConfirmModal, showToast, removeModal } from './modals.js';
+import { renderCourseBar } from './courseBar.js';
+import { showPromptModal, showConfirmModal, showChoiceModal, showToast, removeModal } from './modals.js';
+import { showProfileModal } from './profileModal.js';
+import { showCatalogModal } from './catalogModal.js';
+import { renderSettings, renderRemoteStatus } from './settings.js';
+import { renderRestorePoints } from './restorePanel.js';
+import { showRecoveryScreen } from './recoveryScreen.js';
+import { renderBadges, announceBadges } from './badges.js';
+import { renderQuests, announceQuests } from './quests.js';
+import { renderDueQueue } from './revisionQueue.js';
+import { renderStreakPanel } from './streakPanel.js';
+import { renderGradesPanel } from './gradesPanel.js';
+import { vacationOn } from '../../streakProtection.js';
+import { goalProgress, weekdayName, GOAL_HIT_WINDOW } from '../../dailyGoal.js';
 
 /* Re-export modal/toast helpers so app.js can import them from one place */
-export { renderXPGraph, showPromptModal, showConfirmModal, showToast, removeModal };
+export {
+    renderXPGraph, renderCourseBar, renderSettings, renderRemoteStatus, renderRestorePoints, showRecoveryScreen,
+    renderBadges, announceBadges, renderQuests, announceQuests, renderDueQueue, renderStreakPanel,
+    renderGradesPanel, showPromptModal, showConfirmModal, showChoiceModal, showToast, removeModal, showProfileModal, showCatalogModal
+};
 
 /* ── Header ── */
-export function renderHeader(program) {
+export function renderHeader(program, profile, today) {
     const { totalXP, level, streak, streakFreezes } = program;
-    const pct = getLevelProgress(totalXP);
+    const curve = levelCurveOf(program);
+    const pct = getLevelProgress(totalXP, curve);
+    const rank = getRank(level);
+
+    if (profile) {
+        setTxt('hdr-profile', `👤 ${profile.name}`);
+        const profEl = document.getElementById('hdr-profile');
+        if (profEl) profEl.title = `Profile: ${profile.name} — click to switch or manage profiles`;
+    }
 
     setTxt('hdr-level', `LVL ${level}`);
-    setTxt('hdr-xp', `${totalXP} XP · ${xpToNextLevel(totalXP)} to next`);
-    setTxt('hdr-streak', `🔥 ${streak}d`);
+    setTxt('hdr-rank', rank.name);
+    const rankEl = document.getElementById('hdr-rank');
+    if (rankEl) rankEl.title = rank.next ? `Next rank: ${rank.next.name} at level ${rank.next.level}` : 'Highest rank';
+    setTxt('hdr-xp', `${totalXP} XP · ${xpToNextLevel(totalXP, curve)} to LVL ${level + 1}`);
+    renderStreak(program, today);
+    if (today) renderGoal(program, today);
 
     const bar = document.getElementById('hdr-xp-bar');
     if (bar) bar.style.width = `${(pct * 100).toFixed(1)}%`;
@@ -35,11 +78,82 @@ export function renderHeader(program) {
     const freezeEl = document.getElementById('hdr-freeze');
     if (freezeEl) {
         freezeEl.textContent = `❄️ ×${streakFreezes || 0}`;
-        freezeEl.title = `Streak Freezes: ${streakFreezes || 0}/${XP.MAX_FREEZES}. Earned by completing weeks. Auto-used if you miss a day.`;
+        freezeEl.title = `Streak Freezes: ${streakFreezes || 0}/${XP.MAX_FREEZES}. Earned by completing weeks; each covers one missed day. Click to plan a vacation or see the freeze history.`;
         freezeEl.classList.toggle('freeze-empty', !streakFreezes);
     }
 }
 
+/**
+ * Streak badge: 🔥 once today counts; until then "today not yet counted"
+ * with what's left to secure it. On vacation days nothing is asked.
+ */
+function renderStreak(program, today) {
+    const node = document.getElementById('hdr-streak');
+    if (!node) return;
+    const { streak } = program;
+    const vacation = today ? vacationOn(program, today) : null;
+    const day = today ? streakDay(program, today) : null;
+    const pending = Boolean(day) && program.lastActiveDate !== today && !vacation;
+
+    node.classList.toggle('streak-pending', pending);
+    if (vacation && program.lastActiveDate !== today) {
+        node.textContent = `🏖️ ${streak}d`;
+        node.title = `On vacation until ${vacation.to} — your streak is paused.`;
+    } else if (pending) {
+        const xpRule = program.settings?.streakRule === 'xp';
+        const left = xpRule ? `${day.needed} XP to go` : 'one core action to go';
+        const keep = streak > 0 ? `keep your ${streak}-day streak` : 'start a streak';
+        node.textContent = `🔥 ${streak}d · ${left}`;
+        node.title = xpRule
+            ? `Today isn't counted yet — earn ${day.needed} more XP (${day.xp} so far) to ${keep}.`
+            : `Today isn't counted yet — tick Watched, Memory Note or Final Note on a lecture to ${keep}.`;
+    } else {
+        node.textContent = `🔥 ${streak}d`;
+        node.title = 'Today counts toward your streak.';
+    }
+}
+
+/**
+ * Daily goal ring: fills with today's XP toward the weekday's target,
+ * turns green once met. Rest days (target 0 or a vacation) show a dash.
+ */
+function renderGoal(program, today) {
+    const node = document.getElementById('hdr-goal');
+    if (!node) return;
+    const p = goalProgress(program, today);
+    const best = program.bestGoalStreak || 0;
+    const streakText = `Goal streak ${program.goalStreak || 0}d, best ${best}d.`;
+
+    node.classList.toggle('goal-met', p.met);
+    node.classList.toggle('goal-rest', p.rest);
+    const fill = document.getElementById('hdr-goal-fill');
+    if (fill) fill.setAttribute('stroke-dasharray', `${(p.pct * 100).toFixed(1)} 100`);
+    setTxt('hdr-goal-text', p.rest ? '—' : `${Math.max(0, p.xp)}/${p.goal}`);
+    node.title = p.rest
+        ? `No XP goal today (${weekdayName(today)}). ${streakText}`
+        : p.met
+            ? `Daily goal met: ${p.xp}/${p.goal} XP today. ${streakText}`
+            : `Daily goal: ${p.xp}/${p.goal} XP today (${weekdayName(today)}) — ${p.goal - p.xp} to go. ${streakText}`;
+}
+
+/** Level-up moment: toast (naming a new rank) and a pulse on the header level */
+export function celebrateLevelUp(fromLevel, toLevel) {
+    const rank = getRank(toLevel);
+    const newRank = getRank(fromLevel).name !== rank.name;
+    showToast(newRank
+        ? `🎉 Level ${toLevel}! New rank: ${rank.name}`
+        : `🎉 Level ${toLevel}! Keep going.`, 'success');
+
+    for (const id of ['hdr-level', 'hdr-rank']) {
+        const node = document.getElementById(id);
+        if (!node) continue;
+        node.classList.remove('level-up');
+        void node.offsetWidth;   // restart the animation
+        node.classList.add('level-up');
+        node.addEventListener('animationend', () => node.classList.remove('level-up'), { once: true });
+    }
+}
+
 /* ── Lifetime Stats Panel ── */
 export function renderStats(program) {
     const panel = document.getElementById('stats-section');
@@ -57,9 +171,15 @@ export function renderStats(program) {
     const cards = [
         { label: 'Total XP', value: program.totalXP, icon: '⚡' },
         { label: 'Level', value: program.level, icon: '🏆' },
+        { label: 'Rank', value: getRank(program.level).name, icon: '🎖️' },
         { label: 'Best Streak', value: `${s.bestStreak}d`, icon: '🔥' },
+        { label: 'Goal Streak', value: `${s.goalStreak}d`, icon: '⭕' },
+        { label: 'Best Goal Streak', value: `${s.bestGoalStreak}d`, icon: '🥇' },
+        { label: `Goal Hit Rate (${GOAL_HIT_WINDOW}d)`, value: s.goalHitRate.rate === null ? '—' : `${Math.round(s.goalHitRate.rate * 100)}%`, icon: '📊' },
         { label: 'Active Days', value: s.activeDays, icon: '📅' },
         { label: 'XP This Month', value: s.xpThisMonth, icon: '📈' },
+        { label: 'Quest XP', value: s.questXP, icon: '🎯' },
+        { label: 'Quests Done', value: s.questsCompleted, icon: '🗺️' },
         { label: 'Weeks Done', value: `${s.weeksCompleted}/${s.totalWeeks}`, icon: '📚' },
         { label: 'Lectures Core Done', value: `${s.completedLectures}/${s.totalLectures}`, icon: '🎓' },
         { label: 'Total Revisions', value: s.totalRevisions, icon: '🔁' },
@@ -79,25 +199,58 @@ export function renderStats(program) {
     }
 
     panel.appendChild(grid);
+
+    /* Per-term / per-course roll-up */
+    if (s.terms.some(t => t.courses.length > 0)) {
+        const rTitle = el('div', 'stats-title stats-subtitle');
+        rTitle.textContent = 'BY TERM & COURSE';
+        panel.appendChild(rTitle);
+
+        const list = el('div', 'rollup-list');
+        for (const t of s.terms) {
+            list.appendChild(rollupRow(t.termName, t.xp, t.progress, '', 'rollup-term'));
+            for (const c of t.courses) {
+                list.appendChild(rollupRow(c.courseName, c.xp, c.progress,
+                    `${c.weeksCompleted}/${c.totalWeeks} weeks · ${c.completedLectures}/${c.totalLectures} lectures`,
+                    'rollup-course'));
+            }
+        }
+        panel.appendChild(list);
+    }
 }
 
-/* ── Weeks List ── */
-export function renderWeeks(program, dispatch, expandedWeeks, expandedLectures) {
+function rollupRow(name, xp, progress, detail, cls) {
+    const row = el('div', `rollup-row ${cls}`);
+    const n = el('span', 'rollup-name'); n.textContent = name;
+    const d = el('span', 'rollup-detail'); d.textContent = detail;
+    const trk = el('div', 'progress-bar-track');
+    const fill = el('div', 'progress-bar-fill'); fill.style.width = `${(progress * 100).toFixed(1)}%`;
+    trk.appendChild(fill);
+    const x = el('span', 'rollup-xp'); x.textContent = `${xp} XP`;
+    row.appendChild(n); row.appendChild(d); row.appendChild(trk); row.appendChild(x);
+    return row;
+}
+
+/* ── Weeks List (active course only) ── */
+export function renderWeeks(program, dispatch, expandedWeeks, expandedLectures, today = null) {
     const container = document.getElementById('weeks-container');
     if (!container) return;
 
     container.innerHTML = '';
 
-    if (program.weeks.length === 0) {
+    const course = program.terms.flatMap(t => t.courses)
+        .find(c => c.courseId === program.activeCourseId);
+
+    if (!course || course.weeks.length === 0) {
         const empty = el('div', 'empty-state');
         empty.innerHTML = `<span class="empty-icon">Σ</span>
-      <p>No weeks yet. Add your first module to begin.</p>`;
+      <p>${course ? 'No weeks yet. Add your first module to begin.' : 'No course yet. Add a course to begin.'}</p>`;
         container.appendChild(empty);
         return;
     }
 
-    for (const week of program.weeks) {
-        container.appendChild(buildWeekCard(week, dispatch, expandedWeeks, expandedLectures));
+    for (const week of course.weeks) {
+        container.appendChild(buildWeekCard(week, dispatch, expandedWeeks, expandedLectures, program.xpRules, today));
     }
 }
 
@@ -7,12 +7,14 @@
  * No state held here — pure DOM builder functions.
  */
 
-import { XP } from '../../xpEngine.js';
+import { DEFAULT_XP_RULES } from '../../xpEngine.js';
+import { revisionStatus, RECALL_RATINGS } from '../../revisionScheduler.js';
 
 /**
  * Build the full LECTURES section for one week.
+ * With `today` (YYYY-MM-DD), lectures due for revision get a pill.
  */
-export function buildLectureSection(week, dispatch, expandedLectures) {
+export function buildLectureSection(week, dispatch, expandedLectures, rules = DEFAULT_XP_RULES, today = null) {
     const section = el('div', 'week-section');
 
     const sHeader = el('div', 'section-header');
@@ -32,7 +34,7 @@ export function buildLectureSection(week, dispatch, expandedLectures) {
     } else {
         const list = el('div', 'lecture-list');
         for (const lec of week.lectures) {
-            list.appendChild(buildLectureCard(lec, week.weekId, dispatch, expandedLectures));
+            list.appendChild(buildLectureCard(lec, week.weekId, dispatch, expandedLectures, rules.values, today));
         }
         section.appendChild(list);
     }
@@ -44,9 +46,11 @@ export function buildLectureSection(week, dispatch, expandedLectures) {
 /**
  * Build a single collapsible lecture card.
  */
-function buildLectureCard(lec, weekId, dispatch, expandedLectures) {
+function buildLectureCard(lec, weekId, dispatch, expandedLectures, xp, today) {
     const isOpen = expandedLectures.has(lec.lectureId);
+    const due = today ? revisionStatus(lec, today) : null;
     const card = el('div', `lecture-card${isOpen ? ' open' : ''}`);
+    card.dataset.lectureId = lec.lectureId;   // lets the revision queue scroll to it
 
     /* ── Summary row (always visible) ── */
     const summary = el('div', 'lecture-summary');
@@ -77,6 +81,15 @@ function buildLectureCard(lec, weekId, dispatch, expandedLectures) {
         p.textContent = `×${lec.revisionCount} rev.`;
         pills.appendChild(p);
     }
+    if (due && due.state === 'due') {
+        const p = el('span', 'stat-pill pill-amber');
+        p.textContent = 'due'; p.title = 'Due for revision today';
+        pills.appendChild(p);
+    } else if (due && due.state === 'overdue') {
+        const p = el('span', 'stat-pill pill-red');
+        p.textContent = `overdue ${due.daysLate}d`; p.title = `Revision was due ${due.due}`;
+        pills.appendChild(p);
+    }
 
     const xpSp = el('span', 'lecture-xp');
     xpSp.textContent = `${lec.xpEarned || 0} XP`;
@@ -90,7 +103,7 @@ function buildLectureCard(lec, weekId, dispatch, expandedLectures) {
 
     /* ── Detail panel (shown when expanded) ── */
     const detail = el('div', `lecture-detail${isOpen ? ' open' : ''}`);
-    detail.appendChild(buildLectureDetail(lec, weekId, dispatch));
+    detail.appendChild(buildLectureDetail(lec, weekId, xp, dispatch, due));
     card.appendChild(detail);
 
     /* ── Events ── */
@@ -108,16 +121,16 @@ function buildLectureCard(lec, weekId, dispatch, expandedLectures) {
 /**
  * Build the expanded detail panel inside a lecture card.
  */
-function buildLectureDetail(lec, weekId, dispatch) {
+function buildLectureDetail(lec, weekId, xp, dispatch, due) {
     const wrap = el('div', 'lecture-detail-inner');
 
     /* Core checkboxes: Watched, Memory Note, Final Note */
     const actions = el('div', 'lecture-actions');
-    actions.appendChild(checkRow('Watched', `+${XP.LECTURE_WATCH} XP`, lec.watched,
+    actions.appendChild(checkRow('Watched', `+${xp.LECTURE_WATCH} XP`, lec.watched,
         v => dispatch('LECTURE_TOGGLE', { weekId, lectureId: lec.lectureId, field: 'watched', value: v })));
-    actions.appendChild(checkRow('Memory Note', `+${XP.LECTURE_MEMORY} XP`, lec.memoryNote,
+    actions.appendChild(checkRow('Memory Note', `+${xp.LECTURE_MEMORY} XP`, lec.memoryNote,
         v => dispatch('LECTURE_TOGGLE', { weekId, lectureId: lec.lectureId, field: 'memoryNote', value: v })));
-    actions.appendChild(checkRow('Final Note', `+${XP.LECTURE_FINAL} XP`, lec.finalNote,
+    actions.appendChild(checkRow('Final Note', `+${xp.LECTURE_FINAL} XP`, lec.finalNote,
         v => dispatch('LECTURE_TOGGLE', { weekId, lectureId: lec.lectureId, field: 'finalNote', value: v })));
     wrap.appendChild(actions);
 
@@ -125,7 +138,7 @@ function buildLectureDetail(lec, weekId, dispatch) {
     wrap.appendChild(stepperRow(
         'Activity Questions',
         `${lec.activityDone} / ${lec.activityTotal}`,
-        `+${XP.LECTURE_ACTIVITY} ea.`,
+        `+${xp.LECTURE_ACTIVITY} ea.`,
         [
             { label: '−T', action: 'actTotal-dec', title: 'Remove from total' },
             { label: '+T', action: 'actTotal-inc', title: 'Add to total' },
@@ -139,7 +152,7 @@ function buildLectureDetail(lec, weekId, dispatch) {
     wrap.appendChild(stepperRow(
         'Revisions',
         `${lec.revisionCount || 0} done`,
-        `+${XP.LECTURE_REVISION} ea.`,
+        xp.REVISION_CAP > 0 ? `+${xp.LECTURE_REVISION} ea. · first ${xp.REVISION_CAP}` : `+${xp.LECTURE_REVISION} ea.`,
         [
             { label: '+1', action: 'rev-inc', title: 'Log a revision', cls: 'btn-stepper-done' },
             { label: '↩', action: 'rev-dec', title: 'Remove last', cls: 'btn-stepper-undo', disabled: (lec.revisionCount || 0) <= 0 }
@@ -147,6 +160,15 @@ function buildLectureDetail(lec, weekId, dispatch) {
         a => dispatch('LECTURE_STEP', { weekId, lectureId: lec.lectureId, action: a })
     ));
 
+    /* Recall rating — logs a revision with how well it went, for the scheduler */
+    wrap.appendChild(stepperRow(
+        'Rate Recall',
+        scheduleText(due),
+        '',
+        RECALL_RATINGS.map(r => ({ label: r.label, action: r.quality, title: `${r.hint} — logs a revision`, cls: 'btn-stepper-rate' })),
+        quality => dispatch('LECTURE_STEP', { weekId, lectureId: lec.lectureId, action: 'rev-inc', quality })
+    ));
+
     /* Quick notes textarea — auto-saves after 500ms idle */
     const notesWrap = el('div', 'notes-wrap');
     const notesLbl = el('label', 'notes-label');
@@ -215,6 +237,17 @@ function stepperRow(labelText, countText, xpText, btns, onClick) {
     return row;
 }
 
+/** Next revision, in words */
+function scheduleText(due) {
+    if (!due) return '';
+    switch (due.state) {
+        case 'unscheduled': return 'not scheduled yet';
+        case 'due':         return 'due today';
+        case 'overdue':     return `overdue since ${due.due}`;
+        default:            return `next on ${due.due}`;
+    }
+}
+
 function makePill(text, active, activeCls, title) {
     const p = el('span', `stat-pill ${active ? activeCls : 'pill-dim'}`);
     p.textContent = text; p.title = title; return p;
@@ -1,9 +1,10 @@
 /**
  * src/ui/modals.js — Modal & Toast Components
  *
- * showPromptModal  — text input dialog
+ * showPromptModal  — text (or password) input dialog
  * showConfirmModal — yes/no danger dialog
- * showToast        — temporary notification
+ * showChoiceModal  — message + optional detail list + several action buttons
+ * showToast        — temporary notification, optionally with an action button
  * removeModal      — close any open modal
  */
 
@@ -11,25 +12,36 @@ export function removeModal() {
     document.querySelector('.modal-overlay')?.remove();
 }
 
-export function showPromptModal(title, placeholder, defaultValue, onConfirm) {
+/**
+ * Single-input dialog. Options:
+ *   type    — 'text' (default) or 'password'; passwords are not trimmed
+ *   message — optional text above the input (hint or error)
+ */
+export function showPromptModal(title, placeholder, defaultValue, onConfirm, { type = 'text', message = '' } = {}) {
     removeModal();
     const overlay = el('div', 'modal-overlay');
     const modal = el('div', 'modal');
     const ttl = el('div', 'modal-title'); ttl.textContent = title;
     const input = document.createElement('input');
-    input.className = 'modal-input'; input.type = 'text';
+    input.className = 'modal-input'; input.type = type;
     input.placeholder = placeholder; input.value = defaultValue || '';
-    input.maxLength = 120; input.autocomplete = 'off';
+    input.maxLength = type === 'password' ? 256 : 120;
+    input.autocomplete = type === 'password' ? 'new-password' : 'off';
     const acts = el('div', 'modal-actions');
     const cancl = el('button', 'modal-btn btn-cancel'); cancl.textContent = 'Cancel';
     const conf = el('button', 'modal-btn btn-confirm'); conf.textContent = 'Confirm';
     acts.appendChild(cancl); acts.appendChild(conf);
-    modal.appendChild(ttl); modal.appendChild(input); modal.appendChild(acts);
+    modal.appendChild(ttl);
+    if (message) {
+        const msg = el('p', 'modal-msg'); msg.textContent = message;
+        modal.appendChild(msg);
+    }
+    modal.appendChild(input); modal.appendChild(acts);
     overlay.appendChild(modal); document.body.appendChild(overlay);
     setTimeout(() => { input.focus(); input.select(); }, 20);
 
     const submit = () => {
-        const v = input.value.trim();
+        const v = type === 'password' ? input.value : input.value.trim();
         if (!v) {
             input.classList.add('input-error');
             setTimeout(() => input.classList.remove('input-error'), 400);
@@ -65,16 +77,65 @@ export function showConfirmModal(message, onConfirm) {
     overlay.addEventListener('click', e => { if (e.target === overlay) removeModal(); });
 }
 
-export function showToast(message, type = 'info') {
+/**
+ * Dialog with any number of buttons.
+ *   title, message — header + body text (newlines preserved)
+ *   details        — optional list of strings, shown in a scrollable box
+ *   choices        — [{ label, cls?: 'btn-confirm'|'btn-danger'|'btn-cancel', onClick? }]
+ * Every button closes the dialog before running its onClick.
+ */
+export function showChoiceModal({ title, message = '', details = [], choices }) {
+    removeModal();
+    const overlay = el('div', 'modal-overlay');
+    const modal = el('div', 'modal');
+    const ttl = el('div', 'modal-title'); ttl.textContent = title;
+    modal.appendChild(ttl);
+    if (message) {
+        const msg = el('p', 'modal-msg'); msg.textContent = message;
+        modal.appendChild(msg);
+    }
+    if (details.length > 0) {
+        const list = el('ul', 'modal-details');
+        for (const d of details) {
+            const li = el('li'); li.textContent = d;
+            list.appendChild(li);
+        }
+        modal.appendChild(list);
+    }
+    const acts = el('div', 'modal-actions');
+    for (const c of choices) {
+        const b = el('button', `modal-btn ${c.cls || 'btn-confirm'}`);
+        b.textContent = c.label;
+        b.addEventListener('click', () => { removeModal(); c.onClick?.(); });
+        acts.appendChild(b);
+    }
+    modal.appendChild(acts);
+    overlay.appendChild(modal); document.body.appendChild(overlay);
+    overlay.addEventListener('click', e => { if (e.target === overlay) removeModal(); });
+}
+
+/**
+ * Show a toast. Pass `action` ({ label, onClick }) to add a button,
+ * e.g. "Undo" after a delete; such toasts stay up a little longer.
+ */
+export function showToast(message, type = 'info', action = null) {
     document.getElementById('toast')?.remove();
-    const t = el('div', `toast toast-${type}`);
-    t.id = 'toast'; t.textContent = message;
-    document.body.appendChild(t);
-    requestAnimationFrame(() => t.classList.add('toast-visible'));
-    setTimeout(() => {
+    const t = el('div', `toast toast-${type}${action ? ' toast-has-action' : ''}`);
+    t.id = 'toast';
+    const msg = el('span', 'toast-msg'); msg.textContent = message;
+    t.appendChild(msg);
+    const hide = () => {
         t.classList.remove('toast-visible');
         setTimeout(() => t.remove(), 300);
-    }, 3000);
+    };
+    if (action) {
+        const btn = el('button', 'toast-action'); btn.textContent = action.label;
+        btn.addEventListener('click', () => { hide(); action.onClick(); });
+        t.appendChild(btn);
+    }
+    document.body.appendChild(t);
+    requestAnimationFrame(() => t.classList.add('toast-visible'));
+    setTimeout(hide, action ? 6000 : 3000);
 }
 
 /* ── Shared DOM helper (local to this module) ── */
@@ -0,0 +1,70 @@
+/**
+ * src/ui/profileModal.js — Learner Profile Manager
+ *
+ * Lists every profile on this device with switch / rename / delete
+ * buttons, plus a "+ New Profile" button.
+ * All events dispatched upward via dispatch(action, payload).
+ */
+
+import { removeModal } from './modals.js';
+
+export function showProfileModal(profiles, activeId, dispatch) {
+    removeModal();
+    const overlay = el('div', 'modal-overlay');
+    const modal = el('div', 'modal');
+    const ttl = el('div', 'modal-title'); ttl.textContent = 'Profiles';
+    modal.appendChild(ttl);
+
+    const list = el('div', 'profile-list');
+    for (const p of profiles) {
+        const isActive = p.id === activeId;
+        const row = el('div', `profile-row${isActive ? ' profile-active' : ''}`);
+
+        const name = el('span', 'profile-name');
+        name.textContent = p.name;
+        row.appendChild(name);
+
+        if (isActive) {
+            const badge = el('span', 'badge badge-done');
+            badge.textContent = 'Active';
+            row.appendChild(badge);
+        } else {
+            const sw = el('button', 'btn-secondary-sm');
+            sw.textContent = 'Switch';
+            sw.addEventListener('click', () => { removeModal(); dispatch('SWITCH_PROFILE', { profileId: p.id }); });
+            row.appendChild(sw);
+        }
+
+        const ren = el('button', 'btn-icon btn-edit');
+        ren.title = 'Rename profile'; ren.textContent = '✎';
+        ren.addEventListener('click', () => dispatch('RENAME_PROFILE', { profileId: p.id }));
+        row.appendChild(ren);
+
+        const del = el('button', 'btn-icon btn-delete');
+        del.title = 'Delete profile'; del.textContent = '✕';
+        if (profiles.length <= 1) del.disabled = true;
+        del.addEventListener('click', () => dispatch('DELETE_PROFILE', { profileId: p.id }));
+        row.appendChild(del);
+
+        list.appendChild(row);
+    }
+    modal.appendChild(list);
+
+    const acts = el('div', 'modal-actions');
+    const close = el('button', 'modal-btn btn-cancel'); close.textContent = 'Close';
+    const add = el('button', 'modal-btn btn-confirm'); add.textContent = '+ New Profile';
+    acts.appendChild(close); acts.appendChild(add);
+    modal.appendChild(acts);
+
+    overlay.appendChild(modal); document.body.appendChild(overlay);
+    close.addEventListener('click', removeModal);
+    add.addEventListener('click', () => dispatch('ADD_PROFILE'));
+    overlay.addEventListener('click', e => { if (e.target === overlay) removeModal(); });
+}
+
+/* ── Shared DOM helper (local to this module) ── */
+function el(tag, cls = '') {
+    const e = document.createElement(tag);
+    if (cls) e.className = cls;
+    return e;
+}
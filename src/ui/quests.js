@@ -0,0 +1,87 @@
+/**
+ * src/ui/quests.js — Quest Board & Completion Announcements
+ *
+ * renderQuests() fills the quest board above the course bar: today's
+ * daily quests and this week's weekly ones, each with a progress bar and
+ * its bonus XP, plus the quest XP earned so far split by kind.
+ * announceQuests() shows finished quests in their own toast, stacked
+ * above the badge toast.
+ *
+ * Quests and their progress come from quests.js; nothing is dispatched.
+ */
+
+import { questBoard } from '../../quests.js';
+import { questXPBreakdown } from '../../xpEngine.js';
+
+const QUEST_TOAST_MS = 4500;
+
+export function renderQuests(program, today) {
+    const panel = document.getElementById('quest-board');
+    if (!panel) return;
+
+    const quests = questBoard(program, today).filter(q => !q.gone);
+    const xp = questXPBreakdown(program);
+    panel.innerHTML = '';
+    if (quests.length === 0 && xp.completed === 0) return;
+
+    const head = el('div', 'quest-head');
+    const title = el('div', 'stats-title');
+    title.textContent = 'QUESTS';
+    const earned = el('div', 'quest-earned');
+    earned.textContent = `Quest XP · daily ${xp.dailyXP} · weekly ${xp.weeklyXP} · total ${xp.total}`;
+    head.appendChild(title); head.appendChild(earned);
+    panel.appendChild(head);
+
+    const list = el('div', 'quest-list');
+    for (const q of quests) {
+        const row = el('div', `quest-row${q.done ? ' quest-done' : ''}`);
+
+        const kind = el('span', `quest-kind quest-${q.kind}`);
+        kind.textContent = q.kind === 'daily' ? 'TODAY' : 'THIS WEEK';
+        const name = el('span', 'quest-title');
+        name.textContent = q.title;
+        const reward = el('span', 'quest-xp');
+        reward.textContent = q.done ? `✓ +${q.xp} XP` : `+${q.xp} XP`;
+
+        const track = el('div', 'quest-track');
+        const fill = el('div', 'quest-fill');
+        fill.style.width = `${(q.done ? 100 : (q.value / q.goal) * 100).toFixed(1)}%`;
+        track.appendChild(fill);
+        const count = el('span', 'quest-count');
+        count.textContent = q.done ? 'done' : `${q.value} / ${q.goal}`;
+
+        row.appendChild(kind); row.appendChild(name); row.appendChild(reward);
+        row.appendChild(track); row.appendChild(count);
+        list.appendChild(row);
+    }
+    panel.appendChild(list);
+}
+
+/** Toast for quests finished by the last change (board form, see questBoard()) */
+export function announceQuests(completed) {
+    if (completed.length === 0) return;
+    const xp = completed.reduce((s, q) => s + q.xp, 0);
+    const message = completed.length === 1
+        ? `🎯 Quest complete: ${completed[0].title} — +${xp} XP`
+        : `🎯 ${completed.length} quests complete — +${xp} XP`;
+
+    document.getElementById('quest-toast')?.remove();
+    const t = el('div', 'toast toast-success toast-quest');
+    t.id = 'quest-toast';
+    t.setAttribute('role', 'status');
+    t.textContent = message;
+    document.body.appendChild(t);
+    requestAnimationFrame(() => t.classList.add('toast-visible'));
+    setTimeout(() => {
+        t.classList.remove('toast-visible');
+        setTimeout(() => t.remove(), 300);
+    }, QUEST_TOAST_MS);
+}
+
+/* ── Local helpers ── */
+
+function el(tag, cls = '') {
+    const e = document.createElement(tag);
+    if (cls) e.className = cls;
+    return e;
+}
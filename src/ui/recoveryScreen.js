@@ -0,0 +1,81 @@
+/**
+ * src/ui/recoveryScreen.js — Damaged Data Recovery Screen
+ *
+ * Shown instead of the app when a profile's saved program can't be read.
+ * It can't be dismissed by clicking outside or pressing Escape: the
+ * user has to pick one of
+ *   ⬇ Download the damaged data   → RECOVERY_DOWNLOAD
+ *   🩹 Try to recover what's left → RECOVERY_SALVAGE
+ *   ✦ Start fresh                 → RECOVERY_FRESH
+ * All events dispatched upward via dispatch(action, payload).
+ */
+
+import { removeModal } from './modals.js';
+
+/**
+ * @param {Object} info
+ *   profileName — whose data is damaged
+ *   reason      — 'corrupt' | 'unreadable'
+ *   error       — technical message
+ *   size        — length of the damaged text (corrupt only)
+ */
+export function showRecoveryScreen({ profileName, reason, error, size = 0 }, dispatch) {
+    removeModal();
+    const overlay = el('div', 'modal-overlay recovery-overlay');
+    const modal = el('div', 'modal modal-danger recovery');
+
+    const ttl = el('div', 'modal-title');
+    ttl.textContent = reason === 'corrupt' ? '⚠ Saved data is damaged' : '⚠ Saved data could not be read';
+    modal.appendChild(ttl);
+
+    const msg = el('p', 'modal-msg');
+    msg.textContent = reason === 'corrupt'
+        ? `The saved progress of "${profileName}" (${formatSize(size)}) can't be opened — ` +
+          'most likely the browser was closed in the middle of saving.\n\n' +
+          'Nothing has been overwritten, and a copy of the damaged data is kept aside. ' +
+          'Choose what to do:'
+        : `The browser refused to read the saved progress of "${profileName}". ` +
+          'Nothing has been overwritten. Reloading the page often helps; ' +
+          'starting fresh only affects this profile.';
+    modal.appendChild(msg);
+
+    const tech = el('p', 'recovery-error');
+    tech.textContent = error;
+    modal.appendChild(tech);
+
+    const acts = el('div', 'recovery-actions');
+    if (reason === 'corrupt') {
+        acts.appendChild(action('⬇ Download the damaged data', 'Keep a copy to inspect or send for help.',
+            'btn-cancel', () => dispatch('RECOVERY_DOWNLOAD')));
+        acts.appendChild(action('🩹 Try to recover what\'s left', 'Reads as much as possible; shows what was found before anything is saved.',
+            'btn-confirm', () => dispatch('RECOVERY_SALVAGE')));
+    } else {
+        acts.appendChild(action('↻ Reload the page', 'Try reading the data again.',
+            'btn-confirm', () => location.reload()));
+    }
+    acts.appendChild(action('✦ Start fresh', 'An empty program for this profile. Asks again before saving.',
+        'btn-danger', () => dispatch('RECOVERY_FRESH')));
+    modal.appendChild(acts);
+
+    overlay.appendChild(modal);
+    document.body.appendChild(overlay);
+}
+
+function action(label, hint, cls, onClick) {
+    const b = el('button', `modal-btn recovery-btn ${cls}`);
+    const l = el('span', 'recovery-btn-label'); l.textContent = label;
+    const h = el('span', 'recovery-btn-hint'); h.textContent = hint;
+    b.appendChild(l); b.appendChild(h);
+    b.addEventListener('click', onClick);
+    return b;
+}
+
+function formatSize(chars) {
+    return chars >= 1024 ? `${(chars / 1024).toFixed(1)} KB` : `${chars} bytes`;
+}
+
+function el(tag, cls = '') {
+    const e = document.createElement(tag);
+    if (cls) e.className = cls;
+    return e;
+}
@@ -0,0 +1,82 @@
+/**
+ * src/ui/restorePanel.js — Restore Points Panel
+ *
+ * Lists the active profile's automatic snapshots (newest first) with
+ * date, reason, week count and XP. Each row can be restored or
+ * downloaded; "Take snapshot now" adds a manual one.
+ * All events dispatched upward via dispatch(action, payload).
+ */
+
+const REASON_ICONS = { daily: '📅', import: '⬆', delete: '✕', restore: '⟲', manual: '📌' };
+
+export function renderRestorePoints(entries, dispatch) {
+    const panel = document.getElementById('restore-section');
+    if (!panel) return;
+    panel.innerHTML = '';
+
+    const head = el('div', 'restore-head');
+    const title = el('div', 'stats-title');
+    title.textContent = 'RESTORE POINTS';
+    const take = el('button', 'btn-secondary-sm');
+    take.textContent = '📌 Take snapshot now';
+    take.addEventListener('click', () => dispatch('TAKE_SNAPSHOT'));
+    head.appendChild(title); head.appendChild(take);
+    panel.appendChild(head);
+
+    if (entries.length === 0) {
+        const empty = el('p', 'restore-empty');
+        empty.textContent = 'No restore points yet. One is taken at the start of each day and before every import or delete.';
+        panel.appendChild(empty);
+        return;
+    }
+
+    const list = el('div', 'restore-list');
+    for (const e of entries) {
+        const row = el('div', 'restore-row');
+
+        const icon = el('span', 'restore-icon');
+        icon.textContent = REASON_ICONS[e.reason] || '•';
+        row.appendChild(icon);
+
+        const text = el('div', 'restore-text');
+        const when = el('span', 'restore-when');
+        when.textContent = formatWhen(e.at);
+        const what = el('span', 'restore-what');
+        what.textContent = `${e.label || e.reason} · ${e.weeks} weeks · ${e.lectures} lectures · ${e.xp} XP`;
+        text.appendChild(when); text.appendChild(what);
+        row.appendChild(text);
+
+        const dl = el('button', 'btn-icon');
+        dl.title = 'Download as backup file'; dl.textContent = '⬇';
+        dl.addEventListener('click', () => dispatch('DOWNLOAD_SNAPSHOT', { id: e.id }));
+        row.appendChild(dl);
+
+        const restore = el('button', 'btn-secondary-sm');
+        restore.textContent = 'Restore';
+        restore.addEventListener('click', () => dispatch('RESTORE_SNAPSHOT', { id: e.id }));
+        row.appendChild(restore);
+
+        list.appendChild(row);
+    }
+    panel.appendChild(list);
+}
+
+/** "Today 14:05", "Yesterday 09:12" or "3 Mar 2026 18:40" in local time */
+function formatWhen(iso, now = new Date()) {
+    const d = new Date(iso);
+    const time = d.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+    const dayDiff = Math.round((startOfDay(now) - startOfDay(d)) / 86400000);
+    if (dayDiff === 0) return `Today ${time}`;
+    if (dayDiff === 1) return `Yesterday ${time}`;
+    return `${d.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' })} ${time}`;
+}
+
+function startOfDay(d) {
+    return new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+}
+
+function el(tag, cls = '') {
+    const e = document.createElement(tag);
+    if (cls) e.className = cls;
+    return e;
+}
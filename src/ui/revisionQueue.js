@@ -0,0 +1,63 @@
+/**
+ * src/ui/revisionQueue.js — "Due for Revision" Panel
+ *
+ * Lists every lecture due or overdue for revision, across all terms,
+ * courses and weeks, most overdue first. Each row opens its lecture
+ * (switching course if needed) or logs a revision straight away.
+ *
+ * The queue comes from revisionScheduler.js; events go through dispatch().
+ */
+
+import { dueQueue } from '../../revisionScheduler.js';
+
+export function renderDueQueue(program, today, dispatch) {
+    const panel = document.getElementById('due-section');
+    if (!panel) return;
+
+    const queue = dueQueue(program, today);
+    panel.innerHTML = '';
+
+    const title = el('div', 'stats-title');
+    title.textContent = `DUE FOR REVISION · ${queue.length}`;
+    panel.appendChild(title);
+
+    if (queue.length === 0) {
+        const empty = el('p', 'section-empty');
+        empty.textContent = 'Nothing due. Lectures join this list once you have logged a revision and their next one comes due.';
+        panel.appendChild(empty);
+        return;
+    }
+
+    const list = el('div', 'due-list');
+    for (const item of queue) {
+        const row = el('div', 'due-row');
+
+        const pill = el('span', `stat-pill ${item.state === 'overdue' ? 'pill-red' : 'pill-amber'}`);
+        pill.textContent = item.state === 'overdue' ? `overdue ${item.daysLate}d` : 'due today';
+
+        const where = el('button', 'due-where');
+        where.title = 'Open this lecture';
+        const name = el('span', 'due-name'); name.textContent = item.lectureName;
+        const path = el('span', 'due-path'); path.textContent = `${item.courseName} › ${item.weekName}`;
+        where.appendChild(name); where.appendChild(path);
+        where.addEventListener('click', () => dispatch('OPEN_LECTURE', item));
+
+        const revise = el('button', 'btn-secondary-sm');
+        revise.textContent = '+1 Revised';
+        revise.title = 'Log a revision now';
+        revise.addEventListener('click', () =>
+            dispatch('LECTURE_STEP', { weekId: item.weekId, lectureId: item.lectureId, action: 'rev-inc' }));
+
+        row.appendChild(pill); row.appendChild(where); row.appendChild(revise);
+        list.appendChild(row);
+    }
+    panel.appendChild(list);
+}
+
+/* ── Local helpers ── */
+
+function el(tag, cls = '') {
+    const e = document.createElement(tag);
+    if (cls) e.className = cls;
+    return e;
+}
@@ -0,0 +1,289 @@
+/**
+ * src/ui/settings.js — Settings Panel
+ *
+ * Renders program.settings as a list of labelled inputs.
+ * Every change dispatches UPDATE_SETTING { key, value } upward.
+ *
+ * The XP rules section edits program.xpRules: picking a preset dispatches
+ * UPDATE_XP_RULES { preset }, changing one value UPDATE_XP_RULES { key, value }.
+ *
+ * Below them, this device's remote sync target (not part of the program):
+ * changes dispatch UPDATE_REMOTE { key, value }, "Sync now" SYNC_NOW.
+ * renderRemoteStatus() refreshes only the status line, so typing in the
+ * fields isn't interrupted while a sync runs.
+ */
+
+import { MAX_UNDO_DEPTH } from '../../undoHistory.js';
+import { MAX_SNAPSHOT_KEEP } from '../storage/snapshots.js';
+import {
+    XP_PRESETS, XP_RULE_FIELDS, MAX_RULE_XP, LEVEL_CURVES, STREAK_RULES, MAX_STREAK_MIN_XP
+} from '../../xpEngine.js';
+import { MAX_DAY_START_HOUR } from '../../dateService.js';
+import { MAX_DAILY_GOAL, WEEKDAY_NAMES } from '../../dailyGoal.js';
+
+/**
+ * @param {Object} remote  { config, status } from storage.js, or null to leave the section out
+ */
+export function renderSettings(program, dispatch, remote = null) {
+    const panel = document.getElementById('settings-section');
+    if (!panel) return;
+
+    const s = program.settings;
+    panel.innerHTML = '';
+
+    const title = el('div', 'stats-title');
+    title.textContent = 'SETTINGS';
+    panel.appendChild(title);
+
+    const list = el('div', 'settings-list');
+
+    list.appendChild(numberRow(
+        'Undo history', 'How many steps Ctrl+Z can go back.',
+        s.undoDepth, { min: 1, max: MAX_UNDO_DEPTH, step: 1 },
+        v => dispatch('UPDATE_SETTING', { key: 'undoDepth', value: v })
+    ));
+
+    list.appendChild(selectRow(
+        'Two windows, same edit', 'When this app is open in several tabs and both change something.',
+        s.syncPolicy,
+        [['merge', 'Merge (keep both windows\' changes)'], ['lww', 'Last save wins']],
+        v => dispatch('UPDATE_SETTING', { key: 'syncPolicy', value: v })
+    ));
+
+    list.appendChild(numberRow(
+        'Restore points', 'How many daily snapshots — and how many taken before imports and deletes — to keep.',
+        s.snapshotKeep, { min: 1, max: MAX_SNAPSHOT_KEEP, step: 1 },
+        v => dispatch('UPDATE_SETTING', { key: 'snapshotKeep', value: v })
+    ));
+
+    list.appendChild(selectRow(
+        'Day starts at', 'Study after midnight but before this hour counts for the day before — for streaks, XP history and quests.',
+        String(s.dayStartHour),
+        Array.from({ length: MAX_DAY_START_HOUR + 1 }, (_, h) => [String(h), h === 0 ? 'Midnight' : `${h}:00 AM`]),
+        v => dispatch('UPDATE_SETTING', { key: 'dayStartHour', value: Number(v) })
+    ));
+
+    list.appendChild(selectRow(
+        'Streak counts a day with', 'Opening the app isn\'t enough — a day joins the streak once your XP record for it shows this.',
+        s.streakRule,
+        Object.entries(STREAK_RULES).map(([id, r]) => [id, r.name]),
+        v => dispatch('UPDATE_SETTING', { key: 'streakRule', value: v })
+    ));
+    if (s.streakRule === 'xp') {
+        list.appendChild(numberRow(
+            'Minimum daily XP', 'Net XP from studying and quests in one day; losses from unchecking count against it.',
+            s.streakMinXP, { min: 1, max: MAX_STREAK_MIN_XP, step: 1 },
+            v => dispatch('UPDATE_SETTING', { key: 'streakMinXP', value: v })
+        ));
+    }
+
+    list.appendChild(weekdayGoalsRow(
+        'Daily XP goal', 'Target per day of the week for the header ring and goal streak. 0 makes a rest day.',
+        s.dailyGoals,
+        v => dispatch('UPDATE_SETTING', { key: 'dailyGoals', value: v })
+    ));
+
+    list.appendChild(selectRow(
+        'Level curve', LEVEL_CURVES[s.levelCurve]?.hint || '',
+        s.levelCurve,
+        Object.entries(LEVEL_CURVES).map(([id, c]) => [id, c.name]),
+        v => dispatch('UPDATE_SETTING', { key: 'levelCurve', value: v })
+    ));
+    if (s.levelCurve === 'table') {
+        list.appendChild(textRow(
+            'Level table', 'Total XP for level 2, 3, 4 … separated by commas; past the end the last step repeats. Until it is filled in, levels stay linear.',
+            s.levelTable.join(', '), 'e.g. 100, 300, 600, 1000',
+            v => dispatch('UPDATE_SETTING', { key: 'levelTable', value: v })
+        ));
+    }
+
+    panel.appendChild(list);
+
+    panel.appendChild(xpRulesSection(program.xpRules, dispatch));
+    if (remote) panel.appendChild(remoteSection(remote, dispatch));
+}
+
+/* ── XP rules ── */
+
+function xpRulesSection(rules, dispatch) {
+    const wrap = el('div');
+    const title = el('div', 'stats-title stats-subtitle');
+    title.textContent = 'XP RULES';
+    wrap.appendChild(title);
+
+    const list = el('div', 'settings-list');
+    const presets = Object.entries(XP_PRESETS).map(([id, p]) => [id, p.name]);
+    if (rules.preset === 'custom') presets.push(['custom', 'Custom']);
+    list.appendChild(selectRow(
+        'Rule set', 'How much XP each action is worth. Changing it recalculates all XP, past weeks included.',
+        rules.preset, presets,
+        v => { if (v !== 'custom') dispatch('UPDATE_XP_RULES', { preset: v }); }
+    ));
+
+    for (const { key, label, unit } of XP_RULE_FIELDS) {
+        list.appendChild(numberRow(
+            label, key === 'REVISION_CAP' ? `Revisions ${unit}` : `XP ${unit}`,
+            rules.values[key], { min: 0, max: MAX_RULE_XP, step: 1 },
+            v => dispatch('UPDATE_XP_RULES', { key, value: v })
+        ));
+    }
+
+    wrap.appendChild(list);
+    return wrap;
+}
+
+/* ── Remote sync ── */
+
+function remoteSection({ config, status }, dispatch) {
+    const wrap = el('div');
+    const title = el('div', 'stats-title stats-subtitle');
+    title.textContent = 'SYNC WITH YOUR OWN SERVER';
+    wrap.appendChild(title);
+
+    const list = el('div', 'settings-list');
+    const set = key => v => dispatch('UPDATE_REMOTE', { key, value: v });
+
+    list.appendChild(selectRow(
+        'Sync target', 'Keeps this profile in step across your devices through a server you run. Off by default.',
+        config.kind,
+        [['off', 'Off'], ['rest', 'REST server (token)'], ['webdav', 'WebDAV share']],
+        set('kind')
+    ));
+
+    if (config.kind !== 'off') {
+        list.appendChild(textRow('Server URL', 'Folder URL; each profile is stored as <profile id>.json in it.',
+            config.url, 'https://…', set('url')));
+        if (config.kind === 'rest') {
+            list.appendChild(textRow('Token', 'Sent as a Bearer token. Stored on this device only.',
+                config.token, '', set('token'), 'password'));
+        } else {
+            list.appendChild(textRow('User name', 'WebDAV login.', config.username, '', set('username')));
+            list.appendChild(textRow('Password', 'Stored on this device only — use an app password if your server has them.',
+                config.password, '', set('password'), 'password'));
+        }
+
+        const row = el('div', 'settings-row');
+        const text = el('div', 'settings-text');
+        const lbl = el('span', 'settings-label'); lbl.textContent = 'Status';
+        const st = el('span', 'settings-hint remote-status');
+        st.id = 'remote-status';
+        text.appendChild(lbl); text.appendChild(st);
+        const btn = el('button', 'btn-secondary-sm');
+        btn.textContent = '☁ Sync now';
+        btn.disabled = !config.url;
+        btn.addEventListener('click', () => dispatch('SYNC_NOW'));
+        row.appendChild(text); row.appendChild(btn);
+        list.appendChild(row);
+        fillRemoteStatus(st, status);
+    }
+
+    wrap.appendChild(list);
+    return wrap;
+}
+
+/** Update the status line of an open settings panel */
+export function renderRemoteStatus(status) {
+    const st = document.getElementById('remote-status');
+    if (st) fillRemoteStatus(st, status);
+}
+
+function fillRemoteStatus(node, status) {
+    const waiting = status.pending ? ' · changes waiting to be sent' : '';
+    const last = status.lastSyncAt ? ` · last synced ${new Date(status.lastSyncAt).toLocaleString()}` : '';
+    const text = {
+        off: 'Enter the server URL to start syncing.',
+        idle: `✓ Up to date${waiting}${last}`,
+        syncing: `Syncing…${waiting}`,
+        offline: `Offline — will retry${waiting}${last}`,
+        error: `⚠ ${status.error}${waiting}`,
+    }[status.state] || '';
+    node.textContent = text;
+    node.classList.toggle('remote-status-error', status.state === 'error');
+}
+
+/* ── Row builders ── */
+
+function numberRow(labelText, hint, value, { min, max, step }, onChange) {
+    const input = el('input', 'settings-input');
+    input.type = 'number';
+    input.min = min; input.max = max; input.step = step;
+    input.value = value;
+    input.addEventListener('change', () => {
+        const v = Number(input.value);
+        if (!Number.isFinite(v) || v < min || v > max) {
+            input.classList.add('input-error');
+            setTimeout(() => input.classList.remove('input-error'), 400);
+            input.value = value;
+            return;
+        }
+        onChange(v);
+    });
+    return settingRow(labelText, hint, input);
+}
+
+function selectRow(labelText, hint, value, options, onChange) {
+    const select = el('select', 'settings-input settings-select');
+    for (const [v, text] of options) {
+        const opt = el('option');
+        opt.value = v; opt.textContent = text;
+        select.appendChild(opt);
+    }
+    select.value = value;
+    select.addEventListener('change', () => onChange(select.value));
+    return settingRow(labelText, hint, select);
+}
+
+function textRow(labelText, hint, value, placeholder, onChange, type = 'text') {
+    const input = el('input', 'settings-input settings-text-input');
+    input.type = type;
+    input.value = value || '';
+    input.placeholder = placeholder;
+    input.autocomplete = type === 'password' ? 'new-password' : 'off';
+    input.spellcheck = false;
+    input.addEventListener('change', () => onChange(input.value));
+    return settingRow(labelText, hint, input);
+}
+
+/** Seven small number inputs, Monday first; `goals` and onChange's value are Sunday first */
+function weekdayGoalsRow(labelText, hint, goals, onChange) {
+    const wrap = el('div', 'goal-days');
+    for (const day of [1, 2, 3, 4, 5, 6, 0]) {
+        const cell = el('label', 'goal-day');
+        const name = el('span', 'settings-hint'); name.textContent = WEEKDAY_NAMES[day].slice(0, 3);
+        const input = el('input', 'settings-input goal-day-input');
+        input.type = 'number';
+        input.min = 0; input.max = MAX_DAILY_GOAL; input.step = 1;
+        input.value = goals[day];
+        input.addEventListener('change', () => {
+            const v = Number(input.value);
+            if (!Number.isInteger(v) || v < 0 || v > MAX_DAILY_GOAL) {
+                input.classList.add('input-error');
+                setTimeout(() => input.classList.remove('input-error'), 400);
+                input.value = goals[day];
+                return;
+            }
+            onChange(goals.map((g, i) => (i === day ? v : g)));
+        });
+        cell.appendChild(name); cell.appendChild(input);
+        wrap.appendChild(cell);
+    }
+    const row = settingRow(labelText, hint, wrap);
+    row.classList.add('settings-row-wide');
+    return row;
+}
+
+function settingRow(labelText, hint, control) {
+    const row = el('label', 'settings-row');
+    const text = el('div', 'settings-text');
+    const lbl = el('span', 'settings-label'); lbl.textContent = labelText;
+    const h = el('span', 'settings-hint'); h.textContent = hint;
+    text.appendChild(lbl); text.appendChild(h);
+    row.appendChild(text); row.appendChild(control);
+    return row;
+}
+
+function el(tag, cls = '') {
+    const e = document.createElement(tag);
+    if (cls) e.className = cls;
+    return e;
+}
@@ -0,0 +1,163 @@
+/**
+ * src/ui/streakPanel.js — Streak Protection Panel
+ *
+ * Opened from the ❄️ freeze counter in the header. Plans vacations (the
+ * streak pauses over them) and lists the freeze ledger: when each freeze
+ * was earned and which missed days it was spent on, newest first.
+ *
+ * Rules live in streakProtection.js; events go through dispatch():
+ *   ADD_VACATION { from, to }, REMOVE_VACATION { from }
+ */
+
+import { XP } from '../../xpEngine.js';
+import { MAX_VACATION_DAYS } from '../../streakProtection.js';
+import { addDays, daysBetween } from '../../dateService.js';
+
+export function renderStreakPanel(program, today, dispatch) {
+    const panel = document.getElementById('streak-section');
+    if (!panel) return;
+    panel.innerHTML = '';
+
+    const title = el('div', 'stats-title');
+    title.textContent = 'STREAK PROTECTION';
+    panel.appendChild(title);
+
+    const held = program.streakFreezes || 0;
+    const intro = el('p', 'section-empty');
+    intro.textContent = `❄️ ${held}/${XP.MAX_FREEZES} freezes. Each covers one missed day: a gap of up to ${held} ` +
+        `day${held === 1 ? '' : 's'} keeps your streak. Days inside a vacation aren't missed — the streak just pauses.`;
+    panel.appendChild(intro);
+
+    panel.appendChild(vacationSection(program.vacations || [], today, dispatch));
+    panel.appendChild(ledgerSection(program.freezeLog || []));
+}
+
+/* ── Vacations ── */
+
+function vacationSection(vacations, today, dispatch) {
+    const wrap = el('div');
+    const title = el('div', 'stats-title stats-subtitle');
+    title.textContent = 'VACATIONS';
+    wrap.appendChild(title);
+
+    const form = el('div', 'vacation-form');
+    const from = dateInput(today, today);
+    const to = dateInput(today, today);
+    from.addEventListener('change', () => {
+        to.min = from.value || today;
+        if (to.value < from.value) to.value = from.value;
+    });
+    const add = el('button', 'btn-secondary-sm');
+    add.textContent = '🏖️ Plan vacation';
+    add.title = `Up to ${MAX_VACATION_DAYS} days, starting today or later`;
+    add.addEventListener('click', () => dispatch('ADD_VACATION', { from: from.value, to: to.value }));
+    form.appendChild(labelled('From', from));
+    form.appendChild(labelled('To', to));
+    form.appendChild(add);
+    wrap.appendChild(form);
+
+    if (vacations.length === 0) {
+        const empty = el('p', 'section-empty');
+        empty.textContent = 'No vacations planned. Add exam travel or a break here before it starts.';
+        wrap.appendChild(empty);
+        return wrap;
+    }
+
+    const list = el('div', 'restore-list');
+    for (const v of vacations) {
+        const row = el('div', 'restore-row');
+        const icon = el('span', 'restore-icon'); icon.textContent = '🏖️';
+
+        const text = el('div', 'restore-text');
+        const when = el('span', 'restore-when');
+        when.textContent = v.from === v.to ? fmtDay(v.from) : `${fmtDay(v.from)} → ${fmtDay(v.to)}`;
+        const what = el('span', 'restore-what');
+        const days = daysBetween(v.from, v.to) + 1;
+        const until = daysBetween(today, v.from);
+        what.textContent = `${days} day${days === 1 ? '' : 's'} · ` + (v.to < today
+            ? 'over — it still bridges the gap until your next counted day'
+            : v.from <= today
+                ? 'under way — your streak is paused'
+                : `starts in ${until} day${until === 1 ? '' : 's'}`);
+        text.appendChild(when); text.appendChild(what);
+
+        const remove = el('button', 'btn-secondary-sm');
+        remove.textContent = '✕';
+        remove.title = 'Remove this vacation';
+        remove.addEventListener('click', () => dispatch('REMOVE_VACATION', { from: v.from }));
+
+        row.appendChild(icon); row.appendChild(text); row.appendChild(remove);
+        list.appendChild(row);
+    }
+    wrap.appendChild(list);
+    return wrap;
+}
+
+/* ── Freeze ledger ── */
+
+function ledgerSection(log) {
+    const wrap = el('div');
+    const title = el('div', 'stats-title stats-subtitle');
+    title.textContent = 'FREEZE LEDGER';
+    wrap.appendChild(title);
+
+    if (log.length === 0) {
+        const empty = el('p', 'section-empty');
+        empty.textContent = 'No freezes earned or spent yet. Mark a week complete to earn one.';
+        wrap.appendChild(empty);
+        return wrap;
+    }
+
+    const list = el('div', 'restore-list');
+    for (const e of [...log].reverse()) {
+        const row = el('div', 'restore-row');
+        const delta = el('span', `stat-pill ${e.delta > 0 ? 'pill-green' : 'pill-amber'}`);
+        delta.textContent = `${e.delta > 0 ? '+' : '−'}${Math.abs(e.delta)} ❄️`;
+
+        const text = el('div', 'restore-text');
+        const when = el('span', 'restore-when'); when.textContent = fmtDay(e.on);
+        const what = el('span', 'restore-what');
+        const days = `${(e.days || []).length === 1 ? 'day' : 'days'} ${(e.days || []).map(fmtDay).join(', ')}`;
+        what.textContent = e.reason === 'earned'
+            ? `Earned — ${e.weekName || 'a week'} complete`
+            : e.reason === 'refunded'
+                ? `Returned — the day that covered ${days} no longer counts`
+                : `Spent on missed ${days}`;
+        text.appendChild(when); text.appendChild(what);
+
+        row.appendChild(delta); row.appendChild(text);
+        list.appendChild(row);
+    }
+    wrap.appendChild(list);
+    return wrap;
+}
+
+/* ── Local helpers ── */
+
+function dateInput(value, min) {
+    const input = el('input', 'settings-input');
+    input.type = 'date';
+    input.value = value;
+    input.min = min;
+    input.max = addDays(min, 365);
+    return input;
+}
+
+function labelled(text, control) {
+    const lbl = el('label', 'vacation-field');
+    const span = el('span', 'settings-hint'); span.textContent = text;
+    lbl.appendChild(span); lbl.appendChild(control);
+    return lbl;
+}
+
+/** 'YYYY-MM-DD' → e.g. "4 Mar" (local calendar day) */
+function fmtDay(day) {
+    const [y, m, d] = day.split('-').map(Number);
+    return new Date(y, m - 1, d).toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+}
+
+function el(tag, cls = '') {
+    const e = document.createElement(tag);
+    if (cls) e.className = cls;
+    return e;
+}
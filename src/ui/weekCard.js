@@ -7,20 +7,22 @@
  *   - Weekly milestones section (memory note, final note, complete)
  *
  * Imports lecture section from lectureCard.js.
+ * XP labels come from the program's rule set (program.xpRules).
  * All events dispatched upward via dispatch(action, payload).
  */
 
-import { XP, weekXPBreakdown, weekProgress, isWeekCoreComplete } from '../../xpEngine.js';
+import { DEFAULT_XP_RULES, weekXPBreakdown, weekProgress, isWeekCoreComplete } from '../../xpEngine.js';
 import { buildLectureSection } from './lectureCard.js';
 
 /**
  * Build the full week card DOM element.
+ * `today` (YYYY-MM-DD) marks lectures due for revision; null leaves them unmarked.
  */
-export function buildWeekCard(week, dispatch, expandedWeeks, expandedLectures) {
+export function buildWeekCard(week, dispatch, expandedWeeks, expandedLectures, rules = DEFAULT_XP_RULES, today = null) {
     const isOpen = expandedWeeks.has(week.weekId);
     const progress = weekProgress(week);
     const coreOk = isWeekCoreComplete(week);
-    const bd = weekXPBreakdown(week);
+    const bd = weekXPBreakdown(week, rules);
 
     const card = el('div', `week-card${week.weekCompleted ? ' week-done' : ''}`);
 
@@ -70,9 +72,9 @@ export function buildWeekCard(week, dispatch, expandedWeeks, expandedLectures) {
 
     /* ── Body (collapsed/expanded) ── */
     const body = el('div', `week-body${isOpen ? ' open' : ''}`);
-    body.appendChild(buildLectureSection(week, dispatch, expandedLectures));
-    body.appendChild(buildAssignmentSection(week, dispatch));
-    body.appendChild(buildWeeklyMilestones(week, coreOk, dispatch));
+    body.appendChild(buildLectureSection(week, dispatch, expandedLectures, rules, today));
+    body.appendChild(buildAssignmentSection(week, rules.values, dispatch));
+    body.appendChild(buildWeeklyMilestones(week, coreOk, rules.values, dispatch));
     card.appendChild(body);
 
     /* ── Events ── */
@@ -94,7 +96,7 @@ export function buildWeekCard(week, dispatch, expandedWeeks, expandedLectures) {
 /**
  * Build the ASSIGNMENTS section (practice + graded question trackers).
  */
-function buildAssignmentSection(week, dispatch) {
+function buildAssignmentSection(week, xp, dispatch) {
     const section = el('div', 'week-section');
     const sH = el('div', 'section-header');
     const sT = el('span', 'section-title');
@@ -104,13 +106,13 @@ function buildAssignmentSection(week, dispatch) {
         'Practice', 'practice',
         week.practiceAssignment.totalQuestions,
         week.practiceAssignment.doneQuestions,
-        XP.PRACTICE_Q, week.weekId, dispatch
+        xp.PRACTICE_Q, week.weekId, dispatch
     ));
     section.appendChild(makeAssignmentRow(
         'Graded', 'graded',
         week.gradedAssignment.totalQuestions,
         week.gradedAssignment.doneQuestions,
-        XP.GRADED_Q, week.weekId, dispatch
+        xp.GRADED_Q, week.weekId, dispatch
     ));
 
     return section;
@@ -149,20 +151,20 @@ function makeAssignmentRow(label, type, total, done, xpEach, weekId, dispatch) {
  * Build the WEEKLY MILESTONES section.
  * "Mark Week Complete" is locked until all lecture core actions are done.
  */
-function buildWeeklyMilestones(week, coreOk, dispatch) {
+function buildWeeklyMilestones(week, coreOk, xp, dispatch) {
     const section = el('div', 'week-section');
     const sH = el('div', 'section-header');
     const sT = el('span', 'section-title');
     sT.textContent = 'WEEKLY MILESTONES'; sH.appendChild(sT); section.appendChild(sH);
 
     const div = el('div', 'lecture-actions');
-    div.appendChild(checkRow('Weekly Memory Note', `+${XP.WEEKLY_MEMORY} XP`, week.weeklyMemoryNote,
+    div.appendChild(checkRow('Weekly Memory Note', `+${xp.WEEKLY_MEMORY} XP`, week.weeklyMemoryNote,
         v => dispatch('WEEK_TOGGLE', { weekId: week.weekId, field: 'weeklyMemoryNote', value: v })));
-    div.appendChild(checkRow('Weekly Final Note', `+${XP.WEEKLY_FINAL} XP`, week.weeklyFinalNote,
+    div.appendChild(checkRow('Weekly Final Note', `+${xp.WEEKLY_FINAL} XP`, week.weeklyFinalNote,
         v => dispatch('WEEK_TOGGLE', { weekId: week.weekId, field: 'weeklyFinalNote', value: v })));
     div.appendChild(checkRow(
         coreOk ? 'Mark Week Complete' : 'Mark Week Complete · finish all lecture core actions first',
-        `+${XP.WEEK_COMPLETE} XP`,
+        `+${xp.WEEK_COMPLETE} XP`,
         week.weekCompleted,
         v => dispatch('WEEK_TOGGLE', { weekId: week.weekId, field: 'weekCompleted', value: v }),
         !coreOk
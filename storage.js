@@ -6,67 +6,622 @@
  *   v2 — added revisionCount to lectures
  *   v3 — added notes (string) to lectures, bestStreak to program
  *   v4 — added streakFreezes (number, max 3) to program
+ *   v5 — replaced flat program.weeks with terms[] → courses[] → weeks[],
+ *        added activeCourseId to program
+ *   v6 — added xpLedger (per-day signed XP entries), xpOpeningBalance and
+ *        xpSources; gains-only xpHistory reconciled against totalXP
+ *   v7 — added settings (per-program preferences, see DEFAULT_SETTINGS)
+ *   v8 — added xpRules (the program's XP rule set, see XP_PRESETS in xpEngine.js)
+ *   v9 — added achievements ({ id: ISO time unlocked }, see achievements.js)
+ *   v10 — added quests (daily / weekly quest board and bonus XP, see quests.js)
+ *   v11 — added revisions to lectures (dated revision log for spaced repetition,
+ *         see revisionScheduler.js)
+ *   v12 — day keys are local study days (dateService.js) instead of UTC dates;
+ *         ledger entries moved to the day of their timestamp (the rest of
+ *         xpHistory and lastActiveDate with them), settings.dayStartHour
+ *   v13 — added vacations (planned streak pauses) and freezeLog (freezes earned
+ *         and spent), see streakProtection.js
+ *   v14 — added goalStreak, bestGoalStreak and lastGoalDate (daily XP goal
+ *         streak, see dailyGoal.js), settings.dailyGoals
+ *   v15 — added course.grades (exam scores, weekly GA scores and the grading
+ *         formula, see gradeCalculator.js)
+ *
+ * Profiles:
+ *   Each learner profile has its own program under its own key.
+ *   The "default" profile keeps the original STORAGE_KEY so data saved
+ *   before profiles existed is picked up unchanged. The profile registry
+ *   (names + active profile) lives under PROFILES_KEY.
+ *
+ * Backends:
+ *   Programs live in IndexedDB when available, else localStorage
+ *   (see src/storage/adapters.js). Call initStorage() once before
+ *   loading. saveProgram() only enqueues — writes are coalesced by
+ *   src/storage/saveQueue.js; flushSaves() forces them out. Programs
+ *   found in localStorage are moved into IndexedDB on first start.
+ *   The profile registry is tiny and stays in localStorage.
+ *
+ * Damaged data:
+ *   A program that can't be parsed is never replaced behind the user's
+ *   back. loadProgram() copies the raw text to a quarantine key, locks
+ *   the profile (saveProgram() refuses to write it) and reports
+ *   { ok: false }. The app then asks what to do; unlockProgram() is only
+ *   called once the user has chosen recovered data or a fresh start.
+ *
+ * Restore points:
+ *   takeSnapshot() / takeDailySnapshot() keep rolling copies of a
+ *   profile's program next to it (src/storage/snapshots.js); how many
+ *   is settings.snapshotKeep.
+ *
+ * Remote sync (optional, off by default):
+ *   A device-level setting under REMOTE_KEY points at the user's own
+ *   REST or WebDAV server (src/storage/remoteSync.js). saveProgram()
+ *   marks the profile for pushing after queueing the local write;
+ *   loadProgram() starts a pull in the background. Neither waits for
+ *   the network. Newer programs from the server are written locally and
+ *   announced through onRemoteProgram(). Login details stay on this
+ *   device and never go into programs or backups.
+ *
+ * Tab sync:
+ *   revision / updatedAt are maintained by app.js for live sync between
+ *   windows (src/storage/tabSync.js). They are filled in by the defaults
+ *   pass in migrate(), so no schema bump was needed.
  */
 
+import { openBestAdapter } from './src/storage/adapters.js';
+import { createSaveQueue } from './src/storage/saveQueue.js';
+import { createSnapshotStore, hasDailySnapshot, DEFAULT_SNAPSHOT_KEEP } from './src/storage/snapshots.js';
+import { createRemoteSync, createHttpTarget, REMOTE_KINDS } from './src/storage/remoteSync.js';
+import { reconcileHistory } from './xpLedger.js';
+import { allWeeks, makeXPRules, normalizeXPRules, DEFAULT_STREAK_MIN_XP } from './xpEngine.js';
+import { DEFAULT_DAILY_GOAL } from './dailyGoal.js';
+import { emptyQuestState } from './quests.js';
+import { emptyGrades, normalizeGrades } from './gradeCalculator.js';
+import { studyDay, localDayKey, rekeyLedger, DEFAULT_DAY_START_HOUR } from './dateService.js';
+import { diffPrograms, mergePrograms } from './src/backup/merge.js';
+import { validateBackup } from './src/backup/schema.js';
+import { encryptText, decryptText, isEncryptedBackup } from './src/backup/crypto.js';
+import { salvageJSON } from './src/backup/salvage.js';
+import { programToCSV, programToMarkdown } from './src/backup/reports.js';
+import { courseToSyllabus } from './src/backup/syllabus.js';
+
 const STORAGE_KEY    = 'iit_learn_program_v1';
-const SCHEMA_VERSION = 4;
+const PROFILES_KEY   = 'iit_learn_profiles_v1';
+const QUARANTINE_KEY = 'iit_learn_quarantine_v1';
+const REMOTE_KEY     = 'iit_learn_remote_v1';
+const REMOTE_STATE_KEY = 'iit_learn_remote_state_v1';
+const DEFAULT_PROFILE_ID = 'default';
+const SCHEMA_VERSION = 15;
+
+/** Per-program preferences. New keys get their default on load. */
+export const DEFAULT_SETTINGS = {
+  undoDepth: 50,       // v7: max undo steps kept in memory
+  syncPolicy: 'merge', // concurrent edits in two windows: 'merge' | 'lww'
+  snapshotKeep: DEFAULT_SNAPSHOT_KEEP,  // restore points kept per kind (daily / before actions)
+  levelCurve: 'linear', // XP needed per level: 'linear' | 'quadratic' | 'table' (see LEVEL_CURVES)
+  levelTable: [],       // total XP for level 2, 3, … when levelCurve is 'table'
+  dayStartHour: DEFAULT_DAY_START_HOUR, // v12: local hour a study day starts (0 = midnight)
+  streakRule: 'action', // what makes a day count for the streak: 'action' | 'xp' (see STREAK_RULES)
+  streakMinXP: DEFAULT_STREAK_MIN_XP,   // net XP a day needs under the 'xp' rule
+  dailyGoals: Array(7).fill(DEFAULT_DAILY_GOAL)  // v14: daily XP target per weekday, Sunday first (0 = rest day)
+};
 
 /** Return a fresh default program state */
 export function createDefaultProgram() {
+  const course = makeCourse(DEFAULT_COURSE_NAME);
   return {
     schemaVersion:  SCHEMA_VERSION,
-    weeks:          [],
+    terms:          [makeTerm(currentTermName(), [course])],
+    activeCourseId: course.courseId,   // v5: course shown in the weeks list
     totalXP:        0,
     level:          1,
     streak:         0,
     bestStreak:     0,
     streakFreezes:  0,    // v4: earned by completing weeks, used automatically on missed days
     lastActiveDate: null,
-    xpHistory:      {}
+    streakCredit:   null, // the streak before today counted, so it can be taken back (see updateStreak)
+    vacations:      [],   // v13: [{ from, to }] study days the streak pauses over
+    freezeLog:      [],   // v13: freeze ledger, [{ at, on, delta, reason, … }]
+    goalStreak:     0,    // v14: consecutive days the daily XP goal was met
+    bestGoalStreak: 0,    // v14
+    lastGoalDate:   null, // v14: last day the goal was met
+    goalCredit:     null, // the goal streak before today's goal was met (see updateGoalStreak)
+    xpHistory:      {},   // v6: net XP per day (sum of that day's ledger entries)
+    xpLedger:       {},   // v6: { day: [{ at, source, delta }] }
+    xpOpeningBalance: 0,  // v6: XP with no dated ledger entry
+    xpSources:      null, // v6: last synced XP per source, baseline for the next diff
+    coreActions:    null, // core actions ticked at the last sync, baseline for the ledger's `core` counts
+    settings:       { ...DEFAULT_SETTINGS },  // v7
+    xpRules:        makeXPRules('default'),   // v8: XP per action, editable in settings
+    achievements:   {},   // v9: unlocked badges, { id: ISO time }
+    quests:         emptyQuestState(),  // v10: quest board, progress log and finished quests
+    revision:       null, // tab sync: id of the last broadcast revision
+    updatedAt:      null  // tab sync: ISO time of the last local save
   };
 }
 
-/** Load program from localStorage. Returns default if not found. */
-export function loadProgram() {
+/* ─────────────────────────────────────────
+   BACKEND
+───────────────────────────────────────── */
+
+let adapter = null;
+let queue = null;
+let snapshots = null;
+let remote = null;   // remote sync engine, null while sync is off
+const lockedProfiles = new Set();   // damaged data on disk, not to be overwritten yet
+const errorListeners = new Set();
+
+/**
+ * Open the storage backend and move any programs still sitting in
+ * localStorage into it. Must resolve before loadProgram() is called.
+ * Returns the backend name ('indexedDB' | 'localStorage').
+ */
+export async function initStorage() {
+  adapter = await openBestAdapter();
+  queue = createSaveQueue(adapter, { onError: notifyStorageError });
+  snapshots = createSnapshotStore(adapter);
+  if (adapter.name !== 'localStorage') await migrateFromLocalStorage();
+  startRemoteSync();
+  return adapter.name;
+}
+
+/** Subscribe to failed writes (e.g. quota exceeded). Returns an unsubscribe fn. */
+export function onStorageError(listener) {
+  errorListeners.add(listener);
+  return () => errorListeners.delete(listener);
+}
+
+function notifyStorageError(err) {
+  for (const fn of errorListeners) fn(err);
+}
+
+/** Write all queued saves now. Resolves when they are stored. */
+export function flushSaves() {
+  return queue ? queue.flush() : Promise.resolve();
+}
+
+/**
+ * Copy every profile's program from localStorage into the adapter.
+ * The localStorage copy is only removed once the new copy reads back intact.
+ */
+async function migrateFromLocalStorage() {
+  for (const profile of listProfiles()) {
+    const key = programKey(profile.id);
+    const raw = localStorage.getItem(key);
+    if (raw === null) continue;
+    try {
+      if ((await adapter.get(key)) === null) await adapter.set(key, raw);
+      if ((await adapter.get(key)) !== null) localStorage.removeItem(key);
+      console.log('[Storage] Moved to', adapter.name + ':', key);
+    } catch (err) {
+      console.error('[Storage] Could not move', key, 'out of localStorage:', err);
+    }
+  }
+}
+
+/** Storage key holding a profile's program */
+function programKey(profileId) {
+  return profileId === DEFAULT_PROFILE_ID ? STORAGE_KEY : `${STORAGE_KEY}:${profileId}`;
+}
+
+/**
+ * Load a profile's program. Resolves to
+ *   { ok: true, program }           — the default program if none is stored
+ *   { ok: false, reason, error, raw, quarantineKey }
+ *     reason 'corrupt'    — stored text can't be parsed; `raw` holds it and
+ *                           a copy was kept under `quarantineKey`
+ *     reason 'unreadable' — the backend failed to read (raw is null)
+ * On failure the profile stays locked until unlockProgram().
+ */
+export async function loadProgram(profileId = getActiveProfile().id) {
+  let raw;
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return createDefaultProgram();
-    return migrate(JSON.parse(raw));
+    raw = await adapter.get(programKey(profileId));
   } catch (err) {
-    console.error('[Storage] Load failed, using default:', err);
-    return createDefaultProgram();
+    console.error('[Storage] Read failed:', err);
+    lockedProfiles.add(profileId);
+    return { ok: false, reason: 'unreadable', error: err.message || String(err), raw: null, quarantineKey: null };
+  }
+  if (!raw) {
+    remote?.syncNow(profileId);   // a new device may find this profile on the server
+    return { ok: true, program: createDefaultProgram() };
   }
-}
 
-/** Persist program to localStorage. */
-export function saveProgram(program) {
+  let program;
   try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(program));
-    return true;
+    const data = JSON.parse(raw);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Saved data is not an object');
+    program = migrate(data);
   } catch (err) {
-    console.error('[Storage] Save failed:', err);
-    if (err.name === 'QuotaExceededError') {
-      alert('Storage quota exceeded. Export a backup then delete some old weeks.');
+    console.error('[Storage] Saved program is damaged — quarantining it:', err);
+    lockedProfiles.add(profileId);
+    const quarantineKey = `${QUARANTINE_KEY}:${profileId}:${hashText(raw)}`;
+    try {
+      if ((await adapter.get(quarantineKey)) === null) await adapter.set(quarantineKey, raw);
+    } catch (qErr) {
+      console.error('[Storage] Could not quarantine damaged data:', qErr);
     }
+    return { ok: false, reason: 'corrupt', error: err.message, raw, quarantineKey };
+  }
+  remote?.syncNow(profileId);   // background pull; results arrive through onRemoteProgram()
+  return { ok: true, program };
+}
+
+/**
+ * Queue a profile's program for saving. Returns immediately; the write is
+ * coalesced with any other saves in the next few hundred ms.
+ * Failures are reported through onStorageError(). Returns false (and
+ * writes nothing) while the profile is locked after a failed load.
+ * With remote sync on, the change is pushed a few seconds later unless
+ * `remote` is false (the program came from elsewhere, or nothing the
+ * user did changed it).
+ */
+export function saveProgram(program, profileId = getActiveProfile().id, { remote: push = true } = {}) {
+  if (lockedProfiles.has(profileId)) {
+    console.warn('[Storage] Not saving: profile', profileId, 'has damaged data awaiting recovery');
     return false;
   }
+  queue.enqueue(programKey(profileId), program);
+  if (push) remote?.changed(profileId);
+  return true;
+}
+
+/** Allow saves again after the user chose how to recover a damaged profile. */
+export function unlockProgram(profileId = getActiveProfile().id) {
+  lockedProfiles.delete(profileId);
+}
+
+/**
+ * Best-effort recovery of damaged program text (see src/backup/salvage.js).
+ * Resolves like parseImportedBackup: { ok: true, program, repairs, dropped }
+ * or { ok: false, error, errors? }. `dropped` is how many characters at
+ * the end could not be used.
+ */
+export function salvageProgram(raw) {
+  const found = salvageJSON(raw);
+  if (!found.ok) return { ok: false, error: found.error };
+  const data = found.value;
+  if (!data || typeof data !== 'object' || Array.isArray(data))
+    return { ok: false, error: 'The recovered data is not a program.' };
+
+  // totalXP is stored after terms and is often what got cut off;
+  // it is recalculated from the weeks anyway
+  if (typeof data.totalXP !== 'number') data.totalXP = 0;
+  const check = validateBackup(data, { schemaVersion: SCHEMA_VERSION, newId: generateId });
+  if (!check.ok) {
+    return { ok: false, error: `${check.errors.length} problems remain in the recovered data.`, errors: check.errors };
+  }
+  return { ok: true, program: migrate(data), repairs: check.repairs, dropped: found.dropped };
+}
+
+/** Short stable hash, so re-quarantining the same text doesn't pile up copies */
+function hashText(text) {
+  let h = 5381;
+  for (let i = 0; i < text.length; i++) h = ((h << 5) + h + text.charCodeAt(i)) | 0;
+  return (h >>> 0).toString(36);
+}
+
+/** Clear all saved data for a profile */
+export async function clearProgram(profileId = getActiveProfile().id) {
+  const key = programKey(profileId);
+  queue.cancel(key);
+  await adapter.remove(key);
+  localStorage.removeItem(key);
+}
+
+/* ─────────────────────────────────────────
+   REMOTE SYNC
+───────────────────────────────────────── */
+
+export const DEFAULT_REMOTE_CONFIG = { kind: 'off', url: '', token: '', username: '', password: '' };
+
+const remoteProgramListeners = new Set();
+const remoteStatusListeners = new Set();
+
+/** This device's remote sync settings */
+export function getRemoteConfig() {
+  try {
+    return { ...DEFAULT_REMOTE_CONFIG, ...JSON.parse(localStorage.getItem(REMOTE_KEY) || '{}') };
+  } catch {
+    return { ...DEFAULT_REMOTE_CONFIG };
+  }
+}
+
+/**
+ * Save remote sync settings and restart syncing with them.
+ * Returns { ok: true } or { ok: false, error } for an unusable URL.
+ */
+export function setRemoteConfig(config) {
+  const next = { ...DEFAULT_REMOTE_CONFIG, ...config };
+  if (!REMOTE_KINDS.includes(next.kind)) return { ok: false, error: `Unknown sync target "${next.kind}".` };
+  next.url = next.url.trim();
+  if (next.kind !== 'off' && next.url) {
+    let url;
+    try { url = new URL(next.url); } catch { return { ok: false, error: 'That is not a valid URL.' }; }
+    const local = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+    if (url.protocol !== 'https:' && !(url.protocol === 'http:' && local)) {
+      return { ok: false, error: 'Use an https:// address — login details must not travel unencrypted.' };
+    }
+  }
+  localStorage.setItem(REMOTE_KEY, JSON.stringify(next));
+  startRemoteSync();
+  return { ok: true };
+}
+
+/** Is a target configured completely enough to sync? */
+export function remoteEnabled(config = getRemoteConfig()) {
+  return config.kind !== 'off' && Boolean(config.url);
+}
+
+/** Pull and push the profile now. Resolves to { ok, action, error? }. */
+export function syncRemote(profileId = getActiveProfile().id) {
+  return remote ? remote.syncNow(profileId) : Promise.resolve({ ok: false, action: 'off' });
+}
+
+/** Retry waiting pushes right away (e.g. the device came back online). */
+export function retryRemote() {
+  remote?.retryNow();
+}
+
+/** { state: 'off' | 'idle' | 'syncing' | 'offline' | 'error', pending, lastSyncAt, error } */
+export function remoteStatus() {
+  return remote ? remote.status() : { state: 'off', pending: false, lastSyncAt: null, error: null };
+}
+
+/** Subscribe to programs arriving from the server: fn(profileId, program, 'pulled' | 'merged') */
+export function onRemoteProgram(listener) {
+  remoteProgramListeners.add(listener);
+  return () => remoteProgramListeners.delete(listener);
+}
+
+/** Subscribe to sync status changes: fn(status) */
+export function onRemoteStatus(listener) {
+  remoteStatusListeners.add(listener);
+  return () => remoteStatusListeners.delete(listener);
+}
+
+function startRemoteSync() {
+  remote?.dispose();
+  remote = null;
+  const config = getRemoteConfig();
+  if (remoteEnabled(config)) {
+    const targetKey = `${config.kind} ${config.url}`;   // sync state belongs to one target
+    remote = createRemoteSync({
+      target: profileId => createHttpTarget(config, profileId),
+      readLocal: async profileId => {
+        await flushSaves();
+        return adapter.get(programKey(profileId));
+      },
+      decode: decodeRemoteProgram,
+      // A program without any weeks yet (fresh device) just takes the server's
+      merge: (local, incoming) => (allWeeks(local).length === 0 ? incoming : mergePrograms(local, incoming)),
+      state: {
+        get(profileId) {
+          try {
+            const st = JSON.parse(localStorage.getItem(`${REMOTE_STATE_KEY}:${profileId}`) || '{}');
+            return st.target === targetKey ? st : {};
+          } catch {
+            return {};
+          }
+        },
+        set(profileId, st) {
+          localStorage.setItem(`${REMOTE_STATE_KEY}:${profileId}`, JSON.stringify({ ...st, target: targetKey }));
+        },
+        ids() {
+          const prefix = `${REMOTE_STATE_KEY}:`;
+          return Object.keys(localStorage).filter(k => k.startsWith(prefix)).map(k => k.slice(prefix.length));
+        }
+      },
+      onRemote(profileId, program, how) {
+        if (lockedProfiles.has(profileId)) return;
+        queue.enqueue(programKey(profileId), program);
+        for (const fn of remoteProgramListeners) fn(profileId, program, how);
+      },
+      onStatus: status => { for (const fn of remoteStatusListeners) fn(status); }
+    });
+  }
+  const status = remoteStatus();
+  for (const fn of remoteStatusListeners) fn(status);
+}
+
+/** Checks a program from the server like an imported backup */
+function decodeRemoteProgram(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+  const check = validateBackup(data, { schemaVersion: SCHEMA_VERSION, newId: generateId });
+  if (!check.ok) return { ok: false, error: `${check.errors[0].path} ${check.errors[0].message}` };
+  return { ok: true, program: migrate(data) };
+}
+
+/* ─────────────────────────────────────────
+   RESTORE POINTS
+───────────────────────────────────────── */
+
+/**
+ * Keep a restore point of `program`. `reason` is 'daily' or the action
+ * about to happen ('import', 'delete', 'restore', 'manual'); `label` is
+ * what the Restore points panel shows. The program is copied before this
+ * returns, so callers can go on to change it. Never rejects — a failed
+ * snapshot must not block the action it protects. Resolves to the entry or null.
+ */
+export async function takeSnapshot(program, reason, label = '', profileId = getActiveProfile().id) {
+  try {
+    return await snapshots.take(program, {
+      profileId, reason, label, day: localDayKey(),
+      keep: program.settings?.snapshotKeep ?? DEFAULT_SNAPSHOT_KEEP
+    });
+  } catch (err) {
+    console.error('[Storage] Snapshot failed:', err);
+    return null;
+  }
+}
+
+/** Take today's daily restore point unless there already is one. Resolves true if taken. */
+export async function takeDailySnapshot(program, profileId = getActiveProfile().id) {
+  try {
+    if (hasDailySnapshot(await snapshots.list(profileId), localDayKey())) return false;
+  } catch (err) {
+    console.error('[Storage] Could not list restore points:', err);
+    return false;
+  }
+  return (await takeSnapshot(program, 'daily', 'Start of day', profileId)) !== null;
+}
+
+/** Restore points of a profile, newest first: [{ id, at, day, reason, label, weeks, lectures, xp }] */
+export function listSnapshots(profileId = getActiveProfile().id) {
+  return snapshots.list(profileId);
+}
+
+/** A restore point as a (migrated) program. Resolves to null if it is gone or unreadable. */
+export async function loadSnapshot(id, profileId = getActiveProfile().id) {
+  try {
+    const raw = await snapshots.read(profileId, id);
+    return raw ? migrate(JSON.parse(raw)) : null;
+  } catch (err) {
+    console.error('[Storage] Could not read snapshot', id, err);
+    return null;
+  }
+}
+
+/* ─────────────────────────────────────────
+   PROFILES
+───────────────────────────────────────── */
+
+/** Read the profile registry, creating the default profile on first use */
+function readProfiles() {
+  try {
+    const reg = JSON.parse(localStorage.getItem(PROFILES_KEY));
+    if (reg && Array.isArray(reg.profiles) && reg.profiles.length > 0) return reg;
+  } catch (err) {
+    console.error('[Storage] Profile registry unreadable, resetting:', err);
+  }
+  return {
+    activeId: DEFAULT_PROFILE_ID,
+    profiles: [{ id: DEFAULT_PROFILE_ID, name: 'Me', createdAt: localDayKey() }]
+  };
+}
+
+function writeProfiles(reg) {
+  localStorage.setItem(PROFILES_KEY, JSON.stringify(reg));
+}
+
+/** All profiles, in creation order */
+export function listProfiles() {
+  return readProfiles().profiles;
+}
+
+/** The profile currently in use: { id, name, createdAt } */
+export function getActiveProfile() {
+  const reg = readProfiles();
+  return reg.profiles.find(p => p.id === reg.activeId) || reg.profiles[0];
+}
+
+export function setActiveProfile(profileId) {
+  const reg = readProfiles();
+  if (!reg.profiles.some(p => p.id === profileId)) return false;
+  reg.activeId = profileId;
+  writeProfiles(reg);
+  return true;
+}
+
+/** Create a profile with an empty program. Returns the new profile. */
+export function createProfile(name) {
+  const reg = readProfiles();
+  const profile = { id: generateId('p'), name, createdAt: localDayKey() };
+  reg.profiles.push(profile);
+  writeProfiles(reg);
+  return profile;
 }
 
-/** Clear all saved data */
-export function clearProgram() {
-  localStorage.removeItem(STORAGE_KEY);
+export function renameProfile(profileId, name) {
+  const reg = readProfiles();
+  const p = reg.profiles.find(x => x.id === profileId);
+  if (!p) return false;
+  p.name = name;
+  writeProfiles(reg);
+  return true;
+}
+
+/**
+ * Delete a profile and its program. The last profile cannot be deleted.
+ * If the active profile is deleted, the first remaining one becomes active.
+ */
+export function deleteProfile(profileId) {
+  const reg = readProfiles();
+  if (reg.profiles.length <= 1) return false;
+  reg.profiles = reg.profiles.filter(p => p.id !== profileId);
+  if (reg.activeId === profileId) reg.activeId = reg.profiles[0].id;
+  writeProfiles(reg);
+  clearProgram(profileId).catch(err => console.error('[Storage] Could not clear profile data:', err));
+  snapshots.removeAll(profileId).catch(err => console.error('[Storage] Could not clear restore points:', err));
+  localStorage.removeItem(`${REMOTE_STATE_KEY}:${profileId}`);   // the server copy is left alone
+  lockedProfiles.delete(profileId);
+  return true;
 }
 
 /**
  * Export full program as a downloadable JSON file.
- * Filename includes the date so backups are easy to identify.
- * Returns the filename string.
+ * Filename includes the profile name and date so backups are easy to identify;
+ * the file itself carries a `backupMeta` block naming the profile.
+ * With a `passphrase` the whole backup (meta included) is encrypted into
+ * an envelope (see src/backup/crypto.js) and saved as *.encrypted.json.
+ * Resolves to the filename string.
  */
-export function exportBackup(program) {
-  const date     = new Date().toISOString().slice(0, 10);
-  const filename = `iit-learn-backup-${date}.json`;
-  const blob     = new Blob([JSON.stringify(program, null, 2)], { type: 'application/json' });
-  const url      = URL.createObjectURL(blob);
+export async function exportBackup(program, profile = getActiveProfile(), { passphrase = null } = {}) {
+  const date     = localDayKey();
+  const filename = `iit-learn-backup-${profileSlug(profile)}-${date}${passphrase ? '.encrypted' : ''}.json`;
+  const backup   = {
+    backupMeta: { profileId: profile.id, profileName: profile.name, exportedAt: new Date().toISOString() },
+    ...program
+  };
+  const json     = passphrase
+    ? JSON.stringify(await encryptText(JSON.stringify(backup), passphrase), null, 2)
+    : JSON.stringify(backup, null, 2);
+  downloadFile(filename, json);
+  return filename;
+}
+
+/**
+ * Download a spreadsheet of the program: one row per lecture
+ * (see src/backup/reports.js). Returns the filename. Not re-importable.
+ */
+export function exportCSV(program, profile = getActiveProfile()) {
+  const filename = `iit-learn-progress-${profileSlug(profile)}-${localDayKey()}.csv`;
+  downloadFile(filename, programToCSV(program), 'text/csv;charset=utf-8');
+  return filename;
+}
+
+/** Download a Markdown study report with progress and notes. Returns the filename. */
+export function exportReport(program, profile = getActiveProfile()) {
+  const filename = `iit-learn-report-${profileSlug(profile)}-${localDayKey()}.md`;
+  downloadFile(filename, programToMarkdown(program, { title: `Study report — ${profile.name}` }), 'text/markdown;charset=utf-8');
+  return filename;
+}
+
+/**
+ * Download a course's weeks and lectures as a syllabus template, without
+ * progress or notes (see src/backup/syllabus.js). Returns the filename.
+ */
+export function exportSyllabus(course) {
+  const filename = `iit-learn-syllabus-${slugify(course.courseName) || 'course'}.json`;
+  downloadFile(filename, JSON.stringify(courseToSyllabus(course), null, 2));
+  return filename;
+}
+
+/** Download damaged program text exactly as it was stored. Returns the filename. */
+export function exportDamagedData(raw, profile = getActiveProfile()) {
+  const date     = localDayKey();
+  const filename = `iit-learn-damaged-${profileSlug(profile)}-${date}.txt`;
+  downloadFile(filename, raw, 'text/plain');
+  return filename;
+}
+
+function downloadFile(filename, content, type = 'application/json') {
+  const blob = new Blob([content], { type });
+  const url  = URL.createObjectURL(blob);
 
   const a    = document.createElement('a');
   a.href     = url;
@@ -74,24 +629,53 @@ export function exportBackup(program) {
   a.click();
 
   setTimeout(() => URL.revokeObjectURL(url), 2000);
-  return filename;
+}
+
+function profileSlug(profile) {
+  return slugify(profile.name) || 'profile';
+}
+
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
 }
 
 /**
- * Validate and parse an imported JSON backup.
- * Returns { ok: true, program } or { ok: false, error: string }.
+ * Validate and parse an imported JSON backup (async).
+ * Resolves to { ok: true, program, meta, repairs, diff } or
+ * { ok: false, error: string, errors?, needsPassphrase? }. `errors` /
+ * `repairs` are [{ path, message }] lists from src/backup/schema.js.
+ * Encrypted backups need `passphrase`; without it (or with a wrong one)
+ * the result has needsPassphrase: true so the caller can ask for it.
+ * `meta` is the backup's profile info ({ profileId, profileName, exportedAt })
+ * or null for backups made before profiles existed.
+ * When `current` is given, `diff` describes what merging the backup into it
+ * would add and which fields conflict (see src/backup/merge.js); else null.
  */
-export function parseImportedBackup(jsonText) {
+export async function parseImportedBackup(jsonText, current = null, { passphrase = null } = {}) {
   try {
-    const data = JSON.parse(jsonText);
-    if (!data || typeof data !== 'object')
-      return { ok: false, error: 'Not a valid JSON file.' };
-    if (!Array.isArray(data.weeks))
-      return { ok: false, error: 'Missing "weeks" — this is not an IIT Learn backup.' };
-    if (typeof data.totalXP !== 'number')
-      return { ok: false, error: 'Missing "totalXP" — invalid backup file.' };
-
-    return { ok: true, program: migrate(data) };
+    let data = JSON.parse(jsonText);
+    if (isEncryptedBackup(data)) {
+      if (passphrase === null) return { ok: false, needsPassphrase: true, error: null };
+      const opened = await decryptText(data, passphrase);
+      if (!opened.ok) return { ok: false, needsPassphrase: opened.reason === 'passphrase', error: opened.error };
+      data = JSON.parse(opened.text);
+    }
+    const meta = (data && typeof data.backupMeta === 'object' && data.backupMeta) || null;
+    if (data && typeof data === 'object') delete data.backupMeta;
+
+    // Full structural check against the file's schema version; safe issues
+    // are repaired in place and reported, anything else blocks the import
+    const check = validateBackup(data, { schemaVersion: SCHEMA_VERSION, newId: generateId });
+    if (!check.ok) {
+      const n = check.errors.length;
+      return { ok: false, error: `${n} problem${n === 1 ? '' : 's'} found in the backup.`, errors: check.errors };
+    }
+
+    const program = migrate(data);
+    return {
+      ok: true, program, meta, repairs: check.repairs,
+      diff: current ? diffPrograms(current, program) : null
+    };
   } catch (err) {
     return { ok: false, error: `Could not read file: ${err.message}` };
   }
@@ -121,21 +705,176 @@ function migrate(data) {
     data.schemaVersion = 4;
   }
 
+  if (v < 5) {
+    // Wrap the old flat week list in a default course inside the current term
+    const course = makeCourse(DEFAULT_COURSE_NAME, data.weeks || []);
+    data.terms = [makeTerm(currentTermName(), [course])];
+    data.activeCourseId = course.courseId;
+    delete data.weeks;
+    data.schemaVersion = 5;
+  }
+
+  if (v < 6) {
+    data.xpHistory = data.xpHistory || {};
+    data.xpLedger = {};
+    data.xpSources = null;
+    reconcileHistory(data, studyDay());
+    data.schemaVersion = 6;
+  }
+
+  if (v < 7) {
+    if (data.settings === undefined) data.settings = {};
+    data.schemaVersion = 7;
+  }
+
+  if (v < 8) {
+    // Programs from before rule sets were scored with the default table
+    if (data.xpRules === undefined) data.xpRules = makeXPRules('default');
+    data.schemaVersion = 8;
+  }
+
+  if (v < 9) {
+    // Badges already earned unlock (with today's date) at the next change
+    if (data.achievements === undefined) data.achievements = {};
+    data.schemaVersion = 9;
+  }
+
+  if (v < 10) {
+    // The first board is drawn at the next load; nothing counts until then
+    if (data.quests === undefined) data.quests = emptyQuestState();
+    data.schemaVersion = 10;
+  }
+
+  if (v < 11) {
+    // Earlier revisions have no date; they keep their XP but aren't scheduled
+    for (const week of allWeeks(data))
+      for (const lec of week.lectures || [])
+        if (!Array.isArray(lec.revisions)) lec.revisions = [];
+    data.schemaVersion = 11;
+  }
+
+  if (v < 12) {
+    // Days were UTC dates; file each ledger entry under its local day.
+    // History without entries (trimmed, pre-ledger) and lastActiveDate move too.
+    rekeyLedger(data, at => studyDay(at, DEFAULT_DAY_START_HOUR), { utcKeys: true });
+    data.schemaVersion = 12;
+  }
+
+  if (v < 13) {
+    // Freezes held so far have no ledger entry; the ledger starts here
+    if (!Array.isArray(data.vacations)) data.vacations = [];
+    if (!Array.isArray(data.freezeLog)) data.freezeLog = [];
+    data.schemaVersion = 13;
+  }
+
+  if (v < 14) {
+    // The goal streak starts with the first goal met after the upgrade
+    if (data.goalStreak === undefined) data.goalStreak = 0;
+    if (data.bestGoalStreak === undefined) data.bestGoalStreak = 0;
+    if (data.lastGoalDate === undefined) data.lastGoalDate = null;
+    data.schemaVersion = 14;
+  }
+
+  if (v < 15) {
+    // Courses get an empty score sheet with the default formula
+    for (const term of data.terms || [])
+      for (const course of term.courses || [])
+        if (course.grades === undefined) course.grades = emptyGrades();
+    data.schemaVersion = 15;
+  }
+
   // Ensure all top-level fields exist (defensive, for future safety)
   const defaults = createDefaultProgram();
   for (const key of Object.keys(defaults)) {
     if (data[key] === undefined) data[key] = defaults[key];
   }
+  data.settings = { ...DEFAULT_SETTINGS, ...data.settings };
+  data.xpRules = normalizeXPRules(data.xpRules);
+  data.quests = { ...emptyQuestState(), ...data.quests };
+  for (const term of data.terms)
+    for (const course of term.courses) course.grades = normalizeGrades(course.grades);
 
   return data;
 }
 
+/* ─────────────────────────────────────────
+   FACTORIES
+───────────────────────────────────────── */
+
+const DEFAULT_COURSE_NAME = 'My Course';
+
+export function makeTerm(name, courses = []) {
+  return {
+    termId: generateId('t'),
+    termName: name,
+    courses,
+    xpEarned: 0
+  };
+}
+
+export function makeCourse(name, weeks = []) {
+  return {
+    courseId: generateId('c'),
+    courseName: name,
+    weeks,
+    grades: emptyGrades(),  // v15: exam scores and grading formula — see gradeCalculator.js
+    xpEarned: 0
+  };
+}
+
+export function makeWeek(name) {
+  return {
+    weekId: generateId('w'),
+    weekName: name,
+    lectures: [],
+    practiceAssignment: { totalQuestions: 0, doneQuestions: 0 },
+    gradedAssignment: { totalQuestions: 0, doneQuestions: 0 },
+    weeklyMemoryNote: false,
+    weeklyFinalNote: false,
+    weekCompleted: false,
+    xpEarned: 0
+  };
+}
+
+export function makeLecture(name) {
+  return {
+    lectureId: generateId('l'),
+    lectureName: name,
+    watched: false,
+    memoryNote: false,
+    activityTotal: 0,
+    activityDone: 0,
+    finalNote: false,
+    revisionCount: 0,
+    revisions: [],          // v11: [{ on: YYYY-MM-DD, quality }] — see revisionScheduler.js
+    notes: '',
+    notesUpdatedAt: null,   // ISO timestamp, lets merges keep the newer notes
+    xpEarned: 0
+  };
+}
+
+/** Fresh weeks and lectures, counts preset, from a parsed syllabus */
+export function weeksFromSyllabus(syllabus) {
+  return syllabus.weeks.map(t => {
+    const week = makeWeek(t.name);
+    week.practiceAssignment.totalQuestions = t.practiceQuestions;
+    week.gradedAssignment.totalQuestions   = t.gradedQuestions;
+    week.lectures = t.lectures.map(l => ({ ...makeLecture(l.name), activityTotal: l.activities }));
+    return week;
+  });
+}
+
+/**
+ * IITM runs three terms a year: Jan, May and Sep.
+ * Returns the term a date falls in, e.g. "Jan 2026".
+ */
+export function currentTermName(date = new Date()) {
+  const m = date.getMonth();
+  const label = m < 4 ? 'Jan' : m < 8 ? 'May' : 'Sep';
+  return `${label} ${date.getFullYear()}`;
+}
+
 /** Generate a unique ID */
 export function generateId(prefix = 'id') {
   return `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
 }
-
-/** Return today as YYYY-MM-DD */
-export function todayISO() {
-  return new Date().toISOString().slice(0, 10);
-}
@@ -0,0 +1,150 @@
+/**
+ * streakProtection.js — Streak Freezes & Vacations
+ *
+ * Pure functions only. No DOM, no localStorage.
+ *
+ * Two ways to keep a streak over days without study (schema v13):
+ *
+ *   freezes   — earned by completing weeks (up to XP.MAX_FREEZES). Each
+ *               one covers one missed day; a gap is bridged when it has
+ *               no more missed days than the freezes held.
+ *   vacations — study-day ranges planned in advance. Days inside one are
+ *               not missed: the streak pauses over them instead of breaking,
+ *               and no freeze is spent.
+ *
+ *   program.vacations = [{ from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' }]   // inclusive, by start
+ *   program.freezeLog = [{ at, on, delta, reason, weekId?, weekName?, days? }] // oldest first
+ *
+ * freezeLog is the freeze ledger: `delta` +1 with reason 'earned' (the
+ * week that earned it), −n with reason 'spent' (the days it covered), or
+ * +n with reason 'refunded' when the day that spent them stopped counting
+ * (see updateStreak in xpEngine.js).
+ *
+ * The ledger is kept across undo like the freeze count, so a week earns
+ * its freeze once: completing it again after an undo or an uncheck
+ * doesn't earn another.
+ */
+
+import { addDays, daysBetween } from './dateService.js';
+
+export const MAX_VACATION_DAYS = 30;
+export const FREEZE_LOG_LIMIT = 100;
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/* ─────────────────────────────────────────
+   VACATIONS
+───────────────────────────────────────── */
+
+/** The vacation `day` falls in, or null */
+export function vacationOn(program, day) {
+  return (program.vacations || []).find(v => v.from <= day && day <= v.to) || null;
+}
+
+/**
+ * Days strictly between `last` and `today` that count as missed — not
+ * inside a vacation. Stops counting once past `limit` (a gap that long
+ * breaks the streak whatever the exact number).
+ */
+export function missedDays(program, last, today, limit = Infinity) {
+  const missed = [];
+  const gap = daysBetween(last, today) - 1;
+  for (let i = 1; i <= gap && missed.length <= limit; i++) {
+    const day = addDays(last, i);
+    if (!vacationOn(program, day)) missed.push(day);
+  }
+  return missed;
+}
+
+/**
+ * Plan a vacation from `from` to `to` (inclusive). Mutates program.
+ * It must start today or later — a vacation can't be declared after the
+ * fact to rescue a broken streak — last at most MAX_VACATION_DAYS and not
+ * overlap another one.
+ * @returns {{ ok: true } | { ok: false, error: string }}
+ */
+export function addVacation(program, from, to, today) {
+  if (!DAY_RE.test(from || '') || !DAY_RE.test(to || '')) return { ok: false, error: 'Pick a start and an end date.' };
+  if (to < from) return { ok: false, error: 'The vacation ends before it starts.' };
+  if (from < today) return { ok: false, error: 'Vacations are planned ahead — the start can\'t be in the past.' };
+  const days = daysBetween(from, to) + 1;
+  if (days > MAX_VACATION_DAYS) return { ok: false, error: `A vacation can last at most ${MAX_VACATION_DAYS} days (this one is ${days}).` };
+  const vacations = program.vacations || (program.vacations = []);
+  if (vacations.some(v => v.from <= to && from <= v.to)) return { ok: false, error: 'That overlaps a vacation you already planned.' };
+
+  vacations.push({ from, to });
+  vacations.sort((a, b) => a.from.localeCompare(b.from));
+  return { ok: true };
+}
+
+/** Remove the vacation starting on `from`. Returns whether one was found. */
+export function removeVacation(program, from) {
+  const before = (program.vacations || []).length;
+  program.vacations = (program.vacations || []).filter(v => v.from !== from);
+  return program.vacations.length < before;
+}
+
+/**
+ * Drop vacations that ended before `day` — once the streak has been
+ * updated past them they can't change anything.
+ */
+export function pruneVacations(program, day) {
+  program.vacations = (program.vacations || []).filter(v => v.to >= day);
+}
+
+/* ─────────────────────────────────────────
+   FREEZE LEDGER
+───────────────────────────────────────── */
+
+/** Whether the week `weekId` has already earned its freeze */
+export function freezeEarnedFor(program, weekId) {
+  return (program.freezeLog || []).some(e => e.reason === 'earned' && e.weekId === weekId);
+}
+
+/** Book a freeze earned by completing a week on `day`. Mutates program. */
+export function logFreezeEarned(program, at, day, weekId, weekName) {
+  appendLog(program, { at, on: day, delta: 1, reason: 'earned', weekId, weekName });
+}
+
+/** Book the freezes spent on `days` (missed days), seen on `day`. Mutates program. */
+export function logFreezesSpent(program, at, day, days) {
+  if (days.length === 0) return;
+  appendLog(program, { at, on: day, delta: -days.length, reason: 'spent', days: [...days] });
+}
+
+/** Book the freezes given back for `days` when the day that spent them stopped counting. Mutates program. */
+export function logFreezesRefunded(program, at, day, days) {
+  if (days.length === 0) return;
+  appendLog(program, { at, on: day, delta: days.length, reason: 'refunded', days: [...days] });
+}
+
+/** Union of two freeze ledgers (an entry on both sides counts once), oldest first */
+export function mergeFreezeLogs(current = [], incoming = []) {
+  const seen = new Set();
+  const out = [];
+  for (const e of [...current, ...incoming]) {
+    const key = `${e.at}|${e.delta}|${e.reason}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(e);
+  }
+  return out.sort((a, b) => String(a.at).localeCompare(String(b.at))).slice(-FREEZE_LOG_LIMIT);
+}
+
+/** Union of two vacation lists; overlapping ranges keep current's */
+export function mergeVacations(current = [], incoming = []) {
+  const out = [...current];
+  for (const v of incoming)
+    if (!out.some(c => c.from <= v.to && v.from <= c.to)) out.push(v);
+  return out.sort((a, b) => a.from.localeCompare(b.from));
+}
+
+/* ─────────────────────────────────────────
+   HELPERS
+───────────────────────────────────────── */
+
+function appendLog(program, entry) {
+  const log = program.freezeLog || (program.freezeLog = []);
+  log.push(entry);
+  if (log.length > FREEZE_LOG_LIMIT) log.splice(0, log.length - FREEZE_LOG_LIMIT);
+}
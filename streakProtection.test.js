@@ -0,0 +1,101 @@
+/**
+ * streakProtection.test.js — Unit tests for vacations and the freeze ledger
+ *
+ * Run with: node --test streakProtection.test.js
+ *
+ * Tests cover:
+ *   1. addVacation / removeVacation / pruneVacations — planning rules
+ *   2. missedDays       — vacation days don't count
+ *   3. freeze ledger    — earned / spent / refunded entries, once per week, merge
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    addVacation,
+    removeVacation,
+    pruneVacations,
+    vacationOn,
+    missedDays,
+    logFreezeEarned,
+    logFreezesRefunded,
+    freezeEarnedFor,
+    logFreezesSpent,
+    mergeFreezeLogs,
+    MAX_VACATION_DAYS,
+    FREEZE_LOG_LIMIT,
+} from './streakProtection.js';
+
+const makeProgram = () => ({ vacations: [], freezeLog: [] });
+
+/* ─── Vacations ─── */
+
+test('addVacation: planned ahead, bounded and not overlapping', () => {
+    const p = makeProgram();
+    const today = '2026-03-04';
+    assert.equal(addVacation(p, '2026-03-20', '2026-03-25', today).ok, true);
+    assert.equal(addVacation(p, '2026-03-10', '2026-03-10', today).ok, true);
+    assert.deepEqual(p.vacations.map(v => v.from), ['2026-03-10', '2026-03-20']);   // kept by start
+
+    assert.equal(addVacation(p, '2026-03-01', '2026-03-06', today).ok, false);   // started in the past
+    assert.equal(addVacation(p, '2026-03-12', '2026-03-11', today).ok, false);   // ends before it starts
+    assert.equal(addVacation(p, '2026-03-24', '2026-03-28', today).ok, false);   // overlaps
+    assert.equal(addVacation(p, '2026-04-01', '', today).ok, false);
+    const long = addVacation(p, '2026-04-01', '2026-05-15', today);
+    assert.equal(long.ok, false);
+    assert.match(long.error, new RegExp(`at most ${MAX_VACATION_DAYS} days`));
+});
+
+test('removeVacation / pruneVacations', () => {
+    const p = makeProgram();
+    addVacation(p, '2026-03-10', '2026-03-12', '2026-03-01');
+    addVacation(p, '2026-03-20', '2026-03-22', '2026-03-01');
+    assert.equal(removeVacation(p, '2026-03-20'), true);
+    assert.equal(removeVacation(p, '2026-03-20'), false);
+    assert.deepEqual(vacationOn(p, '2026-03-11'), { from: '2026-03-10', to: '2026-03-12' });
+    pruneVacations(p, '2026-03-12');
+    assert.equal(p.vacations.length, 1);   // still running on its last day
+    pruneVacations(p, '2026-03-13');
+    assert.deepEqual(p.vacations, []);
+});
+
+test('missedDays: the days between two active days, minus vacations', () => {
+    const p = { vacations: [{ from: '2026-03-03', to: '2026-03-04' }] };
+    assert.deepEqual(missedDays(p, '2026-03-01', '2026-03-02'), []);
+    assert.deepEqual(missedDays(p, '2026-03-01', '2026-03-07'), ['2026-03-02', '2026-03-05', '2026-03-06']);
+    assert.equal(missedDays(p, '2026-01-01', '2026-12-31', 3).length, 4);   // stops once past the limit
+});
+
+/* ─── Freeze ledger ─── */
+
+test('freeze ledger: earned and spent entries, capped', () => {
+    const p = makeProgram();
+    logFreezeEarned(p, '2026-03-01T10:00:00.000Z', '2026-03-01', 'w1', 'Week 1');
+    logFreezesSpent(p, '2026-03-05T09:00:00.000Z', '2026-03-05', []);   // nothing spent, nothing booked
+    logFreezesSpent(p, '2026-03-05T09:00:00.000Z', '2026-03-05', ['2026-03-03', '2026-03-04']);
+    assert.deepEqual(p.freezeLog.map(e => [e.reason, e.delta]), [['earned', 1], ['spent', -2]]);
+    assert.deepEqual(p.freezeLog[1].days, ['2026-03-03', '2026-03-04']);
+
+    for (let i = 0; i < FREEZE_LOG_LIMIT; i++) logFreezeEarned(p, `T${i}`, '2026-03-06', 'w2', 'Week 2');
+    assert.equal(p.freezeLog.length, FREEZE_LOG_LIMIT);
+    assert.equal(p.freezeLog[0].at, 'T0');
+});
+
+test('freeze ledger: refunds are booked, each week earns once', () => {
+    const p = makeProgram();
+    logFreezeEarned(p, '2026-03-01T10:00:00.000Z', '2026-03-01', 'w1', 'Week 1');
+    assert.equal(freezeEarnedFor(p, 'w1'), true);
+    assert.equal(freezeEarnedFor(p, 'w2'), false);
+
+    logFreezesRefunded(p, '2026-03-05T09:30:00.000Z', '2026-03-05', []);
+    logFreezesRefunded(p, '2026-03-05T09:30:00.000Z', '2026-03-05', ['2026-03-03', '2026-03-04']);
+    assert.deepEqual(p.freezeLog.map(e => [e.reason, e.delta]), [['earned', 1], ['refunded', 2]]);
+});
+
+test('mergeFreezeLogs: entries on both sides count once, oldest first', () => {
+    const a = { at: '2026-03-01T10:00:00.000Z', on: '2026-03-01', delta: 1, reason: 'earned' };
+    const b = { at: '2026-03-05T09:00:00.000Z', on: '2026-03-05', delta: -1, reason: 'spent', days: ['2026-03-04'] };
+    assert.deepEqual(mergeFreezeLogs([b], [a, b]), [a, b]);
+    assert.deepEqual(mergeFreezeLogs(undefined, [a]), [a]);
+});
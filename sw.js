@@ -6,7 +6,7 @@
  * Otherwise the old cached version will keep loading.
  */
 
-const CACHE_NAME = 'iit-learn-v1.1.0';
+const CACHE_NAME = 'iit-learn-v1.26.1';
 
 const APP_SHELL = [
   './',
@@ -15,11 +15,43 @@ const APP_SHELL = [
   './app.js',
   './storage.js',
   './xpEngine.js',
+  './xpLedger.js',
+  './achievements.js',
+  './quests.js',
+  './revisionScheduler.js',
+  './dateService.js',
+  './streakProtection.js',
+  './dailyGoal.js',
+  './gradeCalculator.js',
+  './undoHistory.js',
+  './src/storage/adapters.js',
+  './src/storage/saveQueue.js',
+  './src/storage/tabSync.js',
+  './src/storage/snapshots.js',
+  './src/storage/remoteSync.js',
+  './src/backup/merge.js',
+  './src/backup/schema.js',
+  './src/backup/crypto.js',
+  './src/backup/salvage.js',
+  './src/backup/reports.js',
+  './src/backup/syllabus.js',
+  './src/data/courseCatalog.js',
   './src/ui/index.js',
   './src/ui/modals.js',
   './src/ui/graph.js',
   './src/ui/lectureCard.js',
   './src/ui/weekCard.js',
+  './src/ui/courseBar.js',
+  './src/ui/profileModal.js',
+  './src/ui/catalogModal.js',
+  './src/ui/settings.js',
+  './src/ui/badges.js',
+  './src/ui/quests.js',
+  './src/ui/revisionQueue.js',
+  './src/ui/streakPanel.js',
+  './src/ui/gradesPanel.js',
+  './src/ui/restorePanel.js',
+  './src/ui/recoveryScreen.js',
   './manifest.json',
   './icon-192.svg',
   './icon-512.svg'
@@ -54,13 +86,30 @@ self.addEventListener('activate', event => {
   );
 });
 
-/* ── Fetch: serve from cache, fall back to network ── */
+/* ── Fetch: serve the app from cache, fall back to network ──
+   Only app files take the cache-first path: the shell above and the
+   scripts, styles, images and fonts pages load. Data requests (the
+   sync server's <profile>.json, which may sit on this origin behind a
+   proxy) always go to the network, so pulls and ETag checks never see
+   a stale copy. */
+const SHELL_URLS = new Set(APP_SHELL.map(path => new URL(path, self.location.href).href));
+const ASSET_DESTINATIONS = ['document', 'script', 'style', 'image', 'font', 'manifest'];
+
+function isAppFile(request) {
+  if (request.headers.has('Authorization') || request.cache === 'no-store') return false;
+  const url = new URL(request.url);
+  url.search = '';
+  url.hash = '';
+  return SHELL_URLS.has(url.href) || ASSET_DESTINATIONS.includes(request.destination);
+}
+
 self.addEventListener('fetch', event => {
   if (event.request.method !== 'GET') return;
 
   // Skip cross-origin requests (Google Fonts etc — let them go to network)
   const url = new URL(event.request.url);
   if (url.origin !== self.location.origin) return;
+  if (!isAppFile(event.request)) return;
 
   event.respondWith(
     caches.match(event.request).then(cached => {
@@ -0,0 +1,67 @@
+/**
+ * undoHistory.js — Bounded Undo / Redo Stacks
+ *
+ * Pure data structure. No DOM, no storage.
+ * Holds opaque snapshots (app.js uses JSON strings of the program).
+ *
+ *   const h = createUndoHistory({ depth: 50 });
+ *   h.record(before, 'Week deleted.');   // before every committed change
+ *   const prev = h.undo(current);        // → { snapshot, label } | null
+ *   const next = h.redo(current);        // → { snapshot, label } | null
+ *
+ * Recording a new change clears the redo stack. When more than `depth`
+ * steps are recorded, the oldest ones are dropped.
+ */
+
+export const DEFAULT_UNDO_DEPTH = 50;
+export const MAX_UNDO_DEPTH     = 200;
+
+export function createUndoHistory({ depth = DEFAULT_UNDO_DEPTH } = {}) {
+  let limit = clampDepth(depth);
+  const undoStack = [];   // [{ snapshot, label }], newest last
+  const redoStack = [];
+
+  function record(snapshot, label = '') {
+    undoStack.push({ snapshot, label });
+    if (undoStack.length > limit) undoStack.splice(0, undoStack.length - limit);
+    redoStack.length = 0;
+  }
+
+  /** Step back. `current` is pushed to the redo stack under the same label. */
+  function undo(current) {
+    const step = undoStack.pop();
+    if (!step) return null;
+    redoStack.push({ snapshot: current, label: step.label });
+    return step;
+  }
+
+  /** Step forward again. `current` goes back onto the undo stack. */
+  function redo(current) {
+    const step = redoStack.pop();
+    if (!step) return null;
+    undoStack.push({ snapshot: current, label: step.label });
+    return step;
+  }
+
+  function setDepth(d) {
+    limit = clampDepth(d);
+    if (undoStack.length > limit) undoStack.splice(0, undoStack.length - limit);
+  }
+
+  function clear() {
+    undoStack.length = 0;
+    redoStack.length = 0;
+  }
+
+  return {
+    record, undo, redo, setDepth, clear,
+    get canUndo() { return undoStack.length > 0; },
+    get canRedo() { return redoStack.length > 0; },
+    get size() { return undoStack.length; }
+  };
+}
+
+function clampDepth(d) {
+  const n = Math.round(Number(d));
+  return Number.isFinite(n) ? Math.max(1, Math.min(MAX_UNDO_DEPTH, n)) : DEFAULT_UNDO_DEPTH;
+}
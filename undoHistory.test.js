@@ -0,0 +1,65 @@
+/**
+ * undoHistory.test.js — Unit tests for the bounded undo/redo stacks
+ *
+ * Run with: node --test undoHistory.test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createUndoHistory, MAX_UNDO_DEPTH } from './undoHistory.js';
+
+test('undo returns the recorded snapshot and its label', () => {
+    const h = createUndoHistory();
+    h.record('s0', 'Week deleted.');
+    const step = h.undo('s1');
+    assert.deepEqual(step, { snapshot: 's0', label: 'Week deleted.' });
+    assert.equal(h.canUndo, false);
+    assert.equal(h.canRedo, true);
+});
+
+test('redo restores the state that was current at undo time', () => {
+    const h = createUndoHistory();
+    h.record('s0');
+    h.undo('s1');
+    assert.equal(h.redo('s0').snapshot, 's1');
+    assert.equal(h.canRedo, false);
+    assert.equal(h.undo('s1').snapshot, 's0');
+});
+
+test('recording a new change clears the redo stack', () => {
+    const h = createUndoHistory();
+    h.record('s0');
+    h.undo('s1');
+    h.record('s0b');
+    assert.equal(h.canRedo, false);
+    assert.equal(h.redo('x'), null);
+});
+
+test('depth limit drops the oldest steps', () => {
+    const h = createUndoHistory({ depth: 3 });
+    for (const s of ['a', 'b', 'c', 'd', 'e']) h.record(s);
+    assert.equal(h.size, 3);
+    assert.equal(h.undo('f').snapshot, 'e');
+    assert.equal(h.undo('e').snapshot, 'd');
+    assert.equal(h.undo('d').snapshot, 'c');
+    assert.equal(h.undo('c'), null);
+});
+
+test('setDepth shrinks existing history and clamps bad values', () => {
+    const h = createUndoHistory({ depth: 10 });
+    for (const s of ['a', 'b', 'c', 'd']) h.record(s);
+    h.setDepth(2);
+    assert.equal(h.size, 2);
+    h.setDepth(10_000);
+    for (let i = 0; i < MAX_UNDO_DEPTH + 5; i++) h.record(String(i));
+    assert.equal(h.size, MAX_UNDO_DEPTH);
+    h.setDepth(0);
+    assert.equal(h.size, 1);
+});
+
+test('undo / redo on empty stacks return null', () => {
+    const h = createUndoHistory();
+    assert.equal(h.undo('x'), null);
+    assert.equal(h.redo('x'), null);
+});
@@ -17,8 +17,26 @@
  *     Weekly Memory    +10 (once)
  *     Weekly Final     +10 (once)
  *     Week Complete    +15 (only when all lecture core actions done)
+ *
+ * Those are the "Default" rule set. Each program carries its own copy in
+ * program.xpRules (schema v8) — see XP_PRESETS / normalizeXPRules() — and
+ * every XP function takes the rule set to use, defaulting to the table above.
+ *
+ * Quests (quests.js) award bonus XP once per finished quest. It is kept in
+ * program.quests.done and added to the program total only — not to any
+ * week, course or term — see questXPBreakdown().
+ *
+ * Levels follow the program's level curve (linear, quadratic or a custom
+ * table, see LEVEL_CURVES); RANKS name ranges of levels.
+ *
+ * Hierarchy (schema v5): program.terms[] → term.courses[] → course.weeks[].
+ * XP and progress roll up week → course → term → program.
  */
 
+import { studyDay, dayStartOf, monthOf, daysBetween } from './dateService.js';
+import { missedDays } from './streakProtection.js';
+import { goalHitRate } from './dailyGoal.js';
+
 export const XP = {
   LECTURE_WATCH:     5,
   LECTURE_MEMORY:    7,
@@ -34,85 +52,367 @@ export const XP = {
   MAX_FREEZES:       3    // maximum streak freezes you can hold
 };
 
+/* ─────────────────────────────────────────
+   XP RULE SETS
+───────────────────────────────────────── */
+
+export const XP_RULES_VERSION = 1;
+export const MAX_RULE_XP = 1000;   // upper bound for any single rule value
+
+/** Rule values a rule set holds, in settings-screen order, with their labels */
+export const XP_RULE_FIELDS = [
+  { key: 'LECTURE_WATCH',    label: 'Watched',              unit: 'per lecture' },
+  { key: 'LECTURE_MEMORY',   label: 'Memory Note',          unit: 'per lecture' },
+  { key: 'LECTURE_FINAL',    label: 'Final Note',           unit: 'per lecture' },
+  { key: 'LECTURE_ACTIVITY', label: 'Activity question',    unit: 'each' },
+  { key: 'LECTURE_REVISION', label: 'Revision',             unit: 'each' },
+  { key: 'REVISION_CAP',     label: 'Revisions that count', unit: 'per lecture, 0 = no cap' },
+  { key: 'PRACTICE_Q',       label: 'Practice question',    unit: 'each' },
+  { key: 'GRADED_Q',         label: 'Graded question',      unit: 'each' },
+  { key: 'WEEKLY_MEMORY',    label: 'Weekly Memory Note',   unit: 'per week' },
+  { key: 'WEEKLY_FINAL',     label: 'Weekly Final Note',    unit: 'per week' },
+  { key: 'WEEK_COMPLETE',    label: 'Week Complete',        unit: 'per week' }
+];
+
+const DEFAULT_RULE_VALUES = {
+  LECTURE_WATCH:    XP.LECTURE_WATCH,
+  LECTURE_MEMORY:   XP.LECTURE_MEMORY,
+  LECTURE_FINAL:    XP.LECTURE_FINAL,
+  LECTURE_ACTIVITY: XP.LECTURE_ACTIVITY,
+  LECTURE_REVISION: XP.LECTURE_REVISION,
+  REVISION_CAP:     0,
+  PRACTICE_Q:       XP.PRACTICE_Q,
+  GRADED_Q:         XP.GRADED_Q,
+  WEEKLY_MEMORY:    XP.WEEKLY_MEMORY,
+  WEEKLY_FINAL:     XP.WEEKLY_FINAL,
+  WEEK_COMPLETE:    XP.WEEK_COMPLETE
+};
+
+/**
+ * Built-in rule sets. Any edit in settings turns a program's rules into
+ * 'custom' (unless the values happen to match a preset again).
+ */
+export const XP_PRESETS = {
+  default: {
+    name: 'Default',
+    values: DEFAULT_RULE_VALUES
+  },
+  assignmentHeavy: {
+    name: 'Assignment-heavy',
+    values: { ...DEFAULT_RULE_VALUES, LECTURE_REVISION: 4, PRACTICE_Q: 4, GRADED_Q: 8 }
+  },
+  revisionCapped: {
+    name: 'Revision-capped',
+    values: { ...DEFAULT_RULE_VALUES, LECTURE_REVISION: 5, REVISION_CAP: 3 }
+  }
+};
+
+/** A fresh rule set from a preset: { version, preset, values } */
+export function makeXPRules(preset = 'default') {
+  const values = (XP_PRESETS[preset] || XP_PRESETS.default).values;
+  return { version: XP_RULES_VERSION, preset: XP_PRESETS[preset] ? preset : 'default', values: { ...values } };
+}
+
+export const DEFAULT_XP_RULES = Object.freeze(makeXPRules('default'));
+
 /**
- * Recompute XP for all weeks. Mutates lec.xpEarned and week.xpEarned
+ * A complete, valid rule set from whatever was stored. Missing or bad
+ * values take the default; counts are whole numbers in 0…MAX_RULE_XP.
+ * `preset` names the preset the values match, else 'custom'.
+ */
+export function normalizeXPRules(rules) {
+  const given = rules && typeof rules === 'object' && rules.values && typeof rules.values === 'object'
+    ? rules.values : {};
+  const values = {};
+  for (const { key } of XP_RULE_FIELDS) {
+    const v = Number(given[key]);
+    values[key] = Number.isFinite(v) && given[key] !== null && given[key] !== ''
+      ? Math.round(clamp(v, 0, MAX_RULE_XP))
+      : DEFAULT_RULE_VALUES[key];
+  }
+  return { version: XP_RULES_VERSION, preset: matchingPreset(values), values };
+}
+
+/** Name of the preset with exactly these values, or 'custom' */
+function matchingPreset(values) {
+  for (const [id, preset] of Object.entries(XP_PRESETS)) {
+    if (XP_RULE_FIELDS.every(({ key }) => preset.values[key] === values[key])) return id;
+  }
+  return 'custom';
+}
+
+/** Rule values to calculate with; tolerates a missing or partial rule set */
+function ruleValues(rules) {
+  return rules && rules.values ? { ...DEFAULT_RULE_VALUES, ...rules.values } : DEFAULT_RULE_VALUES;
+}
+
+/* ─────────────────────────────────────────
+   XP CALCULATION
+───────────────────────────────────────── */
+
+/**
+ * Recompute XP for all weeks under `rules` (the program's own by default).
+ * Mutates lec.xpEarned, week.xpEarned, course.xpEarned and term.xpEarned
  * in-place for display, returns grand total for program.totalXP.
  */
-export function recalculateTotalXP(program) {
+export function recalculateTotalXP(program, rules = program.xpRules) {
+  const values = ruleValues(rules);
   let grand = 0;
 
-  for (const week of program.weeks) {
-    let weekTotal = 0;
-    let coreComplete = week.lectures.length > 0;
-
-    for (const lec of week.lectures) {
-      const xp = calcLectureXP(lec);
-      lec.xpEarned = xp;
-      weekTotal += xp;
-      if (!lec.watched || !lec.memoryNote || !lec.finalNote) coreComplete = false;
+  for (const term of program.terms) {
+    let termTotal = 0;
+    for (const course of term.courses) {
+      let courseTotal = 0;
+      for (const week of course.weeks) courseTotal += recalculateWeekXP(week, values);
+      course.xpEarned = courseTotal;
+      termTotal += courseTotal;
     }
+    term.xpEarned = termTotal;
+    grand += termTotal;
+  }
 
-    const pd = clamp(week.practiceAssignment.doneQuestions, 0, week.practiceAssignment.totalQuestions);
-    const gd = clamp(week.gradedAssignment.doneQuestions,   0, week.gradedAssignment.totalQuestions);
-    weekTotal += pd * XP.PRACTICE_Q + gd * XP.GRADED_Q;
+  return grand + questXP(program);
+}
 
-    if (week.weeklyMemoryNote) weekTotal += XP.WEEKLY_MEMORY;
-    if (week.weeklyFinalNote)  weekTotal += XP.WEEKLY_FINAL;
-    if (week.weekCompleted && coreComplete) weekTotal += XP.WEEK_COMPLETE;
+/** Recompute XP for one week. Mutates lec.xpEarned and week.xpEarned. */
+function recalculateWeekXP(week, values) {
+  let weekTotal = 0;
+  let coreComplete = week.lectures.length > 0;
 
-    week.xpEarned = weekTotal;
-    grand += weekTotal;
+  for (const lec of week.lectures) {
+    const xp = lectureXPWith(lec, values);
+    lec.xpEarned = xp;
+    weekTotal += xp;
+    if (!lec.watched || !lec.memoryNote || !lec.finalNote) coreComplete = false;
   }
 
-  return grand;
+  const pd = clamp(week.practiceAssignment.doneQuestions, 0, week.practiceAssignment.totalQuestions);
+  const gd = clamp(week.gradedAssignment.doneQuestions,   0, week.gradedAssignment.totalQuestions);
+  weekTotal += pd * values.PRACTICE_Q + gd * values.GRADED_Q;
+
+  if (week.weeklyMemoryNote) weekTotal += values.WEEKLY_MEMORY;
+  if (week.weeklyFinalNote)  weekTotal += values.WEEKLY_FINAL;
+  if (week.weekCompleted && coreComplete) weekTotal += values.WEEK_COMPLETE;
+
+  week.xpEarned = weekTotal;
+  return weekTotal;
 }
 
-/** XP for a single lecture */
-export function calcLectureXP(lec) {
+/** Flat list of every week across all terms and courses */
+export function allWeeks(program) {
+  const weeks = [];
+  for (const term of program.terms)
+    for (const course of term.courses)
+      weeks.push(...course.weeks);
+  return weeks;
+}
+
+/** XP for a single lecture under `rules` */
+export function calcLectureXP(lec, rules = DEFAULT_XP_RULES) {
+  return lectureXPWith(lec, ruleValues(rules));
+}
+
+function lectureXPWith(lec, values) {
   let xp = 0;
-  if (lec.watched)    xp += XP.LECTURE_WATCH;
-  if (lec.memoryNote) xp += XP.LECTURE_MEMORY;
-  xp += clamp(lec.activityDone, 0, lec.activityTotal) * XP.LECTURE_ACTIVITY;
-  if (lec.finalNote)  xp += XP.LECTURE_FINAL;
-  xp += (lec.revisionCount || 0) * XP.LECTURE_REVISION;
+  if (lec.watched)    xp += values.LECTURE_WATCH;
+  if (lec.memoryNote) xp += values.LECTURE_MEMORY;
+  xp += clamp(lec.activityDone, 0, lec.activityTotal) * values.LECTURE_ACTIVITY;
+  if (lec.finalNote)  xp += values.LECTURE_FINAL;
+  const revisions = lec.revisionCount || 0;
+  xp += (values.REVISION_CAP > 0 ? Math.min(revisions, values.REVISION_CAP) : revisions) * values.LECTURE_REVISION;
   return xp;
 }
 
+/** Core actions ticked across the program: Watched, Memory Note and Final Note on each lecture */
+export function coreActionCount(program) {
+  let n = 0;
+  for (const week of allWeeks(program)) {
+    for (const l of week.lectures) n += (l.watched ? 1 : 0) + (l.memoryNote ? 1 : 0) + (l.finalNote ? 1 : 0);
+  }
+  return n;
+}
+
 /** True only if every lecture in the week has all 3 core actions done */
 export function isWeekCoreComplete(week) {
   if (!week.lectures || week.lectures.length === 0) return false;
   return week.lectures.every(l => l.watched && l.memoryNote && l.finalNote);
 }
 
-/** XP breakdown for display */
-export function weekXPBreakdown(week) {
-  const lectureXP    = week.lectures.reduce((s, l) => s + (l.xpEarned || 0), 0);
-  const practiceXP   = clamp(week.practiceAssignment.doneQuestions, 0, week.practiceAssignment.totalQuestions) * XP.PRACTICE_Q;
-  const gradedXP     = clamp(week.gradedAssignment.doneQuestions,   0, week.gradedAssignment.totalQuestions)   * XP.GRADED_Q;
-  const memoryXP     = week.weeklyMemoryNote ? XP.WEEKLY_MEMORY : 0;
-  const finalXP      = week.weeklyFinalNote  ? XP.WEEKLY_FINAL  : 0;
-  const completionXP = (week.weekCompleted && isWeekCoreComplete(week)) ? XP.WEEK_COMPLETE : 0;
+/**
+ * XP breakdown for display under `rules`. Lecture XP is computed from the
+ * lectures themselves, so it doesn't depend on a prior recalculateTotalXP.
+ */
+export function weekXPBreakdown(week, rules = DEFAULT_XP_RULES) {
+  const values = ruleValues(rules);
+  const lectureXP    = week.lectures.reduce((s, l) => s + lectureXPWith(l, values), 0);
+  const practiceXP   = clamp(week.practiceAssignment.doneQuestions, 0, week.practiceAssignment.totalQuestions) * values.PRACTICE_Q;
+  const gradedXP     = clamp(week.gradedAssignment.doneQuestions,   0, week.gradedAssignment.totalQuestions)   * values.GRADED_Q;
+  const memoryXP     = week.weeklyMemoryNote ? values.WEEKLY_MEMORY : 0;
+  const finalXP      = week.weeklyFinalNote  ? values.WEEKLY_FINAL  : 0;
+  const completionXP = (week.weekCompleted && isWeekCoreComplete(week)) ? values.WEEK_COMPLETE : 0;
   return { lectureXP, practiceXP, gradedXP, memoryXP, finalXP, completionXP,
            total: lectureXP + practiceXP + gradedXP + memoryXP + finalXP + completionXP };
 }
 
-/** Level from total XP (1-indexed) */
-export function getLevel(totalXP) {
-  return Math.floor(totalXP / XP.XP_PER_LEVEL) + 1;
+/**
+ * Bonus XP from finished quests, split by kind:
+ * { dailyXP, weeklyXP, total, completed }. Recorded at completion, so
+ * later rule changes don't alter it.
+ */
+export function questXPBreakdown(program) {
+  let dailyXP = 0, weeklyXP = 0, completed = 0;
+  for (const q of Object.values(program.quests?.done || {})) {
+    if (q.kind === 'weekly') weeklyXP += q.xp || 0;
+    else dailyXP += q.xp || 0;
+    completed++;
+  }
+  return { dailyXP, weeklyXP, total: dailyXP + weeklyXP, completed };
+}
+
+/** Total quest bonus XP */
+export function questXP(program) {
+  return questXPBreakdown(program).total;
+}
+
+/* ─────────────────────────────────────────
+   LEVELS & RANKS
+───────────────────────────────────────── */
+
+/**
+ * Level curves: how much total XP each level needs. A curve is
+ * { kind, table } — `table` only matters for 'table' and lists the total
+ * XP needed for level 2, 3, …; past its end the last step repeats.
+ * A program picks its curve in settings (levelCurveOf()).
+ */
+export const LEVEL_CURVES = {
+  linear:    { name: 'Linear',       hint: `${XP.XP_PER_LEVEL} XP for every level` },
+  quadratic: { name: 'Quadratic',    hint: `each level takes ${XP.XP_PER_LEVEL} XP more than the one before` },
+  table:     { name: 'Custom table', hint: 'your own total XP for each level' }
+};
+
+export const LINEAR_CURVE = Object.freeze({ kind: 'linear', table: [] });
+export const MAX_LEVEL_TABLE = 200;
+
+/** Named ranks, each from a level on */
+export const RANKS = [
+  { level: 1,  name: 'Qualifier' },
+  { level: 3,  name: 'Foundation Learner' },
+  { level: 6,  name: 'Foundation Scholar' },
+  { level: 10, name: 'Diploma Aspirant' },
+  { level: 15, name: 'Diploma Adept' },
+  { level: 21, name: 'Degree Candidate' },
+  { level: 28, name: 'BS Scholar' },
+  { level: 36, name: 'IITM Luminary' }
+];
+
+/** The level curve a program's settings ask for */
+export function levelCurveOf(program) {
+  const s = program.settings || {};
+  return { kind: s.levelCurve || 'linear', table: s.levelTable || [] };
+}
+
+/**
+ * Parse a custom level table typed by the user ("100, 300, 600 …").
+ * Returns { ok: true, table } or { ok: false, error }.
+ */
+export function parseLevelTable(text) {
+  const parts = String(text).split(/[\s,;]+/).filter(Boolean);
+  if (parts.length === 0) return { ok: false, error: 'Enter the total XP for level 2, 3, … separated by commas.' };
+  if (parts.length > MAX_LEVEL_TABLE) return { ok: false, error: `At most ${MAX_LEVEL_TABLE} levels.` };
+  const table = parts.map(Number);
+  for (let i = 0; i < table.length; i++) {
+    if (!Number.isInteger(table[i]) || table[i] <= 0) return { ok: false, error: `"${parts[i]}" is not a whole number of XP.` };
+    if (i > 0 && table[i] <= table[i - 1]) return { ok: false, error: `Each level needs more XP than the one before (${table[i - 1]} → ${table[i]}).` };
+  }
+  return { ok: true, table };
+}
+
+/** A usable curve; unknown kinds and broken tables fall back to linear */
+function resolveCurve(curve) {
+  if (!curve || !LEVEL_CURVES[curve.kind]) return LINEAR_CURVE;
+  if (curve.kind === 'table' && !(Array.isArray(curve.table) && curve.table.length > 0 &&
+      parseLevelTable(curve.table.join(',')).ok)) return LINEAR_CURVE;
+  return curve;
+}
+
+/** Total XP needed to reach `level` (level 1 needs 0) */
+export function levelThreshold(level, curve = LINEAR_CURVE) {
+  const { kind, table } = resolveCurve(curve);
+  const n = Math.max(0, level - 1);
+  if (kind === 'quadratic') return XP.XP_PER_LEVEL * n * (n + 1) / 2;
+  if (kind === 'table') {
+    if (n <= table.length) return n === 0 ? 0 : table[n - 1];
+    return table[table.length - 1] + (n - table.length) * tableStep(table);
+  }
+  return n * XP.XP_PER_LEVEL;
+}
+
+/** Step used past the end of a custom table: its last step */
+function tableStep(table) {
+  return table.length > 1 ? table[table.length - 1] - table[table.length - 2] : table[0];
+}
+
+/** Level from total XP (1-indexed) on `curve` */
+export function getLevel(totalXP, curve = LINEAR_CURVE) {
+  const xp = Math.max(0, totalXP || 0);
+  const c = resolveCurve(curve);
+  if (c.kind === 'linear') return Math.floor(xp / XP.XP_PER_LEVEL) + 1;
+
+  let level;
+  if (c.kind === 'quadratic') {
+    level = Math.floor((Math.sqrt(8 * xp / XP.XP_PER_LEVEL + 1) - 1) / 2) + 1;
+  } else {
+    const last = c.table[c.table.length - 1];
+    level = xp < last
+      ? c.table.findIndex(t => xp < t) + 1
+      : c.table.length + 1 + Math.floor((xp - last) / tableStep(c.table));
+  }
+  // Guard against floating-point edges right at a threshold
+  while (levelThreshold(level + 1, c) <= xp) level++;
+  while (level > 1 && levelThreshold(level, c) > xp) level--;
+  return level;
 }
 
 /** Progress within current level as 0–1 */
-export function getLevelProgress(totalXP) {
-  return (totalXP % XP.XP_PER_LEVEL) / XP.XP_PER_LEVEL;
+export function getLevelProgress(totalXP, curve = LINEAR_CURVE) {
+  const xp = Math.max(0, totalXP || 0);
+  const level = getLevel(xp, curve);
+  const lo = levelThreshold(level, curve), hi = levelThreshold(level + 1, curve);
+  return (xp - lo) / (hi - lo);
 }
 
 /** XP needed to reach next level */
-export function xpToNextLevel(totalXP) {
-  return XP.XP_PER_LEVEL - (totalXP % XP.XP_PER_LEVEL);
+export function xpToNextLevel(totalXP, curve = LINEAR_CURVE) {
+  const xp = Math.max(0, totalXP || 0);
+  return levelThreshold(getLevel(xp, curve) + 1, curve) - xp;
+}
+
+/** Rank for a level: { name, level, next } — `next` is the following rank or null */
+export function getRank(level) {
+  let i = 0;
+  while (i + 1 < RANKS.length && RANKS[i + 1].level <= level) i++;
+  return { ...RANKS[i], next: RANKS[i + 1] || null };
 }
 
 /** Week completion progress as 0–1 */
 export function weekProgress(week) {
+  const { done, total } = weekProgressCounts(week);
+  return total > 0 ? done / total : 0;
+}
+
+/** Completion progress across a list of weeks (a course or term) as 0–1 */
+export function weeksProgress(weeks) {
+  let done = 0, total = 0;
+  for (const week of weeks) {
+    const c = weekProgressCounts(week);
+    done  += c.done;
+    total += c.total;
+  }
+  return total > 0 ? done / total : 0;
+}
+
+/** Done / total progress units for one week */
+function weekProgressCounts(week) {
   let done = 0, total = 0;
   for (const lec of week.lectures) {
     total += 3;
@@ -131,68 +431,193 @@ export function weekProgress(week) {
   done  += clamp(week.gradedAssignment.doneQuestions,   0, gT);
   if (week.weeklyMemoryNote) done++;
   if (week.weeklyFinalNote)  done++;
-  return total > 0 ? done / total : 0;
+  return { done, total };
 }
 
+/* ─────────────────────────────────────────
+   STREAK
+───────────────────────────────────────── */
+
 /**
- * Update streak. Handles streak freeze automatically.
- * If a day was missed AND freezes are available, the freeze is consumed
- * and streak is preserved.
+ * What makes a study day count toward the streak (settings.streakRule):
+ *   action — a core action (Watched, Memory Note or Final Note) that
+ *            still stands: the day's ledger ticks more of them than it
+ *            unticks (the `core` count on entries, see tagCoreActions)
+ *   xp     — at least settings.streakMinXP net XP that day
+ * Rule changes ('rules' ledger entries) never count either way.
+ */
+export const STREAK_RULES = {
+  action: { name: 'At least one core action' },
+  xp:     { name: 'A minimum amount of XP' }
+};
+export const DEFAULT_STREAK_MIN_XP = 20;
+export const MAX_STREAK_MIN_XP = 500;
+
+const STUDY_SOURCES = ['lecture', 'assignment', 'milestone'];
+
+/**
+ * Whether `day` counts toward the streak, read from the day's XP record:
+ *   { counted, xp, needed }
+ * `xp` is the day's net XP; `needed` is the XP still missing under the
+ * 'xp' rule, or 1 (one core action) under 'action' — 0 once counted.
+ * Days without ledger entries (trimmed, from before the ledger) fall back
+ * to their xpHistory net.
+ */
+export function streakDay(program, day) {
+  const entries = program.xpLedger?.[day];
+  const net = sources => entries
+    ? entries.filter(e => sources.includes(e.source)).reduce((s, e) => s + e.delta, 0)
+    : (program.xpHistory?.[day] || 0);
+
+  if (program.settings?.streakRule === 'xp') {
+    const min = streakMinXPOf(program);
+    const xp = net([...STUDY_SOURCES, 'quest']);
+    return { counted: xp >= min, xp, needed: Math.max(0, min - xp) };
+  }
+  const xp = net(STUDY_SOURCES);
+  const counted = entries ? entries.reduce((s, e) => s + (e.core || 0), 0) > 0 : xp > 0;
+  return { counted, xp, needed: counted ? 0 : 1 };
+}
+
+/** The program's minimum daily XP for the 'xp' streak rule */
+export function streakMinXPOf(program) {
+  const v = program.settings?.streakMinXP;
+  return Number.isInteger(v) && v >= 1 && v <= MAX_STREAK_MIN_XP ? v : DEFAULT_STREAK_MIN_XP;
+}
+
+/**
+ * Update streak from the XP record — opening the app alone doesn't count.
+ * Called on load and after every change (undo included); nothing moves
+ * until today qualifies (see streakDay).
+ *
+ * When today is counted, the gap since lastActiveDate (the last counted
+ * day) is bridged by freezes and vacations (see streakProtection.js):
+ *   - days inside a planned vacation aren't missed — the streak pauses
+ *   - missed days are covered by freezes, one each, if enough are held;
+ *     otherwise the streak breaks and no freeze is spent
+ * Before that, a gap too long to bridge already shows the streak as 0.
+ *
+ * Counting today leaves program.streakCredit — the streak as it was
+ * before, and the freezes spent on the gap. If today's net activity
+ * drops below the rule again (a check undone or unchecked), the credit
+ * is taken back: streak and last day as before, the freezes returned.
  *
  * @param {Object} program
- * @param {string} today - YYYY-MM-DD
- * @returns {{ streak, bestStreak, lastActiveDate, streakFreezes, freezeUsed }}
+ * @param {string} today - study day, YYYY-MM-DD (see dateService.js)
+ * @returns {{ streak, bestStreak, lastActiveDate, streakFreezes, streakCredit,
+ *             freezeUsed, frozenDays, refundedDays, pausedDays }}
+ *   frozenDays   — the missed days freezes were spent on
+ *   refundedDays — missed days whose freezes came back with a revoked credit
+ *   pausedDays   — vacation days skipped over
  */
 export function updateStreak(program, today) {
-  const last     = program.lastActiveDate;
-  const freezes  = program.streakFreezes || 0;
-  const best     = program.bestStreak    || 0;
+  const credit = program.streakCredit;
+  const revoked = Boolean(credit) && credit.day === today && program.lastActiveDate === today &&
+    !streakDay(program, today).counted;
+  const refundedDays = revoked && Array.isArray(credit.spent) ? credit.spent : [];
+  const p = revoked
+    ? { ...program, streak: credit.streak, bestStreak: credit.bestStreak, lastActiveDate: credit.lastActiveDate,
+        streakFreezes: Math.min(XP.MAX_FREEZES, (program.streakFreezes || 0) + refundedDays.length) }
+    : program;
 
-  if (!last) {
-    // First ever open
-    return { streak: 1, bestStreak: Math.max(1, best),
-             lastActiveDate: today, streakFreezes: freezes, freezeUsed: false };
-  }
+  const last     = p.lastActiveDate;
+  const freezes  = p.streakFreezes || 0;
+  const best     = p.bestStreak    || 0;
+  const kept     = { streakFreezes: freezes, freezeUsed: false, frozenDays: [], refundedDays, pausedDays: 0 };
+  const diffDays = last ? daysBetween(last, today) : null;
+  const creditFor = spent => ({ day: today, streak: p.streak || 0, bestStreak: best, lastActiveDate: last || null, spent });
 
-  if (last === today) {
-    // Already counted today
-    return { streak: program.streak, bestStreak: best,
-             lastActiveDate: today, streakFreezes: freezes, freezeUsed: false };
+  if (last && diffDays <= 0) {
+    // Already counted today — or the day boundary moved back (dayStartHour)
+    return { streak: p.streak, bestStreak: best, lastActiveDate: last, streakCredit: p.streakCredit || null, ...kept };
   }
 
-  const diffDays = Math.round((new Date(today) - new Date(last)) / 86400000);
+  if (!streakDay(p, today).counted) {
+    // Today not counted yet — the streak waits, unless the gap already broke it
+    const broken = last && missedDays(p, last, today, freezes).length > freezes;
+    return { streak: broken ? 0 : p.streak || 0, bestStreak: best, lastActiveDate: last || null,
+             streakCredit: null, ...kept };
+  }
 
-  if (diffDays === 1) {
-    // Perfect — consecutive day
-    const newStreak = program.streak + 1;
-    return { streak: newStreak, bestStreak: Math.max(newStreak, best),
-             lastActiveDate: today, streakFreezes: freezes, freezeUsed: false };
+  if (!last) {
+    // First counted day ever
+    return { streak: 1, bestStreak: Math.max(1, best), lastActiveDate: today, streakCredit: creditFor([]), ...kept };
   }
 
-  if (diffDays === 2 && freezes > 0) {
-    // Missed exactly 1 day AND has a freeze — auto-use it
-    const newStreak = program.streak + 1;
-    return { streak: newStreak, bestStreak: Math.max(newStreak, best),
-             lastActiveDate: today, streakFreezes: freezes - 1, freezeUsed: true };
+  const missed = missedDays(p, last, today, freezes);
+  const pausedDays = diffDays - 1 - missed.length;
+
+  if (missed.length <= freezes) {
+    // Consecutive, or every missed day covered by a freeze
+    const newStreak = p.streak + 1;
+    return { streak: newStreak, bestStreak: Math.max(newStreak, best), lastActiveDate: today,
+             streakCredit: creditFor(missed), ...kept,
+             streakFreezes: freezes - missed.length, freezeUsed: missed.length > 0,
+             frozenDays: missed, pausedDays };
   }
 
   // Streak broken
-  return { streak: 1, bestStreak: best,
-           lastActiveDate: today, streakFreezes: freezes, freezeUsed: false };
+  return { streak: 1, bestStreak: best, lastActiveDate: today, streakCredit: creditFor([]), ...kept };
 }
 
 /**
  * Compute lifetime stats across the whole program.
  * Called once per render for the stats panel.
+ * `terms` holds the per-term and per-course roll-up; "this month" is
+ * the month of `today`, the current study day.
  */
-export function computeLifetimeStats(program) {
+export function computeLifetimeStats(program, today = studyDay(new Date(), dayStartOf(program))) {
+  const totals = tallyWeeks(allWeeks(program));
+
+  const terms = program.terms.map(term => ({
+    termId:   term.termId,
+    termName: term.termName,
+    xp:       term.xpEarned || 0,
+    progress: weeksProgress(term.courses.flatMap(c => c.weeks)),
+    courses:  term.courses.map(course => ({
+      courseId:   course.courseId,
+      courseName: course.courseName,
+      xp:         course.xpEarned || 0,
+      progress:   weeksProgress(course.weeks),
+      ...tallyWeeks(course.weeks)
+    }))
+  }));
+
+  // XP this month
+  const monthPrefix = monthOf(today); // "YYYY-MM"
+  const xpThisMonth = Object.entries(program.xpHistory)
+    .filter(([d]) => d.startsWith(monthPrefix))
+    .reduce((s, [, v]) => s + v, 0);
+
+  // Active days total (days with any XP)
+  const activeDays = Object.values(program.xpHistory).filter(v => v > 0).length;
+
+  const quests = questXPBreakdown(program);
+
+  return {
+    ...totals,
+    xpThisMonth,
+    activeDays,
+    questXP:         quests.total,
+    questsCompleted: quests.completed,
+    bestStreak:    program.bestStreak || 0,
+    streakFreezes: program.streakFreezes || 0,
+    goalStreak:     program.goalStreak || 0,
+    bestGoalStreak: program.bestGoalStreak || 0,
+    goalHitRate:    goalHitRate(program, today),   // { met, days, rate } over the last 30 days
+    terms
+  };
+}
+
+/** Count weeks, lectures and questions across a list of weeks */
+function tallyWeeks(weeks) {
   let totalLectures = 0, completedLectures = 0;
   let totalRevisions = 0;
   let totalActivityDone = 0, totalActivityTotal = 0;
   let totalPracticeDone = 0, totalGradedDone = 0;
   let weeksCompleted = 0;
 
-  for (const week of program.weeks) {
+  for (const week of weeks) {
     if (week.weekCompleted) weeksCompleted++;
     totalPracticeDone += clamp(week.practiceAssignment.doneQuestions, 0, week.practiceAssignment.totalQuestions);
     totalGradedDone   += clamp(week.gradedAssignment.doneQuestions,   0, week.gradedAssignment.totalQuestions);
@@ -206,17 +631,8 @@ export function computeLifetimeStats(program) {
     }
   }
 
-  // XP this month
-  const monthPrefix = new Date().toISOString().slice(0, 7); // "YYYY-MM"
-  const xpThisMonth = Object.entries(program.xpHistory)
-    .filter(([d]) => d.startsWith(monthPrefix))
-    .reduce((s, [, v]) => s + v, 0);
-
-  // Active days total (days with any XP)
-  const activeDays = Object.values(program.xpHistory).filter(v => v > 0).length;
-
   return {
-    totalWeeks:       program.weeks.length,
+    totalWeeks: weeks.length,
     weeksCompleted,
     totalLectures,
     completedLectures,
@@ -224,11 +640,7 @@ export function computeLifetimeStats(program) {
     totalActivityDone,
     totalActivityTotal,
     totalPracticeDone,
-    totalGradedDone,
-    xpThisMonth,
-    activeDays,
-    bestStreak:    program.bestStreak || 0,
-    streakFreezes: program.streakFreezes || 0
+    totalGradedDone
   };
 }
 
@@ -6,9 +6,13 @@
  *
  * Tests cover:
  *   1. calcLectureXP    — XP per lecture item
- *   2. updateStreak     — all 4 date scenarios
+ *   2. updateStreak     — core-action days, date scenarios, multi-day freezes, vacations, take-backs
  *   3. recalculateTotalXP — program-level XP sum
  *   4. getLevel / getLevelProgress / xpToNextLevel
+ *   5. Term → course roll-up (recalculateTotalXP, computeLifetimeStats)
+ *   6. XP rule sets (presets, custom values, revision cap, normalizeXPRules)
+ *   7. Level curves (linear / quadratic / table) and ranks
+ *   8. Quest bonus XP (questXPBreakdown)
  */
 
 import { test } from 'node:test';
@@ -18,11 +22,24 @@ import {
     calcLectureXP,
     recalculateTotalXP,
     updateStreak,
+    streakDay,
     isWeekCoreComplete,
     getLevel,
     getLevelProgress,
     xpToNextLevel,
     weekProgress,
+    weeksProgress,
+    allWeeks,
+    computeLifetimeStats,
+    weekXPBreakdown,
+    makeXPRules,
+    normalizeXPRules,
+    XP_PRESETS,
+    levelThreshold,
+    levelCurveOf,
+    parseLevelTable,
+    getRank,
+    questXPBreakdown,
     XP,
 } from './xpEngine.js';
 
@@ -58,8 +75,20 @@ function makeWeek(overrides = {}) {
     };
 }
 
+function makeCourse(weeks = [], overrides = {}) {
+    return { courseId: 'c1', courseName: 'Course', weeks, xpEarned: 0, ...overrides };
+}
+
+function makeTerm(courses = [], overrides = {}) {
+    return { termId: 't1', termName: 'Jan 2026', courses, xpEarned: 0, ...overrides };
+}
+
+/** Wraps a flat week list in one term + one course, like the v5 migration does */
 function makeProgram(weeks = []) {
-    return { weeks, totalXP: 0, streak: 0, bestStreak: 0, streakFreezes: 0, lastActiveDate: null };
+    return {
+        terms: [makeTerm([makeCourse(weeks)])],
+        totalXP: 0, streak: 0, bestStreak: 0, streakFreezes: 0, lastActiveDate: null, xpHistory: {}
+    };
 }
 
 /* ─── calcLectureXP ─── */
@@ -130,29 +159,94 @@ test('recalculateTotalXP: week complete NOT awarded if core incomplete', () => {
 
 /* ─── updateStreak ─── */
 
-test('updateStreak: first ever open starts streak at 1', () => {
-    const p = makeProgram();
+/**
+ * Books `delta` XP from `source` on `day` in the program's XP record —
+ * a lecture entry ticks (or unticks) `core` core actions, one by default
+ */
+function studiedOn(p, day, delta = 5, source = 'lecture', core = source === 'lecture' ? Math.sign(delta) : 0) {
+    const entry = { at: `${day}T10:00:00.000Z`, source, delta, ...(core ? { core } : {}) };
+    p.xpLedger = { ...p.xpLedger, [day]: [...(p.xpLedger?.[day] || []), entry] };
+    p.xpHistory = { ...p.xpHistory, [day]: (p.xpHistory?.[day] || 0) + delta };
+    return p;
+}
+
+test('updateStreak: opening the app without studying counts nothing', () => {
+    const p = { ...makeProgram(), streak: 3, lastActiveDate: '2026-01-10' };
+    const r = updateStreak(p, '2026-01-11');
+    assert.equal(r.streak, 3);
+    assert.equal(r.lastActiveDate, '2026-01-10');
+    assert.equal(updateStreak(makeProgram(), '2026-01-11').lastActiveDate, null);
+});
+
+test('updateStreak: a gap too long to bridge shows 0 before today is counted', () => {
+    const p = { ...makeProgram(), streak: 9, lastActiveDate: '2026-01-05', streakFreezes: 1 };
     const r = updateStreak(p, '2026-01-10');
+    assert.equal(r.streak, 0);
+    assert.equal(r.streakFreezes, 1);
+    assert.equal(r.lastActiveDate, '2026-01-05');
+});
+
+test('streakDay: the action rule needs a core action that still stands; other XP doesn\'t count', () => {
+    const p = makeProgram();
+    assert.deepEqual(streakDay(studiedOn(p, '2026-01-10', 30, 'quest'), '2026-01-10'), { counted: false, xp: 0, needed: 1 });
+    studiedOn(p, '2026-01-10', 5);
+    studiedOn(p, '2026-01-10', -5);   // checked, then unchecked
+    assert.equal(streakDay(p, '2026-01-10').counted, false);
+    studiedOn(p, '2026-01-10', 2, 'assignment');
+    studiedOn(p, '2026-01-10', 1, 'lecture', 0);   // an activity question
+    assert.deepEqual(streakDay(p, '2026-01-10'), { counted: false, xp: 3, needed: 1 });
+});
+
+test('streakDay: a core action counts even when a larger uncheck nets the day below 0', () => {
+    const p = makeProgram();
+    studiedOn(p, '2026-01-10', 5);                    // Watched
+    studiedOn(p, '2026-01-10', -20, 'assignment');    // graded questions unticked
+    assert.deepEqual(streakDay(p, '2026-01-10'), { counted: true, xp: -15, needed: 0 });
+    assert.equal(updateStreak(p, '2026-01-10').streak, 1);
+});
+
+test('streakDay: the XP rule needs the minimum, quests included; rule changes never count', () => {
+    const p = { ...makeProgram(), settings: { streakRule: 'xp', streakMinXP: 25 } };
+    studiedOn(p, '2026-01-10', 10);
+    studiedOn(p, '2026-01-10', 50, 'rules');
+    assert.deepEqual(streakDay(p, '2026-01-10'), { counted: false, xp: 10, needed: 15 });
+    assert.equal(updateStreak(p, '2026-01-10').lastActiveDate, null);
+    studiedOn(p, '2026-01-10', 15, 'quest');
+    assert.equal(streakDay(p, '2026-01-10').counted, true);
+    assert.equal(updateStreak(p, '2026-01-10').streak, 1);
+});
+
+
+test('updateStreak: first studied day starts streak at 1', () => {
+    const p = makeProgram();
+    const r = updateStreak(studiedOn(p, '2026-01-10'), '2026-01-10');
     assert.equal(r.streak, 1);
     assert.equal(r.freezeUsed, false);
 });
 
 test('updateStreak: same day does not increment streak', () => {
     const p = { ...makeProgram(), streak: 5, lastActiveDate: '2026-01-10' };
-    const r = updateStreak(p, '2026-01-10');
+    const r = updateStreak(studiedOn(p, '2026-01-10'), '2026-01-10');
+    assert.equal(r.streak, 5);
+});
+
+test('updateStreak: a day boundary moved back keeps the streak and its last day', () => {
+    const p = { ...makeProgram(), streak: 5, lastActiveDate: '2026-01-10' };
+    const r = updateStreak(studiedOn(p, '2026-01-09'), '2026-01-09');   // e.g. 01:30 after the day start moved to 2 AM
     assert.equal(r.streak, 5);
+    assert.equal(r.lastActiveDate, '2026-01-10');
 });
 
 test('updateStreak: consecutive day increments streak', () => {
     const p = { ...makeProgram(), streak: 3, lastActiveDate: '2026-01-10' };
-    const r = updateStreak(p, '2026-01-11');
+    const r = updateStreak(studiedOn(p, '2026-01-11'), '2026-01-11');
     assert.equal(r.streak, 4);
     assert.equal(r.freezeUsed, false);
 });
 
 test('updateStreak: 2-day gap with freeze uses freeze and preserves streak', () => {
     const p = { ...makeProgram(), streak: 7, lastActiveDate: '2026-01-10', streakFreezes: 2 };
-    const r = updateStreak(p, '2026-01-12');
+    const r = updateStreak(studiedOn(p, '2026-01-12'), '2026-01-12');
     assert.equal(r.streak, 8);
     assert.equal(r.streakFreezes, 1);
     assert.equal(r.freezeUsed, true);
@@ -160,17 +254,92 @@ test('updateStreak: 2-day gap with freeze uses freeze and preserves streak', ()
 
 test('updateStreak: 2-day gap WITHOUT freeze resets streak', () => {
     const p = { ...makeProgram(), streak: 7, lastActiveDate: '2026-01-10', streakFreezes: 0 };
-    const r = updateStreak(p, '2026-01-12');
+    const r = updateStreak(studiedOn(p, '2026-01-12'), '2026-01-12');
+    assert.equal(r.streak, 1);
+    assert.equal(r.freezeUsed, false);
+});
+
+test('updateStreak: a multi-day gap spends one freeze per missed day', () => {
+    const p = { ...makeProgram(), streak: 7, lastActiveDate: '2026-01-10', streakFreezes: 3 };
+    const r = updateStreak(studiedOn(p, '2026-01-13'), '2026-01-13');
+    assert.equal(r.streak, 8);
+    assert.equal(r.streakFreezes, 1);
+    assert.deepEqual(r.frozenDays, ['2026-01-11', '2026-01-12']);
+});
+
+test('updateStreak: more missed days than freezes resets and keeps the freezes', () => {
+    const p = { ...makeProgram(), streak: 7, lastActiveDate: '2026-01-10', streakFreezes: 2 };
+    const r = updateStreak(studiedOn(p, '2026-01-14'), '2026-01-14');
     assert.equal(r.streak, 1);
+    assert.equal(r.streakFreezes, 2);
     assert.equal(r.freezeUsed, false);
 });
 
+test('updateStreak: vacation days pause the streak without spending freezes', () => {
+    const p = { ...makeProgram(), streak: 7, lastActiveDate: '2026-01-10', streakFreezes: 1,
+                vacations: [{ from: '2026-01-11', to: '2026-01-19' }] };
+    const r = updateStreak(studiedOn(p, '2026-01-21'), '2026-01-21');   // 20 Jan missed, covered by the freeze
+    assert.equal(r.streak, 8);
+    assert.equal(r.pausedDays, 9);
+    assert.deepEqual(r.frozenDays, ['2026-01-20']);
+    assert.equal(r.streakFreezes, 0);
+});
+
 test('updateStreak: 3+ day gap always resets streak', () => {
     const p = { ...makeProgram(), streak: 10, lastActiveDate: '2026-01-01', streakFreezes: 3 };
-    const r = updateStreak(p, '2026-01-10');
+    const r = updateStreak(studiedOn(p, '2026-01-10'), '2026-01-10');
     assert.equal(r.streak, 1);
 });
 
+/** Stores an updateStreak result on the program, as the app does after each commit */
+function applyStreak(p, day) {
+    const r = updateStreak(p, day);
+    Object.assign(p, {
+        streak: r.streak, bestStreak: r.bestStreak, lastActiveDate: r.lastActiveDate,
+        streakFreezes: r.streakFreezes, streakCredit: r.streakCredit,
+    });
+    return r;
+}
+
+test('updateStreak: check then uncheck takes today back off the streak', () => {
+    const p = { ...makeProgram(), streak: 4, bestStreak: 4, lastActiveDate: '2026-01-10' };
+    applyStreak(studiedOn(p, '2026-01-11', 5), '2026-01-11');
+    assert.deepEqual([p.streak, p.bestStreak, p.lastActiveDate], [5, 5, '2026-01-11']);
+
+    applyStreak(studiedOn(p, '2026-01-11', -5), '2026-01-11');   // unchecked: net 0
+    assert.deepEqual([p.streak, p.bestStreak, p.lastActiveDate], [4, 4, '2026-01-10']);
+    assert.equal(p.streakCredit, null);
+
+    applyStreak(studiedOn(p, '2026-01-11', 5), '2026-01-11');    // checked again
+    assert.equal(p.streak, 5);
+});
+
+test('updateStreak: undoing the check that bridged a gap returns its freezes', () => {
+    const p = { ...makeProgram(), streak: 7, bestStreak: 7, lastActiveDate: '2026-01-10', streakFreezes: 3 };
+    const spent = applyStreak(studiedOn(p, '2026-01-13', 5), '2026-01-13');
+    assert.deepEqual(spent.frozenDays, ['2026-01-11', '2026-01-12']);
+    assert.deepEqual([p.streak, p.streakFreezes], [8, 1]);
+
+    // Undo keeps the journal (streak, freezes) and books the reversal
+    const undone = applyStreak(studiedOn(p, '2026-01-13', -5), '2026-01-13');
+    assert.deepEqual(undone.refundedDays, ['2026-01-11', '2026-01-12']);
+    assert.deepEqual([p.streak, p.streakFreezes, p.lastActiveDate], [7, 3, '2026-01-10']);
+
+    // Redo spends them again; nothing is gained by going round
+    applyStreak(studiedOn(p, '2026-01-13', 5), '2026-01-13');
+    assert.deepEqual([p.streak, p.streakFreezes], [8, 1]);
+    applyStreak(studiedOn(p, '2026-01-13', -5), '2026-01-13');
+    assert.equal(p.streakFreezes, 3);
+});
+
+test('updateStreak: a later study action the same day keeps today counted', () => {
+    const p = { ...makeProgram(), streak: 2, lastActiveDate: '2026-01-10' };
+    applyStreak(studiedOn(p, '2026-01-11', 5), '2026-01-11');
+    applyStreak(studiedOn(p, '2026-01-11', 3), '2026-01-11');
+    applyStreak(studiedOn(p, '2026-01-11', -5), '2026-01-11');   // the first one undone, the second stands
+    assert.deepEqual([p.streak, p.lastActiveDate], [3, '2026-01-11']);
+});
+
 /* ─── Level helpers ─── */
 
 test('getLevel: 0 XP = level 1', () => {
@@ -212,3 +381,176 @@ test('isWeekCoreComplete: false when one lecture missing finalNote', () => {
     const lec = makeLec({ watched: true, memoryNote: true, finalNote: false });
     assert.equal(isWeekCoreComplete(makeWeek({ lectures: [lec] })), false);
 });
+
+/* ─── Term → course roll-up ─── */
+
+test('recalculateTotalXP: sums XP across courses and terms', () => {
+    const watched = () => makeWeek({ lectures: [makeLec({ watched: true })] });
+    const maths = makeCourse([watched(), watched()], { courseId: 'maths' });
+    const stats = makeCourse([watched()], { courseId: 'stats' });
+    const english = makeCourse([watched()], { courseId: 'english' });
+    const program = {
+        ...makeProgram(),
+        terms: [makeTerm([maths, stats], { termId: 'jan' }), makeTerm([english], { termId: 'may' })],
+    };
+
+    assert.equal(recalculateTotalXP(program), 4 * XP.LECTURE_WATCH);
+    assert.equal(maths.xpEarned, 2 * XP.LECTURE_WATCH);
+    assert.equal(stats.xpEarned, XP.LECTURE_WATCH);
+    assert.equal(program.terms[0].xpEarned, 3 * XP.LECTURE_WATCH);
+    assert.equal(program.terms[1].xpEarned, XP.LECTURE_WATCH);
+});
+
+test('allWeeks: flattens weeks from every course in order', () => {
+    const w1 = makeWeek({ weekId: 'w1' }), w2 = makeWeek({ weekId: 'w2' }), w3 = makeWeek({ weekId: 'w3' });
+    const program = {
+        ...makeProgram(),
+        terms: [makeTerm([makeCourse([w1]), makeCourse([w2])]), makeTerm([makeCourse([w3])])],
+    };
+    assert.deepEqual(allWeeks(program).map(w => w.weekId), ['w1', 'w2', 'w3']);
+});
+
+test('weeksProgress: pools progress units across weeks', () => {
+    const done = makeWeek({ weeklyMemoryNote: true, weeklyFinalNote: true });
+    const empty = makeWeek();
+    assert.equal(weeksProgress([done, empty]), weekProgress(makeWeek({ weeklyMemoryNote: true, weeklyFinalNote: true })) / 2);
+    assert.equal(weeksProgress([]), 0);
+});
+
+test('computeLifetimeStats: per-course roll-up counts only that course', () => {
+    const lec = makeLec({ watched: true, memoryNote: true, finalNote: true, revisionCount: 2 });
+    const maths = makeCourse([makeWeek({ lectures: [lec], weekCompleted: true }), makeWeek()], { courseId: 'maths' });
+    const stats = makeCourse([makeWeek({ lectures: [makeLec()] })], { courseId: 'stats' });
+    const program = { ...makeProgram(), terms: [makeTerm([maths, stats])] };
+    recalculateTotalXP(program);
+
+    const s = computeLifetimeStats(program);
+    assert.equal(s.totalWeeks, 3);
+    assert.equal(s.totalLectures, 2);
+    assert.equal(s.totalRevisions, 2);
+
+    const [m, st] = s.terms[0].courses;
+    assert.equal(m.totalWeeks, 2);
+    assert.equal(m.weeksCompleted, 1);
+    assert.equal(m.completedLectures, 1);
+    assert.equal(m.xp, maths.xpEarned);
+    assert.equal(st.totalLectures, 1);
+    assert.equal(st.completedLectures, 0);
+    assert.equal(s.terms[0].xp, maths.xpEarned + stats.xpEarned);
+});
+
+/* ─── XP rule sets ─── */
+
+test('xp rules: the default preset scores exactly like the XP table', () => {
+    const lec = makeLec({ watched: true, memoryNote: true, finalNote: true, activityTotal: 4, activityDone: 4, revisionCount: 3 });
+    const week = makeWeek({ lectures: [lec], practiceAssignment: makeAssignment(5, 5), weekCompleted: true });
+    assert.equal(calcLectureXP(lec, makeXPRules('default')), calcLectureXP(lec));
+    assert.deepEqual(weekXPBreakdown(week, makeXPRules('default')), weekXPBreakdown(week));
+});
+
+test('xp rules: recalculateTotalXP uses the program\'s own rule set', () => {
+    const week = makeWeek({
+        lectures: [makeLec({ watched: true, revisionCount: 2 })],
+        gradedAssignment: makeAssignment(10, 10),
+    });
+    const program = { ...makeProgram([week]), xpRules: makeXPRules('assignmentHeavy') };
+    const v = XP_PRESETS.assignmentHeavy.values;
+    const expected = v.LECTURE_WATCH + 2 * v.LECTURE_REVISION + 10 * v.GRADED_Q;
+    assert.equal(recalculateTotalXP(program), expected);
+    assert.equal(week.xpEarned, expected);
+
+    // An explicit rule set wins over the program's
+    assert.equal(recalculateTotalXP(program, makeXPRules('default')),
+        XP.LECTURE_WATCH + 2 * XP.LECTURE_REVISION + 10 * XP.GRADED_Q);
+});
+
+test('xp rules: revisions beyond the cap earn nothing', () => {
+    const rules = makeXPRules('revisionCapped');
+    const { LECTURE_REVISION, REVISION_CAP } = rules.values;
+    assert.equal(calcLectureXP(makeLec({ revisionCount: REVISION_CAP + 5 }), rules), REVISION_CAP * LECTURE_REVISION);
+    assert.equal(calcLectureXP(makeLec({ revisionCount: 1 }), rules), LECTURE_REVISION);
+});
+
+test('xp rules: week breakdown follows custom values, lecture XP included', () => {
+    const rules = normalizeXPRules({ values: { LECTURE_WATCH: 1, WEEKLY_MEMORY: 0, WEEK_COMPLETE: 40 } });
+    const lec = makeLec({ watched: true, memoryNote: true, finalNote: true });
+    const bd = weekXPBreakdown(makeWeek({ lectures: [lec], weeklyMemoryNote: true, weekCompleted: true }), rules);
+    assert.equal(bd.lectureXP, 1 + XP.LECTURE_MEMORY + XP.LECTURE_FINAL);
+    assert.equal(bd.memoryXP, 0);
+    assert.equal(bd.completionXP, 40);
+});
+
+test('normalizeXPRules: fills gaps, clamps values and names the matching preset', () => {
+    assert.deepEqual(normalizeXPRules(undefined), makeXPRules('default'));
+    assert.deepEqual(normalizeXPRules({ values: { ...XP_PRESETS.revisionCapped.values } }), makeXPRules('revisionCapped'));
+
+    const r = normalizeXPRules({ preset: 'default', values: { GRADED_Q: 6.6, PRACTICE_Q: -3, LECTURE_WATCH: 'x', WEEK_COMPLETE: 1e9 } });
+    assert.equal(r.preset, 'custom');
+    assert.equal(r.version, 1);
+    assert.equal(r.values.GRADED_Q, 7);
+    assert.equal(r.values.PRACTICE_Q, 0);
+    assert.equal(r.values.LECTURE_WATCH, XP.LECTURE_WATCH);
+    assert.equal(r.values.WEEK_COMPLETE, 1000);
+});
+
+/* ─── Level curves & ranks ─── */
+
+const QUADRATIC = { kind: 'quadratic', table: [] };
+const TABLE = { kind: 'table', table: [100, 300, 600] };
+
+test('level curves: quadratic steps grow by 250 XP per level', () => {
+    assert.deepEqual([1, 2, 3, 4].map(l => levelThreshold(l, QUADRATIC)), [0, 250, 750, 1500]);
+    assert.equal(getLevel(749, QUADRATIC), 2);
+    assert.equal(getLevel(750, QUADRATIC), 3);
+    assert.equal(xpToNextLevel(1000, QUADRATIC), 500);
+    assert.equal(getLevelProgress(1125, QUADRATIC), 0.5);
+});
+
+test('level curves: a custom table, then its last step repeats', () => {
+    assert.equal(getLevel(99, TABLE), 1);
+    assert.equal(getLevel(100, TABLE), 2);
+    assert.equal(getLevel(599, TABLE), 3);
+    assert.equal(getLevel(600, TABLE), 4);
+    assert.equal(levelThreshold(5, TABLE), 900);
+    assert.equal(getLevel(1250, TABLE), 6);
+    assert.equal(xpToNextLevel(1250, TABLE), 250);
+});
+
+test('level curves: unknown or broken curves count as linear', () => {
+    for (const curve of [{ kind: 'table', table: [] }, { kind: 'table', table: [300, 200] }, { kind: 'spiral' }, null]) {
+        assert.equal(getLevel(600, curve), getLevel(600));
+    }
+    assert.deepEqual(levelCurveOf({ settings: { levelCurve: 'quadratic' } }), QUADRATIC);
+    assert.deepEqual(levelCurveOf({}), { kind: 'linear', table: [] });
+});
+
+test('parseLevelTable: accepts rising whole numbers only', () => {
+    assert.deepEqual(parseLevelTable('100, 300;600  1000'), { ok: true, table: [100, 300, 600, 1000] });
+    assert.equal(parseLevelTable('').ok, false);
+    assert.equal(parseLevelTable('100, 50').ok, false);
+    assert.equal(parseLevelTable('100, 2.5k').ok, false);
+});
+
+test('getRank: names ranges of levels and points at the next rank', () => {
+    assert.equal(getRank(1).name, 'Qualifier');
+    assert.equal(getRank(1).next.name, 'Foundation Learner');
+    assert.equal(getRank(7).name, 'Foundation Scholar');
+    assert.equal(getRank(15).name, 'Diploma Adept');
+    assert.equal(getRank(500).next, null);
+});
+
+/* ─── Quest bonus XP ─── */
+
+test('quest XP: counted in the program total only, split by kind', () => {
+    const p = makeProgram([makeWeek({ weeklyMemoryNote: true })]);
+    p.quests = { done: {
+        'daily:2026-03-02:notes': { at: 'T', xp: 10, kind: 'daily', title: 'Write 2 notes' },
+        'weekly:2026-W10:revisions-week': { at: 'T', xp: 30, kind: 'weekly', title: 'Log 10 revisions' },
+    } };
+    assert.equal(recalculateTotalXP(p), XP.WEEKLY_MEMORY + 40);
+    assert.equal(p.terms[0].xpEarned, XP.WEEKLY_MEMORY);
+    assert.deepEqual(questXPBreakdown(p), { dailyXP: 10, weeklyXP: 30, total: 40, completed: 2 });
+    const s = computeLifetimeStats(p);
+    assert.equal(s.questXP, 40);
+    assert.equal(s.questsCompleted, 2);
+});
@@ -0,0 +1,148 @@
+/**
+ * xpLedger.js — Daily XP Ledger
+ *
+ * Pure functions only. No DOM, no localStorage.
+ *
+ * Every XP change — gains AND losses — is written to a per-day ledger
+ * with the source it came from:
+ *
+ *   program.xpLedger  = { 'YYYY-MM-DD': [{ at, source, delta, core? }, …] }
+ *   program.xpHistory = { 'YYYY-MM-DD': net XP of that day }
+ *
+ * Invariant (checked by ledgerBalance):
+ *   xpOpeningBalance + Σ xpHistory === totalXP
+ *
+ * xpOpeningBalance holds XP that has no dated entry: XP earned before
+ * the ledger existed, and days trimmed out of the retention window.
+ *
+ * `core` on a 'lecture' entry counts the core actions (Watched, Memory
+ * Note, Final Note) that step ticked, negative for unticks — the
+ * streak's 'action' rule reads it (see streakDay in xpEngine.js).
+ */
+
+import { weekXPBreakdown, allWeeks, questXP } from './xpEngine.js';
+
+export const LEDGER_SOURCES = ['lecture', 'assignment', 'milestone', 'quest'];
+export const LEDGER_RETENTION_DAYS = 365;
+
+/** Current XP split by source, under the program's own XP rules. */
+export function xpBySource(program) {
+  const out = { lecture: 0, assignment: 0, milestone: 0, quest: questXP(program) };
+  for (const week of allWeeks(program)) {
+    const bd = weekXPBreakdown(week, program.xpRules);
+    out.lecture    += bd.lectureXP;
+    out.assignment += bd.practiceXP + bd.gradedXP;
+    out.milestone  += bd.memoryXP + bd.finalXP + bd.completionXP;
+  }
+  return out;
+}
+
+/**
+ * Ledger entries for the change between two source breakdowns.
+ * One entry per source whose XP changed; zero deltas are skipped.
+ * `sourceOverride` attributes the whole change to one source instead.
+ */
+export function diffSources(before, after, at, sourceOverride = null) {
+  const entries = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  if (sourceOverride) {
+    let delta = 0;
+    for (const k of keys) delta += (after[k] || 0) - ((before && before[k]) || 0);
+    if (delta !== 0) entries.push({ at, source: sourceOverride, delta });
+    return entries;
+  }
+  for (const source of keys) {
+    const delta = (after[source] || 0) - ((before && before[source]) || 0);
+    if (delta !== 0) entries.push({ at, source, delta });
+  }
+  return entries;
+}
+
+/**
+ * Note a step's change in core actions (see coreActionCount) as `core`
+ * on its 'lecture' entry — one with delta 0 when the step has none
+ * (e.g. a rule set that gives Watched no XP). Returns `entries`.
+ */
+export function tagCoreActions(entries, coreDelta, at) {
+  if (coreDelta === 0) return entries;
+  const lecture = entries.find(e => e.source === 'lecture');
+  if (lecture) lecture.core = coreDelta;
+  else entries.push({ at, source: 'lecture', delta: 0, core: coreDelta });
+  return entries;
+}
+
+/** Append entries to a day and refresh that day's net in xpHistory. Mutates program. */
+export function recordLedger(program, day, entries) {
+  if (entries.length === 0) return;
+  const list = program.xpLedger[day] || (program.xpLedger[day] = []);
+  list.push(...entries);
+  program.xpHistory[day] = (program.xpHistory[day] || 0) +
+    entries.reduce((s, e) => s + e.delta, 0);
+}
+
+/**
+ * Drop days older than `cutoffDay` (YYYY-MM-DD, exclusive) from the
+ * ledger and history, folding their net XP into xpOpeningBalance so
+ * the invariant still holds. Mutates program.
+ */
+export function trimLedger(program, cutoffDay) {
+  for (const day of Object.keys(program.xpHistory)) {
+    if (day < cutoffDay) {
+      program.xpOpeningBalance = (program.xpOpeningBalance || 0) + program.xpHistory[day];
+      delete program.xpHistory[day];
+    }
+  }
+  for (const day of Object.keys(program.xpLedger)) {
+    if (day < cutoffDay) delete program.xpLedger[day];
+  }
+}
+
+/** Gains, losses and net per source for one day */
+export function daySummary(program, day) {
+  const out = {};
+  for (const e of program.xpLedger[day] || []) {
+    const s = out[e.source] || (out[e.source] = { gained: 0, lost: 0, net: 0 });
+    if (e.delta > 0) s.gained += e.delta; else s.lost -= e.delta;
+    s.net += e.delta;
+  }
+  return out;
+}
+
+/** Opening balance + all daily nets. Equals totalXP when the books balance. */
+export function ledgerBalance(program) {
+  return (program.xpOpeningBalance || 0) +
+    Object.values(program.xpHistory).reduce((s, v) => s + v, 0);
+}
+
+/**
+ * Reconcile a gains-only xpHistory (schema < v6) against totalXP.
+ *
+ * Old versions counted every re-check of a box as new XP, so the history
+ * could add up to MORE than the real total. Inflated history is scaled
+ * down proportionally (keeping the graph's shape) and flagged in
+ * program.xpHistoryReconciled. Any shortfall becomes the opening balance.
+ * Mutates program.
+ */
+export function reconcileHistory(program, today) {
+  const days = Object.keys(program.xpHistory).sort();
+  const sum = days.reduce((s, d) => s + program.xpHistory[d], 0);
+  const total = program.totalXP || 0;
+
+  if (sum > total) {
+    let assigned = 0;
+    for (const d of days) {
+      const v = Math.floor(program.xpHistory[d] * total / sum);
+      program.xpHistory[d] = v;
+      assigned += v;
+    }
+    // Rounding remainder goes to the most recent days, one XP each
+    for (let i = days.length - 1; assigned < total; i = (i - 1 + days.length) % days.length) {
+      program.xpHistory[days[i]]++;
+      assigned++;
+    }
+    program.xpHistoryReconciled = { on: today, previousSum: sum, inflatedBy: sum - total };
+    program.xpOpeningBalance = 0;
+  } else {
+    program.xpOpeningBalance = total - sum;
+  }
+}
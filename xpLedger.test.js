@@ -0,0 +1,157 @@
+/**
+ * xpLedger.test.js — Unit tests for the daily XP ledger
+ *
+ * Run with: node --test xpLedger.test.js
+ *
+ * Tests cover:
+ *   1. diffSources      — signed entries per source; tagCoreActions
+ *   2. recordLedger     — net daily history, uncheck/recheck round-trip
+ *   3. trimLedger       — retention keeps the books balanced
+ *   4. reconcileHistory — inflated gains-only history from schema < v6
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    xpBySource,
+    diffSources,
+    tagCoreActions,
+    recordLedger,
+    trimLedger,
+    daySummary,
+    ledgerBalance,
+    reconcileHistory,
+} from './xpLedger.js';
+import { recalculateTotalXP, XP } from './xpEngine.js';
+
+/* ─── Factories ─── */
+
+function makeLec(overrides = {}) {
+    return { watched: false, memoryNote: false, activityTotal: 0, activityDone: 0,
+             finalNote: false, revisionCount: 0, xpEarned: 0, ...overrides };
+}
+
+function makeWeek(overrides = {}) {
+    return {
+        lectures: [],
+        practiceAssignment: { totalQuestions: 0, doneQuestions: 0 },
+        gradedAssignment: { totalQuestions: 0, doneQuestions: 0 },
+        weeklyMemoryNote: false, weeklyFinalNote: false, weekCompleted: false, xpEarned: 0,
+        ...overrides,
+    };
+}
+
+function makeProgram(weeks = [], overrides = {}) {
+    return {
+        terms: [{ termId: 't', termName: 'T', courses: [{ courseId: 'c', courseName: 'C', weeks }] }],
+        totalXP: 0, xpHistory: {}, xpLedger: {}, xpOpeningBalance: 0,
+        ...overrides,
+    };
+}
+
+/* ─── xpBySource / diffSources ─── */
+
+test('xpBySource: splits lecture, assignment and milestone XP', () => {
+    const week = makeWeek({
+        lectures: [makeLec({ watched: true })],
+        gradedAssignment: { totalQuestions: 3, doneQuestions: 2 },
+        weeklyMemoryNote: true,
+    });
+    const p = makeProgram([week]);
+    recalculateTotalXP(p);
+    assert.deepEqual(xpBySource(p), {
+        lecture: XP.LECTURE_WATCH,
+        assignment: 2 * XP.GRADED_Q,
+        milestone: XP.WEEKLY_MEMORY,
+        quest: 0,
+    });
+});
+
+test('diffSources: records gains and losses, skips unchanged sources', () => {
+    const entries = diffSources(
+        { lecture: 10, assignment: 4, milestone: 0 },
+        { lecture: 5, assignment: 4, milestone: 10 },
+        'T'
+    );
+    assert.deepEqual(entries, [
+        { at: 'T', source: 'lecture', delta: -5 },
+        { at: 'T', source: 'milestone', delta: 10 },
+    ]);
+});
+
+test('diffSources: override books the net change under one source', () => {
+    const entries = diffSources({ lecture: 10, assignment: 4 }, { lecture: 12, assignment: 2 }, 'T', 'rules');
+    assert.deepEqual(entries, []);
+    const e2 = diffSources({ lecture: 10 }, { lecture: 13 }, 'T', 'rules');
+    assert.deepEqual(e2, [{ at: 'T', source: 'rules', delta: 3 }]);
+});
+
+/* ─── recordLedger ─── */
+
+test('tagCoreActions: core ticks go on the lecture entry, or an entry of their own', () => {
+    const at = '2026-03-01T10:00:00.000Z';
+    const entries = [{ at, source: 'assignment', delta: 4 }, { at, source: 'lecture', delta: 5 }];
+    assert.equal(tagCoreActions(entries, 1, at), entries);
+    assert.deepEqual(entries[1], { at, source: 'lecture', delta: 5, core: 1 });
+    assert.deepEqual(tagCoreActions([], -2, at), [{ at, source: 'lecture', delta: 0, core: -2 }]);
+    assert.deepEqual(tagCoreActions([{ at, source: 'lecture', delta: 1 }], 0, at), [{ at, source: 'lecture', delta: 1 }]);
+});
+
+test('recordLedger: uncheck + recheck nets to the real change', () => {
+    const p = makeProgram();
+    recordLedger(p, '2026-03-01', [{ at: 'a', source: 'lecture', delta: 5 }]);   // check
+    recordLedger(p, '2026-03-01', [{ at: 'b', source: 'lecture', delta: -5 }]);  // uncheck
+    recordLedger(p, '2026-03-01', [{ at: 'c', source: 'lecture', delta: 5 }]);   // check again
+    assert.equal(p.xpHistory['2026-03-01'], 5);
+    assert.equal(p.xpLedger['2026-03-01'].length, 3);
+    assert.deepEqual(daySummary(p, '2026-03-01'), { lecture: { gained: 10, lost: 5, net: 5 } });
+});
+
+test('recordLedger: empty entry list leaves the day untouched', () => {
+    const p = makeProgram();
+    recordLedger(p, '2026-03-01', []);
+    assert.deepEqual(p.xpHistory, {});
+    assert.deepEqual(p.xpLedger, {});
+});
+
+/* ─── trimLedger ─── */
+
+test('trimLedger: old days fold into the opening balance', () => {
+    const p = makeProgram([], { totalXP: 30 });
+    recordLedger(p, '2025-01-01', [{ at: 'a', source: 'lecture', delta: 20 }]);
+    recordLedger(p, '2026-03-01', [{ at: 'b', source: 'lecture', delta: 10 }]);
+    trimLedger(p, '2025-06-01');
+    assert.deepEqual(Object.keys(p.xpHistory), ['2026-03-01']);
+    assert.deepEqual(Object.keys(p.xpLedger), ['2026-03-01']);
+    assert.equal(p.xpOpeningBalance, 20);
+    assert.equal(ledgerBalance(p), p.totalXP);
+});
+
+/* ─── reconcileHistory ─── */
+
+test('reconcileHistory: inflated history is scaled down to totalXP and flagged', () => {
+    const p = makeProgram([], {
+        totalXP: 50,
+        xpHistory: { '2026-01-01': 40, '2026-01-02': 30, '2026-01-03': 30 },
+    });
+    reconcileHistory(p, '2026-02-01');
+    assert.equal(ledgerBalance(p), 50);
+    assert.equal(p.xpOpeningBalance, 0);
+    assert.deepEqual(p.xpHistoryReconciled, { on: '2026-02-01', previousSum: 100, inflatedBy: 50 });
+    assert.equal(p.xpHistory['2026-01-01'], 20);
+});
+
+test('reconcileHistory: rounding remainder still balances', () => {
+    const p = makeProgram([], { totalXP: 10, xpHistory: { a: 7, b: 7, c: 7 } });
+    reconcileHistory(p, 'today');
+    assert.equal(ledgerBalance(p), 10);
+});
+
+test('reconcileHistory: short history becomes an opening balance, not flagged', () => {
+    const p = makeProgram([], { totalXP: 80, xpHistory: { '2026-01-01': 30 } });
+    reconcileHistory(p, '2026-02-01');
+    assert.equal(p.xpOpeningBalance, 50);
+    assert.equal(p.xpHistory['2026-01-01'], 30);
+    assert.equal(p.xpHistoryReconciled, undefined);
+});